@@ -0,0 +1,867 @@
+/**
+ * API schema - OpenAPI 3.1 for the REST routes and JSON Schema for every WebSocket message
+ * Served at /api/schema so clients can be generated from it. Incoming WebSocket messages are
+ * checked against CLIENT_MESSAGES before they reach their handler; see validateClientMessage.
+ */
+
+import { SUBSCRIPTION_SCOPES } from './subscriptionManager.js';
+import { LOG_LEVELS } from './logger.js';
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null
+};
+
+/**
+ * Check a value against the subset of JSON Schema used in this file
+ * (type, enum, const, minimum/maximum, minLength/maxLength, pattern, properties, required,
+ * additionalProperties, items, minItems, anyOf). Returns a list of problems, empty if valid.
+ */
+export function validateSchema(schema, value, at = 'value') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            errors.push(`${at} must be ${types.map(type => (type === 'integer' ? 'an integer' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${at} must not be empty` : `${at} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+        }
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(option => validateSchema(option, value, at));
+        if (!results.some(result => result.length === 0)) {
+            // Report the option that came closest rather than every alternative
+            errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], item, `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Shared pieces
+const torrentId = { type: 'string', minLength: 1, description: 'Torrent ID - the infoHash, or a random ID for sources without one' };
+const fileIndex = { type: 'integer', minimum: 0 };
+const rate = { type: ['number', 'null'], minimum: -1, description: 'Bytes per second; -1 or null for unlimited' };
+const limit = { type: ['number', 'null'], minimum: -1, description: '-1 for no limit; null inherits the global value where that applies' };
+const isoTime = { type: 'string', description: 'ISO 8601 timestamp' };
+
+const FILE_PRIORITY = { type: 'string', enum: ['high', 'normal', 'skip'] };
+const QUEUE_DIRECTION = { type: 'string', enum: ['up', 'down', 'top', 'bottom'] };
+
+const SCHEDULE = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    days: { type: 'array', items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }, minItems: 1 },
+                    start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+                    end: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+                    downloadLimit: rate,
+                    uploadLimit: rate
+                },
+                required: ['start', 'end']
+            }
+        }
+    }
+};
+
+const SEEDING_POLICY = {
+    type: 'object',
+    properties: {
+        ratioLimit: limit,
+        seedTimeLimit: { ...limit, description: 'Minutes; -1 for no limit, null to inherit' },
+        idleTimeLimit: { ...limit, description: 'Minutes; -1 for no limit, null to inherit' },
+        action: { type: ['string', 'null'], enum: ['pause', 'remove', 'remove-delete', null] }
+    },
+    additionalProperties: false
+};
+
+// Any subset of GET /api/settings; SettingsManager checks the values themselves
+const SETTINGS = {
+    type: 'object',
+    properties: {
+        downloadDir: { type: 'string', minLength: 1 },
+        logLevel: { type: 'string', enum: LOG_LEVELS },
+        bandwidth: { type: 'object', properties: { downloadLimit: rate, uploadLimit: rate, schedule: SCHEDULE }, additionalProperties: false },
+        queue: { type: 'object', properties: { maxActiveDownloads: { type: 'integer', minimum: -1 }, maxActiveSeeds: { type: 'integer', minimum: -1 } }, additionalProperties: false },
+        seeding: SEEDING_POLICY,
+        intervals: {
+            type: 'object',
+            properties: { torrentUpdate: { type: 'integer' }, broadcast: { type: 'integer' }, seedingCheck: { type: 'integer' } },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const SUBTITLE_TRACK = {
+    type: 'object',
+    properties: {
+        fileIndex,
+        format: { type: 'string', enum: ['srt', 'ass', 'vtt'] },
+        language: { type: ['string', 'null'], description: 'BCP 47 tag read from the file name, for srclang' },
+        label: { type: 'string' },
+        url: { type: 'string', description: 'The file converted to WebVTT' }
+    }
+};
+
+const FILE = {
+    type: 'object',
+    properties: {
+        index: fileIndex,
+        name: { type: 'string' },
+        path: { type: 'string' },
+        length: { type: 'integer' },
+        isVideo: { type: 'boolean' },
+        isAudio: { type: 'boolean' },
+        duration: { type: ['number', 'null'], description: 'Seconds, once a player has reported it' },
+        isSubtitle: { type: 'boolean', description: 'Only present on .srt, .ass, .ssa and .vtt files' },
+        subtitleFor: { type: ['integer', 'null'], description: 'Index of the video a subtitle file belongs to' },
+        subtitles: { type: 'array', items: SUBTITLE_TRACK, description: 'Only present on video files' },
+        priority: FILE_PRIORITY,
+        selected: { type: 'boolean' },
+        downloaded: { type: 'integer' },
+        progress: { type: 'number', description: 'Percent' },
+        done: { type: 'boolean' },
+        canStream: { type: 'boolean' },
+        streamUrl: { type: 'string' },
+        downloadUrl: { type: 'string' }
+    }
+};
+
+const byteRange = {
+    type: 'object',
+    properties: { start: { type: 'integer' }, end: { type: 'integer', description: 'Inclusive' } }
+};
+
+const FILE_PIECES = {
+    type: 'object',
+    properties: {
+        torrentId: { type: 'string' },
+        fileIndex,
+        length: { type: 'integer' },
+        pieceLength: { type: 'integer' },
+        pieces: { type: 'integer', description: 'Pieces the file spans' },
+        downloaded: { type: 'integer' },
+        ranges: { type: 'array', items: byteRange, description: 'Downloaded and verified bytes of the file' }
+    }
+};
+
+const TORRENT = {
+    type: 'object',
+    properties: {
+        torrentId,
+        status: { type: 'string', enum: ['starting', 'queued', 'downloading', 'verifying', 'seeding', 'completed', 'stopping', 'paused', 'stopped', 'error'] },
+        fileName: { type: 'string' },
+        infoHash: { type: ['string', 'null'] },
+        magnet: { type: ['string', 'null'] },
+        progress: { type: 'number', description: 'Percent' },
+        downloadSpeed: { type: 'number' },
+        uploadSpeed: { type: 'number' },
+        peers: { type: 'integer' },
+        downloaded: { type: 'number' },
+        totalSize: { type: 'number' },
+        selectedSize: { type: 'number' },
+        timeRemaining: { type: 'string' },
+        complete: { type: 'boolean' },
+        canStream: { type: 'boolean' },
+        queuePosition: { type: ['integer', 'null'] },
+        downloadLimit: rate,
+        uploadLimit: rate,
+        totalUploaded: { type: 'number' },
+        seedTime: { type: 'number', description: 'Milliseconds spent seeding' },
+        seedRatio: { type: 'number' },
+        seedingGoal: { type: ['object', 'null'] },
+        sequential: { type: 'boolean', description: 'Pieces are downloaded in order instead of by the configured piece strategy' },
+        owner: { type: ['string', 'null'] },
+        error: { type: ['string', 'null'] },
+        files: { type: 'array', items: FILE }
+    }
+};
+
+const SUMMARY = {
+    type: 'object',
+    properties: {
+        torrents: { type: 'integer' },
+        statuses: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Torrent count per status' },
+        downloadSpeed: { type: 'number' },
+        uploadSpeed: { type: 'number' },
+        peers: { type: 'integer' },
+        progress: { type: 'number', description: 'Percent of all wanted data' }
+    }
+};
+
+const LOG_LEVEL = { type: 'string', enum: LOG_LEVELS, description: 'Entries at this level and more severe' };
+
+const LOG_ENTRY = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer', description: 'Increases with every entry' },
+        timestamp: isoTime,
+        level: { type: 'string', enum: LOG_LEVELS },
+        subsystem: { type: 'string', description: 'Part of the server that logged it, e.g. torrent, ws, stream' },
+        torrentId: { type: 'string' },
+        clientId: { type: 'string' },
+        message: { type: 'string' }
+    },
+    required: ['id', 'timestamp', 'level', 'subsystem', 'message']
+};
+
+const DELTA_PATH = { type: 'array', items: { type: ['string', 'integer'] }, description: 'Keys and array indexes from the top of the status' };
+
+const QUEUE = {
+    type: 'object',
+    properties: {
+        order: { type: 'array', items: torrentId },
+        maxActiveDownloads: { type: 'integer' },
+        maxActiveSeeds: { type: 'integer' }
+    }
+};
+
+const ERROR = {
+    type: 'object',
+    properties: {
+        error: { type: 'string', description: 'Short summary' },
+        message: { type: 'string', description: 'What went wrong' },
+        errors: { type: 'array', items: { type: 'string' }, description: 'Every problem, for validation failures' }
+    },
+    required: ['error']
+};
+
+const QUOTA = {
+    type: 'object',
+    properties: {
+        maxDiskBytes: { type: ['integer', 'null'], minimum: -1 },
+        maxActiveTorrents: { type: ['integer', 'null'], minimum: -1 }
+    }
+};
+
+const USER = {
+    type: 'object',
+    properties: {
+        username: { type: 'string' },
+        role: { type: 'string', enum: ['admin', 'user', 'viewer'] },
+        quota: QUOTA,
+        createdAt: { type: 'integer' }
+    }
+};
+
+const SHARE_OPTIONS = {
+    expiresIn: { type: 'number', minimum: 1, description: 'Minutes, default 1440, at most 30 days' },
+    maxUses: { type: ['integer', 'null'], minimum: -1 },
+    maxBytes: { type: ['integer', 'null'], minimum: -1 },
+    rateLimit: { type: ['integer', 'null'], minimum: -1, description: 'Bytes per second' },
+    label: { type: 'string', maxLength: 100 }
+};
+
+const SHARE_LINK = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        torrentId,
+        fileIndex,
+        token: { type: 'string' },
+        streamUrl: { type: 'string' },
+        downloadUrl: { type: 'string' },
+        expiresAt: { type: 'integer' },
+        uses: { type: 'integer' },
+        bytesServed: { type: 'integer' },
+        revoked: { type: 'boolean' },
+        active: { type: 'boolean' }
+    }
+};
+
+// `code` of WebSocket error messages
+export const ERROR_CODES = {
+    'invalid-message': 'The message is not valid JSON or doesn\'t match its schema',
+    'unknown-type': 'No such message type',
+    'forbidden': 'Your role doesn\'t allow this',
+    'quota-exceeded': 'It would go over your quota',
+    'not-found': 'No such torrent, or not one you can see',
+    'already-exists': 'The torrent has already been added',
+    'invalid-state': 'Not possible in the torrent\'s current state',
+    'invalid-value': 'A value was rejected, e.g. an unknown file index or a bad limit',
+    'failed': 'The action failed; see error',
+    'internal-error': 'Unexpected server error'
+};
+
+const requestId = { type: ['string', 'number'], description: 'Echoed in the reply to this message' };
+const seq = { type: 'integer', minimum: 1, description: 'Position in this connection\'s numbered feed; a skipped number means missed updates, so send resync' };
+
+// WebSocket messages sent by clients; unknown fields are refused so typos don't pass silently
+function clientMessage(type, description, properties = {}, required = []) {
+    return {
+        description,
+        type: 'object',
+        properties: {
+            type: { const: type },
+            timestamp: { type: ['number', 'string'] },
+            requestId,
+            ...properties
+        },
+        required: ['type', ...required],
+        additionalProperties: false
+    };
+}
+
+export const CLIENT_MESSAGES = {
+    'get-torrents': clientMessage('get-torrents', 'List the torrents you can see; answered with initial-torrents'),
+    'start-torrent': clientMessage('start-torrent', 'Add a magnet link, info hash or .torrent URL', {
+        magnet: { type: 'string', minLength: 1 },
+        fresh: { type: 'boolean', description: 'Download into a new temporary directory' }
+    }, ['magnet']),
+    'pause-torrent': clientMessage('pause-torrent', 'Pause a torrent; it keeps its data', { torrentId }, ['torrentId']),
+    'stop-torrent': clientMessage('stop-torrent', 'Old name for pause-torrent', { torrentId }, ['torrentId']),
+    'resume-torrent': clientMessage('resume-torrent', 'Put a paused torrent back in the queue', { torrentId }, ['torrentId']),
+    'recheck-torrent': clientMessage('recheck-torrent', 'Verify a running torrent\'s data on disk again', { torrentId }, ['torrentId']),
+    'delete-torrent': clientMessage('delete-torrent', 'Remove a torrent', { torrentId, deleteFiles: { type: 'boolean' } }, ['torrentId']),
+    'remove-torrent': clientMessage('remove-torrent', 'Same as delete-torrent', { torrentId, deleteFiles: { type: 'boolean' } }, ['torrentId']),
+    'get-files': {
+        ...clientMessage('get-files', 'List a torrent\'s files; torrentId may also be sent as data.torrentId', {
+            torrentId,
+            data: { type: 'object', properties: { torrentId }, required: ['torrentId'] }
+        }),
+        anyOf: [{ required: ['torrentId'] }, { required: ['data'] }]
+    },
+    'set-file-priority': {
+        ...clientMessage('set-file-priority', 'Set the priority of one file (fileIndex) or several (fileIndexes)', {
+            torrentId,
+            fileIndex,
+            fileIndexes: { type: 'array', items: fileIndex, minItems: 1 },
+            priority: FILE_PRIORITY
+        }, ['torrentId', 'priority']),
+        anyOf: [{ required: ['fileIndex'] }, { required: ['fileIndexes'] }]
+    },
+    'subscribe': clientMessage('subscribe', 'Choose what you hear about torrents: all you can see (the default), one, or a summary; answered with snapshot', {
+        scope: { type: 'string', enum: SUBSCRIPTION_SCOPES },
+        torrentId
+    }, ['scope']),
+    'resync': clientMessage('resync', 'Ask for a fresh snapshot after spotting a gap in seq'),
+    'subscribe-logs': clientMessage('subscribe-logs', 'Receive server log entries as log messages, replacing any earlier log filter; answered with log-history', {
+        level: LOG_LEVEL,
+        subsystems: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Only these subsystems; all when left out' },
+        torrentId,
+        search: { type: 'string', description: 'Only entries whose message contains this, ignoring case' },
+        history: { type: 'integer', minimum: 0, maximum: 1000, description: 'How many buffered entries to send back (default 100)' }
+    }),
+    'unsubscribe-logs': clientMessage('unsubscribe-logs', 'Stop receiving log entries'),
+    'move-torrent': clientMessage('move-torrent', 'Move a torrent in the queue', { torrentId, direction: QUEUE_DIRECTION }, ['torrentId', 'direction']),
+    'get-queue': clientMessage('get-queue', 'Read the queue order; answered with queue-updated'),
+    'get-bandwidth': clientMessage('get-bandwidth', 'Read the bandwidth limits; answered with bandwidth-updated'),
+    'set-bandwidth': clientMessage('set-bandwidth', 'Change the global limits and/or schedule (admins)', {
+        downloadLimit: rate,
+        uploadLimit: rate,
+        schedule: SCHEDULE
+    }),
+    'set-torrent-bandwidth': clientMessage('set-torrent-bandwidth', 'Change one torrent\'s limits', {
+        torrentId,
+        downloadLimit: rate,
+        uploadLimit: rate
+    }, ['torrentId']),
+    'set-sequential': clientMessage('set-sequential', 'Download one torrent\'s pieces in order, or by the configured piece strategy again', {
+        torrentId,
+        sequential: { type: 'boolean' }
+    }, ['torrentId', 'sequential']),
+    'get-seeding-policy': clientMessage('get-seeding-policy', 'Read the global seeding policy; answered with seeding-policy-updated'),
+    'set-seeding-policy': clientMessage('set-seeding-policy', 'Change one torrent\'s seeding policy, or the global one (admins) without torrentId', {
+        torrentId,
+        policy: SEEDING_POLICY
+    }, ['policy']),
+    'get-settings': clientMessage('get-settings', 'Read the runtime settings; answered with settings-updated'),
+    'update-settings': clientMessage('update-settings', 'Change runtime settings (admins)', { settings: SETTINGS }, ['settings']),
+    'ping': clientMessage('ping', 'Answered with pong')
+};
+
+// WebSocket messages sent by the server; documented here, not validated. Replies carry the requestId they answer.
+function serverMessage(type, description, properties = {}) {
+    return {
+        description,
+        type: 'object',
+        properties: { type: { const: type }, timestamp: isoTime, requestId, ...properties },
+        required: ['type']
+    };
+}
+
+export const SERVER_MESSAGES = {
+    'connection': serverMessage('connection', 'Sent once after connecting', { clientId: { type: 'string' }, message: { type: 'string' } }),
+    'initial-torrents': serverMessage('initial-torrents', 'Every torrent you can see; the first message numbered with seq', { data: { type: 'array', items: TORRENT }, seq }),
+    'torrent-update': serverMessage('torrent-update', 'A torrent\'s full status, sent when it first appears', { torrentId, data: TORRENT, seq }),
+    'torrent-delta': serverMessage('torrent-delta', 'What changed in a torrent\'s status since its last update', {
+        torrentId,
+        set: { type: 'array', items: { type: 'array', prefixItems: [DELTA_PATH, {}], minItems: 2, maxItems: 2 }, description: '[path, value] pairs' },
+        unset: { type: 'array', items: DELTA_PATH, description: 'Paths that no longer exist' },
+        seq
+    }),
+    'snapshot': serverMessage('snapshot', 'Answer to subscribe and resync: the full state for the subscription', {
+        scope: { type: 'string', enum: SUBSCRIPTION_SCOPES },
+        torrentId,
+        data: { type: 'array', items: TORRENT },
+        summary: SUMMARY,
+        seq
+    }),
+    'summary': serverMessage('summary', 'Totals for summary subscribers, sent when they change', { data: SUMMARY, seq }),
+    'torrent-started': serverMessage('torrent-started', 'Answer to start-torrent', { data: { type: 'object' } }),
+    'torrent-exists': serverMessage('torrent-exists', 'start-torrent matched a torrent that is already listed', { message: { type: 'string' }, data: { type: 'object' } }),
+    'torrent-paused': serverMessage('torrent-paused', 'Answer to pause-torrent', { torrentId, data: TORRENT }),
+    'torrent-resumed': serverMessage('torrent-resumed', 'Answer to resume-torrent', { torrentId, data: TORRENT }),
+    'torrent-rechecking': serverMessage('torrent-rechecking', 'Answer to recheck-torrent', { torrentId, data: TORRENT }),
+    'torrent-deleted': serverMessage('torrent-deleted', 'Answer to delete-torrent', { data: { type: 'object' } }),
+    'torrent-removed': serverMessage('torrent-removed', 'A torrent was removed', { torrentId, name: { type: ['string', 'null'] } }),
+    'files': serverMessage('files', 'Answer to get-files', { torrentId, files: { type: 'array', items: FILE } }),
+    'file-priority-updated': serverMessage('file-priority-updated', 'Answer to set-file-priority', { torrentId, files: { type: 'array', items: FILE } }),
+    'queue-updated': serverMessage('queue-updated', 'The queue order changed', { data: QUEUE }),
+    'bandwidth-updated': serverMessage('bandwidth-updated', 'Global limits, schedule and the limits in effect', { data: { type: 'object' } }),
+    'seeding-policy-updated': serverMessage('seeding-policy-updated', 'The global seeding policy', { data: SEEDING_POLICY }),
+    'settings-updated': serverMessage('settings-updated', 'The runtime settings changed', { data: { type: 'object' } }),
+    'settings-saved': serverMessage('settings-saved', 'Answer to update-settings', { data: { type: 'object' } }),
+    'log': serverMessage('log', 'A log entry matching your subscribe-logs filter; server-wide entries only reach admins', LOG_ENTRY.properties),
+    'log-history': serverMessage('log-history', 'Answer to subscribe-logs: buffered entries matching the filter, oldest first', {
+        entries: { type: 'array', items: LOG_ENTRY },
+        subsystems: { type: 'array', items: { type: 'string' }, description: 'Every subsystem that has logged so far' }
+    }),
+    'pong': serverMessage('pong', 'Answer to ping'),
+    'ack': serverMessage('ack', 'Answer to a message whose result is otherwise only broadcast (move-torrent, set-bandwidth, set-torrent-bandwidth, set-sequential, set-seeding-policy); only sent when it had a requestId', {
+        action: { type: 'string', description: 'The type of the message being acknowledged' },
+        data: { description: 'The result, e.g. the new queue order or limits' }
+    }),
+    'error': serverMessage('error', 'A message failed', {
+        code: { type: 'string', enum: Object.keys(ERROR_CODES), description: Object.entries(ERROR_CODES).map(([code, meaning]) => `${code}: ${meaning}`).join('; ') },
+        message: { type: 'string' },
+        error: { type: 'string' },
+        errors: { type: 'array', items: { type: 'string' } },
+        torrentId
+    })
+};
+
+/**
+ * Validate an incoming WebSocket message before it is dispatched
+ * Returns a list of problems; unknown types pass so the handler can answer them itself.
+ */
+export function validateClientMessage(data) {
+    const schema = CLIENT_MESSAGES[data.type];
+    return schema ? validateSchema(schema, data, 'message') : [];
+}
+
+// REST
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+const pathParam = (name, schema = { type: 'string' }) => ({ name, in: 'path', required: true, schema });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, ...(description ? { description } : {}) });
+const TORRENT_PARAM = pathParam('torrentId');
+const FILE_PARAM = pathParam('fileIndex', fileIndex);
+
+const NOT_FOUND = errorResponse('No such torrent, or not one you can see');
+const SHARE_PARAM = queryParam('share', { type: 'string' }, 'Share link token');
+
+// File routes served by httpRange.js: GET with Range, HEAD for the headers alone, OPTIONS for probes and preflights
+const RANGE_HEADERS = [
+    { name: 'Range', in: 'header', schema: { type: 'string', example: 'bytes=0-1023' }, description: 'One or more byte ranges, including suffix ranges (bytes=-500)' },
+    { name: 'If-Range', in: 'header', schema: { type: 'string' }, description: 'ETag or Last-Modified of the copy being resumed; if it changed, the whole file is sent' }
+];
+const FILE_CONTENT = { content: { 'application/octet-stream': {} } };
+
+function rangeRoute(summary, parameters) {
+    const responses = {
+        206: { description: 'The requested range, or multipart/byteranges for several', ...FILE_CONTENT },
+        404: { description: 'No such torrent or file' },
+        416: { description: 'No requested range overlaps the file; Content-Range gives its size' }
+    };
+    return {
+        get: operation(summary, { tags: ['Streaming'], parameters: [...parameters, ...RANGE_HEADERS], ok: { description: 'The file', ...FILE_CONTENT }, responses }),
+        head: operation('Headers only (size, type, Accept-Ranges, ETag)', { tags: ['Streaming'], parameters: [...parameters, ...RANGE_HEADERS], responses }),
+        options: {
+            summary: 'Allowed methods and range support; answered without authentication',
+            tags: ['Streaming'],
+            parameters,
+            responses: { 204: { description: 'No content; Allow and Accept-Ranges headers' } }
+        }
+    };
+}
+const FORBIDDEN = errorResponse('Your role or quota doesn\'t allow this');
+const INVALID = errorResponse('Invalid input');
+
+// m3u and m3u8 are the same UTF-8 extended M3U; URLs are signed when auth is on (or share=1), taking the share link options
+const PLAYLIST_PARAMS = [
+    pathParam('format', { type: 'string', enum: ['m3u', 'm3u8', 'xspf'] }),
+    queryParam('share', { type: 'string', enum: ['1', 'true', '0', 'false'] }, 'Embed share links so players need no account; the default when auth is on'),
+    ...['expiresIn', 'maxUses', 'maxBytes', 'rateLimit'].map(name => queryParam(name, SHARE_OPTIONS[name]))
+];
+const PLAYLIST = {
+    description: 'A playlist download; durations are filled in once known',
+    content: { 'audio/x-mpegurl': { schema: { type: 'string' } }, 'application/xspf+xml': { schema: { type: 'string' } } }
+};
+
+function operation(summary, { tags, parameters, body, responses = {}, ok = { description: 'OK' } }) {
+    return {
+        summary,
+        ...(tags ? { tags } : {}),
+        ...(parameters ? { parameters } : {}),
+        ...(body ? { requestBody: { required: true, ...json(body) } } : {}),
+        responses: { 200: ok, ...responses }
+    };
+}
+
+function buildPaths() {
+    const torrent = { tags: ['Torrents'] };
+    const torrentRoute = { ...torrent, parameters: [TORRENT_PARAM] };
+    const ok = schema => ({ description: 'OK', ...json(schema) });
+    const success = ok({ type: 'object', properties: { success: { type: 'boolean' } } });
+
+    return {
+        '/api/auth/login': {
+            post: operation('Start a session; sets the session cookie', {
+                tags: ['Auth'],
+                body: { type: 'object', properties: { username: { type: 'string' }, password: { type: 'string' } }, required: ['username', 'password'] },
+                responses: { 401: errorResponse('Wrong username or password'), 429: errorResponse('Too many failed logins') }
+            })
+        },
+        '/api/auth/logout': { post: operation('End the session', { tags: ['Auth'], ok: success }) },
+        '/api/auth/me': { get: operation('The signed-in user, their role, quota and usage', { tags: ['Auth'] }) },
+        '/api/auth/password': {
+            post: operation('Change your password', {
+                tags: ['Auth'],
+                body: { type: 'object', properties: { currentPassword: { type: 'string' }, newPassword: { type: 'string', minLength: 8 } }, required: ['currentPassword', 'newPassword'] },
+                ok: success,
+                responses: { 400: INVALID, 403: errorResponse('Current password is wrong') }
+            })
+        },
+        '/api/auth/tokens': {
+            get: operation('Your API tokens', { tags: ['Auth'] }),
+            post: operation('Create an API token; the token is only returned once', {
+                tags: ['Auth'],
+                body: { type: 'object', properties: { name: { type: 'string' } } },
+                ok: { description: 'Created' }
+            })
+        },
+        '/api/auth/tokens/{tokenId}': {
+            delete: operation('Revoke an API token', { tags: ['Auth'], parameters: [pathParam('tokenId')], ok: success, responses: { 404: errorResponse('No such token') } })
+        },
+        '/api/users': {
+            get: operation('Every user with their usage (admins)', { tags: ['Users'], ok: ok({ type: 'array', items: ref('User') }), responses: { 403: FORBIDDEN } }),
+            post: operation('Create a user (admins)', {
+                tags: ['Users'],
+                body: { type: 'object', properties: { username: { type: 'string' }, password: { type: 'string', minLength: 8 }, role: USER.properties.role, quota: QUOTA }, required: ['username', 'password'] },
+                responses: { 400: INVALID, 403: FORBIDDEN, 409: errorResponse('The username is taken') }
+            })
+        },
+        '/api/users/{username}': {
+            put: operation('Change a user\'s role, quota or password (admins)', {
+                tags: ['Users'],
+                parameters: [pathParam('username')],
+                body: { type: 'object', properties: { role: USER.properties.role, quota: QUOTA, password: { type: 'string', minLength: 8 } } },
+                ok: ok(ref('User')),
+                responses: { 400: INVALID, 403: FORBIDDEN, 404: errorResponse('No such user') }
+            }),
+            delete: operation('Delete a user (admins)', { tags: ['Users'], parameters: [pathParam('username')], ok: success, responses: { 400: INVALID, 403: FORBIDDEN, 404: errorResponse('No such user') } })
+        },
+        '/api/torrents': {
+            get: operation('Every torrent you can see', { ...torrent, ok: ok({ type: 'array', items: ref('Torrent') }) }),
+            post: operation('Add a magnet link, info hash or .torrent URL', {
+                ...torrent,
+                body: { type: 'object', properties: { magnet: { type: 'string', minLength: 1 }, fresh: { type: 'boolean' } }, required: ['magnet'] },
+                responses: { 201: { description: 'Added', ...json({ type: 'object', properties: { torrentId, status: { type: 'string' }, torrent: ref('Torrent') } }) }, 403: FORBIDDEN, 409: errorResponse('Already added'), 422: INVALID }
+            })
+        },
+        '/api/torrents/upload': {
+            post: {
+                summary: 'Add a .torrent file',
+                tags: ['Torrents'],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', properties: { torrent: { type: 'string', format: 'binary' }, fresh: { type: 'boolean' } }, required: ['torrent'] }
+                        }
+                    }
+                },
+                responses: { 201: { description: 'Added' }, 400: INVALID, 403: FORBIDDEN, 409: errorResponse('Already added'), 413: errorResponse('File too large'), 422: errorResponse('Not a valid .torrent file') }
+            }
+        },
+        '/api/torrents/{torrentId}': {
+            get: operation('One torrent\'s status', { ...torrentRoute, ok: ok(ref('Torrent')), responses: { 404: NOT_FOUND } }),
+            delete: operation('Remove a torrent', {
+                ...torrentRoute,
+                parameters: [TORRENT_PARAM, queryParam('deleteFiles', { type: 'boolean' }, 'Also delete the downloaded data')],
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND, 409: errorResponse('Files not known yet (no metadata)'), 422: INVALID }
+            })
+        },
+        '/api/torrents/{torrentId}/files': {
+            get: operation('A torrent\'s files', { ...torrentRoute, ok: ok({ type: 'array', items: ref('File') }), responses: { 404: NOT_FOUND } }),
+            put: operation('Set file priorities', {
+                ...torrentRoute,
+                body: { type: 'object', properties: { fileIndex, fileIndexes: { type: 'array', items: fileIndex }, priority: FILE_PRIORITY }, required: ['priority'] },
+                ok: ok({ type: 'array', items: ref('File') }),
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND, 422: INVALID }
+            })
+        },
+        '/api/torrents/{torrentId}/pause': { post: operation('Pause a torrent', { ...torrentRoute, ok: ok(ref('Torrent')), responses: { 403: FORBIDDEN, 404: NOT_FOUND } }) },
+        '/api/torrents/{torrentId}/resume': { post: operation('Put a paused torrent back in the queue', { ...torrentRoute, ok: ok(ref('Torrent')), responses: { 403: FORBIDDEN, 404: NOT_FOUND } }) },
+        '/api/torrents/{torrentId}/recheck': {
+            post: operation('Verify a running torrent\'s data on disk again', { ...torrentRoute, ok: ok(ref('Torrent')), responses: { 403: FORBIDDEN, 404: NOT_FOUND, 409: errorResponse('The torrent is not running') } })
+        },
+        '/api/torrents/{torrentId}/move': {
+            post: operation('Move a torrent in the queue', {
+                ...torrentRoute,
+                body: { type: 'object', properties: { direction: QUEUE_DIRECTION }, required: ['direction'] },
+                ok: ok(ref('Queue')),
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND, 422: INVALID }
+            })
+        },
+        '/api/torrents/{torrentId}/bandwidth': {
+            put: operation('Change one torrent\'s limits', {
+                ...torrentRoute,
+                body: { type: 'object', properties: { downloadLimit: rate, uploadLimit: rate } },
+                responses: { 400: INVALID, 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/torrents/{torrentId}/sequential': {
+            put: operation('Download one torrent\'s pieces in order, or by the configured piece strategy again', {
+                ...torrentRoute,
+                body: { type: 'object', properties: { sequential: { type: 'boolean' } }, required: ['sequential'] },
+                responses: { 400: INVALID, 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/torrents/{torrentId}/seeding': {
+            put: operation('Override the seeding policy for one torrent', { ...torrentRoute, body: SEEDING_POLICY, responses: { 400: INVALID, 403: FORBIDDEN, 404: NOT_FOUND } })
+        },
+        '/api/torrents/{torrentId}/streaming-urls': {
+            get: operation('Stream and download URLs, and subtitle tracks for videos, for every file of a running torrent', { ...torrentRoute, responses: { 404: NOT_FOUND } })
+        },
+        '/api/torrents/{torrentId}/files/{fileIndex}/pieces': {
+            get: operation('Which bytes of a file are downloaded, from the piece bitfield', {
+                ...torrent,
+                parameters: [TORRENT_PARAM, FILE_PARAM],
+                ok: ok(ref('FilePieces')),
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/torrents/{torrentId}/files/{fileIndex}/stream-url': {
+            get: operation('Stream and download URL and subtitle tracks for one file; share=1 mints a share link', {
+                ...torrent,
+                parameters: [
+                    TORRENT_PARAM,
+                    FILE_PARAM,
+                    queryParam('share', { type: 'string', enum: ['1', 'true'] }),
+                    ...Object.entries(SHARE_OPTIONS).map(([name, schema]) => queryParam(name, schema))
+                ],
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/torrents/{torrentId}/files/{fileIndex}/duration': {
+            put: operation('Record how long a video or audio file plays, as reported by a player (needs control of the torrent)', {
+                ...torrent,
+                parameters: [TORRENT_PARAM, FILE_PARAM],
+                body: { type: 'object', properties: { duration: { type: 'number', exclusiveMinimum: 0, description: 'Seconds' } }, required: ['duration'] },
+                responses: { 403: FORBIDDEN, 404: NOT_FOUND, 422: INVALID }
+            })
+        },
+        '/api/torrents/{torrentId}/playlist.{format}': {
+            get: operation('The torrent\'s video and audio files as a playlist, in natural order', {
+                ...torrent,
+                parameters: [TORRENT_PARAM, ...PLAYLIST_PARAMS],
+                ok: PLAYLIST,
+                responses: { 400: INVALID, 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/playlist.{format}': {
+            get: operation('Every running torrent you can see as one playlist, grouped by torrent', {
+                tags: ['Streaming'],
+                parameters: PLAYLIST_PARAMS,
+                ok: PLAYLIST,
+                responses: { 400: INVALID, 403: FORBIDDEN }
+            })
+        },
+        '/api/queue': { get: operation('The queue order', { tags: ['Queue'], ok: ok(ref('Queue')) }) },
+        '/api/events': {
+            get: operation('Server-Sent Events carrying the WebSocket feed, for clients that cannot use WebSockets; each event\'s data is one server message from x-websocket', {
+                tags: ['Events'],
+                parameters: [
+                    queryParam('scope', { type: 'string', enum: SUBSCRIPTION_SCOPES, default: 'all' }, 'Same as the subscribe message'),
+                    queryParam('torrentId', torrentId, 'Required with scope=torrent'),
+                    queryParam('logs', LOG_LEVEL, 'Also stream log entries from this level, like subscribe-logs'),
+                    queryParam('logSubsystems', { type: 'string' }, 'Comma-separated subsystems for logs')
+                ],
+                ok: { description: 'An endless text/event-stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                responses: { 404: NOT_FOUND, 422: INVALID }
+            })
+        },
+        '/api/logs': {
+            get: operation('Buffered server log entries, oldest first; server-wide entries are only listed for admins', {
+                tags: ['Logs'],
+                parameters: [
+                    queryParam('level', LOG_LEVEL),
+                    queryParam('subsystem', { type: 'string' }, 'Comma-separated subsystems'),
+                    queryParam('torrentId', torrentId),
+                    queryParam('search', { type: 'string' }),
+                    queryParam('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 })
+                ],
+                ok: ok({ type: 'object', properties: { entries: { type: 'array', items: ref('LogEntry') }, subsystems: { type: 'array', items: { type: 'string' } } } }),
+                responses: { 404: NOT_FOUND, 422: INVALID }
+            })
+        },
+        '/api/settings': {
+            get: operation('Runtime settings', { tags: ['Settings'] }),
+            put: operation('Change runtime settings (admins)', { tags: ['Settings'], body: SETTINGS, responses: { 400: INVALID, 403: FORBIDDEN } })
+        },
+        '/api/bandwidth': {
+            get: operation('Global limits, schedule and the limits in effect', { tags: ['Settings'] }),
+            put: operation('Change the global limits and/or schedule (admins)', {
+                tags: ['Settings'],
+                body: { type: 'object', properties: { downloadLimit: rate, uploadLimit: rate, schedule: SCHEDULE } },
+                responses: { 400: INVALID, 403: FORBIDDEN }
+            })
+        },
+        '/api/seeding': {
+            get: operation('The global seeding policy', { tags: ['Settings'], ok: ok(SEEDING_POLICY) }),
+            put: operation('Change the global seeding policy (admins)', { tags: ['Settings'], body: SEEDING_POLICY, responses: { 400: INVALID, 403: FORBIDDEN } })
+        },
+        '/api/shares': {
+            get: operation('Share links you created (admins: every link)', {
+                tags: ['Shares'],
+                parameters: [queryParam('torrentId', { type: 'string' })],
+                ok: ok({ type: 'array', items: ref('ShareLink') })
+            }),
+            post: operation('Create a share link', {
+                tags: ['Shares'],
+                body: { type: 'object', properties: { torrentId, fileIndex, ...SHARE_OPTIONS }, required: ['torrentId', 'fileIndex'] },
+                responses: { 201: { description: 'Created', ...json(ref('ShareLink')) }, 400: INVALID, 403: FORBIDDEN, 404: NOT_FOUND }
+            })
+        },
+        '/api/shares/{shareId}': {
+            delete: operation('Revoke a share link', { tags: ['Shares'], parameters: [pathParam('shareId')], ok: success, responses: { 404: errorResponse('No such share link') } })
+        },
+        '/stream/{torrentId}/{fileIndex}': rangeRoute('Stream a file; supports Range requests', [TORRENT_PARAM, FILE_PARAM, SHARE_PARAM]),
+        '/subtitles/{torrentId}/{fileIndex}.vtt': {
+            get: operation('A subtitle file (SRT, ASS/SSA or WebVTT) converted to WebVTT for <track>', {
+                tags: ['Streaming'],
+                parameters: [
+                    TORRENT_PARAM,
+                    FILE_PARAM,
+                    queryParam('encoding', { type: 'string', example: 'windows-1251' }, 'Character set of the file; detected from its bytes and language when left out')
+                ],
+                ok: { description: 'WebVTT', content: { 'text/vtt': { schema: { type: 'string' } } } },
+                responses: {
+                    400: errorResponse('Unknown encoding'),
+                    404: errorResponse('No such subtitle file, or the torrent isn\'t running'),
+                    413: errorResponse('The file is too large to be a subtitle')
+                }
+            })
+        },
+        '/api/download/{torrentId}/{fileIndex}': rangeRoute('Download a file as an attachment; resumable with Range', [TORRENT_PARAM, FILE_PARAM, SHARE_PARAM]),
+        '/downloads/{torrentId}/{filename}': rangeRoute('Download a file from the torrent\'s directory on disk; resumable with Range', [TORRENT_PARAM, pathParam('filename')]),
+        '/api/schema': {
+            get: operation('This document', { tags: ['Schema'] })
+        },
+        '/api/schema/websocket': {
+            get: operation('JSON Schema for every WebSocket message', { tags: ['Schema'] })
+        }
+    };
+}
+
+// One JSON Schema document for the WebSocket protocol, with a $defs entry per message type
+export function getWebSocketSchema() {
+    const defs = {};
+    Object.entries(CLIENT_MESSAGES).forEach(([type, schema]) => { defs[`client:${type}`] = schema; });
+    Object.entries(SERVER_MESSAGES).forEach(([type, schema]) => { defs[`server:${type}`] = schema; });
+
+    return {
+        $schema: JSON_SCHEMA_DIALECT,
+        title: 'WebSocket messages',
+        description: 'Every message is a JSON object with a "type". client:* messages are sent to the server, server:* messages are received from it.',
+        $defs: defs,
+        anyOf: Object.keys(defs).map(name => ({ $ref: `#/$defs/${encodeURIComponent(name)}` }))
+    };
+}
+
+export function getOpenApiDocument({ version = '1.0.0' } = {}) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'TorrentStream API',
+            version,
+            description: 'REST routes of the WebTorrent app. Authenticate with the session cookie or "Authorization: Bearer <token>". ' +
+                'The WebSocket protocol on the same port is described by /api/schema/websocket and under x-websocket.'
+        },
+        jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+        security: [{ bearer: [] }, { session: [] }],
+        components: {
+            securitySchemes: {
+                bearer: { type: 'http', scheme: 'bearer', description: 'API token (wtr_...)' },
+                session: { type: 'apiKey', in: 'cookie', name: 'wt_session' }
+            },
+            schemas: {
+                Torrent: TORRENT,
+                File: FILE,
+                FilePieces: FILE_PIECES,
+                SubtitleTrack: SUBTITLE_TRACK,
+                Queue: QUEUE,
+                Error: ERROR,
+                User: USER,
+                ShareLink: SHARE_LINK,
+                SeedingPolicy: SEEDING_POLICY,
+                Settings: SETTINGS,
+                LogEntry: LOG_ENTRY
+            }
+        },
+        paths: buildPaths(),
+        'x-websocket': {
+            path: '/',
+            clientMessages: CLIENT_MESSAGES,
+            serverMessages: SERVER_MESSAGES
+        }
+    };
+}
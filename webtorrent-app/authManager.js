@@ -0,0 +1,425 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+export const SESSION_COOKIE = 'wt_session';
+
+// admin: everything; user: adds and controls their own torrents; viewer: read-only
+export const ROLES = ['admin', 'user', 'viewer'];
+
+const TOKEN_PREFIX = 'wtr_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed logins before further attempts are refused for the rest of the window: per username from one address,
+// and in all from one address, so a client can't try a password against every username
+const MAX_LOGIN_FAILURES = 10;
+const MAX_ADDRESS_LOGIN_FAILURES = 30;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+// Permission checks take the authenticated user ({ username, role }); null means authentication is off
+export function isAdmin(user) {
+    return !user || user.role === 'admin';
+}
+
+// Admins and viewers see every torrent, users only their own
+export function canView(user, owner) {
+    return !user || user.role !== 'user' || owner === user.username;
+}
+
+export function canControl(user, owner) {
+    return !user || user.role === 'admin' || (user.role === 'user' && owner === user.username);
+}
+
+export function canAdd(user) {
+    return !user || user.role !== 'viewer';
+}
+
+// Quota fields: null or -1 = unlimited, otherwise a positive integer
+export function normalizeQuota(quota = {}) {
+    if (!quota || typeof quota !== 'object') {
+        throw new Error('quota must be an object');
+    }
+
+    const normalized = {};
+    ['maxDiskBytes', 'maxActiveTorrents'].forEach(field => {
+        const value = quota[field];
+        if (value === undefined) return;
+        if (value === null || value === -1) {
+            normalized[field] = null;
+            return;
+        }
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new Error(`${field} must be a positive integer, or -1 for unlimited`);
+        }
+        normalized[field] = value;
+    });
+    return normalized;
+}
+
+// scrypt with a per-user salt, stored as scrypt$<salt>$<hash>
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Unknown usernames are checked against this, so their logins cost the same single scrypt run as real ones
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) return;
+        const name = pair.substring(0, separator).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.substring(separator + 1).trim());
+        } catch (error) {
+            cookies[name] = pair.substring(separator + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+/**
+ * AuthManager - Users with hashed passwords, login sessions and API tokens
+ * Users and token hashes are stored in data/users.json; sessions live in memory,
+ * so a restart signs everyone out. Raw API tokens are shown once and never stored.
+ */
+class AuthManager {
+    constructor({ filePath, sessionTtl = 7 * 24 * 60 }) {
+        this.filePath = filePath;
+        this.sessionTtl = sessionTtl * 60 * 1000;
+        this.users = [];
+        this.tokens = [];
+        this.sessions = new Map(); // sessionId -> { username, expires }
+        this.loginFailures = new Map(); // `${ip} ${username}` -> { count, since }
+        this.addressFailures = new Map(); // ip -> { count, since }, across all usernames
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            // Stores from before roles existed only held the admin account
+            this.users = (Array.isArray(data.users) ? data.users : []).map(user => ({
+                role: 'admin',
+                quota: { maxDiskBytes: null, maxActiveTorrents: null },
+                ...user
+            }));
+            this.tokens = Array.isArray(data.tokens) ? data.tokens : [];
+        } catch (error) {
+            // Refuse to start with an unreadable user store rather than silently creating a new admin
+            throw new Error(`Cannot read user store ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ users: this.users, tokens: this.tokens }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // Create the first user on a fresh install; returns the generated password if one was needed
+    ensureAdmin(username, password) {
+        if (this.users.length > 0) return null;
+
+        const generated = password ? null : crypto.randomBytes(12).toString('base64url');
+        this.createUser(username, password || generated, { role: 'admin' });
+        return generated;
+    }
+
+    getUser(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+
+    createUser(username, password, { role = 'user', quota = {} } = {}) {
+        if (!USERNAME_PATTERN.test(String(username || ''))) {
+            throw new Error('Username must be 1-32 letters, digits, dots, dashes or underscores');
+        }
+        if (this.getUser(username)) {
+            throw new Error(`User "${username}" already exists`);
+        }
+        this.validateRole(role);
+        this.validatePassword(password);
+
+        const user = {
+            username,
+            role,
+            quota: { maxDiskBytes: null, maxActiveTorrents: null, ...normalizeQuota(quota) },
+            passwordHash: hashPassword(password),
+            createdAt: Date.now()
+        };
+        this.users.push(user);
+        this.save();
+        log.info(`Created ${role} "${username}"`);
+        return this.describeUser(user);
+    }
+
+    // Change role, quota and/or password - { role?, quota?, password? }
+    updateUser(username, { role, quota, password } = {}) {
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+
+        // Validate everything before changing anything
+        if (role !== undefined) {
+            this.validateRole(role);
+            if (user.role === 'admin' && role !== 'admin') this.ensureOtherAdmin(username);
+        }
+        const normalizedQuota = quota !== undefined ? normalizeQuota(quota) : null;
+        if (password !== undefined) this.validatePassword(password);
+
+        if (role !== undefined) user.role = role;
+        if (normalizedQuota) user.quota = { ...user.quota, ...normalizedQuota };
+        if (password !== undefined) {
+            this.setPassword(username, password);
+        } else {
+            this.save();
+        }
+
+        log.info(`Updated user "${username}"`);
+        return this.describeUser(user);
+    }
+
+    // Deleting a user signs them out and revokes their tokens; their torrents stay, visible to admins
+    deleteUser(username) {
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+        if (user.role === 'admin') this.ensureOtherAdmin(username);
+
+        this.users = this.users.filter(candidate => candidate !== user);
+        this.tokens = this.tokens.filter(token => token.username !== username);
+        for (const [sessionId, session] of this.sessions) {
+            if (session.username === username) this.sessions.delete(sessionId);
+        }
+        this.save();
+        log.info(`Deleted user "${username}"`);
+    }
+
+    listUsers() {
+        return this.users.map(user => this.describeUser(user));
+    }
+
+    describeUser(user) {
+        return { username: user.username, role: user.role, quota: { ...user.quota }, createdAt: user.createdAt };
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    ensureOtherAdmin(username) {
+        if (!this.users.some(user => user.role === 'admin' && user.username !== username)) {
+            throw new Error('At least one admin must remain');
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    // Changing a password signs the user out everywhere else
+    setPassword(username, password, keepSessionId = null) {
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+        this.validatePassword(password);
+
+        user.passwordHash = hashPassword(password);
+        this.save();
+
+        for (const [sessionId, session] of this.sessions) {
+            if (session.username === username && sessionId !== keepSessionId) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    verifyCredentials(username, password) {
+        const user = this.getUser(username);
+        // Hash even for unknown users so response time doesn't reveal which usernames exist
+        const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        return user && valid ? user : null;
+    }
+
+    // Lockouts are per client address and username, so users sharing an address (a proxy, NAT) don't lock each other out,
+    // with a higher cap per address on top
+    isLockedOut(ip, username) {
+        return this.countLoginFailures(this.addressFailures, ip) >= MAX_ADDRESS_LOGIN_FAILURES ||
+            this.countLoginFailures(this.loginFailures, `${ip} ${username}`) >= MAX_LOGIN_FAILURES;
+    }
+
+    recordLoginFailure(ip, username) {
+        // Usernames are whatever the client sends, so drop stale entries rather than keep every guess
+        [this.loginFailures, this.addressFailures].forEach(failures => failures.forEach((entry, key) => {
+            if (Date.now() - entry.since > LOGIN_FAILURE_WINDOW) failures.delete(key);
+        }));
+
+        [[this.loginFailures, `${ip} ${username}`], [this.addressFailures, ip]].forEach(([failures, key]) => {
+            const entry = failures.get(key);
+            if (!entry) {
+                failures.set(key, { count: 1, since: Date.now() });
+            } else {
+                entry.count++;
+            }
+        });
+    }
+
+    // Signing in clears that username's failures; the address keeps its count until the window ends
+    clearLoginFailures(ip, username) {
+        this.loginFailures.delete(`${ip} ${username}`);
+    }
+
+    countLoginFailures(failures, key) {
+        const entry = failures.get(key);
+        if (!entry) return 0;
+        if (Date.now() - entry.since > LOGIN_FAILURE_WINDOW) {
+            failures.delete(key);
+            return 0;
+        }
+        return entry.count;
+    }
+
+    createSession(username) {
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(sessionId, { username, expires: Date.now() + this.sessionTtl });
+        return sessionId;
+    }
+
+    destroySession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    getSession(sessionId) {
+        const session = sessionId ? this.sessions.get(sessionId) : null;
+        if (!session) return null;
+
+        if (session.expires < Date.now() || !this.getUser(session.username)) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return session;
+    }
+
+    createToken(username, name) {
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: String(name || 'API token').substring(0, 64),
+            username,
+            hash: hashToken(token),
+            createdAt: Date.now(),
+            lastUsed: null
+        };
+
+        this.tokens.push(record);
+        this.save();
+        log.info(`Created API token "${record.name}" for ${username}`);
+
+        return { id: record.id, name: record.name, createdAt: record.createdAt, token };
+    }
+
+    listTokens(username) {
+        return this.tokens
+            .filter(token => token.username === username)
+            .map(({ id, name, createdAt, lastUsed }) => ({ id, name, createdAt, lastUsed }));
+    }
+
+    revokeToken(username, tokenId) {
+        const index = this.tokens.findIndex(token => token.id === tokenId && token.username === username);
+        if (index === -1) {
+            throw new Error(`Token ${tokenId} not found`);
+        }
+        this.tokens.splice(index, 1);
+        this.save();
+    }
+
+    verifyToken(token) {
+        if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const hash = hashToken(token);
+        const record = this.tokens.find(candidate => candidate.hash === hash);
+        if (!record || !this.getUser(record.username)) return null;
+
+        record.lastUsed = Date.now();
+        return record;
+    }
+
+    /**
+     * Identify the caller of an HTTP or WebSocket upgrade request
+     * Accepts `Authorization: Bearer <token>`, the session cookie, and - when allowQueryToken is set -
+     * an `access_token` query parameter for clients like media players that can't send headers.
+     * Returns { username, role, via, sessionId?, tokenId? } or null.
+     */
+    authenticate(req, { allowQueryToken = false } = {}) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            const record = this.verifyToken(authorization.substring(7).trim());
+            return record ? this.identify(record.username, { via: 'token', tokenId: record.id }) : null;
+        }
+
+        if (allowQueryToken) {
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            const queryToken = query.get('access_token');
+            if (queryToken) {
+                const record = this.verifyToken(queryToken);
+                return record ? this.identify(record.username, { via: 'token', tokenId: record.id }) : null;
+            }
+        }
+
+        const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = this.getSession(sessionId);
+        return session ? this.identify(session.username, { via: 'session', sessionId }) : null;
+    }
+
+    identify(username, details) {
+        const user = this.getUser(username);
+        return user ? { username, role: user.role, ...details } : null;
+    }
+
+    sessionCookie(sessionId, secure) {
+        return [
+            `${SESSION_COOKIE}=${sessionId}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Lax',
+            `Max-Age=${Math.floor(this.sessionTtl / 1000)}`,
+            secure ? 'Secure' : null
+        ].filter(Boolean).join('; ');
+    }
+
+    clearedCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+    }
+}
+
+export default AuthManager;
@@ -0,0 +1,278 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('bandwidth');
+
+/**
+ * BandwidthManager - Global and per-torrent rate limits with a time-of-day schedule
+ * Global limits use WebTorrent's client throttles. WebTorrent has no per-torrent throttle,
+ * so per-torrent limits are enforced by a once-a-second controller that stops requesting
+ * pieces (download) or chokes peers (upload) while a torrent is over its limit.
+ * All rates are bytes per second; -1 means unlimited.
+ */
+const UNLIMITED = -1;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Let the measured speed drop a little below the limit before lifting a gate, to avoid flapping
+const RESUME_THRESHOLD = 0.9;
+
+export function normalizeRate(value, name = 'rate') {
+    if (value === undefined) return undefined;
+    if (value === null || value === '' || value === UNLIMITED) return UNLIMITED;
+
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0) {
+        throw new Error(`${name} must be a number of bytes per second, or -1 for unlimited`);
+    }
+    return Math.floor(rate);
+}
+
+function parseTimeOfDay(value, name) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`${name} must be a time in HH:MM format`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function normalizeRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Schedule rule ${index + 1} must be an object`);
+    }
+
+    parseTimeOfDay(rule.start, `Schedule rule ${index + 1} start`);
+    parseTimeOfDay(rule.end, `Schedule rule ${index + 1} end`);
+
+    const days = rule.days === undefined ? DAY_NAMES : rule.days;
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !DAY_NAMES.includes(String(day).toLowerCase()))) {
+        throw new Error(`Schedule rule ${index + 1} days must be a list of: ${DAY_NAMES.join(', ')}`);
+    }
+
+    return {
+        name: rule.name || `Rule ${index + 1}`,
+        days: days.map(day => String(day).toLowerCase()),
+        start: rule.start,
+        end: rule.end,
+        downloadLimit: normalizeRate(rule.downloadLimit ?? UNLIMITED, `Schedule rule ${index + 1} downloadLimit`),
+        uploadLimit: normalizeRate(rule.uploadLimit ?? UNLIMITED, `Schedule rule ${index + 1} uploadLimit`)
+    };
+}
+
+// Validate a { enabled, rules } schedule; `current` supplies fields the update leaves out
+export function normalizeSchedule(schedule, current = { enabled: false, rules: [] }) {
+    if (!schedule || typeof schedule !== 'object') {
+        throw new Error('Schedule must be an object with "enabled" and "rules"');
+    }
+
+    const rules = schedule.rules === undefined ? current.rules : schedule.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error('Schedule rules must be an array');
+    }
+
+    return {
+        enabled: schedule.enabled === undefined ? current.enabled : Boolean(schedule.enabled),
+        rules: rules.map(normalizeRule)
+    };
+}
+
+class BandwidthManager {
+    constructor(torrentManager, options = {}) {
+        this.torrentManager = torrentManager;
+        this.downloadLimit = normalizeRate(options.downloadLimit ?? UNLIMITED, 'downloadLimit');
+        this.uploadLimit = normalizeRate(options.uploadLimit ?? UNLIMITED, 'uploadLimit');
+        this.schedule = { enabled: false, rules: [] };
+        this.active = null; // Limits currently applied to the client
+        this.onChange = null; // Callback with getState() whenever the active limits change
+        this.controlTimer = null;
+        this.scheduleTimer = null;
+
+        if (options.schedule) {
+            this.setSchedule(options.schedule, { apply: false });
+        }
+    }
+
+    start() {
+        this.applyActiveLimits();
+
+        // Per-torrent controller runs every second, the schedule only needs checking twice a minute
+        this.controlTimer = setInterval(() => this.enforceTorrentLimits(), 1000);
+        this.scheduleTimer = setInterval(() => this.applyActiveLimits(), 30000);
+    }
+
+    stop() {
+        clearInterval(this.controlTimer);
+        clearInterval(this.scheduleTimer);
+        this.controlTimer = null;
+        this.scheduleTimer = null;
+    }
+
+    setGlobalLimits({ downloadLimit, uploadLimit } = {}) {
+        const download = normalizeRate(downloadLimit, 'downloadLimit');
+        const upload = normalizeRate(uploadLimit, 'uploadLimit');
+
+        if (download !== undefined) this.downloadLimit = download;
+        if (upload !== undefined) this.uploadLimit = upload;
+
+        log.info(`Global limits: down ${this.formatRate(this.downloadLimit)}, up ${this.formatRate(this.uploadLimit)}`);
+        this.applyActiveLimits(true);
+        return this.getState();
+    }
+
+    setSchedule(schedule, { apply = true } = {}) {
+        this.schedule = normalizeSchedule(schedule, this.schedule);
+
+        log.info(`Schedule ${this.schedule.enabled ? 'enabled' : 'disabled'} with ${this.schedule.rules.length} rules`);
+        if (apply) this.applyActiveLimits(true);
+        return this.getState();
+    }
+
+    setTorrentLimits(torrentId, { downloadLimit, uploadLimit } = {}) {
+        const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+
+        const bandwidth = { downloadLimit: UNLIMITED, uploadLimit: UNLIMITED, ...torrentInfo.bandwidth };
+        const download = normalizeRate(downloadLimit, 'downloadLimit');
+        const upload = normalizeRate(uploadLimit, 'uploadLimit');
+        if (download !== undefined) bandwidth.downloadLimit = download;
+        if (upload !== undefined) bandwidth.uploadLimit = upload;
+
+        torrentInfo.bandwidth = bandwidth;
+        torrentInfo.status.downloadLimit = bandwidth.downloadLimit;
+        torrentInfo.status.uploadLimit = bandwidth.uploadLimit;
+
+        log.info({ torrentId }, `${torrentId} limits: down ${this.formatRate(bandwidth.downloadLimit)}, up ${this.formatRate(bandwidth.uploadLimit)}`);
+
+        this.torrentManager.persistSession(torrentId, { bandwidth });
+        this.enforceTorrentLimit(torrentId, torrentInfo);
+        this.torrentManager.broadcastUpdate(torrentId, torrentInfo.status);
+
+        return { torrentId, ...bandwidth };
+    }
+
+    // The first schedule rule matching the current day and time wins; otherwise the global limits apply
+    getActiveLimits(now = new Date()) {
+        if (this.schedule.enabled) {
+            const day = DAY_NAMES[now.getDay()];
+            const previousDay = DAY_NAMES[(now.getDay() + 6) % 7];
+            const minutes = now.getHours() * 60 + now.getMinutes();
+
+            for (const rule of this.schedule.rules) {
+                const start = parseTimeOfDay(rule.start, 'start');
+                const end = parseTimeOfDay(rule.end, 'end');
+
+                // Rules that cross midnight (22:00-06:00) belong to the day they started on
+                const matches = start <= end ?
+                    rule.days.includes(day) && minutes >= start && minutes < end :
+                    (rule.days.includes(day) && minutes >= start) || (rule.days.includes(previousDay) && minutes < end);
+
+                if (matches) {
+                    return {
+                        downloadLimit: rule.downloadLimit,
+                        uploadLimit: rule.uploadLimit,
+                        source: 'schedule',
+                        rule: rule.name
+                    };
+                }
+            }
+        }
+
+        return {
+            downloadLimit: this.downloadLimit,
+            uploadLimit: this.uploadLimit,
+            source: 'global',
+            rule: null
+        };
+    }
+
+    applyActiveLimits(force = false) {
+        const limits = this.getActiveLimits();
+        const changed = !this.active ||
+            this.active.downloadLimit !== limits.downloadLimit ||
+            this.active.uploadLimit !== limits.uploadLimit ||
+            this.active.rule !== limits.rule;
+
+        if (!changed && !force) return this.active;
+
+        this.active = limits;
+        this.torrentManager.client.throttleDownload(limits.downloadLimit);
+        this.torrentManager.client.throttleUpload(limits.uploadLimit);
+
+        log.info(`Active limits (${limits.rule || limits.source}): down ${this.formatRate(limits.downloadLimit)}, up ${this.formatRate(limits.uploadLimit)}`);
+
+        if (this.onChange) {
+            try {
+                this.onChange(this.getState());
+            } catch (error) {
+                log.error(`Change handler failed: ${error.message}`);
+            }
+        }
+
+        return this.active;
+    }
+
+    enforceTorrentLimits() {
+        for (const [torrentId, torrentInfo] of this.torrentManager.activeTorrents) {
+            this.enforceTorrentLimit(torrentId, torrentInfo);
+        }
+    }
+
+    enforceTorrentLimit(torrentId, torrentInfo) {
+        const { torrent } = torrentInfo;
+        if (!torrent || torrent.destroyed || !torrent.ready) return;
+
+        const { downloadLimit = UNLIMITED, uploadLimit = UNLIMITED } = torrentInfo.bandwidth || {};
+
+        try {
+            // Download: drop the piece selection while over the limit, restore it once below
+            if (downloadLimit >= 0 && !torrentInfo.downloadGated && torrent.downloadSpeed > downloadLimit) {
+                torrentInfo.downloadGated = true;
+                torrent.deselect(0, torrent.pieces.length - 1);
+            } else if (torrentInfo.downloadGated &&
+                (downloadLimit < 0 || torrent.downloadSpeed <= downloadLimit * RESUME_THRESHOLD)) {
+                torrentInfo.downloadGated = false;
+                this.torrentManager.applyFilePriorities(torrentId, torrentInfo);
+            }
+
+            // Upload: keep peers choked while over the limit; WebTorrent's rechoke unchokes them later
+            if (uploadLimit >= 0 && torrent.uploadSpeed > uploadLimit) {
+                torrentInfo.uploadGated = true;
+                torrent.wires.forEach(wire => {
+                    if (!wire.amChoking) wire.choke();
+                });
+            } else if (torrentInfo.uploadGated && (uploadLimit < 0 || torrent.uploadSpeed <= uploadLimit * RESUME_THRESHOLD)) {
+                torrentInfo.uploadGated = false;
+                torrent.wires.forEach(wire => {
+                    if (wire.amChoking && wire.peerInterested) wire.unchoke();
+                });
+            }
+        } catch (error) {
+            log.error({ torrentId }, `Error enforcing limits for ${torrentId}: ${error.message}`);
+        }
+    }
+
+    getState() {
+        const torrents = {};
+        for (const [torrentId, torrentInfo] of this.torrentManager.activeTorrents) {
+            if (torrentInfo.bandwidth) {
+                torrents[torrentId] = {
+                    downloadLimit: torrentInfo.bandwidth.downloadLimit ?? UNLIMITED,
+                    uploadLimit: torrentInfo.bandwidth.uploadLimit ?? UNLIMITED
+                };
+            }
+        }
+
+        return {
+            global: { downloadLimit: this.downloadLimit, uploadLimit: this.uploadLimit },
+            schedule: this.schedule,
+            active: this.active || this.getActiveLimits(),
+            torrents
+        };
+    }
+
+    formatRate(rate) {
+        return rate < 0 ? 'unlimited' : `${Math.round(rate / 1024)} KB/s`;
+    }
+}
+
+export default BandwidthManager;
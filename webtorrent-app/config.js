@@ -0,0 +1,330 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import YAML from 'yaml';
+import { normalizeSchedule } from './bandwidthManager.js';
+import { LOG_LEVELS } from './logger.js';
+
+/**
+ * Configuration loading
+ * Values are merged in order: defaults, config file (JSON or YAML), environment variables, CLI flags.
+ * Every option is declared once below with its file key, env variable and CLI flag.
+ */
+
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+const PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+// Addresses Express may take X-Forwarded-For from: IPs, CIDR ranges or one of PROXY_NAMES
+function validateProxies(items) {
+    items.forEach(item => {
+        const [address, bits] = item.split('/');
+        const version = net.isIP(address);
+        const validBits = bits === undefined || (/^\d+$/.test(bits) && Number(bits) <= (version === 6 ? 128 : 32));
+        if (!PROXY_NAMES.includes(item) && !(version && validBits)) {
+            throw new Error(`must list IP addresses, CIDR ranges or ${PROXY_NAMES.join(', ')}, got "${item}"`);
+        }
+    });
+    return items;
+}
+
+const OPTIONS = [
+    { key: 'port', env: 'PORT', flag: 'port', type: 'integer', min: 1, max: 65535, default: 3000 },
+    { key: 'downloadDir', env: 'DOWNLOAD_DIR', flag: 'download-dir', type: 'path', default: 'downloads' },
+    { key: 'tempDir', env: 'TEMP_DIR', flag: 'temp-dir', type: 'path', default: 'temp' },
+    { key: 'dataDir', env: 'DATA_DIR', flag: 'data-dir', type: 'path', default: 'data' },
+    { key: 'logLevel', env: 'LOG_LEVEL', flag: 'log-level', type: 'enum', values: LOG_LEVELS, default: 'info' },
+    // Reverse proxies (ngrok, cloudflared, nginx) whose X-Forwarded-For gives the client's address; none by default
+    { key: 'trustProxy', env: 'TRUST_PROXY', flag: 'trust-proxy', type: 'list', validate: validateProxies, default: [] },
+
+    // Passed straight to new WebTorrent()
+    { key: 'client.maxConns', env: 'MAX_CONNS', flag: 'max-conns', type: 'integer', min: 1, default: 55 },
+    { key: 'client.torrentPort', env: 'TORRENT_PORT', flag: 'torrent-port', type: 'integer', min: 0, max: 65535, default: 0 },
+    { key: 'client.dht', env: 'DHT', flag: 'dht', type: 'boolean', default: true },
+    { key: 'client.utp', env: 'UTP', flag: 'utp', type: 'boolean', default: true },
+    { key: 'client.lsd', env: 'LSD', flag: 'lsd', type: 'boolean', default: true },
+
+    { key: 'queue.maxActiveDownloads', env: 'MAX_ACTIVE_DOWNLOADS', flag: 'max-active-downloads', type: 'integer', min: -1, default: 3 },
+    { key: 'queue.maxActiveSeeds', env: 'MAX_ACTIVE_SEEDS', flag: 'max-active-seeds', type: 'integer', min: -1, default: 5 },
+
+    // Bytes per second, -1 for unlimited
+    { key: 'bandwidth.downloadLimit', env: 'DOWNLOAD_LIMIT', flag: 'download-limit', type: 'integer', min: -1, default: -1 },
+    { key: 'bandwidth.uploadLimit', env: 'UPLOAD_LIMIT', flag: 'upload-limit', type: 'integer', min: -1, default: -1 },
+    { key: 'bandwidth.schedule', type: 'object', validate: normalizeSchedule, default: { enabled: false, rules: [] } },
+
+    // Ratio is uploaded / size, times are minutes, -1 = no limit
+    { key: 'seeding.ratioLimit', env: 'SEED_RATIO_LIMIT', flag: 'seed-ratio-limit', type: 'number', min: -1, default: -1 },
+    { key: 'seeding.seedTimeLimit', env: 'SEED_TIME_LIMIT', flag: 'seed-time-limit', type: 'number', min: -1, default: -1 },
+    { key: 'seeding.idleTimeLimit', env: 'SEED_IDLE_LIMIT', flag: 'seed-idle-limit', type: 'number', min: -1, default: -1 },
+    { key: 'seeding.action', env: 'SEED_LIMIT_ACTION', flag: 'seed-limit-action', type: 'enum', values: ['pause', 'remove', 'remove-delete'], default: 'pause' },
+
+    // Bytes of a file fetched ahead of what a stream is reading
+    { key: 'streaming.readAhead', env: 'STREAM_READ_AHEAD', flag: 'stream-read-ahead', type: 'integer', min: 0, default: 16 * 1024 * 1024 },
+    // How torrents not set to download in order pick pieces; WebTorrent's own default is sequential
+    { key: 'streaming.pieceStrategy', env: 'PIECE_STRATEGY', flag: 'piece-strategy', type: 'enum', values: ['rarest', 'sequential'], default: 'rarest' },
+
+    // Login for the UI, API, streams and WebSocket
+    { key: 'auth.enabled', env: 'AUTH_ENABLED', flag: 'auth', type: 'boolean', default: true },
+    { key: 'auth.adminUser', env: 'ADMIN_USER', flag: 'admin-user', type: 'string', default: 'admin' },
+    // Only used to create the first user; a random password is printed when unset
+    { key: 'auth.adminPassword', env: 'ADMIN_PASSWORD', flag: 'admin-password', type: 'string', default: null },
+    { key: 'auth.sessionTtl', env: 'SESSION_TTL', flag: 'session-ttl', type: 'integer', min: 5, default: 7 * 24 * 60 }, // minutes
+    // Extra origins allowed to call the API with credentials; the UI's own origin is always allowed
+    { key: 'auth.corsOrigins', env: 'CORS_ORIGINS', flag: 'cors-origins', type: 'list', default: [] },
+
+    // Milliseconds
+    { key: 'intervals.torrentUpdate', env: 'TORRENT_UPDATE_INTERVAL', flag: 'torrent-update-interval', type: 'integer', min: 100, default: 1000 },
+    { key: 'intervals.broadcast', env: 'BROADCAST_INTERVAL', flag: 'broadcast-interval', type: 'integer', min: 500, default: 3000 },
+    { key: 'intervals.seedingCheck', env: 'SEEDING_CHECK_INTERVAL', flag: 'seeding-check-interval', type: 'integer', min: 1000, default: 5000 }
+];
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+    target[last] = value;
+}
+
+// Coerce a raw value (string from env/CLI, or anything from a file) to the option's type
+function coerce(option, raw, baseDir) {
+    switch (option.type) {
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !Number.isFinite(value)) {
+                throw new Error(`must be a number, got "${raw}"`);
+            }
+            if (option.type === 'integer' && !Number.isInteger(value)) {
+                throw new Error(`must be a whole number, got ${value}`);
+            }
+            if (option.min !== undefined && value < option.min) {
+                throw new Error(`must be at least ${option.min}, got ${value}`);
+            }
+            if (option.max !== undefined && value > option.max) {
+                throw new Error(`must be at most ${option.max}, got ${value}`);
+            }
+            return value;
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            const value = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(value)) return true;
+            if (['false', '0', 'no', 'off'].includes(value)) return false;
+            throw new Error(`must be true or false, got "${raw}"`);
+        }
+
+        case 'enum': {
+            const value = String(raw).trim().toLowerCase();
+            if (!option.values.includes(value)) {
+                throw new Error(`must be one of ${option.values.join(', ')}, got "${raw}"`);
+            }
+            return value;
+        }
+
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') {
+                throw new Error('must be a string');
+            }
+            return String(raw);
+        }
+
+        // Comma-separated in env/CLI, an array in the config file
+        case 'list': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            const list = items.map(item => String(item).trim()).filter(Boolean);
+            return option.validate ? option.validate(list) : list;
+        }
+
+        case 'path': {
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                throw new Error('must be a non-empty path');
+            }
+            return path.resolve(baseDir, raw.trim());
+        }
+
+        case 'object': {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                throw new Error('must be an object');
+            }
+            return option.validate ? option.validate(raw) : raw;
+        }
+
+        default:
+            throw new Error(`has unsupported type ${option.type}`);
+    }
+}
+
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+        const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+        return parsed || {};
+    } catch (error) {
+        throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+    }
+}
+
+// Walk a parsed config file and report keys that don't match any option
+function findUnknownKeys(object, prefix = '') {
+    return Object.keys(object).flatMap(name => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (OPTIONS.some(option => option.key === key)) return [];
+
+        const isGroup = OPTIONS.some(option => option.key.startsWith(`${key}.`));
+        if (isGroup && object[name] && typeof object[name] === 'object') {
+            return findUnknownKeys(object[name], key);
+        }
+        return [key];
+    });
+}
+
+// --name value, --name=value and --no-name for booleans
+export function parseArgs(argv) {
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+        if (name === 'config') {
+            flags.config = inlineValue ?? argv[++i];
+            continue;
+        }
+
+        let option = OPTIONS.find(candidate => candidate.flag === name);
+        if (!option && name.startsWith('no-')) {
+            option = OPTIONS.find(candidate => candidate.flag === name.slice(3) && candidate.type === 'boolean');
+            if (option) {
+                flags[option.key] = 'false';
+                continue;
+            }
+        }
+
+        if (!option) {
+            throw new Error(`Unknown option --${name}`);
+        }
+
+        if (inlineValue !== undefined) {
+            flags[option.key] = inlineValue;
+        } else if (option.type === 'boolean' && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+            flags[option.key] = 'true';
+        } else if (argv[i + 1] === undefined) {
+            throw new Error(`Option --${name} needs a value`);
+        } else {
+            flags[option.key] = argv[++i];
+        }
+    }
+
+    return flags;
+}
+
+function findConfigFile(cwd) {
+    return CONFIG_FILE_NAMES.map(name => path.join(cwd, name)).find(filePath => fs.existsSync(filePath)) || null;
+}
+
+/**
+ * Build the effective configuration. Throws one Error listing every invalid value.
+ * The returned object has a `sources` map (option key -> 'default' | 'file' | 'env' | 'cli') for diagnostics.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+    const flags = parseArgs(argv);
+    const configFile = flags.config ? path.resolve(cwd, flags.config) :
+        env.CONFIG_FILE ? path.resolve(cwd, env.CONFIG_FILE) :
+        findConfigFile(cwd);
+
+    const fileValues = configFile ? readConfigFile(configFile) : {};
+    const fileDir = configFile ? path.dirname(configFile) : cwd;
+    const errors = [];
+
+    if (typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+        throw new Error(`Config file ${configFile} must contain an object at the top level`);
+    }
+
+    findUnknownKeys(fileValues).forEach(key => errors.push(`Unknown key "${key}" in ${configFile}`));
+
+    const config = { configFile, sources: {} };
+
+    OPTIONS.forEach(option => {
+        // Later sources win
+        const candidates = [
+            { source: 'default', raw: option.default, baseDir: cwd },
+            { source: 'file', raw: getPath(fileValues, option.key), baseDir: fileDir },
+            { source: 'env', raw: option.env ? env[option.env] : undefined, baseDir: cwd },
+            { source: 'cli', raw: flags[option.key], baseDir: cwd }
+        ].filter(candidate => candidate.raw !== undefined && candidate.raw !== null);
+
+        // Options without a default stay null until some source sets them
+        if (candidates.length === 0) {
+            setPath(config, option.key, null);
+            config.sources[option.key] = 'default';
+            return;
+        }
+
+        const { source, raw, baseDir } = candidates[candidates.length - 1];
+        const label = source === 'env' ? option.env :
+            source === 'cli' ? `--${option.flag}` :
+            option.key;
+
+        try {
+            setPath(config, option.key, coerce(option, raw, baseDir));
+            config.sources[option.key] = source;
+        } catch (error) {
+            errors.push(`${label} (${source}) ${error.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Validate a partial, nested settings object against the declared options
+ * Only keys listed in `allowedKeys` are accepted. Returns { values, errors } where values maps option key -> coerced value.
+ */
+export function validateValues(input, { allowedKeys, baseDir = process.cwd() }) {
+    const values = {};
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: ['Settings must be an object'] };
+    }
+
+    findUnknownKeys(input).forEach(key => errors.push(`Unknown setting "${key}"`));
+
+    OPTIONS.forEach(option => {
+        const raw = getPath(input, option.key);
+        if (raw === undefined) return;
+
+        if (!allowedKeys.includes(option.key)) {
+            errors.push(`${option.key} cannot be changed at runtime`);
+            return;
+        }
+
+        try {
+            values[option.key] = coerce(option, raw, baseDir);
+        } catch (error) {
+            errors.push(`${option.key} ${error.message}`);
+        }
+    });
+
+    return { values, errors };
+}
+
+export { getPath, setPath, LOG_LEVELS };
@@ -0,0 +1,54 @@
+import { WebSocket } from 'ws';
+
+// Comments every so often keep proxies from closing an idle stream
+const KEEP_ALIVE_INTERVAL = 25000;
+
+/**
+ * EventStreamClient - A Server-Sent Events response standing in for a WebSocket client
+ * Has the parts of the ws API the broadcast code uses (readyState, bufferedAmount, send, close), so SSE
+ * clients sit in the same client set and get the same messages. They send commands over the REST API.
+ */
+class EventStreamClient {
+    constructor(res, { clientId, user = null }) {
+        this.res = res;
+        this.clientId = clientId;
+        this.user = user;
+        this.readyState = WebSocket.CONNECTING;
+        this.keepAliveTimer = null;
+    }
+
+    start() {
+        this.res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+        });
+        this.res.write('retry: 3000\n\n');
+        this.readyState = WebSocket.OPEN;
+
+        this.keepAliveTimer = setInterval(() => this.res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+        this.res.on('close', () => {
+            this.readyState = WebSocket.CLOSED;
+            clearInterval(this.keepAliveTimer);
+        });
+    }
+
+    get bufferedAmount() {
+        return this.res.writableLength;
+    }
+
+    // Messages are JSON, which never contains a raw newline, so each fits on one data line
+    send(data) {
+        if (this.readyState !== WebSocket.OPEN) return;
+        this.res.write(`data: ${data}\n\n`);
+    }
+
+    // There is no close code; the browser reconnects, and a 401 then tells it the session is gone
+    close() {
+        this.readyState = WebSocket.CLOSING;
+        this.res.end();
+    }
+}
+
+export default EventStreamClient;
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+/**
+ * HTTP range requests (RFC 9110) for /stream, /api/download and /downloads/:torrentId/:filename
+ * Single, open-ended, suffix and multiple ranges; ends past the file are clamped, unsatisfiable ranges get 416,
+ * a stale If-Range or malformed Range gets the whole file, and HEAD answers with headers only.
+ */
+
+export const RANGE_METHODS = 'GET, HEAD, OPTIONS';
+
+// More ranges than this (after merging overlaps) is more likely abuse than a player; they get the whole file
+const MAX_RANGES = 16;
+
+const RANGE_SPEC = /^(\d*)-(\d*)$/;
+
+/**
+ * Parse a Range header against a file size
+ * Returns null when the header should be ignored (missing, not bytes, malformed or too many ranges), an empty
+ * array when no range is satisfiable, otherwise the ranges as { start, end } with inclusive ends, sorted
+ * and with overlapping or adjacent ones merged.
+ */
+export function parseRange(header, size) {
+    if (typeof header !== 'string') return null;
+
+    const match = header.match(/^\s*bytes\s*=\s*(.+)$/i);
+    if (!match) return null;
+
+    const ranges = [];
+    for (const spec of match[1].split(',')) {
+        const trimmed = spec.trim();
+        if (!trimmed) continue;
+
+        const parts = trimmed.match(RANGE_SPEC);
+        if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+        let start;
+        let end;
+        if (parts[1] === '') {
+            // Suffix range: the last n bytes
+            const length = Number(parts[2]);
+            if (length === 0) continue;
+            start = Math.max(size - length, 0);
+            end = size - 1;
+        } else {
+            start = Number(parts[1]);
+            if (parts[2] !== '' && Number(parts[2]) < start) return null;
+            end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+        }
+
+        if (start < size) {
+            ranges.push({ start, end });
+        }
+    }
+
+    const merged = mergeRanges(ranges);
+    return merged.length > MAX_RANGES ? null : merged;
+}
+
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+    return merged;
+}
+
+// If-Range names the version the client already has part of; anything else means start over with the whole file
+function isRangeCurrent(req, { etag, lastModified }) {
+    const condition = req.headers['if-range'];
+    if (!condition) return true;
+
+    if (condition.startsWith('"') || condition.startsWith('W/')) {
+        // Only strong validators count for ranges
+        return Boolean(etag) && !condition.startsWith('W/') && condition === etag;
+    }
+    const date = Date.parse(condition);
+    return Boolean(lastModified) && !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+}
+
+/**
+ * Content-Disposition with an ASCII fallback name and the exact one as RFC 5987 filename*
+ * Header values can't carry raw non-Latin-1 characters, and quotes would end the filename early.
+ */
+export function contentDisposition(type, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Answer OPTIONS: what the route accepts, plus the preflight headers a browser needs to send Range
+export function sendRangeOptions(req, res) {
+    res.setHeader('Allow', RANGE_METHODS);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (req.headers['access-control-request-method']) {
+        res.setHeader('Access-Control-Allow-Methods', RANGE_METHODS);
+        res.setHeader('Access-Control-Allow-Headers', 'Range, If-Range');
+        res.setHeader('Access-Control-Max-Age', '86400');
+    }
+    res.setHeader('Content-Length', '0');
+    res.status(204).end();
+}
+
+// One stream for a multipart/byteranges body, reading the parts in turn
+function createMultipartStream(ranges, { boundary, contentType, size, createStream }) {
+    async function* parts() {
+        for (const [index, range] of ranges.entries()) {
+            yield partHeader(index, range, { boundary, contentType, size });
+            for await (const chunk of createStream(range)) {
+                yield chunk;
+            }
+        }
+        yield `\r\n--${boundary}--\r\n`;
+    }
+    return Readable.from(parts(), { objectMode: false });
+}
+
+function partHeader(index, { start, end }, { boundary, contentType, size }) {
+    return `${index > 0 ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`;
+}
+
+function multipartLength(ranges, options) {
+    return ranges.reduce((total, range, index) => total + Buffer.byteLength(partHeader(index, range, options)) + range.end - range.start + 1, 0) +
+        Buffer.byteLength(`\r\n--${options.boundary}--\r\n`);
+}
+
+/**
+ * Send a file, or the parts of it the Range header asks for
+ * createStream({ start, end }) opens a readable for an inclusive byte range; pipe(stream, res) sends it (share
+ * links pass their throttled pipe). Returns the body stream, or null when nothing is read (HEAD, 416, empty file).
+ */
+export function sendRanges(req, res, {
+    size,
+    contentType = 'application/octet-stream',
+    fileName,
+    disposition = 'attachment',
+    etag = null,
+    lastModified = null,
+    createStream,
+    pipe = (stream, response) => stream.pipe(response)
+}) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (fileName) res.setHeader('Content-Disposition', contentDisposition(disposition, fileName));
+    if (etag) res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    const ranges = req.headers.range && isRangeCurrent(req, { etag, lastModified }) ? parseRange(req.headers.range, size) : null;
+
+    if (ranges && ranges.length === 0) {
+        res.writeHead(416, { 'Content-Range': `bytes */${size}`, 'Content-Length': 0 });
+        res.end();
+        return null;
+    }
+
+    let stream = null;
+    if (!ranges) {
+        res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': size });
+        if (req.method !== 'HEAD' && size > 0) stream = createStream({ start: 0, end: size - 1 });
+    } else if (ranges.length === 1) {
+        const [{ start, end }] = ranges;
+        res.writeHead(206, {
+            'Content-Type': contentType,
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${size}`
+        });
+        if (req.method !== 'HEAD') stream = createStream({ start, end });
+    } else {
+        const options = { boundary: crypto.randomBytes(12).toString('hex'), contentType, size, createStream };
+        res.writeHead(206, {
+            'Content-Type': `multipart/byteranges; boundary=${options.boundary}`,
+            'Content-Length': multipartLength(ranges, options)
+        });
+        if (req.method !== 'HEAD') stream = createMultipartStream(ranges, options);
+    }
+
+    if (!stream) {
+        res.end();
+        return null;
+    }
+
+    // Stop reading (and, for torrents, prioritizing those pieces) once the client goes away
+    res.on('close', () => stream.destroy());
+    stream.on('error', () => res.destroy());
+    pipe(stream, res);
+    return stream;
+}
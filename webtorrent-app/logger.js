@@ -0,0 +1,137 @@
+import util from 'util';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const BUFFER_SIZE = 1000;
+
+// Where each level is printed; entries below the current level never get here
+const OUTPUT = {
+    error: console.error.bind(console),
+    warn: console.warn.bind(console),
+    info: console.log.bind(console),
+    debug: console.debug.bind(console)
+};
+
+const entries = [];
+const listeners = new Set();
+let nextId = 1;
+let currentLevel = 'info';
+let dispatching = false;
+
+function rank(level) {
+    return LOG_LEVELS.indexOf(level);
+}
+
+function isContext(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Error) && !Array.isArray(value);
+}
+
+function formatArgument(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.message;
+    return util.inspect(value, { depth: 3, breakLength: Infinity });
+}
+
+function write(level, subsystem, args) {
+    if (rank(level) > rank(currentLevel)) return;
+
+    // An object before the message carries the context, e.g. log.info({ torrentId }, 'Started')
+    const context = args.length > 1 && isContext(args[0]) ? args.shift() : {};
+    const error = args.find(arg => arg instanceof Error);
+
+    const entry = {
+        id: nextId++,
+        timestamp: new Date().toISOString(),
+        level,
+        subsystem,
+        ...(context.torrentId ? { torrentId: context.torrentId } : {}),
+        ...(context.clientId ? { clientId: context.clientId } : {}),
+        ...(context.owner !== undefined ? { owner: context.owner } : {}),
+        message: args.map(formatArgument).join(' ')
+    };
+
+    entries.push(entry);
+    if (entries.length > BUFFER_SIZE) entries.shift();
+
+    const tag = [subsystem.toUpperCase(), context.clientId || context.torrentId].filter(Boolean).join(' ');
+    OUTPUT[level](`[${tag}] ${entry.message}`);
+    if (error && level === 'error' && error.stack) {
+        OUTPUT.error(error.stack);
+    }
+
+    // Whatever a listener logs while handling an entry is kept but not passed on, so sending can't loop
+    if (dispatching) return;
+    dispatching = true;
+    try {
+        listeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (listenerError) {
+                OUTPUT.error(`[LOG] Listener failed: ${listenerError.message}`);
+            }
+        });
+    } finally {
+        dispatching = false;
+    }
+}
+
+/**
+ * Logger for one subsystem - error, warn, info and debug take console-style arguments, optionally
+ * preceded by a context object with torrentId, clientId or owner
+ */
+export function createLogger(subsystem) {
+    return {
+        error: (...args) => write('error', subsystem, args),
+        warn: (...args) => write('warn', subsystem, args),
+        info: (...args) => write('info', subsystem, args),
+        debug: (...args) => write('debug', subsystem, args)
+    };
+}
+
+export function setLogLevel(level) {
+    if (rank(level) === -1) {
+        throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    currentLevel = level;
+}
+
+// Called with every new entry; returns a function that removes the listener
+export function onLogEntry(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Normalize a log filter - { level, subsystems, torrentId, search }; throws on an unknown level
+ */
+export function normalizeLogFilter({ level = 'info', subsystems = null, torrentId = null, search = null } = {}) {
+    if (rank(level) === -1) {
+        throw new Error(`level must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    const list = typeof subsystems === 'string' ? subsystems.split(',') : subsystems;
+    return {
+        level,
+        subsystems: Array.isArray(list) && list.length > 0 ? list.map(name => String(name).trim().toLowerCase()).filter(Boolean) : null,
+        torrentId: torrentId || null,
+        search: search ? String(search).toLowerCase() : null
+    };
+}
+
+export function matchesLogFilter(entry, filter) {
+    if (rank(entry.level) > rank(filter.level)) return false;
+    if (filter.subsystems && !filter.subsystems.includes(entry.subsystem)) return false;
+    if (filter.torrentId && entry.torrentId !== filter.torrentId) return false;
+    if (filter.search && !entry.message.toLowerCase().includes(filter.search)) return false;
+    return true;
+}
+
+// Buffered entries matching a normalized filter, oldest first, at most `limit` of the newest
+export function getLogEntries(filter, limit = BUFFER_SIZE) {
+    const matching = entries.filter(entry => matchesLogFilter(entry, filter));
+    return limit > 0 ? matching.slice(-limit) : [];
+}
+
+// Subsystems seen so far, for filter menus
+export function getLogSubsystems() {
+    return [...new Set(entries.map(entry => entry.subsystem))].sort();
+}
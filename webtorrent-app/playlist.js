@@ -0,0 +1,80 @@
+/**
+ * Playlists for external players
+ * Renders entries ({ url, title, duration, album }) as extended M3U (UTF-8, so .m3u8) or XSPF.
+ * Durations are in seconds and may be null when no player has reported one yet.
+ */
+
+export const PLAYLIST_FORMATS = {
+    m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+    m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+    xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' }
+};
+
+// "Episode 2" before "Episode 10", case ignored
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+export function naturalCompare(a, b) {
+    return collator.compare(a, b);
+}
+
+// The file name without folders and extension
+export function playlistTitle(filePath) {
+    const name = filePath.split(/[\\/]/).pop();
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(0, dot) : name;
+}
+
+// M3U is line based, so titles can't carry line breaks
+function singleLine(text) {
+    return String(text).replace(/[\r\n]+/g, ' ').trim();
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Extended M3U; #EXTGRP groups a library playlist by torrent
+ * Unknown durations are -1, as the format expects.
+ */
+export function toM3U(entries, { title = null } = {}) {
+    const lines = ['#EXTM3U'];
+    if (title) lines.push(`#PLAYLIST:${singleLine(title)}`);
+
+    entries.forEach(entry => {
+        const seconds = Number.isFinite(entry.duration) ? Math.round(entry.duration) : -1;
+        lines.push(`#EXTINF:${seconds},${singleLine(entry.title)}`);
+        if (entry.album) lines.push(`#EXTGRP:${singleLine(entry.album)}`);
+        lines.push(entry.url);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// XSPF 1; <duration> is in milliseconds and left out when unknown
+export function toXSPF(entries, { title = null } = {}) {
+    const tracks = entries.map(entry => [
+        '    <track>',
+        `      <location>${escapeXml(entry.url)}</location>`,
+        `      <title>${escapeXml(entry.title)}</title>`,
+        entry.album ? `      <album>${escapeXml(entry.album)}</album>` : null,
+        Number.isFinite(entry.duration) ? `      <duration>${Math.round(entry.duration * 1000)}</duration>` : null,
+        '    </track>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        title ? `  <title>${escapeXml(title)}</title>` : null,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
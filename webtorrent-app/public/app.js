@@ -1,3 +1,71 @@
+import { parseTorrentIdentifier } from './shared/torrentIdentifier.js';
+import { applyDelta } from './shared/statusDelta.js';
+
+const torrentPath = (message, action = '') => `/api/torrents/${encodeURIComponent(message.torrentId)}${action}`;
+
+// How each WebSocket command goes over the REST API when updates come over Server-Sent Events instead.
+// `reply` is the message the socket would have answered with (otherwise the response becomes an ack) and
+// `conflict` the one a 409 with a torrentId stands for.
+const REST_COMMANDS = {
+    'get-torrents': () => ({ method: 'GET', path: '/api/torrents', reply: 'initial-torrents' }),
+    'start-torrent': message => ({
+        path: '/api/torrents',
+        body: { magnet: message.magnet, fresh: Boolean(message.fresh) },
+        reply: 'torrent-started',
+        conflict: 'torrent-exists'
+    }),
+    'pause-torrent': message => ({ path: torrentPath(message, '/pause'), reply: 'torrent-paused' }),
+    'resume-torrent': message => ({ path: torrentPath(message, '/resume'), reply: 'torrent-resumed' }),
+    'recheck-torrent': message => ({ path: torrentPath(message, '/recheck'), reply: 'torrent-rechecking' }),
+    'remove-torrent': message => ({ method: 'DELETE', path: torrentPath(message, `?deleteFiles=${Boolean(message.deleteFiles)}`) }),
+    'set-file-priority': message => ({
+        method: 'PUT',
+        path: torrentPath(message, '/files'),
+        body: { fileIndex: message.fileIndex, fileIndexes: message.fileIndexes, priority: message.priority }
+    }),
+    'move-torrent': message => ({ path: torrentPath(message, '/move'), body: { direction: message.direction } }),
+    'get-queue': () => ({ method: 'GET', path: '/api/queue', reply: 'queue-updated' }),
+    'get-bandwidth': () => ({ method: 'GET', path: '/api/bandwidth', reply: 'bandwidth-updated' }),
+    'set-bandwidth': message => ({
+        method: 'PUT',
+        path: '/api/bandwidth',
+        body: { downloadLimit: message.downloadLimit, uploadLimit: message.uploadLimit, schedule: message.schedule }
+    }),
+    'set-torrent-bandwidth': message => ({
+        method: 'PUT',
+        path: torrentPath(message, '/bandwidth'),
+        body: { downloadLimit: message.downloadLimit, uploadLimit: message.uploadLimit }
+    }),
+    'set-sequential': message => ({ method: 'PUT', path: torrentPath(message, '/sequential'), body: { sequential: message.sequential } }),
+    'get-seeding-policy': () => ({ method: 'GET', path: '/api/seeding', reply: 'seeding-policy-updated' }),
+    'set-seeding-policy': message => ({
+        method: 'PUT',
+        path: message.torrentId ? torrentPath(message, '/seeding') : '/api/seeding',
+        body: message.policy || {}
+    }),
+    'get-settings': () => ({ method: 'GET', path: '/api/settings', reply: 'settings-updated' }),
+    'update-settings': message => ({ method: 'PUT', path: '/api/settings', body: message.settings, reply: 'settings-saved' })
+};
+
+// The WebSocket error code matching a REST status
+function restErrorCode(status, type) {
+    if (status === 400 || status === 413 || status === 422) return 'invalid-value';
+    if (status === 403) return 'forbidden';
+    if (status === 404) return 'not-found';
+    if (status === 409) return type === 'start-torrent' ? 'already-exists' : 'invalid-state';
+    return 'failed';
+}
+
+// Console levels, most severe first; the console's own success and warning entries count as info and warn
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOCAL_LOG_LEVELS = { success: 'info', warning: 'warn' };
+const MAX_LOG_ENTRIES = 1000;
+
+// The player asks for the playing file's pieces this often (ms); seconds of media ahead that count as a healthy buffer
+const PLAYER_REFRESH_INTERVAL = 2000;
+const BUFFER_HEALTHY = 30;
+const BUFFER_LOW = 5;
+
 class WebTorrentApp {
     constructor() {
         this.ws = null;
@@ -8,7 +76,26 @@ class WebTorrentApp {
         this.maxReconnectAttempts = 30;
         this.reconnectDelay = 1000;
         this.pendingMessages = [];
-        this.logs = [];
+        this.pendingRequests = new Map(); // requestId -> { resolve, reject, timer, sent }
+        this.requestCounter = 0;
+        this.requestTimeout = 15000; // How long to wait for the server's ack or error
+        this.lastSeq = null; // Sequence number of the last numbered update, to spot missed ones
+        this.resyncPending = false;
+        this.subscriptionScope = 'all'; // A hidden tab only follows the summary
+        this.pageTitle = document.title;
+        this.transport = 'websocket'; // 'sse' once WebSockets have proven not to get through
+        this.eventSource = null;
+        this.failedHandshakes = 0; // Connection attempts in a row that never opened
+        this.sseFallbackAfter = 3;
+        this.bandwidth = null; // Global limits, schedule and active limits from the server
+        this.settings = null; // Runtime settings from the server
+        this.settingsSaving = false;
+        this.user = null; // Signed-in user from /api/auth/me, null when auth is disabled
+        this.logs = []; // Newest first; server entries have a subsystem and id, the console's own are 'ui'
+        this.logFilter = { level: 'info', subsystem: '', search: '' };
+        this.logSubsystems = new Set(['ui']);
+        this.logRenderPending = false;
+        this.player = null; // { torrentId, fileIndex, pieces, timer } while the player is open
         this.refreshInterval = null;
         this.refreshRate = 5000; // Refresh every 5 seconds
         this.serverUrl = this.detectServerUrl(); // Auto-detect server URL
@@ -24,6 +111,7 @@ class WebTorrentApp {
         // Add a small delay to ensure UI updates before connection check
         setTimeout(() => {
             // Force immediate connection check
+            this.checkSession();
             this.checkConnection();
             
             this.connectWebSocket();
@@ -94,7 +182,7 @@ class WebTorrentApp {
         this.torrents.forEach((torrent, torrentId) => {
             if (torrent.files && torrent.files.length > 0) {
                 torrent.files.forEach((file, index) => {
-                    if (file.isVideo || this.isVideoFile(file.name)) {
+                    if (this.isPlayableFile(file)) {
                         const streamUrl = this.generateStreamUrl(torrentId, index);
                         const downloadUrl = this.generateDownloadUrl(torrentId, index);
                         
@@ -131,6 +219,34 @@ class WebTorrentApp {
         // Input elements
         this.magnetInput = document.getElementById('magnet-input');
         this.startDownloadBtn = document.getElementById('start-download-btn');
+        this.uploadTorrentBtn = document.getElementById('upload-torrent-btn');
+        this.torrentFileInput = document.getElementById('torrent-file-input');
+        this.addTorrentSection = document.getElementById('add-torrent-section');
+        this.identifierPreview = document.getElementById('identifier-preview');
+        
+        // Header stats elements
+        this.totalDownloadSpeed = document.getElementById('total-download-speed');
+        this.totalUploadSpeed = document.getElementById('total-upload-speed');
+        this.bandwidthLimitBtn = document.getElementById('bandwidth-limit');
+        this.bandwidthLimitText = document.getElementById('bandwidth-limit-text');
+        
+        // Settings elements
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsSection = document.getElementById('settings-section');
+        this.settingsForm = document.getElementById('settings-form');
+        this.settingsErrors = document.getElementById('settings-errors');
+        this.settingsCloseBtn = document.getElementById('settings-close-btn');
+        
+        // Account elements
+        this.logoutBtn = document.getElementById('logout-btn');
+        this.libraryPlaylistBtn = document.getElementById('library-playlist-btn');
+        this.accountSettings = document.getElementById('account-settings');
+        this.accountUsername = document.getElementById('account-username');
+        this.apiTokenList = document.getElementById('api-token-list');
+        this.shareLinkList = document.getElementById('share-link-list');
+        this.accountUsage = document.getElementById('account-usage');
+        this.userAdmin = document.getElementById('user-admin');
+        this.userList = document.getElementById('user-list');
         
         // Container elements
         this.torrentsContainer = document.getElementById('torrents-container');
@@ -140,6 +256,18 @@ class WebTorrentApp {
         this.formattedLogs = document.getElementById('formatted-logs');
         this.clearLogsBtn = document.getElementById('clear-logs-btn');
         this.toggleLogsBtn = document.getElementById('toggle-logs-btn');
+        this.logLevelSelect = document.getElementById('log-level-filter');
+        this.logSubsystemSelect = document.getElementById('log-subsystem-filter');
+        this.logSearchInput = document.getElementById('log-search');
+        
+        // Player elements
+        this.playerModal = document.getElementById('player-modal');
+        this.playerMedia = document.getElementById('player-media');
+        this.playerSeek = document.getElementById('player-seek');
+        this.playerStats = document.getElementById('player-stats');
+        this.playerPlaylist = document.getElementById('player-playlist');
+        this.playerFileName = document.getElementById('player-file-name');
+        this.playerOpenLink = document.getElementById('player-open-link');
         
         // Initialize event listeners
         this.initEventListeners();
@@ -150,12 +278,55 @@ class WebTorrentApp {
         if (this.startDownloadBtn) {
             this.startDownloadBtn.addEventListener('click', () => this.startDownload(false));
         }
+        if (this.settingsBtn) {
+            this.settingsBtn.addEventListener('click', () => this.toggleSettings());
+        }
+        if (this.settingsCloseBtn) {
+            this.settingsCloseBtn.addEventListener('click', () => this.toggleSettings(false));
+        }
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => this.logout());
+        }
+        const changePasswordBtn = document.getElementById('change-password-btn');
+        if (changePasswordBtn) {
+            changePasswordBtn.addEventListener('click', () => this.changePassword());
+        }
+        const createTokenBtn = document.getElementById('create-token-btn');
+        if (createTokenBtn) {
+            createTokenBtn.addEventListener('click', () => this.createApiToken());
+        }
+        const createUserBtn = document.getElementById('create-user-btn');
+        if (createUserBtn) {
+            createUserBtn.addEventListener('click', () => this.createUser());
+        }
+        if (this.settingsForm) {
+            this.settingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings();
+            });
+        }
+        if (this.bandwidthLimitBtn) {
+            this.bandwidthLimitBtn.addEventListener('click', () => this.editGlobalBandwidth());
+        }
         if (this.clearLogsBtn) {
             this.clearLogsBtn.addEventListener('click', () => this.clearLogs());
         }
         if (this.toggleLogsBtn) {
             this.toggleLogsBtn.addEventListener('click', () => this.toggleLogs());
         }
+        // Level and subsystem narrow what the server sends; search only filters what is already here
+        if (this.logLevelSelect) {
+            this.logLevelSelect.addEventListener('change', () => this.setLogFilter({ level: this.logLevelSelect.value }));
+        }
+        if (this.logSubsystemSelect) {
+            this.logSubsystemSelect.addEventListener('change', () => this.setLogFilter({ subsystem: this.logSubsystemSelect.value }));
+        }
+        if (this.logSearchInput) {
+            this.logSearchInput.addEventListener('input', () => {
+                this.logFilter.search = this.logSearchInput.value.trim().toLowerCase();
+                this.updateLogs();
+            });
+        }
         
         // Handle Enter key in magnet input
         if (this.magnetInput) {
@@ -164,7 +335,72 @@ class WebTorrentApp {
                     this.startDownload(false);
                 }
             });
+            this.magnetInput.addEventListener('input', () => this.updateIdentifierPreview());
+        }
+        
+        // .torrent file picker
+        if (this.uploadTorrentBtn && this.torrentFileInput) {
+            this.uploadTorrentBtn.addEventListener('click', () => this.torrentFileInput.click());
+            this.torrentFileInput.addEventListener('change', () => {
+                this.uploadTorrentFiles(this.torrentFileInput.files);
+                this.torrentFileInput.value = ''; // Allow picking the same file again
+            });
+        }
+        
+        // .torrent drag and drop onto the add-torrent section
+        if (this.addTorrentSection) {
+            ['dragenter', 'dragover'].forEach(eventName => {
+                this.addTorrentSection.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    this.addTorrentSection.classList.add('drag-over');
+                });
+            });
+            ['dragleave', 'drop'].forEach(eventName => {
+                this.addTorrentSection.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    this.addTorrentSection.classList.remove('drag-over');
+                });
+            });
+            this.addTorrentSection.addEventListener('drop', (e) => {
+                if (e.dataTransfer && e.dataTransfer.files) {
+                    this.uploadTorrentFiles(e.dataTransfer.files);
+                }
+            });
         }
+        
+        document.addEventListener('visibilitychange', () => this.updateSubscription());
+        
+        this.initPlayerListeners();
+    }
+    
+    initPlayerListeners() {
+        if (!this.playerModal || !this.playerMedia) return;
+        
+        document.getElementById('player-close-btn').addEventListener('click', () => this.closePlayer());
+        this.playerModal.addEventListener('click', (e) => {
+            if (e.target === this.playerModal) this.closePlayer();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.player) this.closePlayer();
+        });
+        
+        ['timeupdate', 'progress', 'durationchange', 'seeked'].forEach(event => {
+            this.playerMedia.addEventListener(event, () => this.updatePlayer());
+        });
+        this.playerMedia.addEventListener('ended', () => this.playNextFile());
+        this.playerMedia.addEventListener('loadedmetadata', () => this.reportDuration());
+        this.playerMedia.addEventListener('error', () => {
+            if (!this.player || !this.playerMedia.getAttribute('src')) return;
+            this.addLogEntry(`${this.playerFileName.textContent} can't be played in this browser; open it in a new tab or an external player`, 'warning');
+        });
+        
+        this.playerSeek.addEventListener('click', (e) => {
+            const duration = this.playerMedia.duration;
+            if (!isFinite(duration) || duration <= 0) return;
+            const rect = this.playerSeek.getBoundingClientRect();
+            this.playerMedia.currentTime = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) * duration;
+        });
+        window.addEventListener('resize', () => this.renderSeekBar());
     }
     
     // WebSocket connection methods
@@ -207,8 +443,12 @@ class WebTorrentApp {
     setupWebSocketHandlers() {
         if (!this.ws) return;
         
+        let opened = false;
+        
         this.ws.onopen = () => {
             console.log('[SUCCESS] WebSocket connected');
+            opened = true;
+            this.failedHandshakes = 0;
             this.isConnected = true;
             this.reconnectAttempts = 0;
             this.reconnectDelay = 1000;
@@ -228,31 +468,23 @@ class WebTorrentApp {
             // Send any pending messages
             this.sendPendingMessages();
             
-            // Request initial torrents
-            this.requestInitialTorrents();
+            // The server sends the torrent list itself and starts a new numbered feed on every connection
+            this.lastSeq = null;
+            this.resyncPending = false;
+            this.subscriptionScope = 'all';
+            this.updateSubscription();
+            this.subscribeToLogs();
+            this.sendMessage({ type: 'get-bandwidth', timestamp: Date.now() });
             
             // Ensure auto-refresh is running
             this.startAutoRefresh();
         };
         
-        this.ws.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                this.handleWebSocketMessage(data);
-                
-                // Reset the auto-refresh timer on each message to avoid unnecessary requests
-                if (this.refreshInterval) {
-                    clearInterval(this.refreshInterval);
-                    this.startAutoRefresh();
-                }
-            } catch (error) {
-                console.error('[ERROR] Error parsing WebSocket message:', error);
-                this.addLogEntry(`Error parsing message: ${error.message}`, 'error');
-            }
-        };
+        this.ws.onmessage = (event) => this.receiveMessage(event.data);
         
         this.ws.onclose = (event) => {
             this.isConnected = false;
+            this.failSentRequests('Connection lost before the server replied');
             
             // Directly update the connection status elements
             if (this.statusText) {
@@ -268,6 +500,18 @@ class WebTorrentApp {
             // Stop auto-refresh when disconnected
             this.stopAutoRefresh();
             
+            // The server ended our session (logout or password change elsewhere)
+            if (event.code === 4401) {
+                this.redirectToLogin();
+                return;
+            }
+            
+            // Some proxies break every WebSocket handshake while plain HTTP works
+            if (!opened && ++this.failedHandshakes >= this.sseFallbackAfter) {
+                this.fallBackToEventStream();
+                return;
+            }
+            
             if (event.code !== 1000) { // 1000 is a normal closure
                 console.warn(`[WARNING] Connection closed unexpectedly: Code: ${event.code}`);
                 this.addLogEntry(`Connection lost (code ${event.code}). Reconnecting...`, 'warning');
@@ -289,6 +533,137 @@ class WebTorrentApp {
         };
     }
     
+    // Messages from the socket, the event stream, or REST responses standing in for socket replies
+    receiveMessage(raw) {
+        try {
+            const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+            this.settleRequest(data);
+            this.checkSequence(data);
+            this.handleWebSocketMessage(data);
+            
+            // Reset the auto-refresh timer on each message to avoid unnecessary requests
+            if (this.refreshInterval) {
+                clearInterval(this.refreshInterval);
+                this.startAutoRefresh();
+            }
+        } catch (error) {
+            console.error('[ERROR] Error parsing WebSocket message:', error);
+            this.addLogEntry(`Error parsing message: ${error.message}`, 'error');
+        }
+    }
+    
+    // Only worth it when HTTP gets through; if the server is simply down, keep trying the socket
+    async fallBackToEventStream() {
+        const reachable = typeof EventSource !== 'undefined' && await fetch(`${this.serverUrl}/api/auth/me`, { credentials: 'same-origin' })
+            .then(response => response.ok, () => false);
+        if (!reachable) {
+            this.scheduleReconnect();
+            return;
+        }
+        
+        console.warn('[WARNING] WebSocket handshakes keep failing, switching to Server-Sent Events');
+        this.addLogEntry('WebSocket blocked - receiving updates over Server-Sent Events and sending commands over HTTP', 'warning');
+        this.transport = 'sse';
+        this.connectEventStream();
+    }
+    
+    // Updates over Server-Sent Events; commands go through the REST API, see sendViaRest
+    connectEventStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+        
+        const { level, subsystem } = this.logFilter;
+        const logParams = `&logs=${level}${subsystem && subsystem !== 'ui' ? `&logSubsystems=${encodeURIComponent(subsystem)}` : ''}`;
+        const source = new EventSource(`${this.serverUrl}/api/events?scope=${this.subscriptionScope}${logParams}`);
+        this.eventSource = source;
+        
+        source.onopen = () => {
+            console.log('[SUCCESS] Event stream connected');
+            this.isConnected = true;
+            this.lastSeq = null;
+            this.resyncPending = false;
+            this.updateConnectionStatus(true);
+            if (this.statusText) {
+                this.statusText.textContent = 'Connected (SSE)';
+            }
+            
+            this.sendPendingMessages();
+            this.sendMessage({ type: 'get-bandwidth', timestamp: Date.now() });
+            this.startAutoRefresh();
+        };
+        
+        source.onmessage = (event) => this.receiveMessage(event.data);
+        
+        source.onerror = () => {
+            this.isConnected = false;
+            this.stopAutoRefresh();
+            this.updateConnectionStatus(false);
+            
+            // The browser retries by itself unless the server refused the stream, e.g. because the session ended
+            if (source.readyState === EventSource.CLOSED) {
+                this.checkSession();
+                setTimeout(() => {
+                    if (this.eventSource === source) this.connectEventStream();
+                }, 5000);
+            } else if (this.statusText) {
+                this.statusText.textContent = 'Reconnecting...';
+            }
+        };
+    }
+    
+    // Send a command over HTTP and feed the outcome back in as the reply the WebSocket would have sent
+    async sendViaRest(data) {
+        this.markRequestSent(data.requestId);
+        const replyTo = data.requestId !== undefined ? { requestId: data.requestId } : {};
+        
+        // A subscription is part of the stream's URL, so changing it or resyncing means a new stream
+        if (data.type === 'subscribe' || data.type === 'resync' || data.type === 'subscribe-logs') {
+            this.connectEventStream();
+            this.receiveMessage({ type: 'ack', action: data.type, data: null, ...replyTo });
+            return;
+        }
+        
+        const command = REST_COMMANDS[data.type === 'delete-torrent' ? 'remove-torrent' : data.type];
+        if (!command) {
+            this.receiveMessage({ type: 'error', code: 'unknown-type', message: `${data.type} needs a WebSocket connection`, ...replyTo });
+            return;
+        }
+        
+        const { method = 'POST', path, body, reply, conflict } = command(data);
+        try {
+            const response = await fetch(`${this.serverUrl}${path}`, {
+                method,
+                credentials: 'same-origin',
+                ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {})
+            });
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return;
+            }
+            
+            const result = await response.json().catch(() => null);
+            const context = { torrentId: data.torrentId, timestamp: new Date().toISOString(), ...replyTo };
+            
+            if (response.status === 409 && conflict && result && result.torrentId) {
+                this.receiveMessage({ type: conflict, data: result, ...context });
+            } else if (!response.ok) {
+                this.receiveMessage({
+                    type: 'error',
+                    code: restErrorCode(response.status, data.type),
+                    message: (result && result.error) || `Request failed (${response.status})`,
+                    error: result ? result.message : undefined,
+                    errors: result ? result.errors : undefined,
+                    ...context
+                });
+            } else {
+                this.receiveMessage(reply ? { type: reply, data: result, ...context } : { type: 'ack', action: data.type, data: result, ...context });
+            }
+        } catch (error) {
+            this.receiveMessage({ type: 'error', code: 'failed', message: `Failed to send ${data.type}`, error: error.message, ...replyTo });
+        }
+    }
+    
     checkConnection() {
         // Check if we can connect to the server
         const testConnection = () => {
@@ -372,6 +747,8 @@ class WebTorrentApp {
         }
         
         this.reconnectAttempts++;
+        // A refused handshake looks like any other connection failure, so check the session first
+        this.checkSession();
         const delay = Math.min(this.reconnectDelay * Math.pow(1.5, this.reconnectAttempts - 1), 30000);
         
         this.addLogEntry(`Reconnecting in ${delay/1000} seconds (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`, 'warning');
@@ -393,14 +770,40 @@ class WebTorrentApp {
         
         while (this.pendingMessages.length > 0) {
             const message = this.pendingMessages.shift();
-            this.sendMessage(message);
+            this.transmitMessage(message);
         }
     }
     
-    sendMessage(data) {
+    /**
+     * Send a message and wait for the server's reply
+     * Tags the message with a requestId; the promise resolves with the ack (or other reply carrying that ID)
+     * and rejects with an Error whose `code` is the server's error code, 'timeout' or 'disconnected'.
+     * Messages sent while offline are queued and the timeout starts once they go out.
+     */
+    sendMessage(data, { timeout = this.requestTimeout } = {}) {
+        const requestId = `${Date.now().toString(36)}-${++this.requestCounter}`;
+        const message = { ...data, requestId };
+        
+        const reply = new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, { resolve, reject, timeout, timer: null, sent: false });
+        });
+        // Callers that don't care about the outcome rely on the 'error' handler for logging
+        reply.catch(() => {});
+        
+        this.transmitMessage(message);
+        return reply;
+    }
+    
+    transmitMessage(data) {
+        if (this.transport === 'sse') {
+            this.sendViaRest(data);
+            return true;
+        }
+        
         if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
             try {
                 this.ws.send(JSON.stringify(data));
+                this.markRequestSent(data.requestId);
                 return true;
             } catch (error) {
                 console.error('[ERROR] Failed to send message:', error);
@@ -418,6 +821,50 @@ class WebTorrentApp {
         }
     }
     
+    markRequestSent(requestId) {
+        const request = requestId !== undefined ? this.pendingRequests.get(requestId) : null;
+        if (!request || request.sent) return;
+        
+        request.sent = true;
+        request.timer = setTimeout(() => {
+            this.rejectRequest(requestId, 'timeout', 'The server did not reply in time');
+        }, request.timeout);
+    }
+    
+    rejectRequest(requestId, code, message, reply = null) {
+        const request = this.pendingRequests.get(requestId);
+        if (!request) return;
+        
+        this.pendingRequests.delete(requestId);
+        clearTimeout(request.timer);
+        const error = new Error(message);
+        error.code = code;
+        error.reply = reply;
+        request.reject(error);
+    }
+    
+    // Resolve or reject the request a reply answers; replies without a requestId are broadcasts
+    settleRequest(data) {
+        if (!data || data.requestId === undefined || !this.pendingRequests.has(data.requestId)) return;
+        
+        if (data.type === 'error') {
+            this.rejectRequest(data.requestId, data.code || 'failed', data.error || data.message || 'Request failed', data);
+            return;
+        }
+        
+        const request = this.pendingRequests.get(data.requestId);
+        this.pendingRequests.delete(data.requestId);
+        clearTimeout(request.timer);
+        request.resolve(data);
+    }
+    
+    // Requests still queued are re-sent on reconnect; ones already sent will never be answered
+    failSentRequests(message) {
+        for (const [requestId, request] of this.pendingRequests) {
+            if (request.sent) this.rejectRequest(requestId, 'disconnected', message);
+        }
+    }
+    
     // Torrent Management Methods
     handleTorrentStopped(data) {
         const { torrentId } = data;
@@ -427,7 +874,7 @@ class WebTorrentApp {
         if (!torrent) return;
         
         // Update torrent status and stats
-        torrent.status = 'stopped';
+        torrent.status = 'paused';
         torrent.downloadSpeed = 0;
         torrent.uploadSpeed = 0;
         torrent.peers = 0;
@@ -436,20 +883,8 @@ class WebTorrentApp {
         this.updateTorrentCard(torrent);
         
         // Log the event
-        const torrentName = torrent.name || torrentId;
-        this.addLogEntry(`Torrent stopped: ${torrentName}`, 'info');
-        
-        // Re-enable action buttons if needed
-        const card = document.getElementById(`torrent-${torrentId}`);
-        if (card) {
-            const buttons = card.querySelectorAll('button[disabled]');
-            buttons.forEach(button => {
-                if (button.textContent.includes('Stopping')) {
-                    button.disabled = false;
-                    button.innerHTML = button.innerHTML.replace('⏳ Stopping...', '▶️ Start');
-                }
-            });
-        }
+        const torrentName = torrent.name || torrent.fileName || torrentId;
+        this.addLogEntry(`Torrent paused: ${torrentName}`, 'info');
     }
     
     handleTorrentUpdate(update) {
@@ -486,17 +921,8 @@ class WebTorrentApp {
                         stopButton.innerHTML = '⏳ Stopping...';
                     }
                 }
-            } else if (data.status === 'stopped') {
-                this.addLogEntry(`Torrent stopped: ${torrent.name || torrentId}`, 'info');
-                
-                // Re-enable the start button if it exists
-                const card = document.getElementById(`torrent-${torrentId}`);
-                if (card) {
-                    const startButton = card.querySelector('button[onclick^="app.startTorrent"]');
-                    if (startButton) {
-                        startButton.disabled = false;
-                    }
-                }
+            } else if (data.status === 'stopped' || data.status === 'paused') {
+                this.addLogEntry(`Torrent ${data.status}: ${torrent.name || torrent.fileName || torrentId}`, 'info');
             } else if (data.status === 'error') {
                 this.addLogEntry(`Error with torrent ${torrent.name || torrentId}: ${data.message || 'Unknown error'}`, 'error');
             }
@@ -513,6 +939,72 @@ class WebTorrentApp {
         }
     }
     
+    // Torrent updates after the first are deltas with only the fields that changed
+    handleTorrentDelta(data) {
+        const torrent = this.torrents.get(data.torrentId);
+        if (!torrent) {
+            this.requestResync(`update for unknown torrent ${data.torrentId}`);
+            return;
+        }
+        
+        applyDelta(torrent, data);
+        torrent.lastUpdateTime = Date.now();
+        
+        // Hand the changed top-level fields on so status changes are still noticed
+        const changed = {};
+        (data.set || []).forEach(([path]) => {
+            if (path.length > 0) changed[path[0]] = torrent[path[0]];
+        });
+        this.handleTorrentUpdate({ torrentId: data.torrentId, data: changed });
+    }
+    
+    // Numbered updates arrive in order; a skipped number means we missed some and need a snapshot
+    checkSequence(data) {
+        if (typeof data.seq !== 'number') return;
+        
+        const expected = this.lastSeq === null ? null : this.lastSeq + 1;
+        this.lastSeq = data.seq;
+        
+        if (data.type === 'snapshot' || data.type === 'initial-torrents') {
+            this.resyncPending = false;
+        } else if (expected !== null && data.seq !== expected) {
+            this.requestResync(`missed updates ${expected}-${data.seq - 1}`);
+        }
+    }
+    
+    requestResync(reason) {
+        if (this.resyncPending) return;
+        
+        this.resyncPending = true;
+        console.warn(`[WARNING] Resyncing: ${reason}`);
+        this.sendMessage({ type: 'resync', timestamp: Date.now() })
+            .catch(() => { this.resyncPending = false; });
+    }
+    
+    // Follow every torrent while the page is visible, just the totals while it's in the background
+    updateSubscription() {
+        const scope = document.hidden ? 'summary' : 'all';
+        if (scope === this.subscriptionScope || !this.isConnected) return;
+        
+        this.subscriptionScope = scope;
+        this.sendMessage({ type: 'subscribe', scope, timestamp: Date.now() });
+    }
+    
+    handleSnapshot(data) {
+        if (data.scope === 'summary') {
+            this.handleSummary(data.summary);
+            return;
+        }
+        
+        document.title = this.pageTitle;
+        this.handleInitialTorrents(data.data || []);
+    }
+    
+    handleSummary(summary) {
+        if (!summary) return;
+        document.title = `↓ ${this.formatSpeed(summary.downloadSpeed)} ↑ ${this.formatSpeed(summary.uploadSpeed)} - ${this.pageTitle}`;
+    }
+    
     handleTorrentRemoved(torrentId) {
         if (!torrentId) return;
         
@@ -605,10 +1097,6 @@ class WebTorrentApp {
         this.renderTorrentList();
     }
     
-    requestInitialTorrents() {
-        this.sendMessage({ type: 'get-torrents' });
-    }
-    
     handleInitialTorrents(torrents) {
         if (!Array.isArray(torrents)) {
             console.error('Expected torrents to be an array, got:', typeof torrents);
@@ -667,14 +1155,65 @@ class WebTorrentApp {
                     }
                     break;
                     
+                case 'torrent-delta':
+                    this.handleTorrentDelta(data);
+                    break;
+                    
+                case 'snapshot':
+                    this.handleSnapshot(data);
+                    break;
+                    
+                case 'summary':
+                    this.handleSummary(data.data);
+                    break;
+                    
                 case 'torrent-completed':
                     this.handleTorrentCompleted(data.data);
                     break;
                     
                 case 'torrent-stopped':
+                case 'torrent-paused':
                     this.handleTorrentStopped(data);
                     break;
                     
+                case 'torrent-resumed':
+                    this.handleTorrentUpdate(data);
+                    break;
+                    
+                case 'queue-updated':
+                    this.handleQueueUpdated(data.data);
+                    break;
+                    
+                case 'bandwidth-updated':
+                    this.bandwidth = data.data;
+                    this.updateHeaderStats();
+                    break;
+                    
+                case 'seeding-policy-updated':
+                    this.addLogEntry('Global seeding policy updated', 'info');
+                    break;
+                    
+                case 'settings-updated':
+                    this.handleSettingsUpdated(data.data);
+                    break;
+                    
+                case 'settings-saved':
+                    this.addLogEntry('Settings saved', 'success');
+                    this.handleSettingsUpdated(data.data);
+                    break;
+                    
+                case 'ack':
+                    // Settled by settleRequest; nothing else to update
+                    break;
+                    
+                case 'file-priority-updated':
+                    this.handleTorrentUpdate({ torrentId: data.torrentId, data: { files: data.files } });
+                    break;
+                    
+                case 'torrent-exists':
+                    this.handleTorrentExists(data.data);
+                    break;
+                    
                 case 'torrent-removed':
                     this.handleTorrentRemoved(data.torrentId);
                     break;
@@ -684,11 +1223,15 @@ class WebTorrentApp {
                     break;
                     
                 case 'log':
-                    this.addLogEntry(data.message, data.level || 'info');
+                    this.addServerLogEntry(data);
+                    break;
+                    
+                case 'log-history':
+                    this.handleLogHistory(data);
                     break;
                     
                 case 'error':
-                    this.addLogEntry(data.message || 'An error occurred', 'error');
+                    this.addLogEntry(data.error ? `${data.message}: ${data.error}` : (data.message || 'An error occurred'), 'error');
                     break;
                     
                 default:
@@ -714,14 +1257,18 @@ class WebTorrentApp {
             return;
         }
         
-        // Basic magnet link validation
-        if (!magnetLink.startsWith('magnet:?')) {
-            this.addLogEntry('Please enter a valid magnet link', 'error');
+        // Same parser the server uses, so invalid input never leaves the browser
+        let identifier;
+        try {
+            identifier = parseTorrentIdentifier(magnetLink);
+        } catch (error) {
+            this.addLogEntry(error.message, 'error');
+            this.updateIdentifierPreview();
             return;
         }
         
         try {
-            this.addLogEntry(`Starting ${fresh ? 'fresh ' : ''}download...`, 'info');
+            this.addLogEntry(`Starting ${fresh ? 'fresh ' : ''}download: ${identifier.name || identifier.infoHash || identifier.url || 'torrent'}`, 'info');
             
             // Send message to start the torrent
             const message = {
@@ -733,91 +1280,823 @@ class WebTorrentApp {
             
             this.sendMessage(message);
             if (this.magnetInput) this.magnetInput.value = ''; // Clear the input field
+            this.updateIdentifierPreview();
         } catch (error) {
             console.error('[ERROR] Error starting download:', error);
             this.addLogEntry(`Error starting download: ${error.message}`, 'error');
         }
     }
     
-    startTorrent(torrentId) {
-        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            console.error('Cannot start torrent: WebSocket not connected');
-            return false;
+    // Show what was parsed out of the add-torrent input before it is submitted
+    updateIdentifierPreview() {
+        if (!this.identifierPreview) return;
+        
+        const value = this.magnetInput ? this.magnetInput.value.trim() : '';
+        if (!value) {
+            this.identifierPreview.hidden = true;
+            this.identifierPreview.innerHTML = '';
+            return;
         }
         
-        const torrent = this.torrents.get(torrentId);
-        if (!torrent) {
-            this.addLogEntry('Torrent not found', 'error');
-            return false;
+        let identifier;
+        try {
+            identifier = parseTorrentIdentifier(value);
+        } catch (error) {
+            this.identifierPreview.hidden = false;
+            this.identifierPreview.className = 'identifier-preview invalid';
+            this.identifierPreview.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${this.escapeHTML(error.message)}`;
+            return;
         }
         
-        // Update UI immediately to show starting state
-        torrent.status = 'downloading';
-        this.updateTorrentCard(torrent);
+        const typeLabels = {
+            'magnet': 'Magnet link',
+            'infohash': 'Info hash',
+            'url': '.torrent URL'
+        };
+        const rows = [
+            ['Type', `${typeLabels[identifier.type]}${identifier.infoHashV2 ? (identifier.infoHash ? ' (hybrid v1/v2)' : ' (BitTorrent v2)') : ''}`],
+            ['Name', identifier.name || 'Unknown until metadata arrives'],
+            identifier.infoHash ? ['Info hash', identifier.infoHash] : null,
+            identifier.infoHashV2 ? ['v2 hash', identifier.infoHashV2] : null,
+            identifier.url ? ['URL', identifier.url] : null,
+            identifier.length ? ['Size', this.formatBytes(identifier.length)] : null,
+            ['Trackers', identifier.trackers.length],
+            ['Web seeds', identifier.webSeeds.length]
+        ].filter(Boolean);
+        
+        // Torrent IDs are the infoHash, so duplicates can be spotted before submitting
+        const hash = identifier.infoHash || identifier.infoHashV2;
+        const existing = hash ? Array.from(this.torrents.values()).find(torrent => torrent.torrentId === hash || torrent.infoHash === hash) : null;
+        if (existing) {
+            rows.unshift(['Already added', `${existing.name || existing.fileName || existing.torrentId} - adding again merges its trackers`]);
+        }
         
-        // Send message to server to start the torrent
+        this.identifierPreview.hidden = false;
+        this.identifierPreview.className = 'identifier-preview valid';
+        this.identifierPreview.innerHTML = rows.map(([label, text]) => `
+            <div class="preview-row">
+                <span class="preview-label">${label}</span>
+                <span class="preview-value" title="${this.escapeHTML(String(text))}">${this.escapeHTML(String(text))}</span>
+            </div>
+        `).join('');
+    }
+    
+    moveTorrent(torrentId, direction) {
         this.sendMessage({
-            type: 'start-torrent',
-            magnet: torrent.magnet || torrent.infoHash,
-            torrentId: torrentId,
+            type: 'move-torrent',
+            torrentId,
+            direction,
             timestamp: Date.now()
         });
-        
-        this.addLogEntry(`Starting torrent: ${torrent.name || torrentId}`, 'info');
-        return true;
     }
     
-    stopTorrent(torrentId) {
-        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            console.error('Cannot stop torrent: WebSocket not connected');
-            return false;
-        }
+    handleQueueUpdated(queue) {
+        if (!queue || !Array.isArray(queue.order)) return;
         
-        try {
-            // Update UI immediately to show stopping state
+        queue.order.forEach((torrentId, index) => {
             const torrent = this.torrents.get(torrentId);
             if (torrent) {
-                torrent.status = 'stopping';
-                this.updateTorrentCard(torrent);
-                this.renderTorrentList();
+                torrent.queuePosition = index + 1;
             }
-            
-            this.ws.send(JSON.stringify({
-                type: 'stop-torrent',
-                torrentId: torrentId,
-                timestamp: Date.now()
-            }));
-            
-            this.addLogEntry(`Stopping torrent: ${torrentId}`, 'info');
-            return true;
-            
-        } catch (error) {
-            console.error('Error sending stop-torrent message:', error);
-            this.addLogEntry(`Failed to stop torrent: ${error.message}`, 'error');
-            return false;
-        }
+        });
+        
+        this.renderTorrentList();
     }
     
-    removeTorrent(torrentId, deleteFiles = false) {
-        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            console.error('Cannot remove torrent: WebSocket not connected');
-            return false;
-        }
+    // Totals across all torrents plus whichever limit (global or scheduled) is in effect
+    updateHeaderStats() {
+        let downloadSpeed = 0;
+        let uploadSpeed = 0;
+        this.torrents.forEach(torrent => {
+            downloadSpeed += torrent.downloadSpeed || 0;
+            uploadSpeed += torrent.uploadSpeed || 0;
+        });
         
-        const torrent = this.torrents.get(torrentId);
-        if (!torrent) {
-            this.addLogEntry(`Torrent not found: ${torrentId}`, 'error');
-            return false;
-        }
+        if (this.totalDownloadSpeed) this.totalDownloadSpeed.textContent = this.formatSpeed(downloadSpeed);
+        if (this.totalUploadSpeed) this.totalUploadSpeed.textContent = this.formatSpeed(uploadSpeed);
         
-        // Show confirmation dialog for deleting files
-        if (deleteFiles) {
-            const confirmed = confirm('Are you sure you want to delete the downloaded files? This action cannot be undone.');
-            if (!confirmed) return false;
-        }
+        if (!this.bandwidthLimitText || !this.bandwidth) return;
         
-        try {
+        const { active } = this.bandwidth;
+        const unlimited = active.downloadLimit < 0 && active.uploadLimit < 0;
+        const label = unlimited ? 'No limit' :
+            `↓ ${this.formatLimit(active.downloadLimit)} ↑ ${this.formatLimit(active.uploadLimit)}`;
+        
+        this.bandwidthLimitText.textContent = active.rule ? `${label} (${active.rule})` : label;
+        this.bandwidthLimitBtn.classList.toggle('limited', !unlimited);
+    }
+    
+    formatLimit(bytesPerSecond) {
+        return bytesPerSecond == null || bytesPerSecond < 0 ? '∞' : this.formatSpeed(bytesPerSecond);
+    }
+    
+    // Ask for a rate in KB/s; empty means unlimited. Returns bytes/s, -1, or undefined when cancelled
+    promptRate(label, current) {
+        const currentValue = current == null || current < 0 ? '' : String(Math.round(current / 1024));
+        const answer = prompt(`${label} in KB/s (leave empty for unlimited):`, currentValue);
+        if (answer === null) return undefined;
+        if (answer.trim() === '') return -1;
+        
+        const rate = Number(answer);
+        if (!Number.isFinite(rate) || rate < 0) {
+            this.addLogEntry(`Invalid rate "${answer}"`, 'error');
+            return undefined;
+        }
+        return Math.round(rate * 1024);
+    }
+    
+    editGlobalBandwidth() {
+        const global = this.bandwidth ? this.bandwidth.global : {};
+        const downloadLimit = this.promptRate('Global download limit', global.downloadLimit);
+        if (downloadLimit === undefined) return;
+        const uploadLimit = this.promptRate('Global upload limit', global.uploadLimit);
+        if (uploadLimit === undefined) return;
+        
+        this.sendMessage({ type: 'set-bandwidth', downloadLimit, uploadLimit, timestamp: Date.now() });
+        this.addLogEntry(`Global limits set to ↓ ${this.formatLimit(downloadLimit)} ↑ ${this.formatLimit(uploadLimit)}`, 'info');
+    }
+    
+    editTorrentBandwidth(torrentId) {
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent) return;
+        
+        const downloadLimit = this.promptRate('Download limit for this torrent', torrent.downloadLimit);
+        if (downloadLimit === undefined) return;
+        const uploadLimit = this.promptRate('Upload limit for this torrent', torrent.uploadLimit);
+        if (uploadLimit === undefined) return;
+        
+        this.sendMessage({ type: 'set-torrent-bandwidth', torrentId, downloadLimit, uploadLimit, timestamp: Date.now() });
+    }
+    
+    // Progress toward whichever seeding goal (ratio, seed time, idle time) is closest
+    updateSeedGoal(card, torrent) {
+        const container = card.querySelector('.seed-goal');
+        if (!container) return;
+        
+        const goal = torrent.seedingGoal;
+        if (!goal || !torrent.complete) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const labels = { ratio: 'Ratio', seedTime: 'Seed time', idleTime: 'Idle time' };
+        const actions = { 'pause': 'pause', 'remove': 'remove', 'remove-delete': 'remove and delete files' };
+        const value = goal.type === 'ratio' ?
+            `${goal.current.toFixed(2)} / ${goal.limit}` :
+            `${Math.floor(goal.current)} / ${goal.limit} min`;
+        
+        container.style.display = 'flex';
+        container.querySelector('.seed-goal-text').textContent =
+            `${labels[goal.type] || goal.type}: ${value} - then ${actions[goal.action] || goal.action}`;
+        container.querySelector('.seed-goal-fill').style.width = `${Math.min(100, goal.progress)}%`;
+    }
+    
+    // Ask for one seeding goal value; empty means use the global policy. Returns null, a number, or undefined when cancelled
+    promptGoal(label, current) {
+        const answer = prompt(`${label} (-1 for no limit, empty to use the global setting):`, current == null ? '' : String(current));
+        if (answer === null) return undefined;
+        if (answer.trim() === '') return null;
+        
+        const value = Number(answer);
+        if (!Number.isFinite(value) || (value < 0 && value !== -1)) {
+            this.addLogEntry(`Invalid value "${answer}"`, 'error');
+            return undefined;
+        }
+        return value;
+    }
+    
+    editSeedingPolicy(torrentId) {
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent) return;
+        
+        const goals = torrent.seedingGoal ? torrent.seedingGoal.goals : [];
+        const current = type => (goals.find(goal => goal.type === type) || {}).limit;
+        
+        const ratioLimit = this.promptGoal('Target ratio', current('ratio'));
+        if (ratioLimit === undefined) return;
+        const seedTimeLimit = this.promptGoal('Max seed time in minutes', current('seedTime'));
+        if (seedTimeLimit === undefined) return;
+        const idleTimeLimit = this.promptGoal('Max idle seed time in minutes', current('idleTime'));
+        if (idleTimeLimit === undefined) return;
+        
+        const action = prompt('When a goal is reached: pause, remove or remove-delete (empty to use the global setting):',
+            torrent.seedingGoal ? torrent.seedingGoal.action : 'pause');
+        if (action === null) return;
+        
+        this.sendMessage({
+            type: 'set-seeding-policy',
+            torrentId,
+            policy: { ratioLimit, seedTimeLimit, idleTimeLimit, action: action.trim() || null },
+            timestamp: Date.now()
+        });
+    }
+    
+    // In-order downloading lets a file be watched while it downloads, at the cost of the swarm's rarest pieces
+    toggleSequential(torrentId) {
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent) return;
+        
+        const sequential = !torrent.sequential;
+        this.sendMessage({ type: 'set-sequential', torrentId, sequential, timestamp: Date.now() });
+        this.addLogEntry(`${sequential ? 'Sequential' : 'Rarest-first'} download for ${torrent.name || torrent.fileName || torrentId}`, 'info');
+    }
+    
+    // A duplicate add points at the torrent that is already in the list
+    handleTorrentExists(data) {
+        if (!data) return;
+        
+        const trackers = data.trackersAdded ? ` - merged ${data.trackersAdded} new tracker${data.trackersAdded !== 1 ? 's' : ''}` : '';
+        this.addLogEntry(`Already added: ${data.name || data.torrentId}${trackers}`, 'warning');
+        this.highlightTorrent(data.torrentId);
+    }
+    
+    highlightTorrent(torrentId) {
+        const card = document.getElementById(`torrent-${torrentId}`);
+        if (!card) return;
+        
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('updated');
+        setTimeout(() => card.classList.remove('updated'), 1500);
+    }
+    
+    toggleSettings(show = this.settingsSection && this.settingsSection.hidden) {
+        if (!this.settingsSection) return;
+        
+        this.settingsSection.hidden = !show;
+        if (show) {
+            this.showSettingsErrors([]);
+            if (this.settings) this.fillSettingsForm(this.settings);
+            this.sendMessage({ type: 'get-settings', timestamp: Date.now() });
+            this.checkSession();
+            this.loadApiTokens();
+            this.loadShareLinks();
+            this.loadUsers();
+            this.settingsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+    
+    handleSettingsUpdated(settings) {
+        if (!settings) return;
+        this.settings = settings;
+        
+        // Don't overwrite what the user is typing
+        if (this.settingsSection && !this.settingsSection.hidden && !this.settingsSaving &&
+            !this.settingsForm.contains(document.activeElement)) {
+            this.fillSettingsForm(settings);
+        }
+    }
+    
+    getSettingValue(settings, key) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), settings);
+    }
+    
+    fillSettingsForm(settings) {
+        if (!this.settingsForm) return;
+        
+        Array.from(this.settingsForm.elements).forEach(element => {
+            if (!element.name) return;
+            
+            const value = this.getSettingValue(settings, element.name);
+            if (value === undefined) return;
+            
+            if (element.dataset.unit === 'kb') {
+                element.value = value < 0 ? '' : Math.round(value / 1024);
+            } else if (element.dataset.optional) {
+                element.value = value < 0 ? '' : value;
+            } else {
+                element.value = value;
+            }
+        });
+    }
+    
+    // Mirrors the server's validation so most mistakes are caught before sending
+    readSettingsForm() {
+        const settings = {};
+        const errors = [];
+        
+        Array.from(this.settingsForm.elements).forEach(element => {
+            if (!element.name) return;
+            
+            const label = element.closest('label') ? element.closest('label').firstChild.textContent.trim() : element.name;
+            const raw = element.value.trim();
+            let value = raw;
+            
+            if (element.type === 'number') {
+                if (raw === '') {
+                    if (element.required) {
+                        errors.push(`${label} is required`);
+                        return;
+                    }
+                    value = -1;
+                } else {
+                    value = Number(raw);
+                    const min = element.min === '' ? -Infinity : Number(element.min);
+                    if (!Number.isFinite(value) || value < min) {
+                        errors.push(`${label} must be a number of at least ${min}`);
+                        return;
+                    }
+                    if (element.dataset.unit === 'kb') value = Math.round(value * 1024);
+                }
+            } else if (element.required && raw === '') {
+                errors.push(`${label} is required`);
+                return;
+            }
+            
+            const parts = element.name.split('.');
+            const last = parts.pop();
+            const target = parts.reduce((node, part) => (node[part] = node[part] || {}), settings);
+            target[last] = value;
+        });
+        
+        return { settings, errors };
+    }
+    
+    showSettingsErrors(errors) {
+        if (!this.settingsErrors) return;
+        
+        this.settingsErrors.hidden = errors.length === 0;
+        this.settingsErrors.innerHTML = errors.map(error => `<li>${this.escapeHTML(error)}</li>`).join('');
+    }
+    
+    saveSettings() {
+        const { settings, errors } = this.readSettingsForm();
+        this.showSettingsErrors(errors);
+        if (errors.length > 0) return;
+        
+        this.settingsSaving = true;
+        this.sendMessage({ type: 'update-settings', settings, timestamp: Date.now() })
+            .then(() => this.showSettingsErrors([]))
+            .catch(error => this.showSettingsErrors((error.reply && error.reply.errors) || [error.message]))
+            .finally(() => { this.settingsSaving = false; });
+    }
+    
+    // Authentication - the server redirects page loads, but API calls and the socket just get refused
+    async checkSession() {
+        try {
+            const response = await fetch(`${this.serverUrl}/api/auth/me`, { credentials: 'same-origin' });
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return false;
+            }
+            if (!response.ok) return true;
+            
+            const me = await response.json();
+            this.user = me.authEnabled ? me : null;
+            this.applyRole(me.role || 'admin');
+            this.updateAccountUsage();
+            if (this.libraryPlaylistBtn) {
+                this.libraryPlaylistBtn.href = `${this.serverUrl}/api/playlist.m3u8`;
+                this.libraryPlaylistBtn.style.display = this.canExportPlaylist() ? '' : 'none';
+            }
+            if (this.logoutBtn) {
+                this.logoutBtn.hidden = !this.user;
+                this.logoutBtn.title = this.user ? `Sign out ${this.user.username}` : 'Sign out';
+            }
+            if (this.accountSettings) {
+                this.accountSettings.hidden = !this.user;
+            }
+            if (this.accountUsername) {
+                this.accountUsername.textContent = this.user ? `(${this.user.username})` : '';
+            }
+            return true;
+        } catch (error) {
+            // Server unreachable - the reconnect loop reports that
+            return true;
+        }
+    }
+    
+    // Hide what the role can't use; the server enforces the same rules
+    applyRole(role) {
+        document.body.dataset.role = role;
+        const isAdmin = role === 'admin';
+        
+        if (this.settingsForm) {
+            this.settingsForm.querySelectorAll('fieldset').forEach(fieldset => { fieldset.disabled = !isAdmin; });
+            const saveBtn = this.settingsForm.querySelector('.settings-actions');
+            if (saveBtn) saveBtn.hidden = !isAdmin;
+        }
+        if (this.userAdmin) {
+            this.userAdmin.hidden = !(isAdmin && this.user);
+        }
+        this.torrents.forEach((torrent, torrentId) => {
+            const card = document.getElementById(`torrent-${torrentId}`);
+            if (card) card.classList.toggle('read-only', !this.canControlTorrent(torrent));
+        });
+    }
+    
+    canControlTorrent(torrent) {
+        if (!this.user) return true;
+        return this.user.role === 'admin' || (this.user.role === 'user' && torrent.owner === this.user.username);
+    }
+    
+    updateAccountUsage() {
+        if (!this.accountUsage) return;
+        if (!this.user || !this.user.usage) {
+            this.accountUsage.textContent = '';
+            return;
+        }
+        
+        const { usage, quota = {} } = this.user;
+        const limit = (value, format = v => v) => value == null ? 'unlimited' : format(value);
+        this.accountUsage.textContent = `Role: ${this.user.role} · ` +
+            `Active torrents: ${usage.activeTorrents} / ${limit(quota.maxActiveTorrents)} · ` +
+            `Disk: ${this.formatBytes(usage.diskBytes)} / ${limit(quota.maxDiskBytes, v => this.formatBytes(v))}`;
+    }
+    
+    // User management for admins - roles and quotas
+    async loadUsers() {
+        if (!this.userList || !this.user || this.user.role !== 'admin') return;
+        
+        try {
+            const users = await this.authRequest('/api/users');
+            this.userList.innerHTML = '';
+            users.forEach(user => {
+                const item = document.createElement('li');
+                const info = document.createElement('span');
+                info.textContent = user.username;
+                const meta = document.createElement('span');
+                meta.className = 'token-meta';
+                const maxDisk = user.quota.maxDiskBytes == null ? '∞' : this.formatBytes(user.quota.maxDiskBytes);
+                const maxActive = user.quota.maxActiveTorrents == null ? '∞' : user.quota.maxActiveTorrents;
+                meta.textContent = ` ${user.usage.activeTorrents}/${maxActive} active, ${this.formatBytes(user.usage.diskBytes)}/${maxDisk}`;
+                info.appendChild(meta);
+                
+                const actions = document.createElement('span');
+                actions.className = 'account-actions';
+                const roleSelect = document.createElement('select');
+                roleSelect.className = 'file-priority';
+                ['admin', 'user', 'viewer'].forEach(role => roleSelect.add(new Option(role, role, false, role === user.role)));
+                roleSelect.addEventListener('change', () => this.updateUser(user.username, { role: roleSelect.value }));
+                
+                const quotaBtn = document.createElement('button');
+                quotaBtn.className = 'btn btn-small';
+                quotaBtn.innerHTML = '<i class="fas fa-hdd"></i> Quota';
+                quotaBtn.addEventListener('click', () => this.editUserQuota(user));
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn btn-small';
+                deleteBtn.innerHTML = '<i class="fas fa-user-minus"></i>';
+                deleteBtn.title = `Delete ${user.username}`;
+                deleteBtn.disabled = user.username === this.user.username;
+                deleteBtn.addEventListener('click', () => this.deleteUser(user.username));
+                
+                actions.append(roleSelect, quotaBtn, deleteBtn);
+                item.append(info, actions);
+                this.userList.appendChild(item);
+            });
+        } catch (error) {
+            this.addLogEntry(`Failed to load users: ${error.message}`, 'error');
+        }
+    }
+    
+    async createUser() {
+        const username = prompt('Username for the new account:');
+        if (!username) return;
+        const password = prompt(`Password for ${username} (at least 8 characters):`);
+        if (!password) return;
+        const role = prompt('Role: admin, user or viewer', 'user');
+        if (!role) return;
+        
+        try {
+            await this.authRequest('/api/users', 'POST', { username: username.trim(), password, role: role.trim() });
+            this.addLogEntry(`Created ${role.trim()} ${username.trim()}`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            this.addLogEntry(`Failed to create user: ${error.message}`, 'error');
+        }
+    }
+    
+    async updateUser(username, changes) {
+        try {
+            await this.authRequest(`/api/users/${encodeURIComponent(username)}`, 'PUT', changes);
+            this.addLogEntry(`Updated ${username}`, 'success');
+        } catch (error) {
+            this.addLogEntry(`Failed to update ${username}: ${error.message}`, 'error');
+        }
+        this.loadUsers();
+    }
+    
+    editUserQuota(user) {
+        const currentDisk = user.quota.maxDiskBytes == null ? '' : String(Math.round(user.quota.maxDiskBytes / (1024 ** 3)));
+        const disk = prompt(`Disk quota for ${user.username} in GB (empty for unlimited):`, currentDisk);
+        if (disk === null) return;
+        const active = prompt(`Maximum active torrents for ${user.username} (empty for unlimited):`, user.quota.maxActiveTorrents ?? '');
+        if (active === null) return;
+        
+        const maxDiskBytes = disk.trim() === '' ? -1 : Math.round(Number(disk) * 1024 ** 3);
+        const maxActiveTorrents = active.trim() === '' ? -1 : Number(active);
+        if (!Number.isFinite(maxDiskBytes) || !Number.isInteger(maxActiveTorrents)) {
+            this.addLogEntry('Quota must be a number', 'error');
+            return;
+        }
+        this.updateUser(user.username, { quota: { maxDiskBytes, maxActiveTorrents } });
+    }
+    
+    async deleteUser(username) {
+        if (!confirm(`Delete ${username}? Their torrents stay and remain visible to admins.`)) return;
+        
+        try {
+            await this.authRequest(`/api/users/${encodeURIComponent(username)}`, 'DELETE');
+            this.addLogEntry(`Deleted ${username}`, 'info');
+            this.loadUsers();
+        } catch (error) {
+            this.addLogEntry(`Failed to delete ${username}: ${error.message}`, 'error');
+        }
+    }
+    
+    redirectToLogin() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+    }
+    
+    async logout() {
+        try {
+            await fetch(`${this.serverUrl}/api/auth/logout`, { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('[ERROR] Logout failed:', error);
+        }
+        window.location.href = '/login';
+    }
+    
+    // Send a JSON request to the auth API; returns the parsed body or throws with the server's message
+    async authRequest(path, method = 'GET', body = undefined) {
+        const response = await fetch(`${this.serverUrl}${path}`, {
+            method,
+            credentials: 'same-origin',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 401) {
+            this.redirectToLogin();
+        }
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+    
+    async changePassword() {
+        const currentPassword = prompt('Current password:');
+        if (!currentPassword) return;
+        const newPassword = prompt('New password (at least 8 characters):');
+        if (!newPassword) return;
+        
+        try {
+            await this.authRequest('/api/auth/password', 'POST', { currentPassword, newPassword });
+            this.addLogEntry('Password changed; other sessions were signed out', 'success');
+        } catch (error) {
+            this.addLogEntry(`Failed to change password: ${error.message}`, 'error');
+        }
+    }
+    
+    async loadApiTokens() {
+        if (!this.user || !this.apiTokenList) return;
+        
+        try {
+            const tokens = await this.authRequest('/api/auth/tokens');
+            this.apiTokenList.innerHTML = '';
+            tokens.forEach(token => {
+                const item = document.createElement('li');
+                const info = document.createElement('span');
+                info.textContent = token.name;
+                const meta = document.createElement('span');
+                meta.className = 'token-meta';
+                meta.textContent = ` created ${new Date(token.createdAt).toLocaleDateString()}` +
+                    (token.lastUsed ? `, last used ${new Date(token.lastUsed).toLocaleString()}` : ', never used');
+                info.appendChild(meta);
+                
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'btn btn-small';
+                revokeBtn.innerHTML = '<i class="fas fa-trash"></i> Revoke';
+                revokeBtn.addEventListener('click', () => this.revokeApiToken(token.id, token.name));
+                
+                item.append(info, revokeBtn);
+                this.apiTokenList.appendChild(item);
+            });
+        } catch (error) {
+            this.addLogEntry(`Failed to load API tokens: ${error.message}`, 'error');
+        }
+    }
+    
+    async createApiToken() {
+        const name = prompt('Name for the new API token (e.g. the script that will use it):');
+        if (!name) return;
+        
+        try {
+            const created = await this.authRequest('/api/auth/tokens', 'POST', { name });
+            // The raw token is only available now
+            prompt('Copy your API token now - it will not be shown again:', created.token);
+            this.addLogEntry(`Created API token "${created.name}"`, 'success');
+            this.loadApiTokens();
+        } catch (error) {
+            this.addLogEntry(`Failed to create API token: ${error.message}`, 'error');
+        }
+    }
+    
+    async revokeApiToken(tokenId, name) {
+        if (!confirm(`Revoke API token "${name}"? Scripts using it will stop working.`)) return;
+        
+        try {
+            await this.authRequest(`/api/auth/tokens/${encodeURIComponent(tokenId)}`, 'DELETE');
+            this.addLogEntry(`Revoked API token "${name}"`, 'info');
+            this.loadApiTokens();
+        } catch (error) {
+            this.addLogEntry(`Failed to revoke API token: ${error.message}`, 'error');
+        }
+    }
+    
+    // Signed, expiring link to one file; returns its stream URL or null if cancelled or refused
+    async createShareLink(torrentId, fileIndex) {
+        const hours = prompt('Share link valid for how many hours?', '24');
+        if (hours === null) return null;
+        const maxUses = prompt('Maximum number of plays/downloads (empty for unlimited):', '');
+        if (maxUses === null) return null;
+        
+        const params = new URLSearchParams({ share: '1', expiresIn: String(Math.round(Number(hours) * 60)) });
+        if (maxUses.trim()) params.set('maxUses', maxUses.trim());
+        
+        try {
+            const result = await this.authRequest(`/api/torrents/${encodeURIComponent(torrentId)}/files/${fileIndex}/stream-url?${params}`);
+            this.loadShareLinks();
+            return result.streamUrl;
+        } catch (error) {
+            this.addLogEntry(`Failed to create share link: ${error.message}`, 'error');
+            return null;
+        }
+    }
+    
+    async loadShareLinks() {
+        if (!this.shareLinkList || this.settingsSection.hidden) return;
+        
+        try {
+            const links = await this.authRequest('/api/shares');
+            this.shareLinkList.innerHTML = '';
+            links.filter(link => link.active).forEach(link => {
+                const torrent = this.torrents.get(link.torrentId);
+                const file = torrent && torrent.files ? torrent.files[link.fileIndex] : null;
+                const item = document.createElement('li');
+                const info = document.createElement('span');
+                info.textContent = file ? file.name : `${link.torrentId} #${link.fileIndex}`;
+                const meta = document.createElement('span');
+                meta.className = 'token-meta';
+                meta.textContent = ` expires ${new Date(link.expiresAt).toLocaleString()}, ` +
+                    `${link.uses}${link.maxUses ? `/${link.maxUses}` : ''} uses, ${this.formatBytes(link.bytesServed)} served`;
+                info.appendChild(meta);
+                
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'btn btn-small';
+                revokeBtn.innerHTML = '<i class="fas fa-ban"></i> Revoke';
+                revokeBtn.addEventListener('click', () => this.revokeShareLink(link.id));
+                
+                item.append(info, revokeBtn);
+                this.shareLinkList.appendChild(item);
+            });
+            if (!this.shareLinkList.children.length) {
+                this.shareLinkList.innerHTML = '<li class="token-meta">No active share links</li>';
+            }
+        } catch (error) {
+            this.addLogEntry(`Failed to load share links: ${error.message}`, 'error');
+        }
+    }
+    
+    async revokeShareLink(shareId) {
+        try {
+            await this.authRequest(`/api/shares/${encodeURIComponent(shareId)}`, 'DELETE');
+            this.addLogEntry('Share link revoked', 'info');
+            this.loadShareLinks();
+        } catch (error) {
+            this.addLogEntry(`Failed to revoke share link: ${error.message}`, 'error');
+        }
+    }
+    
+    // Upload one or more .torrent files
+    async uploadTorrentFiles(fileList, fresh = false) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        
+        for (const file of files) {
+            if (!file.name.toLowerCase().endsWith('.torrent')) {
+                this.addLogEntry(`Skipped ${file.name}: not a .torrent file`, 'warning');
+                continue;
+            }
+            
+            const formData = new FormData();
+            formData.append('torrent', file);
+            formData.append('fresh', fresh ? 'true' : 'false');
+            
+            try {
+                this.addLogEntry(`Uploading ${file.name}...`, 'info');
+                const response = await fetch(`${this.serverUrl}/api/torrents/upload`, {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    body: formData
+                });
+                const result = await response.json().catch(() => ({}));
+                
+                if (response.status === 401) {
+                    this.redirectToLogin();
+                    return;
+                }
+                
+                if (response.status === 409) {
+                    this.handleTorrentExists({ torrentId: result.torrentId, name: file.name, trackersAdded: result.trackersAdded });
+                    continue;
+                }
+                
+                if (!response.ok) {
+                    throw new Error(result.message || result.error || `Upload failed (HTTP ${response.status})`);
+                }
+                
+                this.addLogEntry(`Added ${result.name || file.name} (${result.fileCount || 0} files)`, 'success');
+            } catch (error) {
+                console.error('[ERROR] Error uploading torrent file:', error);
+                this.addLogEntry(`Failed to add ${file.name}: ${error.message}`, 'error');
+            }
+        }
+    }
+    
+    startTorrent(torrentId) {
+        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            console.error('Cannot resume torrent: WebSocket not connected');
+            return false;
+        }
+        
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent) {
+            this.addLogEntry('Torrent not found', 'error');
+            return false;
+        }
+        
+        // Update UI immediately to show starting state
+        const previousStatus = torrent.status;
+        torrent.status = 'starting';
+        this.updateTorrentCard(torrent);
+        
+        // Resume picks up the pieces already on disk
+        this.sendMessage({
+            type: 'resume-torrent',
+            torrentId: torrentId,
+            timestamp: Date.now()
+        }).catch(() => this.revertTorrentStatus(torrentId, 'starting', previousStatus));
+        
+        this.addLogEntry(`Resuming torrent: ${torrent.name || torrent.fileName || torrentId}`, 'info');
+        return true;
+    }
+    
+    stopTorrent(torrentId) {
+        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            console.error('Cannot pause torrent: WebSocket not connected');
+            return false;
+        }
+        
+        try {
+            // Update UI immediately to show stopping state
+            const torrent = this.torrents.get(torrentId);
+            const previousStatus = torrent ? torrent.status : null;
+            if (torrent) {
+                torrent.status = 'stopping';
+                this.updateTorrentCard(torrent);
+                this.renderTorrentList();
+            }
+            
+            this.sendMessage({
+                type: 'pause-torrent',
+                torrentId: torrentId,
+                timestamp: Date.now()
+            }).catch(() => this.revertTorrentStatus(torrentId, 'stopping', previousStatus));
+            
+            this.addLogEntry(`Pausing torrent: ${torrentId}`, 'info');
+            return true;
+            
+        } catch (error) {
+            console.error('Error sending pause-torrent message:', error);
+            this.addLogEntry(`Failed to pause torrent: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
+    removeTorrent(torrentId, deleteFiles = false) {
+        if (!torrentId || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            console.error('Cannot remove torrent: WebSocket not connected');
+            return false;
+        }
+        
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent) {
+            this.addLogEntry(`Torrent not found: ${torrentId}`, 'error');
+            return false;
+        }
+        
+        // Show confirmation dialog for deleting files
+        if (deleteFiles) {
+            const confirmed = confirm('Are you sure you want to delete the downloaded files? This action cannot be undone.');
+            if (!confirmed) return false;
+        }
+        
+        try {
             // Update UI immediately to show removing state
+            const previousStatus = torrent.status;
             torrent.status = 'removing';
             this.updateTorrentCard(torrent);
             
@@ -832,12 +2111,15 @@ class WebTorrentApp {
             
             this.addLogEntry(`${actionText} torrent: ${torrent.name || torrent.torrentId}`, 'info');
             
-            this.ws.send(JSON.stringify({
+            this.sendMessage({
                 type: 'remove-torrent',
                 torrentId: torrentId,
                 deleteFiles: deleteFiles,
                 timestamp: Date.now()
-            }));
+            }).catch(() => {
+                if (card) card.classList.remove('removing');
+                this.revertTorrentStatus(torrentId, 'removing', previousStatus);
+            });
             
             return true;
             
@@ -848,6 +2130,16 @@ class WebTorrentApp {
         }
     }
     
+    // Undo an optimistic status when the server refuses the action, unless an update has replaced it since
+    revertTorrentStatus(torrentId, optimisticStatus, previousStatus) {
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent || torrent.status !== optimisticStatus || !previousStatus) return;
+        
+        torrent.status = previousStatus;
+        this.updateTorrentCard(torrent);
+        this.renderTorrentList();
+    }
+    
     renderTorrentList() {
         if (!this.torrentsContainer) return;
         
@@ -856,6 +2148,8 @@ class WebTorrentApp {
             this.noTorrents.style.display = this.torrents.size === 0 ? 'flex' : 'none';
         }
         
+        this.updateHeaderStats();
+        
         if (this.torrents.size === 0) return;
         
         // Define status priority for sorting
@@ -864,18 +2158,24 @@ class WebTorrentApp {
             'verifying': 1,
             'seeding': 2,
             'completed': 3,
-            'stopped': 4,
-            'error': 5,
-            'unknown': 6
+            'queued': 4,
+            'paused': 5,
+            'stopped': 5,
+            'error': 6,
+            'unknown': 7
         };
         
-        // Sort torrents by status and name
+        // Sort torrents by queue position, falling back to status and name
         const sortedTorrents = Array.from(this.torrents.values()).sort((a, b) => {
+            const positionA = a.queuePosition || Infinity;
+            const positionB = b.queuePosition || Infinity;
+            if (positionA !== positionB) return positionA - positionB;
+            
             const statusA = a.status || 'unknown';
             const statusB = b.status || 'unknown';
             
-            // First sort by status
-            const statusDiff = (statusPriority[statusA] || 6) - (statusPriority[statusB] || 6);
+            // Then sort by status
+            const statusDiff = (statusPriority[statusA] ?? 7) - (statusPriority[statusB] ?? 7);
             if (statusDiff !== 0) return statusDiff;
             
             // Then sort by name
@@ -897,6 +2197,18 @@ class WebTorrentApp {
             this.updateTorrentCard(torrent);
         });
         
+        // Keep the cards in queue order; only move nodes that are out of place to avoid flicker
+        let previousCard = this.noTorrents && this.noTorrents.parentNode === this.torrentsContainer ? this.noTorrents : null;
+        sortedTorrents.forEach(torrent => {
+            const card = document.getElementById(`torrent-${torrent.torrentId}`);
+            if (!card) return;
+            const expectedNext = previousCard ? previousCard.nextElementSibling : this.torrentsContainer.firstElementChild;
+            if (expectedNext !== card) {
+                this.torrentsContainer.insertBefore(card, expectedNext);
+            }
+            previousCard = card;
+        });
+        
         // Remove any cards that are no longer in the torrents map
         currentCardIds.forEach(cardId => {
             const card = document.getElementById(cardId);
@@ -958,10 +2270,22 @@ class WebTorrentApp {
                         <div class="torrent-title-section">
                             <h3 class="torrent-title" title="${this.escapeHTML(torrent.name || torrent.fileName || torrent.torrentId)}">${this.escapeHTML(torrent.name || torrent.fileName || torrent.torrentId || 'Unknown')}</h3>
                             <span class="status-badge"></span>
+                            <span class="torrent-owner"></span>
                         </div>
                         <div class="torrent-actions">
-                            <button class="btn btn-sm btn-primary start-btn"><i class="fas fa-play"></i> Start</button>
-                            <button class="btn btn-sm btn-warning stop-btn"><i class="fas fa-stop"></i> Stop</button>
+                            <span class="queue-controls">
+                                <span class="queue-position" title="Queue position"></span>
+                                <button class="btn btn-sm queue-btn" data-direction="top" title="Move to top"><i class="fas fa-angle-double-up"></i></button>
+                                <button class="btn btn-sm queue-btn" data-direction="up" title="Move up"><i class="fas fa-angle-up"></i></button>
+                                <button class="btn btn-sm queue-btn" data-direction="down" title="Move down"><i class="fas fa-angle-down"></i></button>
+                                <button class="btn btn-sm queue-btn" data-direction="bottom" title="Move to bottom"><i class="fas fa-angle-double-down"></i></button>
+                            </span>
+                            <button class="btn btn-sm btn-primary start-btn"><i class="fas fa-play"></i> Resume</button>
+                            <button class="btn btn-sm btn-warning stop-btn"><i class="fas fa-pause"></i> Pause</button>
+                            <button class="btn btn-sm limit-btn" title="Set bandwidth limits for this torrent"><i class="fas fa-tachometer-alt"></i> Limit</button>
+                            <button class="btn btn-sm seeding-btn" title="Set seeding goals for this torrent"><i class="fas fa-flag-checkered"></i> Goals</button>
+                            <button class="btn btn-sm sequential-btn" title="Download pieces in order to watch while downloading"><i class="fas fa-sort-numeric-down"></i> In order</button>
+                            <a class="btn btn-sm playlist-btn" download title="Playlist of the video and audio files for VLC and other players"><i class="fas fa-list"></i> Playlist</a>
                             <button class="btn btn-sm btn-danger remove-btn"><i class="fas fa-trash"></i> Remove</button>
                             <button class="btn btn-sm btn-danger delete-btn"><i class="fas fa-trash-alt"></i> Delete Files</button>
                         </div>
@@ -976,6 +2300,12 @@ class WebTorrentApp {
                             <div class="stat-item"><span class="stat-label">Speed:</span> <span class="stat-value">0 B/s</span></div>
                             <div class="stat-item"><span class="stat-label">Peers:</span> <span class="stat-value">0</span></div>
                             <div class="stat-item"><span class="stat-label">ETA:</span> <span class="stat-value">--:--:--</span></div>
+                            <div class="stat-item"><span class="stat-label">Limit:</span> <span class="stat-value">∞</span></div>
+                            <div class="stat-item"><span class="stat-label">Ratio:</span> <span class="stat-value">0.00</span></div>
+                        </div>
+                        <div class="seed-goal" style="display: none;">
+                            <span class="seed-goal-text"></span>
+                            <div class="seed-goal-bar"><div class="seed-goal-fill"></div></div>
                         </div>
                     </div>
                     <div class="torrent-files-container">
@@ -991,8 +2321,14 @@ class WebTorrentApp {
             // Add event listeners for action buttons
             card.querySelector('.start-btn').addEventListener('click', () => this.startTorrent(torrentId));
             card.querySelector('.stop-btn').addEventListener('click', () => this.stopTorrent(torrentId));
+            card.querySelector('.limit-btn').addEventListener('click', () => this.editTorrentBandwidth(torrentId));
+            card.querySelector('.seeding-btn').addEventListener('click', () => this.editSeedingPolicy(torrentId));
+            card.querySelector('.sequential-btn').addEventListener('click', () => this.toggleSequential(torrentId));
             card.querySelector('.remove-btn').addEventListener('click', () => this.removeTorrent(torrentId, false));
             card.querySelector('.delete-btn').addEventListener('click', () => this.removeTorrent(torrentId, true));
+            card.querySelectorAll('.queue-btn').forEach(button => {
+                button.addEventListener('click', () => this.moveTorrent(torrentId, button.dataset.direction));
+            });
 
             // Add event listener for file list toggle - make entire header clickable
             const toggleFilesHeader = card.querySelector('.torrent-files-header');
@@ -1046,7 +2382,7 @@ class WebTorrentApp {
         }
 
         const status = torrent.status || 'unknown';
-        card.className = `torrent-card status-${status} fade-in`;
+        card.className = `torrent-card status-${status} fade-in${card.classList.contains('updated') ? ' updated' : ''}`;
 
         // Update thumbnail icon based on status
         const thumbnail = card.querySelector('.torrent-thumbnail i');
@@ -1057,6 +2393,8 @@ class WebTorrentApp {
                 'verifying': 'fas fa-check-circle',
                 'completed': 'fas fa-check',
                 'stopped': 'fas fa-stop',
+                'paused': 'fas fa-pause',
+                'queued': 'fas fa-hourglass-half',
                 'stopping': 'fas fa-spinner fa-spin',
                 'error': 'fas fa-exclamation-triangle',
                 'unknown': 'fas fa-download'
@@ -1086,11 +2424,44 @@ class WebTorrentApp {
         updateStat('.stat-item:nth-child(3) .stat-value', this.formatSpeed(torrent.downloadSpeed || 0));
         updateStat('.stat-item:nth-child(4) .stat-value', torrent.peers || 0);
         updateStat('.stat-item:nth-child(5) .stat-value', this.formatTimeRemaining(torrent.timeRemaining));
+        updateStat('.stat-item:nth-child(6) .stat-value', (torrent.downloadLimit ?? -1) < 0 && (torrent.uploadLimit ?? -1) < 0 ?
+            '∞' : `↓ ${this.formatLimit(torrent.downloadLimit)} ↑ ${this.formatLimit(torrent.uploadLimit)}`);
+
+        updateStat('.stat-item:nth-child(7) .stat-value', (torrent.seedRatio || 0).toFixed(2));
+        this.updateSeedGoal(card, torrent);
+
+        const queuePosition = card.querySelector('.queue-position');
+        if (queuePosition) {
+            queuePosition.textContent = torrent.queuePosition ? `#${torrent.queuePosition}` : '';
+        }
+
+        // Admins and viewers also see other people's torrents
+        const owner = card.querySelector('.torrent-owner');
+        if (owner) {
+            owner.textContent = this.user && torrent.owner && torrent.owner !== this.user.username ? `by ${torrent.owner}` : '';
+        }
+        card.classList.toggle('read-only', !this.canControlTorrent(torrent));
+
+        const playlistBtn = card.querySelector('.playlist-btn');
+        if (playlistBtn) {
+            // Only running torrents can be streamed
+            const isRunning = !['paused', 'queued', 'stopped', 'error'].includes(status);
+            playlistBtn.style.display = isRunning && this.canExportPlaylist() && this.getPlayableFiles(torrent).length ? '' : 'none';
+            playlistBtn.href = `${this.serverUrl}/api/torrents/${torrent.torrentId}/playlist.m3u8`;
+        }
+
+        const sequentialBtn = card.querySelector('.sequential-btn');
+        if (sequentialBtn) {
+            sequentialBtn.classList.toggle('sequential', Boolean(torrent.sequential));
+            sequentialBtn.title = torrent.sequential ?
+                'Downloading in order - click to go back to the usual piece order' :
+                'Download pieces in order to watch while downloading';
+        }
 
         const startBtn = card.querySelector('.start-btn');
         const stopBtn = card.querySelector('.stop-btn');
-        if (startBtn) startBtn.disabled = ['downloading', 'seeding', 'verifying', 'stopping'].includes(status);
-                if (stopBtn) stopBtn.disabled = ['stopped', 'stopping', 'error'].includes(status);
+        if (startBtn) startBtn.disabled = !['paused', 'stopped', 'error'].includes(status);
+        if (stopBtn) stopBtn.disabled = ['paused', 'stopped', 'stopping', 'error'].includes(status);
 
         // Handle Stream URL display - with null check
         const streamUrlContainer = card ? card.querySelector('.stream-url-container') : null;
@@ -1121,9 +2492,9 @@ class WebTorrentApp {
         }
 
         if (status === 'stopping' && stopBtn) {
-            stopBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Stopping...';
-        } else if (stopBtn && stopBtn.innerHTML && stopBtn.innerHTML.includes('Stopping')) {
-            stopBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+            stopBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Pausing...';
+        } else if (stopBtn && stopBtn.innerHTML && stopBtn.innerHTML.includes('Pausing')) {
+            stopBtn.innerHTML = '<i class="fas fa-pause"></i> Pause';
         }
 
         // Update file count in header - with comprehensive null checks
@@ -1167,22 +2538,35 @@ class WebTorrentApp {
                 
                 // Check if file is a video
                 const isVideo = file.isVideo || this.isVideoFile(file.name);
+                const playable = this.isPlayableFile(file);
+                const fileIcon = isVideo ? 'fa-video' : (playable ? 'fa-music' : (file.isSubtitle ? 'fa-closed-captioning' : 'fa-file'));
                 const streamUrl = this.generateStreamUrl(torrent.torrentId, index);
                 const downloadUrl = this.generateDownloadUrl(torrent.torrentId, index);
                 
+                fileItem.dataset.fileIndex = index;
                 fileItem.innerHTML = `
                         <div class="file-info">
-                            ${isVideo ? '<i class="fas fa-video file-icon"></i>' : '<i class="fas fa-file file-icon"></i>'}
+                            <input type="checkbox" class="file-select" title="Download this file" ${file.priority !== 'skip' ? 'checked' : ''} />
+                            <i class="fas ${fileIcon} file-icon"></i>
                             <span class="file-name" title="${this.escapeHTML(file.path || file.name)}">${this.escapeHTML(file.name)}</span>
                             <span class="file-size">${this.formatBytes(file.length)}</span>
+                            <span class="file-progress-text">${Math.floor(file.progress || 0)}%</span>
+                            <select class="file-priority" title="Download priority">
+                                <option value="high">High</option>
+                                <option value="normal">Normal</option>
+                                <option value="skip">Skip</option>
+                            </select>
+                        </div>
+                        <div class="file-progress">
+                            <div class="file-progress-bar" style="width: ${Math.min(100, file.progress || 0)}%;"></div>
                         </div>
                         <div class="file-actions">
-                            ${isVideo ? `
-                                <a href="${streamUrl}" target="_blank" class="btn btn-sm btn-success btn-stream">
+                            ${playable ? `
+                                <a href="${streamUrl}" target="_blank" class="btn btn-sm btn-success btn-stream" title="Play here; middle-click opens the stream in a new tab">
                                     <i class="fas fa-play"></i> Play
                                 </a>
-                                <button class="btn btn-sm btn-info copy-stream-btn" data-url="${streamUrl}">
-                                    <i class="fas fa-link"></i> Copy URL
+                                <button class="btn btn-sm btn-info copy-stream-btn" data-url="${streamUrl}" title="Copy a signed link that works without signing in">
+                                    <i class="fas fa-link"></i> Share link
                                 </button>
                             ` : ''}
                             <a href="${downloadUrl}" class="btn btn-sm btn-primary btn-download">
@@ -1191,13 +2575,38 @@ class WebTorrentApp {
                         </div>
                 `;
                 
-                // Add copy link functionality for video files
-                if (isVideo) {
+                // File selection and priority
+                const selectBox = fileItem.querySelector('.file-select');
+                const prioritySelect = fileItem.querySelector('.file-priority');
+                if (prioritySelect) {
+                    prioritySelect.value = file.priority || 'normal';
+                    prioritySelect.addEventListener('change', () => {
+                        this.setFilePriority(torrentId, index, prioritySelect.value);
+                    });
+                }
+                if (selectBox) {
+                    selectBox.addEventListener('change', () => {
+                        this.setFilePriority(torrentId, index, selectBox.checked ? 'normal' : 'skip');
+                    });
+                }
+                
+                // Built-in player and copy link functionality for video and audio files
+                if (playable) {
+                    const playBtn = fileItem.querySelector('.btn-stream');
+                    if (playBtn) {
+                        playBtn.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            this.openPlayer(torrentId, index);
+                        });
+                    }
+                    
                     const copyBtn = fileItem.querySelector('.copy-stream-btn');
                     if (copyBtn) {
-                        copyBtn.addEventListener('click', (e) => {
+                        copyBtn.addEventListener('click', async (e) => {
                             e.preventDefault();
-                            const url = copyBtn.dataset.url;
+                            // External players can't sign in, so hand out a signed link instead of the plain URL
+                            const url = await this.createShareLink(torrentId, index);
+                            if (!url) return;
                             navigator.clipboard.writeText(url).then(() => {
                                 const originalHTML = copyBtn.innerHTML;
                                 copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied!';
@@ -1205,7 +2614,7 @@ class WebTorrentApp {
                                 copyBtn.classList.remove('btn-info');
                                 
                                 // Show a tooltip/notification
-                                this.addLogEntry(`Stream URL copied: ${url}`, 'success');
+                                this.addLogEntry(`Share link copied: ${url}`, 'success');
                                 
                                 setTimeout(() => {
                                     copyBtn.innerHTML = originalHTML;
@@ -1241,6 +2650,9 @@ class WebTorrentApp {
                 }
             }
         }
+        
+        // Per-file progress and selection change on every update, so patch them in place
+        this.updateFileItems(fileList, torrent.files);
         } catch (error) {
             console.error(`Error updating torrent ${torrent.torrentId}:`, error);
             this.addLogEntry(`Error updating torrent ${torrent.torrentId}: ${error.message}`, 'error');
@@ -1250,6 +2662,60 @@ class WebTorrentApp {
         // The page won't refresh when scrolled down
     }
     
+    updateFileItems(fileList, files) {
+        fileList.querySelectorAll('.file-item').forEach(fileItem => {
+            const file = files[parseInt(fileItem.dataset.fileIndex, 10)];
+            if (!file) return;
+            
+            const progress = Math.min(100, Math.max(0, file.progress || 0));
+            const priority = file.priority || 'normal';
+            
+            fileItem.classList.toggle('file-skipped', priority === 'skip');
+            
+            const progressBar = fileItem.querySelector('.file-progress-bar');
+            if (progressBar) progressBar.style.width = `${progress}%`;
+            
+            const progressText = fileItem.querySelector('.file-progress-text');
+            if (progressText) progressText.textContent = `${Math.floor(progress)}%`;
+            
+            // Don't fight the user while they have a control focused
+            const selectBox = fileItem.querySelector('.file-select');
+            if (selectBox && document.activeElement !== selectBox) {
+                selectBox.checked = priority !== 'skip';
+            }
+            const prioritySelect = fileItem.querySelector('.file-priority');
+            if (prioritySelect && document.activeElement !== prioritySelect) {
+                prioritySelect.value = priority;
+            }
+        });
+    }
+    
+    setFilePriority(torrentId, fileIndex, priority) {
+        const torrent = this.torrents.get(torrentId);
+        const file = torrent && torrent.files ? torrent.files[fileIndex] : null;
+        
+        // Reflect the change immediately; the server's update confirms it
+        const previous = file ? { priority: file.priority, selected: file.selected } : null;
+        if (file) {
+            file.priority = priority;
+            file.selected = priority !== 'skip';
+        }
+        
+        this.sendMessage({
+            type: 'set-file-priority',
+            torrentId,
+            fileIndex,
+            priority,
+            timestamp: Date.now()
+        }).catch(() => {
+            if (!previous || file.priority !== priority) return;
+            Object.assign(file, previous);
+            this.handleTorrentUpdate({ torrentId, data: { files: torrent.files } });
+        });
+        
+        this.addLogEntry(`Set ${file ? file.name : `file ${fileIndex}`} to ${priority}`, 'info');
+    }
+    
     // Auto-refresh methods
     startAutoRefresh() {
         if (this.refreshInterval) {
@@ -1294,7 +2760,7 @@ class WebTorrentApp {
         if (this.torrents.size > 0) {
             // Save current scroll position before requesting updates
             this.lastScrollPosition = window.scrollY;
-            this.sendMessage({ type: 'get-torrents' });
+            this.sendMessage({ type: 'resync', timestamp: Date.now() });
         }
     }
     
@@ -1305,6 +2771,258 @@ class WebTorrentApp {
         }
     }
     
+    // Built-in player: the torrent's video and audio files as a playlist, with its pieces on the seek bar
+    openPlayer(torrentId, fileIndex) {
+        const torrent = this.torrents.get(torrentId);
+        if (!torrent || !this.playerModal) return;
+        
+        if (this.player) clearInterval(this.player.timer);
+        this.player = { torrentId, fileIndex: null, pieces: null, timer: null };
+        this.playerModal.hidden = false;
+        document.body.classList.add('player-open');
+        
+        this.renderPlaylist(torrent);
+        this.playFile(fileIndex);
+        this.player.timer = setInterval(() => this.refreshPlayerPieces(), PLAYER_REFRESH_INTERVAL);
+    }
+    
+    closePlayer() {
+        if (!this.player) return;
+        
+        clearInterval(this.player.timer);
+        this.player = null;
+        
+        // Dropping the source ends the stream, so the server stops prioritizing its pieces
+        this.playerMedia.pause();
+        this.playerMedia.removeAttribute('src');
+        this.setSubtitleTracks([]);
+        this.playerMedia.load();
+        this.playerModal.hidden = true;
+        document.body.classList.remove('player-open');
+    }
+    
+    playFile(fileIndex) {
+        const torrent = this.torrents.get(this.player.torrentId);
+        const file = torrent && torrent.files ? torrent.files[fileIndex] : null;
+        if (!file) return;
+        
+        const streamUrl = this.generateStreamUrl(this.player.torrentId, fileIndex);
+        this.player.fileIndex = fileIndex;
+        this.player.pieces = null;
+        
+        this.playerFileName.textContent = file.name;
+        this.playerOpenLink.href = streamUrl;
+        this.playerMedia.classList.toggle('audio-only', !(file.isVideo || this.isVideoFile(file.name)));
+        this.playerMedia.src = streamUrl;
+        this.setSubtitleTracks(file.subtitles || []);
+        this.playerMedia.play().catch(() => {}); // Autoplay can be refused; the controls are still there
+        
+        this.playerPlaylist.querySelectorAll('li').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.fileIndex, 10) === fileIndex);
+        });
+        this.refreshPlayerPieces();
+    }
+    
+    // Subtitle files found next to the video, converted to WebVTT by the server; the one in the browser's language is shown
+    setSubtitleTracks(subtitles) {
+        this.playerMedia.querySelectorAll('track').forEach(track => track.remove());
+        
+        const preferred = this.findPreferredSubtitle(subtitles);
+        subtitles.forEach(subtitle => {
+            const track = document.createElement('track');
+            track.kind = 'subtitles';
+            track.label = subtitle.label;
+            if (subtitle.language) track.srclang = subtitle.language;
+            track.default = subtitle === preferred;
+            track.src = `${this.serverUrl}${subtitle.url}`;
+            this.playerMedia.appendChild(track);
+        });
+    }
+    
+    findPreferredSubtitle(subtitles) {
+        const languages = (navigator.languages || [navigator.language]).filter(Boolean).map(language => language.toLowerCase());
+        for (const language of languages) {
+            const match = subtitles.find(subtitle => subtitle.language && subtitle.language.toLowerCase() === language) ||
+                subtitles.find(subtitle => subtitle.language && subtitle.language.split('-')[0].toLowerCase() === language.split('-')[0]);
+            if (match) return match;
+        }
+        return null;
+    }
+    
+    // Playlists can only list durations the server has heard about, and the player is where they become known
+    async reportDuration() {
+        const duration = this.playerMedia.duration;
+        if (!this.player || !isFinite(duration) || duration <= 0) return;
+        
+        const { torrentId, fileIndex } = this.player;
+        const torrent = this.torrents.get(torrentId);
+        const file = torrent && torrent.files ? torrent.files[fileIndex] : null;
+        // Read-only accounts may watch but not change what is stored about a torrent
+        if (!file || !this.canControlTorrent(torrent) || (file.duration && Math.abs(file.duration - duration) < 1)) return;
+        
+        try {
+            await this.authRequest(`/api/torrents/${torrentId}/files/${fileIndex}/duration`, 'PUT', { duration });
+        } catch (error) {
+            this.addLogEntry(`Could not save the duration of ${file.name}: ${error.message}`, 'debug');
+        }
+    }
+    
+    // With accounts the server signs every playlist entry, which read-only accounts aren't allowed to do
+    canExportPlaylist() {
+        return !this.user || this.user.role !== 'viewer';
+    }
+    
+    // Starts the next file in the playlist when one ends
+    playNextFile() {
+        if (!this.player) return;
+        
+        const files = this.getPlayableFiles(this.torrents.get(this.player.torrentId));
+        const position = files.findIndex(file => file.index === this.player.fileIndex);
+        if (position >= 0 && position < files.length - 1) {
+            this.playFile(files[position + 1].index);
+        }
+    }
+    
+    getPlayableFiles(torrent) {
+        if (!torrent || !torrent.files) return [];
+        return torrent.files
+            .map((file, index) => ({ ...file, index: file.index ?? index }))
+            .filter(file => this.isPlayableFile(file));
+    }
+    
+    isPlayableFile(file) {
+        return Boolean(file.isVideo || file.isAudio || this.isVideoFile(file.name) || this.isAudioFile(file.name));
+    }
+    
+    renderPlaylist(torrent) {
+        const files = this.getPlayableFiles(torrent);
+        this.playerPlaylist.hidden = files.length < 2;
+        this.playerPlaylist.innerHTML = files.map(file => `
+            <li data-file-index="${file.index}" title="${this.escapeHTML(file.path || file.name)}">
+                <span class="playlist-name">${this.escapeHTML(file.name)}</span>
+                ${file.subtitles && file.subtitles.length ? `<i class="fas fa-closed-captioning" title="${file.subtitles.length} subtitle track(s)"></i>` : ''}
+                <span class="playlist-progress">${Math.floor(file.progress || 0)}%</span>
+            </li>
+        `).join('');
+        this.playerPlaylist.querySelectorAll('li').forEach(item => {
+            item.addEventListener('click', () => this.playFile(parseInt(item.dataset.fileIndex, 10)));
+        });
+    }
+    
+    async refreshPlayerPieces() {
+        if (!this.player) return;
+        
+        const { torrentId, fileIndex } = this.player;
+        if (!this.torrents.has(torrentId)) {
+            this.closePlayer();
+            return;
+        }
+        
+        let pieces = null;
+        try {
+            pieces = await this.authRequest(`/api/torrents/${encodeURIComponent(torrentId)}/files/${fileIndex}/pieces`);
+        } catch (error) {
+            // Paused and queued torrents have no pieces to show; the bar just stays empty
+        }
+        
+        // The player may have been closed or moved on to another file meanwhile
+        if (!this.player || this.player.torrentId !== torrentId || this.player.fileIndex !== fileIndex) return;
+        this.player.pieces = pieces;
+        this.updatePlayer();
+    }
+    
+    updatePlayer() {
+        this.renderSeekBar();
+        this.updatePlayerStats();
+    }
+    
+    // Downloaded ranges from the piece bitfield, what the browser has buffered on top of them, and the playhead
+    renderSeekBar() {
+        if (!this.player) return;
+        
+        const canvas = this.playerSeek;
+        const width = Math.round(canvas.clientWidth * (window.devicePixelRatio || 1));
+        const { height } = canvas;
+        if (width === 0) return;
+        if (canvas.width !== width) canvas.width = width;
+        
+        const context = canvas.getContext('2d');
+        const styles = getComputedStyle(canvas);
+        const color = name => styles.getPropertyValue(name).trim();
+        
+        context.fillStyle = color('--bg-light');
+        context.fillRect(0, 0, width, height);
+        
+        const { pieces } = this.player;
+        if (pieces && pieces.length > 0) {
+            context.fillStyle = color('--primary-dark');
+            pieces.ranges.forEach(({ start, end }) => {
+                context.fillRect(start / pieces.length * width, 0, Math.max((end - start + 1) / pieces.length * width, 1), height);
+            });
+        }
+        
+        const media = this.playerMedia;
+        const { duration } = media;
+        if (!isFinite(duration) || duration <= 0) return;
+        
+        context.fillStyle = color('--secondary');
+        for (let i = 0; i < media.buffered.length; i++) {
+            const start = media.buffered.start(i);
+            context.fillRect(start / duration * width, height / 3, Math.max((media.buffered.end(i) - start) / duration * width, 1), height / 3);
+        }
+        
+        context.fillStyle = color('--text-primary');
+        context.fillRect(Math.min(media.currentTime / duration * width, width - 2), 0, 2, height);
+    }
+    
+    updatePlayerStats() {
+        if (!this.player) return;
+        
+        const torrent = this.torrents.get(this.player.torrentId) || {};
+        const file = torrent.files ? torrent.files[this.player.fileIndex] : null;
+        const setStat = (name, value) => {
+            const element = this.playerStats.querySelector(`[data-stat="${name}"]`);
+            if (element) element.textContent = value;
+            return element;
+        };
+        
+        setStat('peers', torrent.peers || 0);
+        setStat('speed', this.formatSpeed(torrent.downloadSpeed || 0));
+        setStat('file', `${Math.floor(file ? file.progress || 0 : 0)}%`);
+        
+        const ahead = this.getBufferAhead();
+        const health = ahead === null ? '' : (ahead >= BUFFER_HEALTHY ? 'good' : (ahead >= BUFFER_LOW ? 'low' : 'starving'));
+        const buffer = setStat('buffer', ahead === null ? '--' : (ahead === Infinity ? 'Complete' : `${Math.floor(ahead)}s ahead`));
+        if (buffer) buffer.className = health ? `buffer-${health}` : '';
+        
+        this.getPlayableFiles(torrent).forEach(entry => {
+            const progress = this.playerPlaylist.querySelector(`li[data-file-index="${entry.index}"] .playlist-progress`);
+            if (progress) progress.textContent = `${Math.floor(entry.progress || 0)}%`;
+        });
+    }
+    
+    // Seconds past the playhead that are downloaded (assuming a steady bitrate) or already buffered by the browser
+    getBufferAhead() {
+        const { pieces } = this.player;
+        const media = this.playerMedia;
+        const { duration, currentTime } = media;
+        if (!pieces || pieces.length === 0 || !isFinite(duration) || duration <= 0) return null;
+        
+        const [first] = pieces.ranges;
+        if (pieces.ranges.length === 1 && first.start === 0 && first.end === pieces.length - 1) return Infinity;
+        
+        const position = currentTime / duration * pieces.length;
+        const range = pieces.ranges.find(({ start, end }) => start <= position && position <= end);
+        let ahead = range ? (range.end + 1) / pieces.length * duration - currentTime : 0;
+        
+        for (let i = 0; i < media.buffered.length; i++) {
+            if (media.buffered.start(i) <= currentTime && currentTime <= media.buffered.end(i)) {
+                ahead = Math.max(ahead, media.buffered.end(i) - currentTime);
+            }
+        }
+        return Math.max(ahead, 0);
+    }
+    
     // Utility methods
     formatBytes(bytes, decimals = 2) {
         if (bytes === 0) return '0 B';
@@ -1342,6 +3060,8 @@ class WebTorrentApp {
             'verifying': '<i class="fas fa-check-circle"></i>',
             'completed': '<i class="fas fa-check"></i>',
             'stopped': '<i class="fas fa-stop"></i>',
+            'paused': '<i class="fas fa-pause"></i>',
+            'queued': '<i class="fas fa-hourglass-half"></i>',
             'stopping': '<i class="fas fa-spinner fa-spin"></i>',
             'error': '<i class="fas fa-exclamation-triangle"></i>',
             'unknown': '<i class="fas fa-question-circle"></i>'
@@ -1373,32 +3093,120 @@ class WebTorrentApp {
         return videoExtensions.includes(ext);
     }
     
+    isAudioFile(filename) {
+        if (!filename) return false;
+        const audioExtensions = ['.mp3', '.m4a', '.aac', '.flac', '.ogg', '.opus', '.wav'];
+        const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
+        return audioExtensions.includes(ext);
+    }
+    
     // Log handling
     addLogEntry(message, level = 'info') {
-        const timestamp = new Date().toISOString();
-        const logEntry = { timestamp, message, level };
-        
-        // Add to logs array (limit to 1000 entries)
+        this.storeLogEntry({ timestamp: new Date().toISOString(), message, level, subsystem: 'ui' });
+    }
+    
+    addServerLogEntry(entry) {
+        this.addLogSubsystem(entry.subsystem);
+        this.storeLogEntry({
+            id: entry.id,
+            timestamp: entry.timestamp,
+            message: entry.message,
+            level: entry.level,
+            subsystem: entry.subsystem,
+            torrentId: entry.torrentId
+        });
+    }
+    
+    storeLogEntry(logEntry) {
         this.logs.unshift(logEntry);
-        if (this.logs.length > 1000) {
+        if (this.logs.length > MAX_LOG_ENTRIES) {
             this.logs.pop();
         }
         
-        // Update the UI
+        // Server entries can come in bursts, so render at most once a frame
+        if (!this.logRenderPending) {
+            this.logRenderPending = true;
+            requestAnimationFrame(() => {
+                this.logRenderPending = false;
+                this.updateLogs();
+            });
+        }
+    }
+    
+    // Ask the server for log entries matching the level and subsystem filters; the answer replaces the server entries shown
+    subscribeToLogs() {
+        const { level, subsystem } = this.logFilter;
+        this.sendMessage({
+            type: 'subscribe-logs',
+            level,
+            ...(subsystem && subsystem !== 'ui' ? { subsystems: [subsystem] } : {}),
+            history: 200,
+            timestamp: Date.now()
+        }).catch(error => console.warn(`[WARNING] Log subscription failed: ${error.message}`));
+    }
+    
+    setLogFilter(changes) {
+        Object.assign(this.logFilter, changes);
+        this.updateLogs();
+        if (this.isConnected) {
+            this.subscribeToLogs();
+        }
+    }
+    
+    handleLogHistory(data) {
+        (data.subsystems || []).forEach(subsystem => this.addLogSubsystem(subsystem));
+        
+        const history = (data.entries || []).map(entry => ({
+            id: entry.id,
+            timestamp: entry.timestamp,
+            message: entry.message,
+            level: entry.level,
+            subsystem: entry.subsystem,
+            torrentId: entry.torrentId
+        }));
+        this.logs = this.logs.filter(log => log.subsystem === 'ui')
+            .concat(history)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+            .slice(0, MAX_LOG_ENTRIES);
         this.updateLogs();
     }
     
+    addLogSubsystem(subsystem) {
+        if (!subsystem || this.logSubsystems.has(subsystem)) return;
+        
+        this.logSubsystems.add(subsystem);
+        if (this.logSubsystemSelect) {
+            const selected = this.logSubsystemSelect.value;
+            this.logSubsystemSelect.innerHTML = '<option value="">All subsystems</option>' +
+                [...this.logSubsystems].sort().map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('');
+            this.logSubsystemSelect.value = selected;
+        }
+    }
+    
+    matchesLogFilter(log) {
+        const { level, subsystem, search } = this.logFilter;
+        const logLevel = LOCAL_LOG_LEVELS[log.level] || log.level;
+        if (LOG_LEVELS.indexOf(logLevel) > LOG_LEVELS.indexOf(level)) return false;
+        if (subsystem && log.subsystem !== subsystem) return false;
+        if (search && !log.message.toLowerCase().includes(search) && !(log.torrentId || '').includes(search)) return false;
+        return true;
+    }
+    
     updateLogs() {
         if (!this.formattedLogs) return;
         
         // Update formatted logs with colored log levels
-        this.formattedLogs.innerHTML = this.logs.map(log => {
+        this.formattedLogs.innerHTML = this.logs.filter(log => this.matchesLogFilter(log)).map(log => {
             const time = new Date(log.timestamp).toLocaleTimeString();
+            const levelClass = log.level === 'warn' ? 'warning' : log.level;
+            const torrent = log.torrentId ? this.torrents.get(log.torrentId) : null;
+            const target = log.torrentId ? `${(torrent && (torrent.name || torrent.fileName)) || log.torrentId}: ` : '';
             return `
-                <div class="log-entry log-${log.level}">
+                <div class="log-entry ${levelClass}">
                     <span class="log-time">${time}</span>
                     <span class="log-level">[${log.level.toUpperCase()}]</span>
-                    <span class="log-message">${this.escapeHTML(log.message)}</span>
+                    <span class="log-subsystem">${this.escapeHTML(log.subsystem)}</span>
+                    <span class="log-message"${log.torrentId ? ` title="${this.escapeHTML(log.torrentId)}"` : ''}>${this.escapeHTML(target + log.message)}</span>
                 </div>
             `;
         }).join('');
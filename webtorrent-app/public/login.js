@@ -0,0 +1,49 @@
+// Sign in, then go back to the page that sent us here
+const form = document.getElementById('login-form');
+const errors = document.getElementById('login-errors');
+
+function nextUrl() {
+    const next = new URLSearchParams(window.location.search).get('next') || '/';
+    // Only follow local paths so the login page can't be used as an open redirect
+    return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+function showError(message) {
+    errors.innerHTML = '';
+    const item = document.createElement('li');
+    item.textContent = message;
+    errors.appendChild(item);
+    errors.hidden = false;
+}
+
+form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    errors.hidden = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                username: form.elements.username.value.trim(),
+                password: form.elements.password.value
+            })
+        });
+
+        if (response.ok) {
+            window.location.replace(nextUrl());
+            return;
+        }
+
+        const result = await response.json().catch(() => ({}));
+        showError(result.message || `Sign in failed (${response.status})`);
+        form.elements.password.select();
+    } catch (error) {
+        showError(`Cannot reach the server: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+});
@@ -0,0 +1,228 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('queue');
+
+/**
+ * QueueManager - Limits how many torrents download and seed at once
+ * Torrents wait in the 'queued' state and are started in queue order as slots free up.
+ * Paused and errored torrents keep their position but are never started by the queue.
+ */
+class QueueManager {
+    constructor(torrentManager, options = {}) {
+        this.torrentManager = torrentManager;
+        this.order = []; // torrentIds, first = highest priority
+        this.maxActiveDownloads = options.maxActiveDownloads ?? 3; // -1 for unlimited
+        this.maxActiveSeeds = options.maxActiveSeeds ?? 5; // -1 for unlimited
+        this.processing = null;
+        this.reprocess = false;
+        this.onQueueChange = null; // Callback with the new order after a reorder
+
+        // Completed or failed torrents free a slot for the next one in line
+        this.torrentManager.onStateChange = (torrentId, state) => {
+            log.info({ torrentId }, `${torrentId} is ${state}, re-evaluating queue`);
+            this.processQueue();
+        };
+    }
+
+    async addTorrent(source, downloadPath, fresh = false, options = {}) {
+        const result = await this.torrentManager.startTorrent(source, downloadPath, fresh, {
+            ...options,
+            queued: !options.paused
+        });
+
+        // Duplicates already hold their place in the queue
+        if (result.duplicate) {
+            return result;
+        }
+
+        this.syncOrder();
+        await this.processQueue();
+
+        const status = this.torrentManager.getTorrent(result.torrentId);
+        return { torrentId: result.torrentId, status: status ? status.status : result.status };
+    }
+
+    // Restore saved sessions as queued and let the queue decide which ones run
+    async restore() {
+        const restored = await this.torrentManager.restoreSessions({ queued: true });
+        this.syncOrder();
+        await this.processQueue();
+        return restored;
+    }
+
+    async pauseTorrent(torrentId) {
+        const result = await this.torrentManager.pauseTorrent(torrentId);
+        await this.processQueue();
+        return result;
+    }
+
+    // Resuming only puts the torrent back in line; it starts right away if a slot is free
+    async resumeTorrent(torrentId) {
+        const status = this.torrentManager.getTorrent(torrentId);
+        if (!status) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+
+        if (['paused', 'error', 'stopped'].includes(status.status)) {
+            status.status = 'queued';
+            status.error = null;
+            this.torrentManager.persistSession(torrentId, { status: 'queued', error: null });
+            this.torrentManager.broadcastUpdate(torrentId, status);
+        }
+
+        await this.processQueue();
+        return { torrentId, status: status.status };
+    }
+
+    async deleteTorrent(torrentId, deleteFiles = false) {
+        const result = await this.torrentManager.deleteTorrent(torrentId, deleteFiles);
+        this.syncOrder();
+        await this.processQueue();
+        return result;
+    }
+
+    async moveTorrent(torrentId, direction) {
+        this.syncOrder();
+
+        const index = this.order.indexOf(torrentId);
+        if (index === -1) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+
+        const targets = {
+            up: Math.max(0, index - 1),
+            down: Math.min(this.order.length - 1, index + 1),
+            top: 0,
+            bottom: this.order.length - 1
+        };
+
+        if (!Object.prototype.hasOwnProperty.call(targets, direction)) {
+            throw new Error(`Invalid direction "${direction}". Expected one of: ${Object.keys(targets).join(', ')}`);
+        }
+
+        const target = targets[direction];
+        if (target !== index) {
+            this.order.splice(index, 1);
+            this.order.splice(target, 0, torrentId);
+            log.info({ torrentId }, `Moved ${torrentId} ${direction} to position ${target + 1}`);
+        }
+
+        this.updatePositions();
+        await this.processQueue();
+
+        if (this.onQueueChange) {
+            this.onQueueChange(this.getQueue());
+        }
+
+        return this.getQueue();
+    }
+
+    setLimits({ maxActiveDownloads, maxActiveSeeds } = {}) {
+        if (maxActiveDownloads !== undefined) this.maxActiveDownloads = maxActiveDownloads;
+        if (maxActiveSeeds !== undefined) this.maxActiveSeeds = maxActiveSeeds;
+        log.info(`Limits: ${this.maxActiveDownloads} downloads, ${this.maxActiveSeeds} seeds`);
+        return this.processQueue();
+    }
+
+    getQueue() {
+        this.syncOrder();
+        return {
+            order: [...this.order],
+            maxActiveDownloads: this.maxActiveDownloads,
+            maxActiveSeeds: this.maxActiveSeeds
+        };
+    }
+
+    // Drop removed torrents and append new ones so the order always matches the manager
+    syncOrder() {
+        const known = this.torrentManager.activeTorrents;
+        this.order = this.order.filter(torrentId => known.has(torrentId));
+
+        for (const torrentId of known.keys()) {
+            if (!this.order.includes(torrentId)) {
+                this.order.push(torrentId);
+            }
+        }
+
+        this.updatePositions();
+    }
+
+    updatePositions() {
+        this.order.forEach((torrentId, index) => {
+            const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+            if (!torrentInfo) return;
+
+            const position = index + 1;
+            if (torrentInfo.status.queuePosition !== position) {
+                torrentInfo.status.queuePosition = position;
+                this.torrentManager.persistSession(torrentId, { queuePosition: position });
+            }
+        });
+    }
+
+    // Serialize runs: attach/detach are async and overlapping passes would fight over slots
+    processQueue() {
+        if (this.processing) {
+            this.reprocess = true;
+            return this.processing;
+        }
+
+        this.processing = (async () => {
+            try {
+                do {
+                    this.reprocess = false;
+                    await this.runQueuePass();
+                } while (this.reprocess);
+            } catch (error) {
+                log.error(`Error processing queue: ${error.message}`);
+            } finally {
+                this.processing = null;
+            }
+        })();
+
+        return this.processing;
+    }
+
+    async runQueuePass() {
+        this.syncOrder();
+
+        const downloads = [];
+        const seeds = [];
+
+        this.order.forEach(torrentId => {
+            const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+            if (!torrentInfo) return;
+
+            // Paused, errored and transitioning torrents are outside the queue's control
+            if (['paused', 'error', 'stopping', 'stopped'].includes(torrentInfo.status.status)) return;
+
+            (torrentInfo.status.complete ? seeds : downloads).push(torrentId);
+        });
+
+        const allowed = (list, limit) => new Set(limit < 0 ? list : list.slice(0, limit));
+        const runnable = new Set([
+            ...allowed(downloads, this.maxActiveDownloads),
+            ...allowed(seeds, this.maxActiveSeeds)
+        ]);
+
+        // Free slots before filling them so limits are never exceeded mid-pass
+        for (const torrentId of [...downloads, ...seeds]) {
+            const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+            if (!torrentInfo || runnable.has(torrentId)) continue;
+
+            if (torrentInfo.torrent || torrentInfo.status.status !== 'queued') {
+                await this.torrentManager.queueTorrent(torrentId);
+            }
+        }
+
+        for (const torrentId of runnable) {
+            const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+            if (!torrentInfo || torrentInfo.torrent) continue;
+
+            log.info({ torrentId }, `Starting ${torrentId} (position ${torrentInfo.status.queuePosition})`);
+            await this.torrentManager.resumeTorrent(torrentId);
+        }
+    }
+}
+
+export default QueueManager;
@@ -0,0 +1,16 @@
+import path from 'path';
+
+/**
+ * Paths that come from torrents or requests
+ * Magnet names, torrent metadata and URLs are untrusted, so anything joined onto a download directory has to
+ * be checked to still point inside it.
+ */
+
+// Absolute path of relativePath under root, or null if it is empty, absolute, or escapes root (including root itself)
+export function resolveInside(root, relativePath) {
+    if (typeof relativePath !== 'string' || !relativePath || relativePath.includes('\0')) return null;
+
+    const base = path.resolve(root);
+    const resolved = path.resolve(base, relativePath);
+    return resolved.startsWith(base + path.sep) ? resolved : null;
+}
@@ -0,0 +1,255 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('seeding');
+
+/**
+ * SeedingManager - Stops seeding once a torrent reaches its ratio, seed time or idle time goal
+ * Each torrent inherits the global policy; per-torrent fields override it (null = inherit, -1 = no limit).
+ * Uploaded bytes and seed time are accumulated across pauses and restarts in the session store.
+ */
+const NO_LIMIT = -1;
+const ACTIONS = ['pause', 'remove', 'remove-delete'];
+
+const POLICY_FIELDS = ['ratioLimit', 'seedTimeLimit', 'idleTimeLimit'];
+
+// ratioLimit is uploaded / selected size, seedTimeLimit and idleTimeLimit are in minutes
+export function normalizeSeedingPolicy(policy = {}, { partial = false } = {}) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('Seeding policy must be an object');
+    }
+
+    const normalized = {};
+
+    POLICY_FIELDS.forEach(field => {
+        const value = policy[field];
+        if (value === undefined) return;
+        if (value === null) {
+            if (!partial) throw new Error(`${field} is required in the global seeding policy`);
+            normalized[field] = null;
+            return;
+        }
+
+        const limit = Number(value);
+        if (!Number.isFinite(limit) || (limit < 0 && limit !== NO_LIMIT)) {
+            throw new Error(`${field} must be a positive number, or -1 for no limit`);
+        }
+        normalized[field] = limit;
+    });
+
+    if (policy.action !== undefined) {
+        if (policy.action === null && partial) {
+            normalized.action = null;
+        } else if (!ACTIONS.includes(policy.action)) {
+            throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+        } else {
+            normalized.action = policy.action;
+        }
+    }
+
+    return normalized;
+}
+
+class SeedingManager {
+    constructor(torrentManager, queueManager, options = {}) {
+        this.torrentManager = torrentManager;
+        this.queueManager = queueManager;
+        this.policy = {
+            ratioLimit: NO_LIMIT,
+            seedTimeLimit: NO_LIMIT,
+            idleTimeLimit: NO_LIMIT,
+            action: 'pause',
+            ...normalizeSeedingPolicy(options.policy || {})
+        };
+        this.checkInterval = options.checkInterval || 5000;
+        this.checkTimer = null;
+        this.onAction = null; // Callback (torrentId, action, reason, result) after a goal action ran
+    }
+
+    start() {
+        this.checkTimer = setInterval(() => this.checkAll(), this.checkInterval);
+    }
+
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+
+    setCheckInterval(interval) {
+        this.checkInterval = interval;
+        if (this.checkTimer) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    setGlobalPolicy(policy) {
+        this.policy = { ...this.policy, ...normalizeSeedingPolicy(policy) };
+        log.info(`Global policy: ${this.describePolicy(this.policy)}`);
+        this.checkAll();
+        return this.getGlobalPolicy();
+    }
+
+    getGlobalPolicy() {
+        return { ...this.policy };
+    }
+
+    setTorrentPolicy(torrentId, policy) {
+        const torrentInfo = this.torrentManager.activeTorrents.get(torrentId);
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+
+        const seedingPolicy = { ...torrentInfo.seedingPolicy, ...normalizeSeedingPolicy(policy, { partial: true }) };
+
+        // Drop inherited fields so the record only holds real overrides
+        Object.keys(seedingPolicy).forEach(field => {
+            if (seedingPolicy[field] === null) delete seedingPolicy[field];
+        });
+
+        torrentInfo.seedingPolicy = seedingPolicy;
+        this.torrentManager.persistSession(torrentId, { seedingPolicy });
+        log.info({ torrentId }, `${torrentId} policy: ${this.describePolicy(this.getEffectivePolicy(torrentInfo))}`);
+
+        this.updateGoal(torrentInfo);
+        this.torrentManager.broadcastUpdate(torrentId, torrentInfo.status);
+        this.checkTorrent(torrentId, torrentInfo);
+
+        return { torrentId, policy: seedingPolicy, effective: this.getEffectivePolicy(torrentInfo) };
+    }
+
+    getEffectivePolicy(torrentInfo) {
+        return { ...this.policy, ...(torrentInfo.seedingPolicy || {}) };
+    }
+
+    checkAll() {
+        for (const [torrentId, torrentInfo] of this.torrentManager.activeTorrents) {
+            this.checkTorrent(torrentId, torrentInfo);
+        }
+    }
+
+    checkTorrent(torrentId, torrentInfo) {
+        this.track(torrentId, torrentInfo);
+        const goal = this.updateGoal(torrentInfo);
+
+        if (goal && goal.reached && this.isSeeding(torrentInfo) && !torrentInfo.seedingActionPending) {
+            this.runAction(torrentId, torrentInfo, goal);
+        }
+    }
+
+    isSeeding(torrentInfo) {
+        return Boolean(torrentInfo.torrent) && torrentInfo.status.complete &&
+            ['seeding', 'completed'].includes(torrentInfo.status.status);
+    }
+
+    // Fold the live torrent counters into the totals that survive detach/re-attach
+    track(torrentId, torrentInfo) {
+        const { torrent, status } = torrentInfo;
+        const now = Date.now();
+        const tracking = torrentInfo.seedTracking || (torrentInfo.seedTracking = { torrent: null, uploaded: 0, lastCheck: now, lastActivity: now });
+
+        if (!torrent) {
+            tracking.torrent = null;
+            return;
+        }
+
+        // A re-attached torrent starts counting from zero again
+        if (tracking.torrent !== torrent) {
+            tracking.torrent = torrent;
+            tracking.uploaded = 0;
+            tracking.lastCheck = now;
+            tracking.lastActivity = now;
+        }
+
+        const uploadedDelta = Math.max(0, torrent.uploaded - tracking.uploaded);
+        tracking.uploaded = torrent.uploaded;
+
+        status.totalUploaded = (status.totalUploaded || 0) + uploadedDelta;
+        if (uploadedDelta > 0) {
+            tracking.lastActivity = now;
+        }
+
+        if (this.isSeeding(torrentInfo)) {
+            status.seedTime = (status.seedTime || 0) + (now - tracking.lastCheck);
+            status.idleTime = now - tracking.lastActivity;
+        } else {
+            // Idle time only counts while seeding
+            tracking.lastActivity = now;
+            status.idleTime = 0;
+        }
+        tracking.lastCheck = now;
+
+        if (uploadedDelta > 0 || this.isSeeding(torrentInfo)) {
+            this.torrentManager.persistSession(torrentId, {
+                totalUploaded: status.totalUploaded,
+                seedTime: status.seedTime || 0
+            });
+        }
+    }
+
+    // Progress toward the closest goal, reported to the UI as status.seedingGoal
+    updateGoal(torrentInfo) {
+        const { status } = torrentInfo;
+        const policy = this.getEffectivePolicy(torrentInfo);
+        const size = status.selectedSize || status.totalSize || 0;
+        const ratio = size > 0 ? (status.totalUploaded || 0) / size : 0;
+
+        const goals = [
+            { type: 'ratio', current: ratio, limit: policy.ratioLimit },
+            { type: 'seedTime', current: (status.seedTime || 0) / 60000, limit: policy.seedTimeLimit },
+            { type: 'idleTime', current: (status.idleTime || 0) / 60000, limit: policy.idleTimeLimit }
+        ].filter(goal => goal.limit >= 0);
+
+        status.seedRatio = ratio;
+
+        if (goals.length === 0) {
+            status.seedingGoal = null;
+            return null;
+        }
+
+        goals.forEach(goal => {
+            goal.progress = goal.limit === 0 ? 100 : Math.min(100, (goal.current / goal.limit) * 100);
+        });
+        const closest = goals.reduce((best, goal) => goal.progress > best.progress ? goal : best);
+
+        status.seedingGoal = {
+            type: closest.type,
+            current: closest.current,
+            limit: closest.limit,
+            progress: closest.progress,
+            reached: closest.progress >= 100,
+            action: policy.action,
+            goals
+        };
+        return status.seedingGoal;
+    }
+
+    async runAction(torrentId, torrentInfo, goal) {
+        const reason = `${goal.type} goal reached (${goal.current.toFixed(2)} / ${goal.limit})`;
+        torrentInfo.seedingActionPending = true;
+        log.info({ torrentId }, `${torrentId}: ${reason}, running "${goal.action}"`);
+
+        try {
+            let result;
+            if (goal.action === 'pause') {
+                result = await this.queueManager.pauseTorrent(torrentId);
+            } else {
+                result = await this.queueManager.deleteTorrent(torrentId, goal.action === 'remove-delete');
+            }
+
+            if (this.onAction) {
+                this.onAction(torrentId, goal.action, reason, result);
+            }
+        } catch (error) {
+            log.error({ torrentId }, `Failed to run "${goal.action}" for ${torrentId}: ${error.message}`);
+        } finally {
+            torrentInfo.seedingActionPending = false;
+        }
+    }
+
+    describePolicy(policy) {
+        const format = (value, unit = '') => value < 0 ? 'none' : `${value}${unit}`;
+        return `ratio ${format(policy.ratioLimit)}, seed time ${format(policy.seedTimeLimit, 'm')}, idle ${format(policy.idleTimeLimit, 'm')}, then ${policy.action}`;
+    }
+}
+
+export default SeedingManager;
@@ -5,52 +5,431 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import cors from 'cors';
+import multer from 'multer';
 import TorrentManager from './torrentManager.js';
+import SessionStore from './sessionStore.js';
+import QueueManager from './queueManager.js';
+import BandwidthManager, { normalizeRate } from './bandwidthManager.js';
+import SeedingManager from './seedingManager.js';
+import StreamPrioritizer from './streamPrioritizer.js';
+import { loadConfig } from './config.js';
+import SettingsManager from './settingsManager.js';
+import AuthManager, { canView, canControl, canAdd, isAdmin } from './authManager.js';
+import ShareManager from './shareManager.js';
+import SubscriptionManager from './subscriptionManager.js';
+import EventStreamClient from './eventStreamClient.js';
+import { validateClientMessage, getOpenApiDocument, getWebSocketSchema, ERROR_CODES } from './apiSchema.js';
+import { parseTorrentFile, fetchTorrentFile, MAX_TORRENT_FILE_SIZE } from './torrentFile.js';
+import { parseTorrentIdentifier } from './shared/torrentIdentifier.js';
+import { sendRanges, sendRangeOptions, RANGE_METHODS } from './httpRange.js';
+import { decodeSubtitle, toWebVTT, subtitleFormat, MAX_SUBTITLE_SIZE } from './subtitles.js';
+import { PLAYLIST_FORMATS, toM3U, toXSPF, playlistTitle, naturalCompare } from './playlist.js';
+import { createLogger, setLogLevel, onLogEntry, normalizeLogFilter, matchesLogFilter, getLogEntries, getLogSubsystems } from './logger.js';
+
+// One logger per subsystem; entries are printed and also streamed to clients that subscribe to them
+const apiLog = createLogger('api');
+const authLog = createLogger('auth');
+const configLog = createLogger('config');
+const downloadLog = createLogger('download');
+const fileLog = createLogger('file');
+const quotaLog = createLogger('quota');
+const seedingLog = createLogger('seeding');
+const serverLog = createLogger('server');
+const shareLog = createLogger('share');
+const sseLog = createLogger('sse');
+const streamLog = createLogger('stream');
+const subtitleLog = createLogger('subtitle');
+const torrentLog = createLogger('torrent');
+const uploadLog = createLogger('upload');
+const wsLog = createLogger('ws');
 
 // Initialize Express and HTTP server
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, verifyClient: (info, done) => verifyWebSocketClient(info, done) });
 const clients = new Set();
 
 // Get the current directory path in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration
-const CONFIG = {
-    DOWNLOADS_DIR: path.join(process.cwd(), 'downloads'),
-    TEMP_DIR: path.join(process.cwd(), 'temp'),
-    PORT: process.env.PORT || 3000
-};
+// Configuration: defaults < config file < environment < CLI flags
+let CONFIG;
+try {
+    CONFIG = loadConfig();
+} catch (error) {
+    configLog.error(error.message);
+    process.exit(1);
+}
+
+// Settings changed at runtime through /api/settings win over the config file
+const SETTINGS_FILE = path.join(CONFIG.dataDir, 'settings.json');
+const savedSettings = SettingsManager.loadSaved(CONFIG, SETTINGS_FILE);
+setLogLevel(CONFIG.logLevel);
+if (savedSettings.length > 0) {
+    configLog.info(`Applied saved runtime settings: ${savedSettings.join(', ')}`);
+}
+configLog.info(`Loaded${CONFIG.configFile ? ` from ${CONFIG.configFile}` : ' defaults'}; downloads in ${CONFIG.downloadDir}, log level ${CONFIG.logLevel}`);
 
-// Initialize torrent manager
-const torrentManager = new TorrentManager();
+// Initialize session store and torrent manager
+const sessionStore = new SessionStore(path.join(CONFIG.dataDir, 'sessions.json'));
+const torrentManager = new TorrentManager({
+    sessionStore,
+    client: CONFIG.client,
+    pieceStrategy: CONFIG.streaming.pieceStrategy,
+    updateInterval: CONFIG.intervals.torrentUpdate
+});
+const queueManager = new QueueManager(torrentManager, CONFIG.queue);
+const bandwidthManager = new BandwidthManager(torrentManager, CONFIG.bandwidth);
+const seedingManager = new SeedingManager(torrentManager, queueManager, {
+    policy: CONFIG.seeding,
+    checkInterval: CONFIG.intervals.seedingCheck
+});
+const streamPrioritizer = new StreamPrioritizer(CONFIG.streaming);
+const settingsManager = new SettingsManager(CONFIG, {
+    filePath: SETTINGS_FILE,
+    torrentManager,
+    queueManager,
+    bandwidthManager,
+    seedingManager
+});
 
 // Ensure directories exist
-[CONFIG.DOWNLOADS_DIR, CONFIG.TEMP_DIR].forEach(dir => {
+[CONFIG.downloadDir, CONFIG.tempDir, CONFIG.dataDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
 });
 
+// Users and API tokens; the first start creates the admin account
+let authManager = null;
+if (CONFIG.auth.enabled) {
+    try {
+        authManager = new AuthManager({
+            filePath: path.join(CONFIG.dataDir, 'users.json'),
+            sessionTtl: CONFIG.auth.sessionTtl
+        });
+        const generatedPassword = authManager.ensureAdmin(CONFIG.auth.adminUser, CONFIG.auth.adminPassword);
+        if (generatedPassword) {
+            // Straight to stderr, bypassing the logger: no log level may hide it, and /api/logs must never serve it
+            process.stderr.write(`[AUTH] Generated password for "${CONFIG.auth.adminUser}": ${generatedPassword}\n` +
+                '[AUTH] It is only shown once - sign in and change it, or set ADMIN_PASSWORD before the first start\n');
+        }
+    } catch (error) {
+        authLog.error(error.message);
+        process.exit(1);
+    }
+} else {
+    authLog.warn('Authentication is disabled - anyone who can reach this server can control it');
+}
+
+// Signed links to single files for external players and people without an account
+const shareManager = new ShareManager({ filePath: path.join(CONFIG.dataDir, 'shares.json') });
+
+// Per-client subscriptions; torrent statuses go out as deltas
+const subscriptionManager = new SubscriptionManager();
+
+// Paths reachable without signing in: the login page and what it needs to render
+const PUBLIC_PATHS = new Set(['/login', '/login.html', '/login.js', '/styles.css', '/favicon.ico', '/api/auth/login']);
+
+// Media players can't send cookies or headers, so these also accept ?access_token=
+const QUERY_TOKEN_PATHS = ['/stream/', '/subtitles/', '/downloads/', '/api/download/'];
+
+// Playlists are opened by the same players
+const PLAYLIST_PATH = /^\/api\/(?:torrents\/[^/]+\/)?playlist\.(?:m3u8?|xspf)$/;
+
+function isSecureRequest(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+// Same-origin requests always pass; other origins only when listed in auth.corsOrigins
+function isAllowedOrigin(origin, host) {
+    if (!origin) return true;
+    try {
+        if (new URL(origin).host === host) return true;
+    } catch (error) {
+        return false;
+    }
+    return CONFIG.auth.corsOrigins.includes(origin);
+}
+
+// CORS for routes that set their own headers: any origin without authentication, otherwise only allowed ones, with credentials
+function setCorsOrigin(req, res) {
+    const { origin } = req.headers;
+    if (origin && !authManager) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && isAllowedOrigin(origin, req.headers.host)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+    }
+}
+
+// Cookies ride along on cross-site form posts, so state-changing requests must come from an allowed origin
+function checkOrigin(req, res, next) {
+    if (!authManager || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return next();
+    }
+    if (!isAllowedOrigin(req.headers.origin, req.headers.host)) {
+        authLog.warn(`Rejected ${req.method} ${req.path} from origin ${req.headers.origin}`);
+        return res.status(403).json({ error: 'Origin not allowed', message: `Requests from ${req.headers.origin} are not allowed` });
+    }
+    next();
+}
+
+// Only the exact file a link was made for; each client's playback counts as one use
+const SHARE_PATH = /^\/(?:stream|api\/download)\/([^/]+)\/(\d+)$/;
+
+function checkShareLink(req, res, next) {
+    const match = req.path.match(SHARE_PATH);
+    if (!req.query.share || !match || !['GET', 'HEAD'].includes(req.method)) {
+        return next();
+    }
+
+    try {
+        req.share = shareManager.verify(req.query.share, match[1], match[2], { client: req.ip, countUse: req.method === 'GET' });
+        next();
+    } catch (error) {
+        shareLog.warn(`Rejected ${req.path}: ${error.message}`);
+        res.status(403).json({ error: 'Share link rejected', message: error.message });
+    }
+}
+
+function requireAuth(req, res, next) {
+    if (!authManager || req.share || PUBLIC_PATHS.has(req.path)) {
+        return next();
+    }
+
+    const allowQueryToken = req.method === 'GET' || req.method === 'HEAD'
+        ? QUERY_TOKEN_PATHS.some(prefix => req.path.startsWith(prefix)) || PLAYLIST_PATH.test(req.path)
+        : false;
+    const user = authManager.authenticate(req, { allowQueryToken });
+    if (user) {
+        req.user = user;
+        return next();
+    }
+
+    // Browsers navigating to a page get the login form, everything else a 401
+    const isPage = req.method === 'GET' && !req.path.startsWith('/api/') &&
+        !QUERY_TOKEN_PATHS.some(prefix => req.path.startsWith(prefix)) && req.accepts(['json', 'html']) === 'html';
+    if (isPage) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({ error: 'Authentication required', message: 'Sign in or send an API token as "Authorization: Bearer <token>"' });
+}
+
+// Torrent access for REST routes and WebSocket messages; other users' torrents look like they don't exist
+function checkTorrentAccess(user, torrentId, level = 'view') {
+    // Missing torrents are reported by the handlers themselves
+    if (!torrentId || !torrentManager.activeTorrents.has(torrentId)) return null;
+
+    const owner = torrentManager.getOwner(torrentId);
+    if (!canView(user, owner)) {
+        return { status: 404, code: 'not-found', error: 'Torrent not found', message: `Torrent with ID ${torrentId} not found` };
+    }
+    if (level !== 'view' && !canControl(user, owner)) {
+        return { status: 403, code: 'forbidden', error: 'Forbidden', message: 'You can only change your own torrents' };
+    }
+    return null;
+}
+
+function formatGigabytes(bytes) {
+    return `${(bytes / (1024 ** 3)).toFixed(2)} GB`;
+}
+
+// Admins set per-user limits on disk use and active torrents; a new or resumed torrent must fit
+function checkQuota(user) {
+    const account = user && authManager ? authManager.getUser(user.username) : null;
+    if (!account) return null;
+
+    const { maxDiskBytes, maxActiveTorrents } = account.quota;
+    const usage = torrentManager.getUsage(user.username);
+    if (maxActiveTorrents !== null && usage.activeTorrents >= maxActiveTorrents) {
+        return { status: 403, code: 'quota-exceeded', error: 'Quota exceeded', message: `You already have ${usage.activeTorrents} active torrents (limit ${maxActiveTorrents})` };
+    }
+    if (maxDiskBytes !== null && usage.diskBytes >= maxDiskBytes) {
+        return { status: 403, code: 'quota-exceeded', error: 'Quota exceeded', message: `Your torrents already use ${formatGigabytes(usage.diskBytes)} of your ${formatGigabytes(maxDiskBytes)} disk quota` };
+    }
+    return null;
+}
+
+/**
+ * Check a permission for a user: 'admin', 'add' (new torrent, within quota), or access to a torrent:
+ * 'view', 'control', or 'resume' (control plus the active torrent quota if it is not running).
+ * Returns null if allowed, otherwise { status, error, message }.
+ */
+function checkPermission(user, permission, torrentId) {
+    if (permission === 'admin') {
+        return isAdmin(user) ? null : { status: 403, code: 'forbidden', error: 'Forbidden', message: 'Only admins can do this' };
+    }
+    if (permission === 'add') {
+        return canAdd(user) ? checkQuota(user) : { status: 403, code: 'forbidden', error: 'Forbidden', message: 'Read-only accounts cannot add torrents' };
+    }
+
+    const denied = checkTorrentAccess(user, torrentId, permission);
+    if (denied || permission !== 'resume') return denied;
+
+    const status = torrentManager.getTorrent(torrentId);
+    const owner = torrentManager.getOwner(torrentId);
+    const isInactive = status && ['paused', 'stopped', 'error'].includes(status.status);
+    return isInactive && user && owner === user.username ? checkQuota(user) : null;
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const denied = checkPermission(req.user, permission, req.params.torrentId);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error, message: denied.message });
+        }
+        next();
+    };
+}
+
+// 404 for /api/torrents/:torrentId routes when the torrent isn't listed
+function requireTorrent(req, res, next) {
+    const { torrentId } = req.params;
+    if (!torrentManager.getTorrent(torrentId)) {
+        return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} not found` });
+    }
+    next();
+}
+
+// The handshake carries the session cookie (or a Bearer token); cross-site pages are refused
+function verifyWebSocketClient(info, done) {
+    if (!authManager) {
+        return done(true);
+    }
+    if (!isAllowedOrigin(info.origin, info.req.headers.host)) {
+        wsLog.warn(`Rejected connection from origin ${info.origin}`);
+        return done(false, 403, 'Origin not allowed');
+    }
+
+    const user = authManager.authenticate(info.req, { allowQueryToken: true });
+    if (!user) {
+        return done(false, 401, 'Authentication required');
+    }
+    info.req.user = user;
+    done(true);
+}
+
+// File routes that serve byte ranges; players probe them with OPTIONS and browsers preflight Range
+const RANGE_ROUTES = ['/stream/:torrentId/:fileIndex', '/api/download/:torrentId/:fileIndex', '/downloads/:torrentId/:filename'];
+
+// Answered ahead of CORS and authentication, which preflights can't pass; says nothing about the file itself
+app.options(RANGE_ROUTES, (req, res) => {
+    setCorsOrigin(req, res);
+    sendRangeOptions(req, res);
+});
+
 // Middleware
-app.use(cors());
+// req.ip, used for login lockouts and share link uses, comes from X-Forwarded-For only when sent by a trusted proxy
+app.set('trust proxy', CONFIG.trustProxy.length > 0 ? CONFIG.trustProxy : false);
+if (authManager) {
+    // Credentialed cross-origin access only for the configured origins
+    app.use(cors((req, callback) => callback(null, {
+        origin: isAllowedOrigin(req.headers.origin, req.headers.host) ? true : false,
+        credentials: true
+    })));
+} else {
+    app.use(cors());
+}
 app.use(express.json());
+app.use(checkOrigin);
+app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
+app.post('/api/auth/login', handleLogin);
+app.use(checkShareLink);
+app.use(requireAuth);
 app.use(express.static('public'));
-app.use('/downloads', express.static(CONFIG.DOWNLOADS_DIR));
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+// Rebuilt when the download directory is changed at runtime
+let serveDownloads = express.static(CONFIG.downloadDir);
+// The whole download directory is admin-only; others go through /downloads/:torrentId/:filename below
+app.use('/downloads', (req, res, next) => isAdmin(req.user) ? serveDownloads(req, res, next) : next());
 
 // Setup torrent manager callback
 torrentManager.onUpdate = (torrentId, processInfo) => {
+    enforceDiskQuota(torrentId);
+    publishTorrent(torrentId, processInfo);
+};
+
+// A magnet's size is only known once metadata arrives (or files are re-selected), so check the owner's disk quota then
+function enforceDiskQuota(torrentId) {
+    const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+    if (!authManager || !torrentInfo || !torrentInfo.owner) return;
+
+    const { status } = torrentInfo;
+    const size = status.selectedSize || status.totalSize || 0;
+    if (!size || size === torrentInfo.quotaCheckedSize || ['paused', 'stopping', 'error'].includes(status.status)) return;
+    torrentInfo.quotaCheckedSize = size;
+
+    const account = authManager.getUser(torrentInfo.owner);
+    const maxDiskBytes = account ? account.quota.maxDiskBytes : null;
+    const usage = torrentManager.getUsage(torrentInfo.owner);
+    if (maxDiskBytes === null || usage.diskBytes <= maxDiskBytes) return;
+
+    const message = `Disk quota exceeded: ${formatGigabytes(usage.diskBytes)} of ${formatGigabytes(maxDiskBytes)}`;
+    quotaLog.warn({ torrentId }, `Pausing ${torrentId} for ${torrentInfo.owner}: ${message}`);
+    queueManager.pauseTorrent(torrentId).then(() => {
+        status.error = message;
+        torrentManager.broadcastUpdate(torrentId, status);
+    }).catch(error => {
+        quotaLog.error({ torrentId }, `Failed to pause ${torrentId}: ${error.message}`);
+    });
+}
+
+// Queue order changes move several torrents at once, so send the whole order
+queueManager.onQueueChange = (queue) => {
     broadcastToClients({
-        type: 'torrent-update',
-        torrentId,
-        data: processInfo
+        type: 'queue-updated',
+        data: queue,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Limits change on API calls and when a schedule rule starts or ends
+bandwidthManager.onChange = (state) => {
+    broadcastToClients({
+        type: 'bandwidth-updated',
+        data: state,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Paused torrents already broadcast their new status; removed ones have to be announced
+seedingManager.onAction = (torrentId, action, reason, result) => {
+    const owner = action === 'pause' ? torrentManager.getOwner(torrentId) : result.owner;
+    if (action !== 'pause') {
+        subscriptionManager.forget(torrentId);
+        broadcastToClients({
+            type: 'torrent-removed',
+            torrentId,
+            name: result.name || null,
+            timestamp: new Date().toISOString()
+        }, owner);
+    }
+    
+    seedingLog.info({ torrentId, owner }, `Seeding ${reason}: ${action === 'pause' ? 'paused' : 'removed'} ${result.name || torrentId}`);
+};
+
+// Settings that live in the server itself, then tell every client
+settingsManager.onChange = (settings, changedKeys) => {
+    if (changedKeys.includes('downloadDir')) {
+        serveDownloads = express.static(CONFIG.downloadDir);
+    }
+    if (changedKeys.includes('intervals.broadcast')) {
+        startPeriodicUpdates();
+    }
+    
+    broadcastToClients({
+        type: 'settings-updated',
+        data: settings,
+        changed: changedKeys,
+        timestamp: new Date().toISOString()
     });
 };
 
 // Set up periodic updates to ensure clients stay in sync
-const UPDATE_INTERVAL = 3000; // 3 seconds - prevents UI flickering
+// CONFIG.intervals.broadcast defaults to 3 seconds - prevents UI flickering
 let updateIntervalId = null;
 
 function startPeriodicUpdates() {
@@ -63,115 +442,203 @@ function startPeriodicUpdates() {
             // Only proceed if we have clients connected
             if (clients.size > 0) {
                 const torrents = torrentManager.getAllTorrents();
-                console.log(`[SERVER] Periodic update: ${torrents.length} torrents for ${clients.size} clients`);
                 
-                if (torrents.length > 0) {
-                    // Send updates for all active torrents
-                    torrents.forEach(torrent => {
-                        if (torrent && torrent.torrentId) {
-                            broadcastToClients({
-                                type: 'torrent-update',
-                                torrentId: torrent.torrentId,
-                                data: torrent
-                            });
-                        }
-                    });
-                }
+                // Picks up changes made outside the per-second status updates; unchanged torrents send nothing
+                torrents.forEach(torrent => {
+                    if (torrent && torrent.torrentId) {
+                        publishTorrent(torrent.torrentId, torrent);
+                    }
+                });
+                sendSummaries();
             }
         } catch (error) {
-            console.error(`[SERVER] Error in periodic update: ${error.message}`);
+            serverLog.error(`Error in periodic update: ${error.message}`);
         }
-    }, UPDATE_INTERVAL);
+    }, CONFIG.intervals.broadcast);
     
-    console.log(`[SERVER] Started periodic updates every ${UPDATE_INTERVAL/1000} seconds`);
+    serverLog.info(`Started periodic updates every ${CONFIG.intervals.broadcast/1000} seconds`);
 }
 
 // Start periodic updates
 startPeriodicUpdates();
 
-// Function to broadcast messages to all connected clients
-function broadcastToClients(message) {
+// Users only hear about torrents they can see and are subscribed to; pass the owner for torrents that are already gone
+function broadcastToClients(message, owner = torrentManager.getOwner(message.torrentId)) {
     const messageStr = JSON.stringify(message);
-    let clientCount = 0;
     
     clients.forEach(client => {
         try {
-            if (client.readyState === WebSocket.OPEN) {
+            if (client.readyState !== WebSocket.OPEN) return;
+            if (message.torrentId && (!canView(client.user, owner) || !subscriptionManager.covers(client, message.torrentId))) return;
+            
+            if (message.type === 'queue-updated') {
+                client.send(JSON.stringify({ ...message, data: getVisibleQueue(message.data, client.user) }));
+            } else {
                 client.send(messageStr);
-                clientCount++;
             }
         } catch (error) {
-            console.error(`[WS] Error broadcasting to client: ${error.message}`);
+            wsLog.error(`Error broadcasting to client: ${error.message}`);
         }
     });
-    
-    if (clientCount > 0 && message.type === 'torrent-update') {
-        console.log(`[WS] Broadcast ${message.type} for ${message.torrentId} to ${clientCount} clients`);
-    }
 }
 
-// WebSocket handling
-wss.on('connection', (ws) => {
-    const clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-    console.log(`[WS] New connection: ${clientId}`);
+// Status changes go only to the clients subscribed to the torrent, as a delta once they have its full status
+function publishTorrent(torrentId, status = torrentManager.getTorrent(torrentId)) {
+    // Without clients there is nobody to diff for; the next publish sends whatever changed since
+    if (clients.size === 0 || !status) return;
     
-    // Add client to the set
-    clients.add(ws);
-    ws.clientId = clientId;
-    ws.isAlive = true;
+    const message = subscriptionManager.publish(torrentId, status);
+    if (!message) return;
+    
+    const owner = torrentManager.getOwner(torrentId);
+    clients.forEach(client => {
+        try {
+            if (client.readyState !== WebSocket.OPEN) return;
+            if (!canView(client.user, owner) || !subscriptionManager.covers(client, torrentId)) return;
+            subscriptionManager.send(client, message, { droppable: message.type === 'torrent-delta' });
+        } catch (error) {
+            wsLog.error(`Error sending ${message.type} to client: ${error.message}`);
+        }
+    });
+}
+
+// Summary subscribers get totals instead of per-torrent updates, and only when they change
+function sendSummaries() {
+    clients.forEach(client => {
+        try {
+            if (client.readyState !== WebSocket.OPEN || client.subscription.scope !== 'summary') return;
+            
+            const summary = subscriptionManager.takeSummary(client, torrentManager.getAllTorrents(client.user));
+            if (summary) {
+                subscriptionManager.send(client, { type: 'summary', data: summary, timestamp: new Date().toISOString() }, { droppable: true });
+            }
+        } catch (error) {
+            wsLog.error(`Error sending summary to client: ${error.message}`);
+        }
+    });
+}
+
+// Full state for the client's subscription, numbered so it restarts the client's sequence check
+function sendSnapshot(ws, request = null) {
+    const snapshot = subscriptionManager.snapshot(ws, torrentManager.getAllTorrents(ws.user));
+    subscriptionManager.send(ws, {
+        ...snapshot,
+        ...(request && request.requestId !== undefined ? { requestId: request.requestId } : {}),
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Log entries about a torrent are for whoever can see it, server-wide ones for admins only
+function canSeeLogEntry(user, entry) {
+    if (!entry.torrentId) return isAdmin(user);
+    return canView(user, entry.owner !== undefined ? entry.owner : torrentManager.getOwner(entry.torrentId));
+}
+
+// Buffered entries a client may see, for log-history and GET /api/logs
+function getVisibleLogEntries(user, filter, limit) {
+    return getLogEntries(filter).filter(entry => canSeeLogEntry(user, entry)).slice(-limit);
+}
+
+// Clients that subscribed to the log stream get each new entry matching their filter; a backed-up client misses some
+const MAX_LOG_BUFFERED_BYTES = 512 * 1024;
+const DEFAULT_LOG_HISTORY = 100;
+
+onLogEntry(entry => {
+    const messageStr = JSON.stringify({ type: 'log', ...entry });
+    clients.forEach(client => {
+        if (client.readyState !== WebSocket.OPEN || !client.logFilter || client.bufferedAmount > MAX_LOG_BUFFERED_BYTES) return;
+        if (!matchesLogFilter(entry, client.logFilter) || !canSeeLogEntry(client.user, entry)) return;
+        client.send(messageStr);
+    });
+});
+
+function sendLogHistory(client, limit, request = null) {
+    reply(client, request || {}, {
+        type: 'log-history',
+        entries: limit > 0 ? getVisibleLogEntries(client.user, client.logFilter, limit) : [],
+        subsystems: getLogSubsystems(),
+        timestamp: new Date().toISOString()
+    });
+}
+
+function getVisibleQueue(queue, user) {
+    return { ...queue, order: queue.order.filter(torrentId => canView(user, torrentManager.getOwner(torrentId))) };
+}
 
-    // Send welcome message
-    ws.send(JSON.stringify({
+// Welcome message, then the client's numbered feed starts with everything it is subscribed to
+function greetClient(client) {
+    client.send(JSON.stringify({
         type: 'connection',
-        clientId,
+        clientId: client.clientId,
         message: 'Connected to WebTorrent server',
         timestamp: new Date().toISOString()
     }));
-
+    
+    if (client.subscription.scope !== 'all') {
+        sendSnapshot(client);
+        return;
+    }
+    
     // Send current torrents to new client
-    const torrents = torrentManager.getAllTorrents();
-    console.log(`[WS] Sending ${torrents.length} active torrents to client`);
+    const torrents = torrentManager.getAllTorrents(client.user);
+    wsLog.info(`Sending ${torrents.length} active torrents to client`);
     
     // Log file counts for debugging
     torrents.forEach(torrent => {
         const fileCount = torrent.files ? torrent.files.length : 0;
-        console.log(`[WS] Torrent ${torrent.torrentId}: ${torrent.fileName || 'Unknown'} with ${fileCount} files`);
+        wsLog.info(`Torrent ${torrent.torrentId}: ${torrent.fileName || 'Unknown'} with ${fileCount} files`);
     });
     
-    ws.send(JSON.stringify({
+    subscriptionManager.send(client, {
         type: 'initial-torrents',
         data: torrents,
         timestamp: new Date().toISOString()
-    }));
+    });
+}
+
+// WebSocket handling
+wss.on('connection', (ws, req) => {
+    const clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    wsLog.info(`New connection: ${clientId}${req.user ? ` (${req.user.username})` : ''}`);
+    
+    // Add client to the set
+    clients.add(ws);
+    ws.clientId = clientId;
+    ws.isAlive = true;
+    ws.user = req.user || null;
+    ws.logFilter = null; // Set by subscribe-logs
+    subscriptionManager.attach(ws);
+    greetClient(ws);
 
     // Handle incoming messages
     ws.on('message', async (message) => {
+        let data;
         try {
             const messageStr = message.toString();
-            console.log(`[WS ${clientId}] Received message:`, messageStr.substring(0, 200));
+            wsLog.info({ clientId }, `Received message:`, messageStr.substring(0, 200));
             
-            let data;
             try {
                 data = JSON.parse(messageStr);
             } catch (parseError) {
-                throw new Error(`Invalid JSON: ${parseError.message}`);
+                throw createError('invalid-message', `Invalid JSON: ${parseError.message}`);
             }
             
-            if (!data.type) {
-                throw new Error('Message type is required');
+            if (!data || typeof data !== 'object' || !data.type) {
+                throw createError('invalid-message', 'Message type is required');
             }
             
             await handleWebSocketMessage(ws, data, clientId);
         } catch (error) {
-            console.error(`[WS ${clientId}] Error processing message:`, error);
+            wsLog.error({ clientId }, `Error processing message:`, error);
             try {
-                ws.send(JSON.stringify({
+                reply(ws, data && typeof data === 'object' ? data : null, {
                     type: 'error',
+                    code: errorCode(error, 'internal-error'),
                     message: error.message || 'Error processing message',
                     timestamp: new Date().toISOString()
-                }));
+                });
             } catch (sendError) {
-                console.error(`[WS ${clientId}] Failed to send error response:`, sendError);
+                wsLog.error({ clientId }, `Failed to send error response:`, sendError);
             }
         }
     });
@@ -179,7 +646,7 @@ wss.on('connection', (ws) => {
     // Handle pings
     const pingInterval = setInterval(() => {
         if (ws.isAlive === false) {
-            console.log(`[WS] Terminating dead connection: ${clientId}`);
+            wsLog.info(`Terminating dead connection: ${clientId}`);
             return ws.terminate();
         }
         ws.isAlive = false;
@@ -193,39 +660,105 @@ wss.on('connection', (ws) => {
 
     // Handle client disconnection
     ws.on('close', () => {
-        console.log(`[WS] Client disconnected: ${clientId}`);
+        wsLog.info(`Client disconnected: ${clientId}`);
         clearInterval(pingInterval);
         clients.delete(ws);
     });
 
     // Handle errors
     ws.on('error', (error) => {
-        console.error(`[WS ${clientId}] Error:`, error);
+        wsLog.error({ clientId }, `Error:`, error);
         clearInterval(pingInterval);
         clients.delete(ws);
     });
 });
 
-// Helper to decode HTML entities in magnet links
-function decodeHtmlEntities(text) {
-    if (!text) return '';
-    return text
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&#x2F;/g, '/');
+// Replies carry the requestId of the message they answer, so clients can match them up
+function reply(ws, request, message) {
+    ws.send(JSON.stringify(request && request.requestId !== undefined ? { ...message, requestId: request.requestId } : message));
 }
 
+// Messages whose effect is only broadcast (queue moves, limits) still confirm to a client that asked
+function acknowledge(ws, request, data = null) {
+    if (request.requestId === undefined) return;
+    reply(ws, request, { type: 'ack', action: request.type, data, timestamp: new Date().toISOString() });
+}
+
+// An error with one of the protocol's ERROR_CODES for the client to act on
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Manager errors are plain Errors, so fall back on their message; system codes like ENOENT are not exposed
+function errorCode(error, fallback = 'failed') {
+    if (Object.prototype.hasOwnProperty.call(ERROR_CODES, error.code)) return error.code;
+    return /not found/i.test(error.message) ? 'not-found' : fallback;
+}
+
+// What each message needs (see checkPermission); anything not listed is open to every signed-in user
+const WS_PERMISSIONS = {
+    'start-torrent': 'add',
+    'stop-torrent': 'control',
+    'pause-torrent': 'control',
+    'resume-torrent': 'resume',
+    'recheck-torrent': 'control',
+    'delete-torrent': 'control',
+    'remove-torrent': 'control',
+    'get-files': 'view',
+    'subscribe': 'view',
+    'subscribe-logs': 'view',
+    'set-file-priority': 'control',
+    'move-torrent': 'control',
+    'set-torrent-bandwidth': 'control',
+    'set-sequential': 'control',
+    'set-bandwidth': 'admin',
+    'update-settings': 'admin'
+};
+
 async function handleWebSocketMessage(ws, data, clientId) {
-    console.log(`[WS ${clientId}] Processing message type: ${data.type}`);
+    wsLog.info({ clientId }, `Processing message type: ${data.type}`);
+    
+    const targetId = data.torrentId || (data.data && data.data.torrentId);
+    
+    // Malformed messages never reach a handler; the schema is served at /api/schema/websocket
+    const problems = validateClientMessage(data);
+    if (problems.length > 0) {
+        wsLog.warn({ clientId }, `Invalid ${data.type} message: ${problems.join('; ')}`);
+        reply(ws, data, {
+            type: 'error',
+            code: 'invalid-message',
+            message: `Invalid ${data.type} message`,
+            error: problems.join('; '),
+            errors: problems,
+            torrentId: targetId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+    
+    // Per-torrent seeding policies belong to the owner, the global one to admins
+    const permission = data.type === 'set-seeding-policy' ? (targetId ? 'control' : 'admin') : WS_PERMISSIONS[data.type];
+    const denied = permission ? checkPermission(ws.user, permission, targetId) : null;
+    if (denied) {
+        wsLog.warn({ clientId }, `Denied ${data.type}${ws.user ? ` for ${ws.user.username}` : ''}: ${denied.message}`);
+        reply(ws, data, {
+            type: 'error',
+            code: denied.code,
+            message: denied.error,
+            error: denied.message,
+            torrentId: targetId,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
     
     try {
         // Handle different message types
         switch (data.type) {
             case 'get-torrents':
-                await handleGetTorrents(ws, clientId);
+                await handleGetTorrents(ws, data, clientId);
                 break;
                 
             case 'start-torrent':
@@ -233,7 +766,16 @@ async function handleWebSocketMessage(ws, data, clientId) {
                 break;
                 
             case 'stop-torrent':
-                await handleStopTorrent(ws, data, clientId);
+            case 'pause-torrent':
+                await handlePauseTorrent(ws, data, clientId);
+                break;
+                
+            case 'resume-torrent':
+                await handleResumeTorrent(ws, data, clientId);
+                break;
+                
+            case 'recheck-torrent':
+                await handleRecheckTorrent(ws, data, clientId);
                 break;
                 
             case 'delete-torrent':
@@ -245,52 +787,169 @@ async function handleWebSocketMessage(ws, data, clientId) {
                 await handleGetFiles(ws, data, clientId);
                 break;
                 
+            case 'set-file-priority':
+                await handleSetFilePriority(ws, data, clientId);
+                break;
+                
+            case 'move-torrent':
+                await handleMoveTorrent(ws, data, clientId);
+                break;
+                
+            case 'subscribe':
+                handleSubscribe(ws, data, clientId);
+                break;
+                
+            case 'resync':
+                wsLog.info({ clientId }, `Resync requested at seq ${ws.subscription.seq}`);
+                sendSnapshot(ws, data);
+                break;
+                
+            case 'subscribe-logs':
+                handleSubscribeLogs(ws, data, clientId);
+                break;
+                
+            case 'unsubscribe-logs':
+                ws.logFilter = null;
+                acknowledge(ws, data);
+                break;
+                
+            case 'get-queue':
+                reply(ws, data, {
+                    type: 'queue-updated',
+                    data: getVisibleQueue(queueManager.getQueue(), ws.user),
+                    timestamp: new Date().toISOString()
+                });
+                break;
+                
+            case 'get-bandwidth':
+                reply(ws, data, {
+                    type: 'bandwidth-updated',
+                    data: bandwidthManager.getState(),
+                    timestamp: new Date().toISOString()
+                });
+                break;
+                
+            case 'set-bandwidth':
+                await handleSetBandwidth(ws, data, clientId);
+                break;
+                
+            case 'set-torrent-bandwidth':
+                await handleSetTorrentBandwidth(ws, data, clientId);
+                break;
+                
+            case 'set-sequential':
+                await handleSetSequential(ws, data, clientId);
+                break;
+                
+            case 'get-seeding-policy':
+                reply(ws, data, {
+                    type: 'seeding-policy-updated',
+                    data: seedingManager.getGlobalPolicy(),
+                    timestamp: new Date().toISOString()
+                });
+                break;
+                
+            case 'set-seeding-policy':
+                await handleSetSeedingPolicy(ws, data, clientId);
+                break;
+                
+            case 'get-settings':
+                reply(ws, data, {
+                    type: 'settings-updated',
+                    data: settingsManager.getSettings(),
+                    timestamp: new Date().toISOString()
+                });
+                break;
+                
+            case 'update-settings':
+                await handleUpdateSettings(ws, data, clientId);
+                break;
+                
             case 'ping':
-                handlePing(ws);
+                handlePing(ws, data);
                 break;
                 
             default:
                 handleUnknownMessage(ws, data, clientId);
         }
     } catch (error) {
-        console.error(`[WS ${clientId}] Error handling message:`, error);
+        wsLog.error({ clientId }, `Error handling message:`, error);
         try {
-            ws.send(JSON.stringify({
+            reply(ws, data, {
                 type: 'error',
+                code: 'internal-error',
                 message: 'Internal server error',
                 error: error.message
-            }));
+            });
         } catch (sendError) {
-            console.error(`[WS ${clientId}] Failed to send error response:`, sendError);
+            wsLog.error({ clientId }, `Failed to send error response:`, sendError);
         }
     }
 }
 
 // Handle get-torrents message
-async function handleGetTorrents(ws, clientId) {
-    console.log(`[WS ${clientId}] Handling get-torrents request`);
+async function handleGetTorrents(ws, data, clientId) {
+    wsLog.info({ clientId }, `Handling get-torrents request`);
     try {
-        const torrents = torrentManager.getAllTorrents();
-        console.log(`[WS ${clientId}] Sending ${torrents.length} torrents`);
+        const torrents = torrentManager.getAllTorrents(ws.user);
+        wsLog.info({ clientId }, `Sending ${torrents.length} torrents`);
         
-        ws.send(JSON.stringify({
+        reply(ws, data, {
             type: 'initial-torrents',
             data: torrents,
             timestamp: new Date().toISOString()
-        }));
+        });
     } catch (error) {
-        console.error(`[WS ${clientId}] Error getting torrents:`, error);
-        ws.send(JSON.stringify({
+        wsLog.error({ clientId }, `Error getting torrents:`, error);
+        reply(ws, data, {
             type: 'error',
+            code: 'failed',
             message: 'Failed to get torrents',
             error: error.message
-        }));
+        });
+    }
+}
+
+// Fresh downloads get their own temp session directory
+function resolveDownloadPath(fresh) {
+    return fresh ?
+        path.join(CONFIG.tempDir, `session-${Date.now()}`) :
+        CONFIG.downloadDir;
+}
+
+/**
+ * Add a torrent from a magnet, info hash or .torrent URL on behalf of a user (null without authentication)
+ * Shared by the start-torrent message and POST /api/torrents. Returns { result, identifier }; parse and
+ * fetch failures are thrown with `invalidInput` set so the REST route can answer 422.
+ */
+async function addTorrentFromIdentifier(input, { fresh = false, user = null, log, logContext = {} }) {
+    let identifier;
+    let source;
+    try {
+        // Normalize magnets (hex/base32/v2), bare info hashes and .torrent URLs
+        identifier = parseTorrentIdentifier(input);
+        log.info(logContext, `Parsed ${identifier.type}: ${identifier.infoHash || identifier.infoHashV2 || identifier.url}`);
+        
+        // Fetch .torrent URLs here so the infoHash (and with it the torrent ID) is known before adding
+        source = identifier.type === 'url' ? await fetchTorrentFile(identifier.url) : identifier.torrentId;
+    } catch (error) {
+        error.invalidInput = true;
+        throw error;
     }
+    
+    const downloadPath = resolveDownloadPath(fresh);
+    log.info(logContext, `Downloading to: ${downloadPath}`);
+    
+    const result = await queueManager.addTorrent(source, downloadPath, fresh, {
+        name: identifier.name,
+        owner: user ? user.username : null
+    });
+    return { result, identifier };
 }
 
 // Handle start-torrent message
 async function handleStartTorrent(ws, data, clientId) {
-    console.log(`[WS ${clientId}] Starting torrent`);
+    wsLog.info({ clientId }, `Starting torrent`);
     try {
         const { magnet, fresh = false } = data;
         
@@ -298,289 +957,1188 @@ async function handleStartTorrent(ws, data, clientId) {
             throw new Error('Magnet link is required');
         }
         
-        // Clean and validate magnet link
-        const cleanMagnet = decodeHtmlEntities(magnet.trim());
-                const magnetRegex = /^magnet:\?xt=urn:btih:[a-fA-F0-9]{40}/i;
-        if (!magnetRegex.test(cleanMagnet)) {
-            throw new Error('Invalid or malformed magnet link. It must be a valid info-hash magnet link.');
-        }
-        
-        const downloadPath = fresh ? 
-            path.join(CONFIG.TEMP_DIR, `session-${Date.now()}`) :
-            CONFIG.DOWNLOADS_DIR;
-
-        console.log(`[WS ${clientId}] Downloading to: ${downloadPath}`);
+        const { result, identifier } = await addTorrentFromIdentifier(magnet, { fresh, user: ws.user, log: wsLog, logContext: { clientId } });
         
-        const result = await torrentManager.startTorrent(cleanMagnet, downloadPath, fresh);
-        console.log(`[WS ${clientId}] Torrent started:`, result);
+        if (result.duplicate) {
+            if (!canView(ws.user, torrentManager.getOwner(result.torrentId))) {
+                throw createError('already-exists', 'This torrent has already been added by another user');
+            }
+            sendTorrentExists(ws, data, result);
+            return;
+        }
+        wsLog.info({ clientId }, `Torrent started:`, result);
         
-        ws.send(JSON.stringify({
+        reply(ws, data, {
             type: 'torrent-started',
-            data: result,
+            data: { ...result, name: identifier.name, infoHash: identifier.infoHash },
             timestamp: new Date().toISOString()
-        }));
-        
-        // Broadcast to all clients
-        broadcastToClients({
-            type: 'torrent-update',
-            torrentId: result.torrentId,
-            data: torrentManager.activeTorrents.get(result.torrentId)?.status || {}
         });
         
+        // Announce the new torrent to every client subscribed to it
+        publishTorrent(result.torrentId);
+        
+    } catch (error) {
+        wsLog.error({ clientId }, `Error starting torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: 'Failed to start torrent',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Tell the client which existing torrent its add resolved to
+function sendTorrentExists(ws, data, result) {
+    const status = torrentManager.getTorrent(result.torrentId) || {};
+    reply(ws, data, {
+        type: 'torrent-exists',
+        message: `Torrent already added: ${status.fileName || result.torrentId}`,
+        data: {
+            torrentId: result.torrentId,
+            name: status.fileName || null,
+            status: result.status,
+            trackersAdded: result.trackersAdded
+        },
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Handle pause-torrent (and legacy stop-torrent) message
+async function handlePauseTorrent(ws, data, clientId) {
+    try {
+        wsLog.info({ clientId }, `Handling ${data.type} request`);
+        const { torrentId } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+
+        if (!torrentManager.getTorrent(torrentId)) {
+            throw new Error(`Torrent not found: ${torrentId}`);
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Pausing torrent: ${torrentId}`);
+        
+        // The manager broadcasts the stopping and paused states itself
+        const result = await queueManager.pauseTorrent(torrentId);
+        
+        reply(ws, data, {
+            type: 'torrent-paused',
+            torrentId,
+            data: torrentManager.getTorrent(torrentId) || result,
+            timestamp: new Date().toISOString()
+        });
+        
+        wsLog.info({ clientId, torrentId }, `Torrent paused successfully: ${torrentId}`);
+        
+    } catch (error) {
+        wsLog.error({ clientId }, `Error pausing torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: 'Failed to pause torrent',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle resume-torrent message
+async function handleResumeTorrent(ws, data, clientId) {
+    try {
+        wsLog.info({ clientId }, `Handling resume-torrent request`);
+        const { torrentId } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+
+        if (!torrentManager.getTorrent(torrentId)) {
+            throw new Error(`Torrent not found: ${torrentId}`);
+        }
+        
+        const result = await queueManager.resumeTorrent(torrentId);
+        
+        reply(ws, data, {
+            type: 'torrent-resumed',
+            torrentId,
+            data: torrentManager.getTorrent(torrentId) || result,
+            timestamp: new Date().toISOString()
+        });
+        
+        wsLog.info({ clientId, torrentId }, `Torrent resumed successfully: ${torrentId}`);
+        
+    } catch (error) {
+        wsLog.error({ clientId }, `Error resuming torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: 'Failed to resume torrent',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle recheck-torrent message - verify a running torrent's data on disk again
+async function handleRecheckTorrent(ws, data, clientId) {
+    try {
+        const { torrentId } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+        
+        const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+        if (torrentInfo && !torrentInfo.torrent) {
+            throw createError('invalid-state', `Torrent is ${torrentInfo.status.status}; resume it before rechecking`);
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Rechecking torrent: ${torrentId}`);
+        const result = await torrentManager.recheckTorrent(torrentId);
+        
+        reply(ws, data, {
+            type: 'torrent-rechecking',
+            torrentId,
+            data: torrentManager.getTorrent(torrentId) || result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        wsLog.error({ clientId }, `Error rechecking torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: 'Failed to recheck torrent',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle delete-torrent message
+async function handleDeleteTorrent(ws, data, clientId) {
+    try {
+        wsLog.info({ clientId }, `Handling delete-torrent request`);
+        const { torrentId, deleteFiles = false } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+
+        wsLog.info({ clientId, torrentId }, `Deleting torrent: ${torrentId}, deleteFiles: ${deleteFiles}`);
+        const result = await queueManager.deleteTorrent(torrentId, deleteFiles);
+        
+        reply(ws, data, {
+            type: 'torrent-deleted',
+            data: result,
+            timestamp: new Date().toISOString()
+        });
+        
+        broadcastTorrentRemoved(result);
+        
+        wsLog.info({ clientId, torrentId }, `Torrent deleted successfully: ${torrentId}`);
+        
+    } catch (error) {
+        wsLog.error({ clientId }, `Error deleting torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: 'Failed to delete torrent',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Tell every client that may see it that a torrent is gone
+function broadcastTorrentRemoved(result) {
+    subscriptionManager.forget(result.torrentId);
+    broadcastToClients({
+        type: 'torrent-removed',
+        torrentId: result.torrentId,
+        name: result.name || null,
+        timestamp: new Date().toISOString()
+    }, result.owner);
+}
+
+// Handle get-files message
+async function handleGetFiles(ws, data, clientId) {
+    const filesTorrentId = data.torrentId || (data.data && data.data.torrentId);
+    
+    if (!filesTorrentId) {
+        return reply(ws, data, {
+            type: 'error',
+            code: 'invalid-message',
+            message: 'No torrent ID provided for file listing',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    try {
+        const files = torrentManager.getTorrentFiles(filesTorrentId);
+        reply(ws, data, {
+            type: 'files',
+            torrentId: filesTorrentId,
+            files: files || [],
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        torrentLog.error(`Error getting files for ${filesTorrentId}:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error),
+            message: `Failed to get files: ${error.message}`,
+            torrentId: filesTorrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle set-file-priority message - { torrentId, fileIndex | fileIndexes, priority: 'high' | 'normal' | 'skip' }
+async function handleSetFilePriority(ws, data, clientId) {
+    try {
+        const { torrentId, priority } = data;
+        const fileIndexes = data.fileIndexes !== undefined ? data.fileIndexes : data.fileIndex;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+        if (fileIndexes === undefined || fileIndexes === null) {
+            throw new Error('fileIndex or fileIndexes is required');
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Setting priority ${priority} for ${torrentId} files ${[].concat(fileIndexes).join(', ')}`);
+        const files = torrentManager.setFilePriority(torrentId, fileIndexes, priority);
+        
+        reply(ws, data, {
+            type: 'file-priority-updated',
+            torrentId,
+            files,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        wsLog.error({ clientId }, `Error setting file priority:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to set file priority',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle move-torrent message - { torrentId, direction: 'up' | 'down' | 'top' | 'bottom' }
+async function handleMoveTorrent(ws, data, clientId) {
+    try {
+        const { torrentId, direction } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Moving ${torrentId} ${direction}`);
+        // onQueueChange broadcasts the new order to every client, including this one
+        const queue = await queueManager.moveTorrent(torrentId, direction);
+        acknowledge(ws, data, getVisibleQueue(queue, ws.user));
+    } catch (error) {
+        wsLog.error({ clientId }, `Error moving torrent:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to move torrent',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle subscribe message - { scope: 'all' | 'torrent' | 'summary', torrentId? }; answered with a snapshot
+function handleSubscribe(ws, data, clientId) {
+    try {
+        if (data.scope === 'torrent' && data.torrentId && !torrentManager.getTorrent(data.torrentId)) {
+            throw createError('not-found', `Torrent not found: ${data.torrentId}`);
+        }
+
+        subscriptionManager.subscribe(ws, data);
+        wsLog.info({ clientId }, `Subscribed to ${data.scope === 'torrent' ? data.torrentId : data.scope || 'all'}`);
+        sendSnapshot(ws, data);
+    } catch (error) {
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to subscribe',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle subscribe-logs message - { level?, subsystems?, torrentId?, search?, history? }
+function handleSubscribeLogs(ws, data, clientId) {
+    try {
+        // Entries outlive their torrent, so a removed torrent's log can still be followed
+        ws.logFilter = normalizeLogFilter(data);
+        wsLog.info({ clientId }, `Subscribed to ${ws.logFilter.level} logs${ws.logFilter.subsystems ? ` from ${ws.logFilter.subsystems.join(', ')}` : ''}`);
+        sendLogHistory(ws, data.history ?? DEFAULT_LOG_HISTORY, data);
+    } catch (error) {
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to subscribe to logs',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle set-bandwidth message - { downloadLimit?, uploadLimit?, schedule? }, rates in bytes/s
+async function handleSetBandwidth(ws, data, clientId) {
+    try {
+        wsLog.info({ clientId }, `Updating global bandwidth limits`);
+        // onChange broadcasts the new limits to every client, including this one
+        acknowledge(ws, data, updateBandwidthSettings(data));
+    } catch (error) {
+        wsLog.error({ clientId }, `Error setting bandwidth:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to set bandwidth limits',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle set-torrent-bandwidth message - { torrentId, downloadLimit?, uploadLimit? }
+async function handleSetTorrentBandwidth(ws, data, clientId) {
+    try {
+        const { torrentId, downloadLimit, uploadLimit } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Setting bandwidth limits for ${torrentId}`);
+        // The torrent's next delta carries the new limits in its status
+        acknowledge(ws, data, bandwidthManager.setTorrentLimits(torrentId, { downloadLimit, uploadLimit }));
+    } catch (error) {
+        wsLog.error({ clientId }, `Error setting torrent bandwidth:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to set torrent bandwidth limits',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle set-sequential message - { torrentId, sequential }
+async function handleSetSequential(ws, data, clientId) {
+    try {
+        const { torrentId, sequential } = data;
+        
+        if (!torrentId) {
+            throw new Error('Torrent ID is required');
+        }
+        
+        wsLog.info({ clientId, torrentId }, `Setting ${sequential ? 'sequential' : 'default'} download for ${torrentId}`);
+        acknowledge(ws, data, torrentManager.setSequential(torrentId, sequential));
+    } catch (error) {
+        wsLog.error({ clientId }, `Error setting download order:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to set download order',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle set-seeding-policy message - { torrentId?, policy }; without torrentId the global policy changes
+async function handleSetSeedingPolicy(ws, data, clientId) {
+    try {
+        const { torrentId, policy } = data;
+        
+        if (torrentId) {
+            wsLog.info({ clientId, torrentId }, `Setting seeding policy for ${torrentId}`);
+            // The torrent's next delta carries the new goal progress
+            acknowledge(ws, data, seedingManager.setTorrentPolicy(torrentId, policy || {}));
+        } else {
+            wsLog.info({ clientId }, `Setting global seeding policy`);
+            const globalPolicy = seedingManager.setGlobalPolicy(policy || {});
+            broadcastToClients({
+                type: 'seeding-policy-updated',
+                data: globalPolicy,
+                timestamp: new Date().toISOString()
+            });
+            acknowledge(ws, data, globalPolicy);
+        }
+    } catch (error) {
+        wsLog.error({ clientId }, `Error setting seeding policy:`, error);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to set seeding policy',
+            error: error.message,
+            torrentId: data.torrentId,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Handle update-settings message - { settings } with any subset of GET /api/settings
+async function handleUpdateSettings(ws, data, clientId) {
+    try {
+        wsLog.info({ clientId }, `Updating settings`);
+        // onChange broadcasts settings-updated to every client, including this one
+        const settings = await settingsManager.update(data.settings || {});
+        reply(ws, data, {
+            type: 'settings-saved',
+            data: settings,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        wsLog.error({ clientId }, `Error updating settings:`, error.message);
+        reply(ws, data, {
+            type: 'error',
+            code: errorCode(error, 'invalid-value'),
+            message: 'Failed to update settings',
+            error: error.message,
+            errors: error.details || [error.message],
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Validate everything before applying so a bad schedule doesn't leave half-updated limits
+function updateBandwidthSettings({ downloadLimit, uploadLimit, schedule }) {
+    normalizeRate(downloadLimit, 'downloadLimit');
+    normalizeRate(uploadLimit, 'uploadLimit');
+    if (schedule !== undefined) {
+        bandwidthManager.setSchedule(schedule, { apply: false });
+    }
+    return bandwidthManager.setGlobalLimits({ downloadLimit, uploadLimit });
+}
+
+// Handle ping message
+function handlePing(ws, data) {
+    reply(ws, data, { 
+        type: 'pong',
+        timestamp: new Date().toISOString() 
+    });
+}
+
+// Handle unknown message types
+function handleUnknownMessage(ws, data, clientId) {
+    wsLog.info({ clientId }, `Unknown message type: ${data.type}`);
+    reply(ws, data, {
+        type: 'error',
+        code: 'unknown-type',
+        message: `Unknown message type: ${data.type}`,
+        receivedData: data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Download file using WebTorrent's direct stream access
+app.get('/api/download/:torrentId/:fileIndex', requirePermission('view'), async (req, res) => {
+    try {
+        const { torrentId, fileIndex } = req.params;
+        const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+
+        if (!torrentInfo || !torrentInfo.torrent) {
+            return res.status(404).send('Torrent not found');
+        }
+
+        const file = torrentInfo.torrent.files[parseInt(fileIndex)];
+        if (!file) {
+            return res.status(404).send('File not found');
+        }
+
+        downloadLog.info({ torrentId }, `Serving file: ${file.name} (${file.length} bytes)${req.headers.range ? `, ${req.headers.range}` : ''}`);
+
+        // Use WebTorrent's createReadStream for efficient streaming; ranges make interrupted downloads resumable
+        const stream = sendRanges(req, res, {
+            size: file.length,
+            fileName: file.name,
+            etag: torrentFileETag(torrentId, fileIndex, file),
+            createStream: range => file.createReadStream(range),
+            pipe: (source, response) => pipeFile(req, source, response)
+        });
+
+        if (stream) {
+            stream.on('error', (error) => downloadLog.error({ torrentId }, `Stream error: ${error.message}`));
+        }
+
+    } catch (error) {
+        downloadLog.error(`Error: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).send('Error downloading file');
+        }
+    }
+});
+
+// A torrent's files never change, so their position in it is a strong validator for If-Range
+function torrentFileETag(torrentId, fileIndex, file) {
+    return `"${torrentId}-${fileIndex}-${file.length.toString(16)}"`;
+}
+
+// Share links carry their own rate and transfer limits
+function pipeFile(req, stream, res) {
+    if (req.share) {
+        return shareManager.pipe(req.share, stream, res);
+    }
+    return stream.pipe(res);
+}
+
+function getBaseUrl(req) {
+    return `${isSecureRequest(req) ? 'https' : req.protocol}://${req.get('host')}`;
+}
+
+function getSubtitleTracks(req, torrentId, fileIndex) {
+    const baseUrl = getBaseUrl(req);
+    return torrentManager.getSubtitleTracks(torrentId, fileIndex).map(track => ({ ...track, url: `${baseUrl}${track.url}` }));
+}
+
+// Players can't sign in, so with accounts every entry is a share link unless share=0 asks for bare /stream URLs
+function isSignedPlaylist(req) {
+    if (['1', 'true'].includes(req.query.share)) return true;
+    if (['0', 'false'].includes(req.query.share)) return false;
+    return Boolean(authManager);
+}
+
+// Fetching a playlist again reuses its links rather than minting new ones every time
+function getPlaylistEntries(req, playlist, album = null) {
+    const baseUrl = getBaseUrl(req);
+    const share = isSignedPlaylist(req);
+    const { expiresIn, maxUses, maxBytes, rateLimit } = req.query;
+
+    return playlist.files.map(file => ({
+        url: share
+            ? createShareLink(req, playlist.torrentId, file.index, { expiresIn, maxUses, maxBytes, rateLimit, label: `Playlist: ${file.name}` }, { reuse: true }).streamUrl
+            : `${baseUrl}/stream/${playlist.torrentId}/${file.index}`,
+        title: playlistTitle(file.name),
+        duration: file.duration,
+        album
+    }));
+}
+
+function sendPlaylist(req, res, title, entries) {
+    const { format } = req.params;
+    const body = format === 'xspf' ? toXSPF(entries, { title }) : toM3U(entries, { title });
+    res.attachment(`${title}.${PLAYLIST_FORMATS[format].extension}`);
+    res.type(PLAYLIST_FORMATS[format].contentType).send(body);
+}
+
+function getShareUrls(req, link) {
+    const baseUrl = getBaseUrl(req);
+    const query = `share=${encodeURIComponent(link.token)}`;
+    return {
+        streamUrl: `${baseUrl}/stream/${link.torrentId}/${link.fileIndex}?${query}`,
+        downloadUrl: `${baseUrl}/api/download/${link.torrentId}/${link.fileIndex}?${query}`
+    };
+}
+
+// Mint a share link after checking the file exists - options as in ShareManager.create
+// reuse hands back a matching link the user already has instead of minting another
+function createShareLink(req, torrentId, fileIndex, options, { reuse = false } = {}) {
+    const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+    if (!torrentInfo || !canView(req.user || null, torrentInfo.owner)) {
+        throw Object.assign(new Error(`Torrent with ID ${torrentId} not found`), { status: 404 });
+    }
+    if (!canAdd(req.user || null)) {
+        throw Object.assign(new Error('Read-only accounts cannot create share links'), { status: 403 });
+    }
+    const files = torrentInfo.torrent ? torrentInfo.torrent.files : torrentInfo.status.files || [];
+    if (!Number.isInteger(Number(fileIndex)) || !files[Number(fileIndex)]) {
+        throw Object.assign(new Error(`File ${fileIndex} not found in torrent ${torrentId}`), { status: 404 });
+    }
+
+    const linkOptions = {
+        ...options,
+        torrentId,
+        fileIndex,
+        createdBy: req.user ? req.user.username : null
+    };
+    const link = reuse ? shareManager.findOrCreate(linkOptions) : shareManager.create(linkOptions);
+    return { ...link, ...getShareUrls(req, link) };
+}
+
+// Close sockets opened with a session that no longer exists, e.g. after logout
+function closeSessionSockets(isRevoked) {
+    clients.forEach(client => {
+        if (client.user && client.user.sessionId && isRevoked(client.user)) {
+            client.close(4401, 'Session ended');
+        }
+    });
+}
+
+// Authentication routes - login is public, everything else needs a session or token
+async function handleLogin(req, res) {
+    if (!authManager) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+
+    const ip = req.ip;
+    const { username, password } = req.body || {};
+    if (authManager.isLockedOut(ip, username)) {
+        return res.status(429).json({ error: 'Too many attempts', message: 'Too many failed logins, try again in a few minutes' });
+    }
+
+    const user = authManager.verifyCredentials(username, password);
+    if (!user) {
+        authManager.recordLoginFailure(ip, username);
+        authLog.warn(`Failed login for "${username}" from ${ip}`);
+        return res.status(401).json({ error: 'Invalid credentials', message: 'Wrong username or password' });
+    }
+
+    authManager.clearLoginFailures(ip, username);
+    const sessionId = authManager.createSession(user.username);
+    res.setHeader('Set-Cookie', authManager.sessionCookie(sessionId, isSecureRequest(req)));
+    authLog.info(`${user.username} signed in from ${ip}`);
+    res.json({ username: user.username });
+}
+
+app.post('/api/auth/logout', (req, res) => {
+    if (req.user && req.user.sessionId) {
+        authManager.destroySession(req.user.sessionId);
+        closeSessionSockets(user => user.sessionId === req.user.sessionId);
+    }
+    if (authManager) {
+        res.setHeader('Set-Cookie', authManager.clearedCookie());
+    }
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    const account = req.user ? authManager.getUser(req.user.username) : null;
+    res.json({
+        authEnabled: Boolean(authManager),
+        username: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : 'admin',
+        via: req.user ? req.user.via : null,
+        quota: account ? account.quota : null,
+        usage: req.user ? torrentManager.getUsage(req.user.username) : null
+    });
+});
+
+// Change the signed-in user's password - { currentPassword, newPassword }
+app.post('/api/auth/password', (req, res) => {
+    if (!req.user) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+
+    const { currentPassword, newPassword } = req.body || {};
+    if (!authManager.verifyCredentials(req.user.username, currentPassword)) {
+        return res.status(403).json({ error: 'Invalid credentials', message: 'Current password is wrong' });
+    }
+
+    try {
+        authManager.setPassword(req.user.username, newPassword, req.user.sessionId);
+        closeSessionSockets(user => user.username === req.user.username && user.sessionId !== req.user.sessionId);
+        authLog.info(`${req.user.username} changed their password`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid password', message: error.message });
+    }
+});
+
+// API tokens for scripts - the raw token is only returned once, on creation
+app.get('/api/auth/tokens', (req, res) => {
+    if (!req.user) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+    res.json(authManager.listTokens(req.user.username));
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+    if (!req.user) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+    res.status(201).json(authManager.createToken(req.user.username, (req.body || {}).name));
+});
+
+app.delete('/api/auth/tokens/:tokenId', (req, res) => {
+    if (!req.user) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+
+    try {
+        authManager.revokeToken(req.user.username, req.params.tokenId);
+        authLog.info(`${req.user.username} revoked API token ${req.params.tokenId}`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(404).json({ error: 'Token not found', message: error.message });
+    }
+});
+
+// User management (admins) - roles are admin, user and viewer; quota { maxDiskBytes, maxActiveTorrents }
+function requireAuthEnabled(req, res, next) {
+    if (!authManager) {
+        return res.status(404).json({ error: 'Authentication disabled', message: 'Authentication is turned off in the configuration' });
+    }
+    next();
+}
+
+// Role changes apply to open sockets right away; removed accounts are disconnected
+function updateUserSockets(username, role) {
+    clients.forEach(client => {
+        if (!client.user || client.user.username !== username) return;
+        if (role) {
+            client.user.role = role;
+            // What they can see may have changed
+            sendSnapshot(client);
+        } else {
+            client.close(4401, 'Account removed');
+        }
+    });
+}
+
+app.get('/api/users', requireAuthEnabled, requirePermission('admin'), (req, res) => {
+    res.json(authManager.listUsers().map(user => ({ ...user, usage: torrentManager.getUsage(user.username) })));
+});
+
+app.post('/api/users', requireAuthEnabled, requirePermission('admin'), (req, res) => {
+    const { username, password, role, quota } = req.body || {};
+    try {
+        res.status(201).json(authManager.createUser(username, password, { role, quota }));
+    } catch (error) {
+        const status = error.message.includes('already exists') ? 409 : 400;
+        res.status(status).json({ error: 'Failed to create user', message: error.message });
+    }
+});
+
+app.put('/api/users/:username', requireAuthEnabled, requirePermission('admin'), (req, res) => {
+    const { username } = req.params;
+    if (!authManager.getUser(username)) {
+        return res.status(404).json({ error: 'User not found', message: `User "${username}" not found` });
+    }
+
+    try {
+        const { role, quota, password } = req.body || {};
+        const user = authManager.updateUser(username, { role, quota, password });
+        updateUserSockets(username, user.role);
+        if (password !== undefined) {
+            closeSessionSockets(user => user.username === username && user.sessionId !== (req.user && req.user.sessionId));
+        }
+        res.json(user);
+    } catch (error) {
+        res.status(400).json({ error: 'Failed to update user', message: error.message });
+    }
+});
+
+app.delete('/api/users/:username', requireAuthEnabled, requirePermission('admin'), (req, res) => {
+    const { username } = req.params;
+    if (!authManager.getUser(username)) {
+        return res.status(404).json({ error: 'User not found', message: `User "${username}" not found` });
+    }
+
+    try {
+        authManager.deleteUser(username);
+        updateUserSockets(username, null);
+        res.json({ success: true, username });
+    } catch (error) {
+        res.status(400).json({ error: 'Failed to delete user', message: error.message });
+    }
+});
+
+// Machine-readable API description for generating clients
+app.get('/api/schema', (req, res) => {
+    res.json(getOpenApiDocument());
+});
+
+app.get('/api/schema/websocket', (req, res) => {
+    res.json(getWebSocketSchema());
+});
+
+// API Routes - the REST counterparts of the WebSocket messages, for scripts
+// Server-Sent Events for browsers behind proxies that break WebSockets: the same feed as the socket, with
+// ?scope=all|torrent|summary&torrentId= in place of the subscribe message and ?logs=<level>&logSubsystems=
+// in place of subscribe-logs; commands go through the REST API
+app.get('/api/events', (req, res) => {
+    const { scope = 'all', torrentId, logs, logSubsystems } = req.query;
+    const clientId = `sse-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    const client = new EventStreamClient(res, { clientId, user: req.user || null });
+    subscriptionManager.attach(client);
+    
+    try {
+        subscriptionManager.subscribe(client, { scope, torrentId });
+        if (logs) {
+            client.logFilter = normalizeLogFilter({ level: logs, subsystems: logSubsystems });
+        }
+    } catch (error) {
+        return res.status(422).json({ error: 'Invalid subscription', message: error.message });
+    }
+    if (scope === 'torrent' && (!torrentManager.getTorrent(torrentId) || checkTorrentAccess(client.user, torrentId))) {
+        return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} not found` });
+    }
+    
+    sseLog.info(`New connection: ${clientId}${client.user ? ` (${client.user.username})` : ''}`);
+    client.start();
+    clients.add(client);
+    greetClient(client);
+    if (client.logFilter) {
+        sendLogHistory(client, DEFAULT_LOG_HISTORY);
+    }
+    
+    res.on('close', () => {
+        sseLog.info(`Client disconnected: ${clientId}`);
+        clients.delete(client);
+    });
+});
+
+// Buffered log entries - ?level=&subsystem=&torrentId=&search=&limit=
+app.get('/api/logs', (req, res) => {
+    const { level, subsystem, torrentId, search } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_LOG_HISTORY : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(422).json({ error: 'Invalid filter', message: 'limit must be an integer from 1 to 1000' });
+    }
+    if (torrentId && checkTorrentAccess(req.user || null, torrentId)) {
+        return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} not found` });
+    }
+
+    let filter;
+    try {
+        filter = normalizeLogFilter({ level, subsystems: subsystem, torrentId, search });
+    } catch (error) {
+        return res.status(422).json({ error: 'Invalid filter', message: error.message });
+    }
+    res.json({ entries: getVisibleLogEntries(req.user || null, filter, limit), subsystems: getLogSubsystems() });
+});
+
+app.get('/api/torrents', (req, res) => {
+    res.json(torrentManager.getAllTorrents(req.user || null));
+});
+
+// Add a torrent - { magnet, fresh? }; magnet may also be a bare info hash or a .torrent URL
+app.post('/api/torrents', requirePermission('add'), async (req, res) => {
+    const { magnet, fresh = false } = req.body || {};
+    if (typeof magnet !== 'string' || !magnet.trim()) {
+        return res.status(422).json({ error: 'Invalid torrent', message: 'magnet is required (a magnet link, info hash or .torrent URL)' });
+    }
+    if (typeof fresh !== 'boolean') {
+        return res.status(422).json({ error: 'Invalid torrent', message: 'fresh must be true or false' });
+    }
+
+    try {
+        const { result, identifier } = await addTorrentFromIdentifier(magnet.trim(), { fresh, user: req.user || null, log: apiLog });
+
+        if (result.duplicate) {
+            const visible = canView(req.user || null, torrentManager.getOwner(result.torrentId));
+            return res.status(409).json({
+                error: 'Torrent already added',
+                message: visible ? 'This torrent is already in the list' : 'This torrent has already been added by another user',
+                ...(visible ? { torrentId: result.torrentId, trackersAdded: result.trackersAdded } : {})
+            });
+        }
+
+        publishTorrent(result.torrentId);
+
+        res.status(201).json({
+            ...result,
+            name: identifier.name,
+            infoHash: identifier.infoHash,
+            torrent: torrentManager.getTorrent(result.torrentId)
+        });
+    } catch (error) {
+        apiLog.error('Error adding torrent:', error);
+        if (error.invalidInput) {
+            return res.status(422).json({ error: 'Invalid torrent', message: error.message });
+        }
+        res.status(500).json({ error: 'Failed to start torrent', message: error.message });
+    }
+});
+
+app.get('/api/torrents/:torrentId', requireTorrent, requirePermission('view'), (req, res) => {
+    res.json(torrentManager.getTorrent(req.params.torrentId));
+});
+
+app.get('/api/torrents/:torrentId/files', requireTorrent, requirePermission('view'), (req, res) => {
+    res.json(torrentManager.getTorrentFiles(req.params.torrentId));
+});
+
+// Downloaded byte ranges of one file, for the player's seek bar
+app.get('/api/torrents/:torrentId/files/:fileIndex/pieces', requireTorrent, requirePermission('view'), (req, res) => {
+    const { torrentId, fileIndex } = req.params;
+    const pieces = torrentManager.getFilePieces(torrentId, parseInt(fileIndex, 10));
+    if (!pieces) {
+        return res.status(404).json({ error: 'File not found', message: `No file ${fileIndex} in ${torrentId}, or the torrent isn't running` });
+    }
+    res.json(pieces);
+});
+
+// Set file priorities - { fileIndex | fileIndexes, priority: 'high' | 'normal' | 'skip' }
+app.put('/api/torrents/:torrentId/files', requireTorrent, requirePermission('control'), (req, res) => {
+    const { priority, fileIndex, fileIndexes = fileIndex } = req.body || {};
+    if (fileIndexes === undefined || fileIndexes === null) {
+        return res.status(422).json({ error: 'Invalid file priority', message: 'fileIndex or fileIndexes is required' });
+    }
+
+    try {
+        res.json(torrentManager.setFilePriority(req.params.torrentId, fileIndexes, priority));
     } catch (error) {
-        console.error(`[WS ${clientId}] Error starting torrent:`, error);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Failed to start torrent',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        }));
+        // The torrent exists, so anything thrown is a bad index or priority
+        res.status(422).json({ error: 'Invalid file priority', message: error.message });
     }
-}
+});
 
-// Handle stop-torrent message
-async function handleStopTorrent(ws, data, clientId) {
+// Move a torrent in the queue - { direction: 'up' | 'down' | 'top' | 'bottom' }
+app.post('/api/torrents/:torrentId/move', requireTorrent, requirePermission('control'), async (req, res) => {
     try {
-        console.log(`[WS ${clientId}] Handling stop-torrent request`);
-        const { torrentId } = data;
-        
-        if (!torrentId) {
-            throw new Error('Torrent ID is required');
+        const queue = await queueManager.moveTorrent(req.params.torrentId, (req.body || {}).direction);
+        res.json(getVisibleQueue(queue, req.user || null));
+    } catch (error) {
+        res.status(422).json({ error: 'Invalid direction', message: error.message });
+    }
+});
+
+app.get('/api/queue', (req, res) => {
+    res.json(getVisibleQueue(queueManager.getQueue(), req.user || null));
+});
+
+// Remove a torrent; ?deleteFiles=true also deletes its downloaded data
+app.delete('/api/torrents/:torrentId', requireTorrent, requirePermission('control'), async (req, res) => {
+    const { deleteFiles = 'false' } = req.query;
+    if (!['true', 'false'].includes(deleteFiles)) {
+        return res.status(422).json({ error: 'Invalid request', message: 'deleteFiles must be true or false' });
+    }
+
+    try {
+        const result = await queueManager.deleteTorrent(req.params.torrentId, deleteFiles === 'true');
+        broadcastTorrentRemoved(result);
+        res.json({ torrentId: result.torrentId, name: result.name, deleted: true, deleteFiles: deleteFiles === 'true' });
+    } catch (error) {
+        apiLog.error('Error deleting torrent:', error);
+        res.status(error.code === 'invalid-state' ? 409 : 500).json({ error: 'Failed to delete torrent', message: error.message });
+    }
+});
+
+// .torrent uploads are small, so keep them in memory and pass the buffer straight to WebTorrent
+const torrentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_TORRENT_FILE_SIZE, files: 1 }
+}).single('torrent');
+
+// Add a torrent from an uploaded .torrent file (multipart field "torrent")
+app.post('/api/torrents/upload', requirePermission('add'), (req, res) => {
+    torrentUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            uploadLog.error(`Upload failed: ${uploadError.message}`);
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = uploadError.code === 'LIMIT_FILE_SIZE' ?
+                `Torrent file is too large (max ${MAX_TORRENT_FILE_SIZE / (1024 * 1024)} MB)` :
+                uploadError.message;
+            return res.status(status).json({ error: 'Failed to upload torrent file', message });
         }
 
-        // Get current torrent state before stopping
-        const torrent = torrentManager.getTorrent(torrentId);
-        if (!torrent) {
-            throw new Error(`Torrent not found: ${torrentId}`);
+        if (!req.file) {
+            return res.status(400).json({ error: 'No torrent file provided', message: 'Send the file in a multipart field named "torrent"' });
         }
 
-        // Immediately notify all clients that we're stopping
-        const stoppingUpdate = {
-            type: 'torrent-update',
-            torrentId: torrentId,
-            data: {
-                ...torrent,
-                status: 'stopping',
-                downloadSpeed: 0,
-                uploadSpeed: 0,
-                peers: 0,
-                message: 'Stopping torrent...',
-                lastUpdated: new Date().toISOString()
-            },
-            timestamp: new Date().toISOString()
-        };
-        
-        // Broadcast to all clients first
-        broadcastToClients(stoppingUpdate);
-        
-        console.log(`[WS ${clientId}] Stopping torrent: ${torrentId}`);
-        
-        // Actually stop the torrent
-        const result = await torrentManager.stopTorrent(torrentId);
-        
-        // Prepare the final stopped state
-        const stoppedUpdate = {
-            type: 'torrent-update',
-            torrentId: torrentId,
-            data: {
+        const fileName = req.file.originalname || 'torrent file';
+        const fresh = req.body.fresh === true || req.body.fresh === 'true';
+
+        let info;
+        try {
+            info = await parseTorrentFile(req.file.buffer, fileName);
+        } catch (error) {
+            uploadLog.error(`Invalid torrent file ${fileName}: ${error.message}`);
+            return res.status(422).json({ error: 'Invalid torrent file', message: error.message });
+        }
+
+        try {
+            const downloadPath = resolveDownloadPath(fresh);
+            uploadLog.info(`Adding ${info.name} (${info.infoHash}) from ${fileName} to ${downloadPath}`);
+
+            const result = await queueManager.addTorrent(req.file.buffer, downloadPath, fresh, {
+                owner: req.user ? req.user.username : null
+            });
+
+            if (result.duplicate && !canView(req.user || null, torrentManager.getOwner(result.torrentId))) {
+                return res.status(409).json({
+                    error: 'Torrent already added',
+                    message: `${info.name} has already been added by another user`
+                });
+            }
+            if (result.duplicate) {
+                return res.status(409).json({
+                    error: 'Torrent already added',
+                    message: `${info.name} is already in the list`,
+                    torrentId: result.torrentId,
+                    trackersAdded: result.trackersAdded
+                });
+            }
+
+            publishTorrent(result.torrentId);
+
+            res.status(201).json({
                 ...result,
-                status: 'stopped',
-                downloadSpeed: 0,
-                uploadSpeed: 0,
-                peers: 0,
-                message: 'Torrent has been stopped',
-                lastUpdated: new Date().toISOString()
-            },
-            timestamp: new Date().toISOString()
-        };
-        
-        // Send confirmation to the requesting client
-        ws.send(JSON.stringify({
-            type: 'torrent-stopped',
-            data: stoppedUpdate.data,
-            timestamp: stoppedUpdate.timestamp
-        }));
-        
-        // Broadcast the final stopped state to all clients
-        broadcastToClients(stoppedUpdate);
-        
-        console.log(`[WS ${clientId}] Torrent stopped successfully: ${torrentId}`);
-        
-    } catch (error) {
-        console.error(`[WS ${clientId}] Error stopping torrent:`, error);
-        
-        // If we have a torrentId, update its status to error
-        if (data.torrentId) {
-            broadcastToClients({
-                type: 'torrent-update',
-                torrentId: data.torrentId,
-                data: {
-                    torrentId: data.torrentId,
-                    status: 'error',
-                    message: `Error: ${error.message}`,
-                    lastUpdated: new Date().toISOString()
-                },
-                timestamp: new Date().toISOString()
+                name: info.name,
+                infoHash: info.infoHash,
+                length: info.length,
+                fileCount: info.fileCount
             });
+        } catch (error) {
+            uploadLog.error(`Error starting torrent from ${fileName}:`, error);
+            res.status(500).json({ error: 'Failed to start torrent', message: error.message });
         }
-        
-        // Send error to the requesting client
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Failed to stop torrent',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        }));
-    }
-}
+    });
+});
 
-// Handle delete-torrent message
-async function handleDeleteTorrent(ws, data, clientId) {
+// Pause a torrent - it stays listed and keeps its data on disk
+app.post('/api/torrents/:torrentId/pause', requireTorrent, requirePermission('control'), async (req, res) => {
     try {
-        console.log(`[WS ${clientId}] Handling delete-torrent request`);
-        const { torrentId, deleteFiles = false } = data;
-        
-        if (!torrentId) {
-            throw new Error('Torrent ID is required');
-        }
+        const { torrentId } = req.params;
+        await queueManager.pauseTorrent(torrentId);
+        res.json(torrentManager.getTorrent(torrentId));
+    } catch (error) {
+        apiLog.error('Error pausing torrent:', error);
+        res.status(500).json({ error: 'Failed to pause torrent', message: error.message });
+    }
+});
 
-        console.log(`[WS ${clientId}] Deleting torrent: ${torrentId}, deleteFiles: ${deleteFiles}`);
-        const result = await torrentManager.deleteTorrent(torrentId, deleteFiles);
-        
-        ws.send(JSON.stringify({
-            type: 'torrent-deleted',
-            data: result,
-            timestamp: new Date().toISOString()
-        }));
-        
-        // Broadcast to all clients
-        broadcastToClients({
-            type: 'torrent-removed',
-            torrentId: torrentId,
-            name: result.name || null,
-            timestamp: new Date().toISOString()
-        });
-        
-        console.log(`[WS ${clientId}] Torrent deleted successfully: ${torrentId}`);
-        
+// Resume a paused torrent from the pieces already downloaded
+app.post('/api/torrents/:torrentId/resume', requireTorrent, requirePermission('resume'), async (req, res) => {
+    try {
+        const { torrentId } = req.params;
+        await queueManager.resumeTorrent(torrentId);
+        res.json(torrentManager.getTorrent(torrentId));
     } catch (error) {
-        console.error(`[WS ${clientId}] Error deleting torrent:`, error);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Failed to delete torrent',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        }));
+        apiLog.error('Error resuming torrent:', error);
+        res.status(500).json({ error: 'Failed to resume torrent', message: error.message });
     }
-}
+});
 
-// Handle get-files message
-async function handleGetFiles(ws, messageData, clientId) {
-    const filesTorrentId = messageData.torrentId || 
-                         (messageData.data && messageData.data.torrentId);
-    
-    if (!filesTorrentId) {
-        return ws.send(JSON.stringify({
-            type: 'error',
-            message: 'No torrent ID provided for file listing',
-            timestamp: new Date().toISOString()
-        }));
+// Verify a running torrent's data on disk again; paused and queued torrents answer 409
+app.post('/api/torrents/:torrentId/recheck', requireTorrent, requirePermission('control'), async (req, res) => {
+    const { torrentId } = req.params;
+    if (!torrentManager.activeTorrents.get(torrentId).torrent) {
+        const { status } = torrentManager.getTorrent(torrentId);
+        return res.status(409).json({ error: 'Torrent not running', message: `Torrent is ${status}; resume it before rechecking` });
     }
-    
+
     try {
-        const files = torrentManager.getTorrentFiles(filesTorrentId);
-        ws.send(JSON.stringify({
-            type: 'files',
-            torrentId: filesTorrentId,
-            files: files || [],
-            timestamp: new Date().toISOString()
-        }));
+        await torrentManager.recheckTorrent(torrentId);
+        res.json(torrentManager.getTorrent(torrentId));
     } catch (error) {
-        console.error(`[TORRENT] Error getting files for ${filesTorrentId}:`, error);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: `Failed to get files: ${error.message}`,
-            torrentId: filesTorrentId,
-            timestamp: new Date().toISOString()
-        }));
+        apiLog.error('Error rechecking torrent:', error);
+        res.status(500).json({ error: 'Failed to recheck torrent', message: error.message });
     }
-}
-
-// Handle ping message
-function handlePing(ws) {
-    ws.send(JSON.stringify({ 
-        type: 'pong',
-        timestamp: new Date().toISOString() 
-    }));
-}
+});
 
-// Handle unknown message types
-function handleUnknownMessage(ws, messageData, clientId) {
-    console.log(`[WS ${clientId}] Unknown message type: ${messageData.type}`);
-    ws.send(JSON.stringify({
-        type: 'error',
-        message: `Unknown message type: ${messageData.type}`,
-        receivedData: messageData,
-        timestamp: new Date().toISOString()
-    }));
-}
+// Set per-torrent rate limits - { downloadLimit?, uploadLimit? } in bytes/s, -1 or null for unlimited
+app.put('/api/torrents/:torrentId/bandwidth', requireTorrent, requirePermission('control'), (req, res) => {
+    try {
+        const { torrentId } = req.params;
+        const { downloadLimit, uploadLimit } = req.body || {};
+        res.json(bandwidthManager.setTorrentLimits(torrentId, { downloadLimit, uploadLimit }));
+    } catch (error) {
+        apiLog.error('Error setting torrent bandwidth:', error);
+        res.status(400).json({ error: 'Invalid bandwidth limits', message: error.message });
+    }
+});
 
-// Download file using WebTorrent's direct stream access
-app.get('/api/download/:torrentId/:fileIndex', async (req, res) => {
+// Download pieces in order (for watching while downloading) or by streaming.pieceStrategy - { sequential: boolean }
+app.put('/api/torrents/:torrentId/sequential', requireTorrent, requirePermission('control'), (req, res) => {
     try {
-        const { torrentId, fileIndex } = req.params;
-        const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+        const { sequential } = req.body || {};
+        res.json(torrentManager.setSequential(req.params.torrentId, sequential));
+    } catch (error) {
+        apiLog.error('Error setting download order:', error);
+        res.status(400).json({ error: 'Invalid download order', message: error.message });
+    }
+});
 
-        if (!torrentInfo || !torrentInfo.torrent) {
-            return res.status(404).send('Torrent not found');
-        }
+// Runtime settings - download directory, limits, queue sizes, seeding goals and update intervals
+app.get('/api/settings', (req, res) => {
+    res.json(settingsManager.getSettings());
+});
 
-        const file = torrentInfo.torrent.files[parseInt(fileIndex)];
-        if (!file) {
-            return res.status(404).send('File not found');
+// Partial updates; nothing is applied if any value is invalid
+app.put('/api/settings', requirePermission('admin'), async (req, res) => {
+    try {
+        res.json(await settingsManager.update(req.body || {}));
+    } catch (error) {
+        apiLog.error('Error updating settings:', error.message);
+        if (error.details) {
+            return res.status(400).json({ error: 'Invalid settings', message: error.message, errors: error.details });
         }
+        res.status(500).json({ error: 'Failed to update settings', message: error.message });
+    }
+});
 
-        console.log(`[DOWNLOAD] Serving file: ${file.name} (${file.length} bytes)`);
-
-        res.setHeader('Content-Disposition', `attachment; filename="${file.name}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-Length', file.length);
-
-        // Use WebTorrent's createReadStream for efficient streaming
-        const stream = file.createReadStream();
-        stream.pipe(res);
+// Global limits, schedule and the limits currently in effect
+app.get('/api/bandwidth', (req, res) => {
+    res.json(bandwidthManager.getState());
+});
 
-        stream.on('error', (error) => {
-            console.error(`[DOWNLOAD] Stream error: ${error.message}`);
-            if (!res.headersSent) {
-                res.status(500).send('Error streaming file');
-            }
-        });
+// Change global limits and/or the schedule - { downloadLimit?, uploadLimit?, schedule? }
+app.put('/api/bandwidth', requirePermission('admin'), (req, res) => {
+    try {
+        res.json(updateBandwidthSettings(req.body || {}));
+    } catch (error) {
+        apiLog.error('Error setting bandwidth:', error);
+        res.status(400).json({ error: 'Invalid bandwidth settings', message: error.message });
+    }
+});
 
+// Override the seeding policy for one torrent - null fields fall back to the global policy
+app.put('/api/torrents/:torrentId/seeding', requireTorrent, requirePermission('control'), (req, res) => {
+    try {
+        const { torrentId } = req.params;
+        res.json(seedingManager.setTorrentPolicy(torrentId, req.body || {}));
     } catch (error) {
-        console.error(`[DOWNLOAD] Error: ${error.message}`);
-        if (!res.headersSent) {
-            res.status(500).send('Error downloading file');
-        }
+        apiLog.error('Error setting seeding policy:', error);
+        res.status(400).json({ error: 'Invalid seeding policy', message: error.message });
     }
 });
 
-// API Routes
-app.get('/api/torrents', (req, res) => {
-    res.json(torrentManager.getAllTorrents());
+// Global seeding policy - { ratioLimit, seedTimeLimit, idleTimeLimit, action }
+app.get('/api/seeding', (req, res) => {
+    res.json(seedingManager.getGlobalPolicy());
+});
+
+app.put('/api/seeding', requirePermission('admin'), (req, res) => {
+    try {
+        const policy = seedingManager.setGlobalPolicy(req.body || {});
+        broadcastToClients({
+            type: 'seeding-policy-updated',
+            data: policy,
+            timestamp: new Date().toISOString()
+        });
+        res.json(policy);
+    } catch (error) {
+        apiLog.error('Error setting seeding policy:', error);
+        res.status(400).json({ error: 'Invalid seeding policy', message: error.message });
+    }
 });
 
 // Get streaming URLs for a specific torrent
-app.get('/api/torrents/:torrentId/streaming-urls', (req, res) => {
+app.get('/api/torrents/:torrentId/streaming-urls', requirePermission('view'), (req, res) => {
     try {
         const { torrentId } = req.params;
         const torrentInfo = torrentManager.activeTorrents.get(torrentId);
         
         if (!torrentInfo || !torrentInfo.torrent) {
-            return res.status(404).json({ error: 'Torrent not found' });
+            return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} is not running` });
         }
         
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const baseUrl = getBaseUrl(req);
         const files = torrentInfo.torrent.files.map((file, index) => {
             const isVideo = torrentManager.isVideoFile(file.name);
             return {
@@ -588,10 +2146,13 @@ app.get('/api/torrents/:torrentId/streaming-urls', (req, res) => {
                 name: file.name,
                 size: file.length,
                 isVideo,
+                isSubtitle: Boolean(subtitleFormat(file.name)),
                 streamUrl: `${baseUrl}/stream/${torrentId}/${index}`,
                 downloadUrl: `${baseUrl}/api/download/${torrentId}/${index}`,
                 // VLC compatible URL
-                vlcUrl: `${baseUrl}/stream/${torrentId}/${index}`
+                vlcUrl: `${baseUrl}/stream/${torrentId}/${index}`,
+                // <track> entries; external players pick up .srt files themselves
+                subtitles: isVideo ? getSubtitleTracks(req, torrentId, index) : []
             };
         });
         
@@ -603,19 +2164,93 @@ app.get('/api/torrents/:torrentId/streaming-urls', (req, res) => {
             status: torrentInfo.status
         });
     } catch (error) {
-        console.error('[API] Error getting streaming URLs:', error);
+        apiLog.error('Error getting streaming URLs:', error);
         res.status(500).json({ error: 'Failed to get streaming URLs' });
     }
 });
 
-// Get individual file streaming URL
-app.get('/api/torrents/:torrentId/files/:fileIndex/stream-url', (req, res) => {
+// Playlists of a torrent's video and audio files for VLC, mpv and the like; signed (with the share link options) when auth is on
+app.get('/api/torrents/:torrentId/playlist.:format(m3u|m3u8|xspf)', requireTorrent, requirePermission('view'), (req, res) => {
+    const { torrentId } = req.params;
+    const playlist = torrentManager.getPlaylist(torrentId);
+    if (!playlist) {
+        return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} is not running` });
+    }
+
+    try {
+        sendPlaylist(req, res, playlist.name, getPlaylistEntries(req, playlist));
+    } catch (error) {
+        res.status(error.status || 400).json({ error: 'Failed to create share link', message: error.message });
+    }
+});
+
+// Every running torrent you can see, grouped by torrent
+app.get('/api/playlist.:format(m3u|m3u8|xspf)', (req, res) => {
+    const playlists = torrentManager.getAllTorrents(req.user || null)
+        .map(status => torrentManager.getPlaylist(status.torrentId))
+        .filter(playlist => playlist && playlist.files.length)
+        .sort((a, b) => naturalCompare(a.name, b.name));
+
+    try {
+        sendPlaylist(req, res, 'Library', playlists.flatMap(playlist => getPlaylistEntries(req, playlist, playlist.name)));
+    } catch (error) {
+        res.status(error.status || 400).json({ error: 'Failed to create share link', message: error.message });
+    }
+});
+
+// Players report a file's duration (seconds) once they know it - { duration }
+app.put('/api/torrents/:torrentId/files/:fileIndex/duration', requireTorrent, requirePermission('control'), (req, res) => {
+    try {
+        res.json(torrentManager.setFileDuration(req.params.torrentId, parseInt(req.params.fileIndex, 10), (req.body || {}).duration));
+    } catch (error) {
+        res.status(422).json({ error: 'Invalid duration', message: error.message });
+    }
+});
+
+// Share links - { torrentId, fileIndex, expiresIn (minutes), maxUses?, maxBytes?, rateLimit? (bytes/s), label? }
+app.post('/api/shares', (req, res) => {
+    const { torrentId, fileIndex, ...options } = req.body || {};
+    if (!torrentId || fileIndex === undefined) {
+        return res.status(400).json({ error: 'Missing parameters', message: 'torrentId and fileIndex are required' });
+    }
+
+    try {
+        res.status(201).json(createShareLink(req, torrentId, fileIndex, options));
+    } catch (error) {
+        apiLog.error('Error creating share link:', error.message);
+        res.status(error.status || 400).json({ error: 'Failed to create share link', message: error.message });
+    }
+});
+
+// Admins see every link, everyone else the links they created
+app.get('/api/shares', (req, res) => {
+    const links = shareManager.list(req.query.torrentId || null)
+        .filter(link => isAdmin(req.user || null) || link.createdBy === req.user.username);
+    res.json(links.map(link => ({ ...link, ...getShareUrls(req, link) })));
+});
+
+app.delete('/api/shares/:shareId', (req, res) => {
+    const link = shareManager.get(req.params.shareId);
+    if (link && !isAdmin(req.user || null) && link.createdBy !== req.user.username) {
+        return res.status(404).json({ error: 'Share link not found', message: `Share link ${req.params.shareId} not found` });
+    }
+
+    try {
+        shareManager.revoke(req.params.shareId);
+        res.json({ success: true, shareId: req.params.shareId });
+    } catch (error) {
+        res.status(404).json({ error: 'Share link not found', message: error.message });
+    }
+});
+
+// Get individual file streaming URL; ?share=1 mints a signed link (with expiresIn, maxUses, maxBytes, rateLimit)
+app.get('/api/torrents/:torrentId/files/:fileIndex/stream-url', requirePermission('view'), (req, res) => {
     try {
         const { torrentId, fileIndex } = req.params;
         const torrentInfo = torrentManager.activeTorrents.get(torrentId);
         
         if (!torrentInfo || !torrentInfo.torrent) {
-            return res.status(404).json({ error: 'Torrent not found' });
+            return res.status(404).json({ error: 'Torrent not found', message: `Torrent with ID ${torrentId} is not running` });
         }
         
         const file = torrentInfo.torrent.files[parseInt(fileIndex)];
@@ -623,11 +2258,26 @@ app.get('/api/torrents/:torrentId/files/:fileIndex/stream-url', (req, res) => {
             return res.status(404).json({ error: 'File not found' });
         }
         
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
-        const streamUrl = `${baseUrl}/stream/${torrentId}/${fileIndex}`;
+        const baseUrl = getBaseUrl(req);
+        let streamUrl = `${baseUrl}/stream/${torrentId}/${fileIndex}`;
+        let downloadUrl = `${baseUrl}/api/download/${torrentId}/${fileIndex}`;
+        let share = null;
+        
+        if (['1', 'true'].includes(req.query.share)) {
+            const { expiresIn, maxUses, maxBytes, rateLimit, label } = req.query;
+            try {
+                share = createShareLink(req, torrentId, fileIndex, { expiresIn, maxUses, maxBytes, rateLimit, label });
+            } catch (error) {
+                return res.status(error.status || 400).json({ error: 'Failed to create share link', message: error.message });
+            }
+            ({ streamUrl, downloadUrl } = share);
+        }
         
         res.json({
             streamUrl,
+            downloadUrl,
+            share,
+            subtitles: getSubtitleTracks(req, torrentId, parseInt(fileIndex)),
             fileName: file.name,
             fileSize: file.length,
             torrentName: torrentInfo.torrent.name,
@@ -638,49 +2288,48 @@ app.get('/api/torrents/:torrentId/files/:fileIndex/stream-url', (req, res) => {
             }
         });
     } catch (error) {
-        console.error('[API] Error getting stream URL:', error);
+        apiLog.error('Error getting stream URL:', error);
         res.status(500).json({ error: 'Failed to get stream URL' });
     }
 });
 
 // File serving - serves completed torrent files from disk
-app.get('/downloads/:torrentId/:filename', (req, res) => {
+app.get('/downloads/:torrentId/:filename', requireTorrent, requirePermission('view'), async (req, res) => {
     try {
+        // Express has already decoded the name; only files this torrent lists are served, never a path built from it
         const { torrentId, filename } = req.params;
-        console.log(`[FILE] Download request for ${filename} in torrent ${torrentId}`);
-        
-        const torrentInfo = torrentManager.activeTorrents.get(torrentId);
+        fileLog.info({ torrentId }, `Download request for ${filename} in torrent ${torrentId}`);
         
-        if (!torrentInfo) {
-            console.error(`[FILE] Torrent not found: ${torrentId}`);
-            return res.status(404).send('Torrent not found');
+        const onDisk = torrentManager.getFileOnDisk(torrentId, filename);
+        if (!onDisk) {
+            fileLog.warn({ torrentId }, `No file ${filename} in torrent ${torrentId}`);
+            return res.status(404).send('File not found');
         }
         
-        const filePath = path.join(torrentInfo.downloadPath, decodeURIComponent(filename));
-        console.log(`[FILE] Serving file: ${filePath}`);
+        const filePath = onDisk.fullPath;
+        fileLog.info(`Serving file: ${filePath}`);
         
-        if (!fs.existsSync(filePath)) {
-            console.error(`[FILE] File not found: ${filePath}`);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (!stats || !stats.isFile()) {
+            fileLog.error(`File not found: ${filePath}`);
             return res.status(404).send('File not found');
         }
         
-        // Set appropriate headers
-        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-        
-        // Stream the file
-        const fileStream = fs.createReadStream(filePath);
-        fileStream.pipe(res);
-        
-        fileStream.on('error', (error) => {
-            console.error(`[FILE] Error streaming file ${filePath}:`, error);
-            if (!res.headersSent) {
-                res.status(500).send('Error streaming file');
-            }
+        // Size and mtime change while the torrent is still writing, so a resumed download of an older copy starts over
+        const fileStream = sendRanges(req, res, {
+            size: stats.size,
+            fileName: path.basename(filePath),
+            etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+            lastModified: stats.mtime,
+            createStream: range => fs.createReadStream(filePath, range)
         });
         
+        if (fileStream) {
+            fileStream.on('error', (error) => fileLog.error(`Error streaming file ${filePath}:`, error));
+        }
+        
     } catch (error) {
-        console.error('[FILE] Error handling download request:', error);
+        fileLog.error('Error handling download request:', error);
         if (!res.headersSent) {
             res.status(500).send('Internal server error');
         }
@@ -703,16 +2352,23 @@ function getMimeType(filename) {
         '.mpeg': 'video/mpeg',
         '.3gp': 'video/3gpp',
         '.mp3': 'audio/mpeg',
+        '.m4a': 'audio/mp4',
+        '.aac': 'audio/aac',
         '.wav': 'audio/wav',
         '.ogg': 'audio/ogg',
-        '.flac': 'audio/flac'
+        '.opus': 'audio/ogg',
+        '.flac': 'audio/flac',
+        '.srt': 'application/x-subrip',
+        '.ass': 'text/x-ssa',
+        '.ssa': 'text/x-ssa',
+        '.vtt': 'text/vtt'
     };
     return mimeTypes[ext] || 'application/octet-stream';
 }
 
 // Stream endpoint with range request support for video playback
 // Supports real-time streaming while downloading - works with VLC, browser, etc.
-app.get('/stream/:torrentId/:fileIndex', (req, res) => {
+app.get('/stream/:torrentId/:fileIndex', requirePermission('view'), (req, res) => {
     try {
         const { torrentId, fileIndex } = req.params;
         const torrentInfo = torrentManager.activeTorrents.get(torrentId);
@@ -726,78 +2382,101 @@ app.get('/stream/:torrentId/:fileIndex', (req, res) => {
             return res.status(404).send('File not found');
         }
         
-        console.log(`[STREAM] Streaming ${file.name} (${file.length} bytes)`);
-        
-        const range = req.headers.range;
-        const fileSize = file.length;
-        const mimeType = getMimeType(file.name);
+        streamLog.info({ torrentId }, `Streaming ${file.name} (${file.length} bytes)${req.headers.range ? `, ${req.headers.range}` : ''}`);
         
         // Set CORS headers for cross-origin streaming
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Range');
-        
-        if (!range) {
-            // No range request - stream entire file
-            res.writeHead(200, {
-                'Content-Length': fileSize,
-                'Content-Type': mimeType,
-                'Accept-Ranges': 'bytes',
-                'Content-Disposition': `inline; filename="${file.name}"`
-            });
-            
-            const stream = file.createReadStream();
-            stream.pipe(res);
-            
-            stream.on('error', (err) => {
-                console.error(`[STREAM] Error: ${err.message}`);
-                if (!res.headersSent) {
-                    res.status(500).send('Streaming error');
-                }
-            });
-        } else {
-            // Range request - partial content (required for video seeking)
-            const parts = range.replace(/bytes=/, '').split('-');
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            const chunkSize = (end - start) + 1;
-            
-            console.log(`[STREAM] Range request: ${start}-${end}/${fileSize}`);
-            
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': chunkSize,
-                'Content-Type': mimeType,
-                'Content-Disposition': `inline; filename="${file.name}"`
-            });
-            
-            const stream = file.createReadStream({ start, end });
-            stream.pipe(res);
-            
-            stream.on('error', (err) => {
-                console.error(`[STREAM] Error: ${err.message}`);
-                if (!res.headersSent) {
-                    res.status(500).send('Streaming error');
-                }
-            });
+        setCorsOrigin(req, res);
+        res.setHeader('Access-Control-Allow-Methods', RANGE_METHODS);
+        res.setHeader('Access-Control-Allow-Headers', 'Range, If-Range');
+        res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Length, Content-Range');
+        
+        // Seeking sends a Range; the pieces at its start and a window ahead of the player are fetched first
+        const stream = sendRanges(req, res, {
+            size: file.length,
+            contentType: getMimeType(file.name),
+            fileName: file.name,
+            disposition: 'inline',
+            etag: torrentFileETag(torrentId, fileIndex, file),
+            createStream: range => streamPrioritizer.track(torrentId, torrentInfo.torrent, file, range, file.createReadStream(range)),
+            pipe: (source, response) => pipeFile(req, source, response)
+        });
+        
+        if (stream) {
+            stream.on('error', (err) => streamLog.error({ torrentId }, `Error: ${err.message}`));
         }
     } catch (error) {
-        console.error(`[STREAM] Error: ${error.message}`);
+        streamLog.error(`Error: ${error.message}`);
         if (!res.headersSent) {
             res.status(500).send('Streaming error');
         }
     }
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n[SERVER] Shutting down gracefully...');
+// Subtitle files as WebVTT for <track>; ?encoding= overrides the detected character set
+app.get('/subtitles/:torrentId/:fileIndex(\\d+).vtt', requirePermission('view'), async (req, res) => {
+    const { torrentId } = req.params;
+    const fileIndex = parseInt(req.params.fileIndex);
+    const subtitle = torrentManager.getSubtitleFile(torrentId, fileIndex);
+    if (!subtitle) {
+        return res.status(404).json({ error: 'Subtitle not found', message: `No subtitle file ${fileIndex} in ${torrentId}, or the torrent isn't running` });
+    }
+    
+    const { file, format, language } = subtitle;
+    if (file.length > MAX_SUBTITLE_SIZE) {
+        return res.status(413).json({ error: 'Subtitle too large', message: `${file.name} is larger than ${MAX_SUBTITLE_SIZE / (1024 * 1024)} MB` });
+    }
+    
+    try {
+        // Reading also downloads the file if needed; it is small, so ask for all of it at once
+        const chunks = [];
+        if (file.length > 0) {
+            const range = { start: 0, end: file.length - 1 };
+            const torrent = torrentManager.activeTorrents.get(torrentId).torrent;
+            for await (const chunk of streamPrioritizer.track(torrentId, torrent, file, range, file.createReadStream(range))) {
+                chunks.push(chunk);
+            }
+        }
+        
+        let decoded;
+        try {
+            decoded = decodeSubtitle(Buffer.concat(chunks), { encoding: req.query.encoding || null, language });
+        } catch (error) {
+            return res.status(400).json({ error: 'Unknown encoding', message: error.message });
+        }
+        
+        subtitleLog.info({ torrentId }, `Converting ${file.name} (${format}, ${decoded.encoding}) to WebVTT`);
+        setCorsOrigin(req, res);
+        res.type('text/vtt; charset=utf-8').send(toWebVTT(decoded.text, format));
+    } catch (error) {
+        subtitleLog.error({ torrentId }, `Error converting ${file.name}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Subtitle conversion failed', message: error.message });
+        }
+    }
+});
+
+// Graceful shutdown - sessions are kept so torrents resume on the next start
+async function shutdown(signal) {
+    serverLog.info(`Received ${signal}, shutting down gracefully...`);
+    bandwidthManager.stop();
+    seedingManager.stop();
+    shareManager.stop();
     await torrentManager.stopAllTorrents();
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start server
-server.listen(CONFIG.PORT, () => {
-    console.log(`[SERVER] Running on http://localhost:${CONFIG.PORT}`);
+server.listen(CONFIG.port, async () => {
+    serverLog.info(`Running on http://localhost:${CONFIG.port}`);
+    bandwidthManager.start();
+    seedingManager.start();
+    
+    try {
+        await queueManager.restore();
+    } catch (error) {
+        serverLog.error(`Failed to restore sessions: ${error.message}`);
+    }
 });
@@ -0,0 +1,139 @@
+import path from 'path';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('session');
+
+/**
+ * SessionStore - Durable record of every torrent the manager knows about
+ * Records are kept in a single JSON file so torrents can be re-added after a restart
+ */
+class SessionStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.torrentsDir = path.join(path.dirname(filePath), 'torrents');
+        this.sessions = new Map(); // torrentId -> session record
+        this.saveTimer = null;
+        this.saveDelay = 500; // Coalesce bursts of status changes into one write
+
+        [path.dirname(filePath), this.torrentsDir].forEach(dir => {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        });
+    }
+
+    load() {
+        this.sessions.clear();
+
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const records = Array.isArray(data.sessions) ? data.sessions : [];
+
+            records.forEach(record => {
+                if (record && record.torrentId) {
+                    this.sessions.set(record.torrentId, record);
+                }
+            });
+
+            log.info(`Loaded ${this.sessions.size} sessions from ${this.filePath}`);
+        } catch (error) {
+            // Keep the unreadable file around so it can be inspected instead of silently overwriting it
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            log.error(`Failed to read ${this.filePath}: ${error.message}. Moved to ${backupPath}`);
+            try {
+                fs.renameSync(this.filePath, backupPath);
+            } catch (renameError) {
+                log.error(`Failed to move corrupt session file: ${renameError.message}`);
+            }
+        }
+
+        return this.getAll();
+    }
+
+    getAll() {
+        return Array.from(this.sessions.values());
+    }
+
+    get(torrentId) {
+        return this.sessions.get(torrentId) || null;
+    }
+
+    upsert(torrentId, fields) {
+        const existing = this.sessions.get(torrentId) || { torrentId, addedAt: Date.now() };
+        const record = { ...existing, ...fields, torrentId, updatedAt: Date.now() };
+
+        this.sessions.set(torrentId, record);
+        this.scheduleSave();
+        return record;
+    }
+
+    remove(torrentId) {
+        const record = this.sessions.get(torrentId);
+        if (!record) return false;
+
+        this.sessions.delete(torrentId);
+
+        if (record.torrentFile && fs.existsSync(record.torrentFile)) {
+            try {
+                fs.unlinkSync(record.torrentFile);
+            } catch (error) {
+                log.error(`Failed to remove ${record.torrentFile}: ${error.message}`);
+            }
+        }
+
+        this.scheduleSave();
+        return true;
+    }
+
+    // Keep a copy of the .torrent metadata so restores don't have to wait on peers for it
+    saveTorrentFile(torrentId, buffer) {
+        const filePath = path.join(this.torrentsDir, `${torrentId}.torrent`);
+        fs.writeFileSync(filePath, buffer);
+        return filePath;
+    }
+
+    readTorrentFile(record) {
+        if (!record || !record.torrentFile || !fs.existsSync(record.torrentFile)) {
+            return null;
+        }
+        return fs.readFileSync(record.torrentFile);
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, this.saveDelay);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        const data = {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            sessions: this.getAll()
+        };
+
+        // Write to a temp file and rename so a crash mid-write never leaves a truncated store
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            log.error(`Failed to save sessions: ${error.message}`);
+        }
+    }
+}
+
+export default SessionStore;
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import { validateValues, getPath, setPath } from './config.js';
+import { createLogger, setLogLevel } from './logger.js';
+
+const log = createLogger('settings');
+
+// Options that can be changed while the server is running
+export const RUNTIME_SETTINGS = [
+    'downloadDir',
+    'logLevel',
+    'bandwidth.downloadLimit',
+    'bandwidth.uploadLimit',
+    'bandwidth.schedule',
+    'queue.maxActiveDownloads',
+    'queue.maxActiveSeeds',
+    'seeding.ratioLimit',
+    'seeding.seedTimeLimit',
+    'seeding.idleTimeLimit',
+    'seeding.action',
+    'intervals.torrentUpdate',
+    'intervals.broadcast',
+    'intervals.seedingCheck'
+];
+
+// Create dir if needed and make sure it can be written to; returns the problem, or null
+function prepareDirectory(dir) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+        return null;
+    } catch (error) {
+        return `downloadDir ${dir} can't be used: ${error.code || error.message}`;
+    }
+}
+
+/**
+ * SettingsManager - Runtime view of the configuration
+ * Validates partial updates, applies them to the running managers and saves them to
+ * data/settings.json so they take precedence over the config file after a restart.
+ */
+class SettingsManager {
+    constructor(config, { filePath, torrentManager, queueManager, bandwidthManager, seedingManager }) {
+        this.config = config;
+        this.filePath = filePath;
+        this.torrentManager = torrentManager;
+        this.queueManager = queueManager;
+        this.bandwidthManager = bandwidthManager;
+        this.seedingManager = seedingManager;
+        this.onChange = null; // Callback (settings, changedKeys) after an update was applied
+    }
+
+    // Merge settings saved by an earlier run into the config before the managers are created
+    static loadSaved(config, filePath) {
+        if (!fs.existsSync(filePath)) return [];
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            log.error(`Ignoring unreadable ${filePath}: ${error.message}`);
+            return [];
+        }
+
+        const { values, errors } = validateValues(saved, { allowedKeys: RUNTIME_SETTINGS });
+        errors.forEach(error => log.warn(`Ignoring saved setting: ${error}`));
+
+        Object.entries(values).forEach(([key, value]) => {
+            setPath(config, key, value);
+            config.sources[key] = 'settings';
+        });
+
+        return Object.keys(values);
+    }
+
+    getSettings() {
+        const settings = {};
+        RUNTIME_SETTINGS.forEach(key => setPath(settings, key, getPath(this.config, key)));
+
+        // Keep the bandwidth and seeding views in step with changes made through their own endpoints
+        settings.bandwidth = { ...settings.bandwidth, ...this.bandwidthManager.getState().global, schedule: this.bandwidthManager.schedule };
+        settings.seeding = this.seedingManager.getGlobalPolicy();
+        settings.queue = {
+            maxActiveDownloads: this.queueManager.maxActiveDownloads,
+            maxActiveSeeds: this.queueManager.maxActiveSeeds
+        };
+
+        return settings;
+    }
+
+    /**
+     * Validate and apply a partial settings object, e.g. { queue: { maxActiveDownloads: 2 } }
+     * Nothing is applied unless every value is valid; the Error lists all problems.
+     */
+    async update(input) {
+        const { values, errors } = validateValues(input, { allowedKeys: RUNTIME_SETTINGS });
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid settings: ${errors.join('; ')}`);
+            error.details = errors;
+            throw error;
+        }
+
+        // Limits may have been changed through /api/bandwidth or /api/seeding since, so start from the live values
+        const current = this.getSettings();
+        RUNTIME_SETTINGS.forEach(key => setPath(this.config, key, getPath(current, key)));
+
+        const changedKeys = Object.keys(values).filter(key =>
+            JSON.stringify(getPath(current, key)) !== JSON.stringify(values[key])
+        );
+
+        // The only setting that can fail to apply, so it is checked before anything changes
+        if (changedKeys.includes('downloadDir')) {
+            const problem = prepareDirectory(values.downloadDir);
+            if (problem) {
+                const error = new Error(`Invalid settings: ${problem}`);
+                error.details = [problem];
+                throw error;
+            }
+        }
+
+        changedKeys.forEach(key => {
+            setPath(this.config, key, values[key]);
+            this.config.sources[key] = 'settings';
+        });
+        await this.apply(changedKeys);
+
+        if (changedKeys.length > 0) {
+            log.info(`Updated ${changedKeys.join(', ')}`);
+            this.save();
+        }
+
+        const settings = this.getSettings();
+        if (this.onChange && changedKeys.length > 0) {
+            this.onChange(settings, changedKeys);
+        }
+        return settings;
+    }
+
+    async apply(changedKeys) {
+        const changed = prefix => changedKeys.some(key => key === prefix || key.startsWith(`${prefix}.`));
+
+        if (changed('logLevel')) {
+            setLogLevel(this.config.logLevel);
+        }
+        if (changed('bandwidth.schedule')) {
+            this.bandwidthManager.setSchedule(this.config.bandwidth.schedule, { apply: false });
+        }
+        if (changed('bandwidth')) {
+            this.bandwidthManager.setGlobalLimits(this.config.bandwidth);
+        }
+        if (changed('seeding')) {
+            this.seedingManager.setGlobalPolicy(this.config.seeding);
+        }
+        if (changed('intervals.torrentUpdate')) {
+            this.torrentManager.setUpdateInterval(this.config.intervals.torrentUpdate);
+        }
+        if (changed('intervals.seedingCheck')) {
+            this.seedingManager.setCheckInterval(this.config.intervals.seedingCheck);
+        }
+        if (changed('queue')) {
+            await this.queueManager.setLimits(this.config.queue);
+        }
+    }
+
+    // Only settings changed at runtime are written; the config file itself is never modified
+    save() {
+        const saved = {};
+        RUNTIME_SETTINGS
+            .filter(key => this.config.sources[key] === 'settings')
+            .forEach(key => setPath(saved, key, getPath(this.config, key)));
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(saved, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            log.error(`Failed to save ${this.filePath}: ${error.message}`);
+        }
+    }
+}
+
+export default SettingsManager;
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { createLogger } from './logger.js';
+
+const log = createLogger('share');
+
+const DEFAULT_EXPIRY = 24 * 60; // minutes
+const MAX_EXPIRY = 30 * 24 * 60;
+// Requests from one client within this long of its last one belong to the same playback (a player's probes, seeks, restarts)
+const USE_GRACE = 30 * 60 * 1000;
+
+// Optional limit: undefined, null, '' or -1 mean none; otherwise a positive integer
+function normalizeLimit(value, name) {
+    if (value === undefined || value === null || value === '' || Number(value) === -1) return null;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`${name} must be a positive integer, or -1 for no limit`);
+    }
+    return limit;
+}
+
+// Paces a response to at most `rate` bytes per second
+export function createThrottle(rate) {
+    const startedAt = Date.now();
+    let sent = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            sent += chunk.length;
+            const due = startedAt + (sent / rate) * 1000;
+            setTimeout(() => callback(null, chunk), Math.max(0, due - Date.now()));
+        }
+    });
+}
+
+/**
+ * ShareManager - Signed, expiring links to a single file
+ * A link is `?share=<id>.<signature>` on /stream or /api/download for one torrent file. The HMAC binds it
+ * to that file and expiry; the record in data/shares.json holds use and byte counters and lets it be revoked.
+ */
+class ShareManager {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.secret = null;
+        this.links = new Map(); // shareId -> link
+        this.sessions = new Map(); // `${shareId} ${client}` -> time of that client's last request, in memory only
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.secret = data.secret || null;
+                (data.links || []).forEach(link => this.links.set(link.id, link));
+            } catch (error) {
+                log.error(`Ignoring unreadable ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        // A new secret invalidates every link signed with the old one
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            this.links.clear();
+            this.save();
+        }
+        this.prune();
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ secret: this.secret, links: Array.from(this.links.values()) }, null, 2), { mode: 0o600 });
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            log.error(`Failed to save ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    // Counters change on every streamed chunk, so batch those writes
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), 5000);
+        }
+    }
+
+    // Drop links that expired more than a day ago; recently expired ones still explain why they fail
+    prune() {
+        const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const [shareId, link] of this.links) {
+            if (link.expiresAt < cutoff) {
+                this.links.delete(shareId);
+                removed++;
+            }
+        }
+        if (removed > 0) this.save();
+    }
+
+    sign(link) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${link.id}:${link.torrentId}:${link.fileIndex}:${link.expiresAt}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Create a link - { torrentId, fileIndex, expiresIn (minutes), maxUses, maxBytes, rateLimit (bytes/s), label, createdBy }
+     * Returns the link record plus its `token` for the `share` query parameter.
+     */
+    create({ torrentId, fileIndex, expiresIn = DEFAULT_EXPIRY, maxUses, maxBytes, rateLimit, label, createdBy = null }) {
+        const minutes = Number(expiresIn);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_EXPIRY) {
+            throw new Error(`expiresIn must be between 1 and ${MAX_EXPIRY} minutes`);
+        }
+
+        const link = {
+            id: crypto.randomBytes(9).toString('base64url'),
+            torrentId,
+            fileIndex: Number(fileIndex),
+            label: label ? String(label).substring(0, 100) : null,
+            createdBy,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + Math.round(minutes * 60 * 1000),
+            maxUses: normalizeLimit(maxUses, 'maxUses'),
+            maxBytes: normalizeLimit(maxBytes, 'maxBytes'),
+            rateLimit: normalizeLimit(rateLimit, 'rateLimit'),
+            uses: 0,
+            bytesServed: 0,
+            revoked: false
+        };
+
+        this.links.set(link.id, link);
+        this.save();
+        log.info({ torrentId }, `Created link ${link.id} for ${torrentId}/${link.fileIndex}, expires ${new Date(link.expiresAt).toISOString()}`);
+
+        return { ...link, token: this.getToken(link) };
+    }
+
+    /**
+     * Like create(), but hands back the creator's existing link for the same file, label and limits while it
+     * still has at least half of the requested lifetime left - playlists are fetched again and again
+     */
+    findOrCreate(options) {
+        const { torrentId, fileIndex, expiresIn = DEFAULT_EXPIRY, maxUses, maxBytes, rateLimit, label, createdBy = null } = options;
+        const wanted = {
+            label: label ? String(label).substring(0, 100) : null,
+            maxUses: normalizeLimit(maxUses, 'maxUses'),
+            maxBytes: normalizeLimit(maxBytes, 'maxBytes'),
+            rateLimit: normalizeLimit(rateLimit, 'rateLimit')
+        };
+        const minRemaining = (Number(expiresIn) * 60 * 1000) / 2;
+
+        const existing = Array.from(this.links.values()).find(link =>
+            link.torrentId === torrentId && link.fileIndex === Number(fileIndex) && link.createdBy === createdBy &&
+            link.label === wanted.label && link.maxUses === wanted.maxUses && link.maxBytes === wanted.maxBytes &&
+            link.rateLimit === wanted.rateLimit && !this.getProblem(link) &&
+            (link.maxUses === null || link.uses < link.maxUses) && link.expiresAt - Date.now() >= minRemaining
+        );
+        return existing ? { ...existing, token: this.getToken(existing) } : this.create(options);
+    }
+
+    getToken(link) {
+        return `${link.id}.${this.sign(link)}`;
+    }
+
+    list(torrentId = null) {
+        return Array.from(this.links.values())
+            .filter(link => !torrentId || link.torrentId === torrentId)
+            .map(link => ({ ...link, token: this.getToken(link), active: !this.getProblem(link) }));
+    }
+
+    get(shareId) {
+        return this.links.get(shareId) || null;
+    }
+
+    revoke(shareId) {
+        const link = this.links.get(shareId);
+        if (!link) {
+            throw new Error(`Share link ${shareId} not found`);
+        }
+        link.revoked = true;
+        this.save();
+        log.info(`Revoked link ${shareId}`);
+        return link;
+    }
+
+    // Why a link can't be used right now, or null if it can
+    getProblem(link) {
+        if (link.revoked) return 'This link has been revoked';
+        if (link.expiresAt <= Date.now()) return 'This link has expired';
+        if (link.maxBytes !== null && link.bytesServed >= link.maxBytes) return 'This link has used up its transfer allowance';
+        return null;
+    }
+
+    /**
+     * Check a `share` token against the file being requested
+     * A GET from a client (IP address) counts as one use, and so does nothing else it requests within USE_GRACE of
+     * its previous request, so a player probing, seeking or starting over isn't charged again. `countUse` is false
+     * for requests that transfer nothing (HEAD). Throws an Error explaining why the link can't be used.
+     */
+    verify(token, torrentId, fileIndex, { client = null, countUse = true } = {}) {
+        const [shareId, signature] = String(token || '').split('.');
+        const link = shareId ? this.links.get(shareId) : null;
+
+        const expected = link ? Buffer.from(this.sign(link)) : null;
+        const actual = Buffer.from(signature || '');
+        if (!link || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid share link');
+        }
+        if (link.torrentId !== torrentId || link.fileIndex !== Number(fileIndex)) {
+            throw new Error('This link is for a different file');
+        }
+
+        const problem = this.getProblem(link);
+        if (problem) {
+            throw new Error(problem);
+        }
+        if (!countUse) return link;
+
+        const now = Date.now();
+        this.sessions.forEach((lastSeen, key) => {
+            if (now - lastSeen > USE_GRACE) this.sessions.delete(key);
+        });
+
+        const sessionKey = `${link.id} ${client}`;
+        if (!this.sessions.has(sessionKey)) {
+            if (link.maxUses !== null && link.uses >= link.maxUses) {
+                throw new Error('This link has reached its maximum number of uses');
+            }
+            link.uses++;
+            this.scheduleSave();
+        }
+        this.sessions.set(sessionKey, now);
+        return link;
+    }
+
+    /**
+     * Pipe a file stream to the response under the link's limits
+     * Applies the rate limit, counts bytes served and cuts the transfer off once the byte allowance is spent.
+     */
+    pipe(link, stream, res) {
+        let source = stream;
+        if (link.rateLimit) {
+            source = stream.pipe(createThrottle(link.rateLimit));
+            stream.on('error', error => source.destroy(error));
+        }
+
+        source.on('data', chunk => {
+            link.bytesServed += chunk.length;
+            this.scheduleSave();
+
+            if (link.maxBytes !== null && link.bytesServed >= link.maxBytes) {
+                log.info(`Link ${link.id} reached its transfer allowance`);
+                stream.destroy();
+                source.destroy();
+                res.destroy();
+            }
+        });
+        res.on('close', () => {
+            stream.destroy();
+            source.destroy();
+        });
+
+        source.pipe(res);
+        return source;
+    }
+
+    stop() {
+        if (this.saveTimer) this.save();
+    }
+}
+
+export default ShareManager;
@@ -0,0 +1,78 @@
+/**
+ * Torrent status deltas shared by the server and the browser
+ * A delta lists what changed between two JSON values as `set` ([path, value] pairs) and `unset` (paths that
+ * went away), where a path is an array of object keys and array indexes. Arrays that change length are sent
+ * whole. No Node or DOM dependencies.
+ */
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Statuses are mutated in place, so keep a detached copy to diff against later
+export function cloneStatus(status) {
+    return JSON.parse(JSON.stringify(status));
+}
+
+function collect(previous, next, path, delta) {
+    const comparable = isContainer(previous) && isContainer(next) &&
+        Array.isArray(previous) === Array.isArray(next) &&
+        (!Array.isArray(next) || previous.length === next.length);
+
+    if (!comparable) {
+        if (previous !== next) delta.set.push([path, next]);
+        return;
+    }
+
+    for (const key of Object.keys(next)) {
+        const childPath = [...path, Array.isArray(next) ? Number(key) : key];
+        if (hasOwn(previous, key)) {
+            collect(previous[key], next[key], childPath, delta);
+        } else {
+            delta.set.push([childPath, next[key]]);
+        }
+    }
+    if (!Array.isArray(next)) {
+        for (const key of Object.keys(previous)) {
+            if (!hasOwn(next, key)) delta.unset.push([...path, key]);
+        }
+    }
+}
+
+/**
+ * Diff two cloned statuses - returns { set, unset }, or null when nothing changed
+ */
+export function diffStatus(previous, next) {
+    const delta = { set: [], unset: [] };
+    collect(previous, next, [], delta);
+    return delta.set.length > 0 || delta.unset.length > 0 ? delta : null;
+}
+
+/**
+ * Apply a delta to a status in place and return it
+ */
+export function applyDelta(target, { set = [], unset = [] }) {
+    for (const path of unset) {
+        let node = target;
+        for (const key of path.slice(0, -1)) {
+            node = isContainer(node) ? node[key] : undefined;
+        }
+        if (isContainer(node)) delete node[path[path.length - 1]];
+    }
+
+    for (const [path, value] of set) {
+        if (path.length === 0) continue;
+
+        let node = target;
+        for (const key of path.slice(0, -1)) {
+            if (!isContainer(node[key])) node[key] = {};
+            node = node[key];
+        }
+        node[path[path.length - 1]] = value;
+    }
+    return target;
+}
@@ -0,0 +1,200 @@
+/**
+ * Torrent identifier parsing shared by the server and the browser
+ * Accepts magnet links (hex or base32 btih, BitTorrent v2 btmh), bare info hashes
+ * and http(s) URLs to .torrent files. No Node or DOM dependencies.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Multihash prefix for a 32-byte SHA-256 digest, as used by urn:btmh
+const SHA256_MULTIHASH_PREFIX = '1220';
+
+// Helper to decode HTML entities that sneak in when magnet links are copied from web pages
+export function decodeHtmlEntities(text) {
+    if (!text) return '';
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#x2F;/g, '/');
+}
+
+export function base32ToHex(base32) {
+    const input = base32.toUpperCase().replace(/=+$/, '');
+    let bits = '';
+
+    for (const char of input) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    let hex = '';
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        hex += parseInt(bits.substring(i, i + 8), 2).toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+function isHexInfoHash(value) {
+    return /^[a-fA-F0-9]{40}$/.test(value);
+}
+
+function isBase32InfoHash(value) {
+    return /^[a-zA-Z2-7]{32}$/.test(value);
+}
+
+function isV2InfoHash(value) {
+    return /^[a-fA-F0-9]{64}$/.test(value);
+}
+
+function normalizeV1Hash(value) {
+    if (isHexInfoHash(value)) return value.toLowerCase();
+    if (isBase32InfoHash(value)) return base32ToHex(value);
+    throw new Error(`Invalid BitTorrent info hash: ${value}`);
+}
+
+function normalizeV2Hash(value) {
+    const hash = value.toLowerCase();
+    if (hash.length === 68 && hash.startsWith(SHA256_MULTIHASH_PREFIX) && isV2InfoHash(hash.substring(4))) {
+        return hash.substring(4);
+    }
+    if (isV2InfoHash(hash)) return hash;
+    throw new Error(`Invalid BitTorrent v2 info hash: ${value}`);
+}
+
+function unique(values) {
+    return Array.from(new Set(values.filter(Boolean)));
+}
+
+// Query parameters are matched by prefix so numbered variants such as tr.1 / tr.2 are picked up too
+function parseMagnetParams(query) {
+    const params = { xt: [], dn: [], tr: [], ws: [], xl: [] };
+
+    query.split('&').forEach(pair => {
+        if (!pair) return;
+        const separator = pair.indexOf('=');
+        const rawKey = separator === -1 ? pair : pair.substring(0, separator);
+        const rawValue = separator === -1 ? '' : pair.substring(separator + 1);
+        const key = rawKey.split('.')[0].toLowerCase();
+
+        if (!params[key]) return;
+
+        let value;
+        try {
+            value = decodeURIComponent(rawValue.replace(/\+/g, ' '));
+        } catch (error) {
+            value = rawValue;
+        }
+        params[key].push(value.trim());
+    });
+
+    return params;
+}
+
+export function buildMagnetURI({ infoHash, infoHashV2, name, trackers = [], webSeeds = [] }) {
+    const parts = [];
+    if (infoHash) parts.push(`xt=urn:btih:${infoHash}`);
+    if (infoHashV2) parts.push(`xt=urn:btmh:${SHA256_MULTIHASH_PREFIX}${infoHashV2}`);
+    if (name) parts.push(`dn=${encodeURIComponent(name)}`);
+    trackers.forEach(tracker => parts.push(`tr=${encodeURIComponent(tracker)}`));
+    webSeeds.forEach(webSeed => parts.push(`ws=${encodeURIComponent(webSeed)}`));
+    return `magnet:?${parts.join('&')}`;
+}
+
+function parseMagnet(magnet) {
+    const queryStart = magnet.indexOf('?');
+    if (queryStart === -1) {
+        throw new Error('Magnet link has no parameters');
+    }
+
+    const params = parseMagnetParams(magnet.substring(queryStart + 1));
+    let infoHash = null;
+    let infoHashV2 = null;
+
+    params.xt.forEach(xt => {
+        const lower = xt.toLowerCase();
+        if (lower.startsWith('urn:btih:')) {
+            infoHash = normalizeV1Hash(xt.substring(9));
+        } else if (lower.startsWith('urn:btmh:')) {
+            infoHashV2 = normalizeV2Hash(xt.substring(9));
+        }
+    });
+
+    if (!infoHash && !infoHashV2) {
+        throw new Error('Magnet link must contain an xt=urn:btih: or xt=urn:btmh: info hash');
+    }
+
+    const length = params.xl.length ? parseInt(params.xl[0], 10) : null;
+
+    return {
+        type: 'magnet',
+        infoHash,
+        infoHashV2,
+        name: params.dn[0] || null,
+        trackers: unique(params.tr),
+        webSeeds: unique(params.ws),
+        length: Number.isFinite(length) ? length : null,
+        url: null
+    };
+}
+
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`Invalid URL: ${value}`);
+    }
+
+    let fileName;
+    try {
+        fileName = decodeURIComponent(url.pathname.split('/').pop() || '');
+    } catch (error) {
+        throw new Error(`Invalid URL: ${value} (malformed percent-encoding)`);
+    }
+
+    return {
+        type: 'url',
+        infoHash: null,
+        infoHashV2: null,
+        name: fileName.toLowerCase().endsWith('.torrent') ? fileName.slice(0, -8) : null,
+        trackers: [],
+        webSeeds: [],
+        length: null,
+        url: url.href
+    };
+}
+
+/**
+ * Parse anything a user might paste into the add-torrent box
+ * Returns { type, infoHash, infoHashV2, name, trackers, webSeeds, length, url, torrentId }
+ * where torrentId is the normalized value to hand to WebTorrent. Throws on invalid input.
+ */
+export function parseTorrentIdentifier(input) {
+    const value = decodeHtmlEntities(String(input || '').trim());
+
+    if (!value) {
+        throw new Error('A magnet link, info hash or .torrent URL is required');
+    }
+
+    let parsed;
+    if (/^magnet:/i.test(value)) {
+        parsed = parseMagnet(value);
+    } else if (/^https?:\/\//i.test(value)) {
+        parsed = parseUrl(value);
+    } else if (isHexInfoHash(value) || isBase32InfoHash(value)) {
+        parsed = { type: 'infohash', infoHash: normalizeV1Hash(value), infoHashV2: null, name: null, trackers: [], webSeeds: [], length: null, url: null };
+    } else if (isV2InfoHash(value)) {
+        parsed = { type: 'infohash', infoHash: null, infoHashV2: value.toLowerCase(), name: null, trackers: [], webSeeds: [], length: null, url: null };
+    } else {
+        throw new Error('Unrecognized torrent identifier. Use a magnet link, a 40-character info hash or an http(s) URL to a .torrent file.');
+    }
+
+    parsed.torrentId = parsed.type === 'url' ? parsed.url : buildMagnetURI(parsed);
+    return parsed;
+}
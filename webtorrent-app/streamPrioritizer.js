@@ -0,0 +1,118 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('stream');
+
+// Above file priorities (high = 1) and the selection WebTorrent's own file stream makes (1)
+const STREAM_PRIORITY = 2;
+
+// What a player needs before it can start or resume after a seek; requested from several peers at once
+const CRITICAL_BYTES = 2 * 1024 * 1024;
+
+/**
+ * StreamPrioritizer - Fetches the pieces a player is about to read first
+ * Each range request on /stream becomes a session: the pieces at its start are marked critical, and a
+ * read-ahead window is selected above everything else and slides along as the player reads. When the
+ * player disconnects (or seeks, which is a new request) the window is dropped again.
+ *
+ * Uses WebTorrent's _select/_deselect/_critical, the same private API its file streams use, because the
+ * public deselect() would also cut into the selections made for file priorities.
+ */
+class StreamPrioritizer {
+    constructor({ readAhead = 16 * 1024 * 1024 } = {}) {
+        this.readAhead = readAhead; // bytes
+        this.sessions = new Set();
+    }
+
+    // Follow a read stream over an inclusive byte range of a torrent file; returns the stream
+    track(torrentId, torrent, file, { start, end }, stream) {
+        if (!torrent || torrent.destroyed || !torrent.pieceLength || typeof torrent._select !== 'function') {
+            return stream;
+        }
+
+        const session = {
+            torrentId,
+            torrent,
+            position: file.offset + start, // Offsets are into the whole torrent, pieces span files
+            last: file.offset + end,
+            window: null,
+            critical: null
+        };
+        this.sessions.add(session);
+        this.advance(session);
+
+        stream.on('data', chunk => {
+            session.position += chunk.length;
+            this.advance(session);
+        });
+        stream.on('close', () => this.release(session));
+
+        return stream;
+    }
+
+    // Move the read-ahead window to the piece being read; a no-op until the read crosses into the next piece
+    advance(session) {
+        const { torrent } = session;
+        if (torrent.destroyed || session.position > session.last) return;
+
+        const { pieceLength } = torrent;
+        const lastPiece = torrent.pieces.length - 1;
+        const from = Math.floor(session.position / pieceLength);
+        if (session.window && session.window.from === from) return;
+
+        const windowEnd = Math.min(session.position + Math.max(this.readAhead, pieceLength) - 1, session.last);
+        const to = Math.min(Math.floor(windowEnd / pieceLength), lastPiece);
+
+        try {
+            // Select the new window before dropping the old one so the read never goes unprioritized
+            torrent._select(from, to, STREAM_PRIORITY, null, true);
+            if (session.window) {
+                torrent._deselect(session.window.from, session.window.to, true);
+            }
+            session.window = { from, to };
+
+            // Only the start of the request is urgent; further along, WebTorrent's stream marks the next pieces itself
+            if (!session.critical) {
+                const criticalEnd = Math.min(session.position + CRITICAL_BYTES - 1, session.last);
+                session.critical = { from, to: Math.min(Math.floor(criticalEnd / pieceLength), to) };
+                torrent.critical(session.critical.from, session.critical.to);
+                log.debug({ torrentId: session.torrentId }, `Prioritizing pieces ${from}-${to}, critical up to ${session.critical.to}`);
+            }
+        } catch (error) {
+            log.warn({ torrentId: session.torrentId }, `Could not prioritize pieces ${from}-${to}: ${error.message}`);
+        }
+    }
+
+    // The player went away: stop favouring its window and let its missing critical pieces wait their turn
+    release(session) {
+        this.sessions.delete(session);
+        const { torrent, window, critical } = session;
+        if (torrent.destroyed || !window) return;
+
+        try {
+            torrent._deselect(window.from, window.to, true);
+
+            if (critical && torrent._critical) {
+                for (let index = critical.from; index <= critical.to; index++) {
+                    if (!this.isCritical(torrent, index)) {
+                        torrent._critical[index] = false;
+                    }
+                }
+            }
+            log.debug({ torrentId: session.torrentId }, `Released pieces ${window.from}-${window.to}`);
+        } catch (error) {
+            log.warn({ torrentId: session.torrentId }, `Could not release pieces ${window.from}-${window.to}: ${error.message}`);
+        }
+    }
+
+    // Whether another open stream on the same torrent still needs the piece urgently
+    isCritical(torrent, index) {
+        for (const session of this.sessions) {
+            if (session.torrent === torrent && session.critical && index >= session.critical.from && index <= session.critical.to) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+export default StreamPrioritizer;
@@ -0,0 +1,123 @@
+import { cloneStatus, diffStatus } from './shared/statusDelta.js';
+
+export const SUBSCRIPTION_SCOPES = ['all', 'torrent', 'summary'];
+
+// A client with this much still waiting to be sent skips deltas and summaries; the gap makes it resync
+const MAX_BUFFERED_BYTES = 512 * 1024;
+
+/**
+ * SubscriptionManager - What each WebSocket client hears about torrents
+ * A client subscribes to every torrent it can see (the default), one torrent, or a summary only. Statuses
+ * are diffed against what was last published so only changed fields go out, and every message in a client's
+ * feed carries a sequence number; a client that sees one skipped asks for a resync.
+ */
+class SubscriptionManager {
+    constructor() {
+        this.published = new Map(); // torrentId -> copy of the status as last published
+    }
+
+    attach(ws) {
+        ws.subscription = { scope: 'all', torrentId: null, seq: 0, summary: null };
+    }
+
+    subscribe(ws, { scope = 'all', torrentId = null } = {}) {
+        if (!SUBSCRIPTION_SCOPES.includes(scope)) {
+            throw new Error(`scope must be one of ${SUBSCRIPTION_SCOPES.join(', ')}`);
+        }
+        if (scope === 'torrent' && !torrentId) {
+            throw new Error('torrentId is required for a torrent subscription');
+        }
+
+        Object.assign(ws.subscription, { scope, torrentId: scope === 'torrent' ? torrentId : null, summary: null });
+        return ws.subscription;
+    }
+
+    // Whether messages about this torrent belong in the client's feed
+    covers(ws, torrentId) {
+        const { scope, torrentId: subscribed } = ws.subscription;
+        return scope === 'all' || (scope === 'torrent' && subscribed === torrentId);
+    }
+
+    /**
+     * Record a torrent's status and build the message announcing it
+     * The first time that's the full status as torrent-update, afterwards a torrent-delta with only what
+     * changed, or null if nothing did.
+     */
+    publish(torrentId, status) {
+        const next = cloneStatus(status);
+        const previous = this.published.get(torrentId);
+        this.published.set(torrentId, next);
+
+        if (!previous) {
+            return { type: 'torrent-update', torrentId, data: next };
+        }
+
+        const delta = diffStatus(previous, next);
+        if (!delta) return null;
+        return { type: 'torrent-delta', torrentId, set: delta.set, ...(delta.unset.length > 0 ? { unset: delta.unset } : {}) };
+    }
+
+    forget(torrentId) {
+        this.published.delete(torrentId);
+    }
+
+    // Send the next message in a client's feed; a droppable one still uses up its sequence number
+    send(ws, message, { droppable = false } = {}) {
+        const seq = ++ws.subscription.seq;
+        if (droppable && ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            return false;
+        }
+        ws.send(JSON.stringify({ ...message, seq }));
+        return true;
+    }
+
+    // Full state for the client's scope, after subscribing or when it asks for a resync
+    snapshot(ws, torrents) {
+        const { scope, torrentId } = ws.subscription;
+        if (scope === 'summary') {
+            const summary = this.summarize(torrents);
+            ws.subscription.summary = JSON.stringify(summary);
+            return { type: 'snapshot', scope, summary };
+        }
+
+        return {
+            type: 'snapshot',
+            scope,
+            ...(torrentId ? { torrentId } : {}),
+            data: scope === 'torrent' ? torrents.filter(torrent => torrent.torrentId === torrentId) : torrents
+        };
+    }
+
+    // The client's summary if it changed since the last one it was sent, otherwise null
+    takeSummary(ws, torrents) {
+        const summary = this.summarize(torrents);
+        const serialized = JSON.stringify(summary);
+        if (serialized === ws.subscription.summary) return null;
+
+        ws.subscription.summary = serialized;
+        return summary;
+    }
+
+    summarize(torrents) {
+        const summary = { torrents: torrents.length, statuses: {}, downloadSpeed: 0, uploadSpeed: 0, peers: 0, progress: 100 };
+        let wanted = 0;
+        let downloaded = 0;
+
+        for (const torrent of torrents) {
+            summary.statuses[torrent.status] = (summary.statuses[torrent.status] || 0) + 1;
+            summary.downloadSpeed += torrent.downloadSpeed || 0;
+            summary.uploadSpeed += torrent.uploadSpeed || 0;
+            summary.peers += torrent.peers || 0;
+
+            const size = torrent.selectedSize || torrent.totalSize || 0;
+            wanted += size;
+            downloaded += size * Math.min(torrent.progress || 0, 100) / 100;
+        }
+        if (wanted > 0) {
+            summary.progress = Math.round((downloaded / wanted) * 1000) / 10;
+        }
+        return summary;
+    }
+}
+
+export default SubscriptionManager;
@@ -0,0 +1,329 @@
+import path from 'path';
+
+/**
+ * Subtitles shipped inside torrents
+ * Finds .srt/.ass/.ssa/.vtt files, pairs them with the video they belong to by name and folder, works out
+ * their language, and converts them to WebVTT - the only format browsers accept for <track>.
+ */
+
+export const MAX_SUBTITLE_SIZE = 10 * 1024 * 1024; // 10 MB, far beyond any real subtitle file
+
+const SUBTITLE_FORMATS = { '.srt': 'srt', '.ass': 'ass', '.ssa': 'ass', '.vtt': 'vtt' };
+
+// Release folders that hold the subtitles of the video one level up
+const SUBTITLE_FOLDER = /^(subs?|subtitles?)$/i;
+
+// BCP 47 tag, English name, then the other spellings seen in file names (ISO 639-2 codes, native names)
+const LANGUAGES = [
+    ['en', 'English', 'eng'],
+    ['es', 'Spanish', 'spa', 'esp', 'espanol', 'español'],
+    ['fr', 'French', 'fre', 'fra', 'francais', 'français'],
+    ['de', 'German', 'ger', 'deu', 'deutsch'],
+    ['it', 'Italian', 'ita', 'italiano'],
+    ['pt', 'Portuguese', 'por', 'portugues', 'português'],
+    ['pt-BR', 'Portuguese (Brazil)', 'pob', 'ptbr', 'brazilian'],
+    ['nl', 'Dutch', 'dut', 'nld', 'nederlands'],
+    ['sv', 'Swedish', 'swe', 'svenska'],
+    ['no', 'Norwegian', 'nor', 'nob', 'norsk'],
+    ['da', 'Danish', 'dan', 'dansk'],
+    ['fi', 'Finnish', 'fin', 'suomi'],
+    ['pl', 'Polish', 'pol', 'polski'],
+    ['cs', 'Czech', 'cze', 'ces'],
+    ['sk', 'Slovak', 'slo', 'slk'],
+    ['hu', 'Hungarian', 'hun', 'magyar'],
+    ['ro', 'Romanian', 'rum', 'ron'],
+    ['hr', 'Croatian', 'hrv'],
+    ['sl', 'Slovenian', 'slv'],
+    ['sr', 'Serbian', 'srp'],
+    ['bg', 'Bulgarian', 'bul'],
+    ['ru', 'Russian', 'rus'],
+    ['uk', 'Ukrainian', 'ukr'],
+    ['el', 'Greek', 'gre', 'ell'],
+    ['tr', 'Turkish', 'tur'],
+    ['he', 'Hebrew', 'heb'],
+    ['ar', 'Arabic', 'ara'],
+    ['fa', 'Persian', 'per', 'fas', 'farsi'],
+    ['hi', 'Hindi', 'hin'],
+    ['zh', 'Chinese', 'chi', 'zho', 'chs', 'cht'],
+    ['ja', 'Japanese', 'jpn'],
+    ['ko', 'Korean', 'kor'],
+    ['vi', 'Vietnamese', 'vie'],
+    ['th', 'Thai', 'tha'],
+    ['id', 'Indonesian', 'ind']
+];
+
+const LANGUAGE_ALIASES = new Map();
+LANGUAGES.forEach(([tag, name, ...aliases]) => {
+    [tag, name, ...aliases].forEach(alias => LANGUAGE_ALIASES.set(alias.toLowerCase(), { tag, name }));
+});
+
+// Legacy code page most subtitles in a language were written in before UTF-8
+const LEGACY_ENCODINGS = {
+    'windows-1250': ['pl', 'cs', 'sk', 'hu', 'ro', 'hr', 'sl'],
+    'windows-1251': ['ru', 'uk', 'bg'],
+    'windows-1253': ['el'],
+    'windows-1254': ['tr'],
+    'windows-1255': ['he'],
+    'windows-1256': ['ar', 'fa'],
+    'gbk': ['zh'],
+    'shift_jis': ['ja'],
+    'euc-kr': ['ko']
+};
+
+function extensionOf(name) {
+    return name.toLowerCase().substring(name.lastIndexOf('.'));
+}
+
+function baseName(name) {
+    return name.substring(0, name.lastIndexOf('.')) || name;
+}
+
+export function subtitleFormat(name) {
+    return SUBTITLE_FORMATS[extensionOf(name || '')] || null;
+}
+
+/**
+ * Language and flags from the words of a subtitle name, last word first ("Movie.2020.pt-BR.forced")
+ * Returns { language, label }; language is null when no word names one.
+ */
+export function parseSubtitleLanguage(words) {
+    const tokens = words.toLowerCase().split(/[\s._]+/).filter(Boolean);
+    const forced = tokens.includes('forced');
+    const sdh = tokens.includes('sdh') || tokens.includes('cc');
+
+    let match = null;
+    // Only the last few words; a title word like "It" or "De" earlier in the name is not a language
+    for (const token of tokens.slice(-3).reverse()) {
+        match = LANGUAGE_ALIASES.get(token) || LANGUAGE_ALIASES.get(token.split('-')[0]) || null;
+        if (match) break;
+    }
+
+    const flags = [forced ? 'Forced' : null, sdh ? 'SDH' : null].filter(Boolean);
+    const label = match ? `${match.name}${flags.length ? ` (${flags.join(', ')})` : ''}` : null;
+    return { language: match ? match.tag : null, label };
+}
+
+// The video a subtitle goes with: same name with a suffix, a Subs folder next to it, or the only video around
+function findVideo(subtitle, videos) {
+    const subtitleBase = baseName(subtitle.name).toLowerCase();
+
+    // Longest name first, so "Show.S01E10" isn't taken for "Show.S01E1"
+    const byName = videos
+        .filter(video => {
+            const videoBase = baseName(video.name).toLowerCase();
+            return subtitleBase === videoBase || (subtitleBase.startsWith(videoBase) && /[\s._-]/.test(subtitleBase[videoBase.length]));
+        })
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (byName) {
+        return { video: byName, words: subtitle.name.slice(baseName(byName.name).length, -extensionOf(subtitle.name).length) };
+    }
+
+    const words = baseName(subtitle.name);
+    const folders = path.posix.dirname(subtitle.path).split('/');
+
+    // Subs/<video name>/2_English.srt or Subs/English.srt
+    const subsAt = folders.findIndex(folder => SUBTITLE_FOLDER.test(folder));
+    if (subsAt !== -1) {
+        const parent = folders.slice(0, subsAt).join('/');
+        const named = folders[subsAt + 1] && videos.find(video => baseName(video.name).toLowerCase() === folders[subsAt + 1].toLowerCase());
+        if (named) return { video: named, words };
+
+        const siblings = videos.filter(video => path.posix.dirname(video.path) === parent);
+        if (siblings.length === 1) return { video: siblings[0], words };
+    }
+
+    const sameFolder = videos.filter(video => path.posix.dirname(video.path) === path.posix.dirname(subtitle.path));
+    if (sameFolder.length === 1) return { video: sameFolder[0], words };
+    if (videos.length === 1) return { video: videos[0], words };
+    return null;
+}
+
+/**
+ * Pair the subtitle files of a torrent with its videos
+ * Takes WebTorrent files (name, path) and a test for video names; returns byVideo, a Map of video index ->
+ * [{ fileIndex, format, language, label }], and bySubtitle, subtitle index -> video index (null if unpaired).
+ */
+export function pairSubtitles(files, isVideo) {
+    const indexed = files.map((file, index) => ({ name: file.name, path: (file.path || file.name).replace(/\\/g, '/'), index }));
+    const videos = indexed.filter(file => isVideo(file.name));
+    const byVideo = new Map();
+    const bySubtitle = new Map();
+
+    indexed.filter(file => subtitleFormat(file.name)).forEach(subtitle => {
+        const found = findVideo(subtitle, videos);
+        bySubtitle.set(subtitle.index, found ? found.video.index : null);
+        if (!found) return;
+
+        const { language, label } = parseSubtitleLanguage(found.words);
+        const entries = byVideo.get(found.video.index) || [];
+        entries.push({ fileIndex: subtitle.index, format: subtitleFormat(subtitle.name), language, label: label || found.words.replace(/^[\s._-]+/, '') || 'Subtitles' });
+        byVideo.set(found.video.index, entries);
+    });
+
+    byVideo.forEach(entries => entries.sort((a, b) => a.label.localeCompare(b.label)));
+    return { byVideo, bySubtitle };
+}
+
+// UTF-16 without a BOM: nearly every other byte of mostly-Latin text is zero
+function looksLikeUtf16(buffer) {
+    const sample = buffer.subarray(0, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const half = sample.length / 2;
+    if (oddZeros > half * 0.4) return 'utf-16le';
+    if (evenZeros > half * 0.4) return 'utf-16be';
+    return null;
+}
+
+/**
+ * Work out how a subtitle file is encoded and decode it
+ * A BOM or valid UTF-8 wins; otherwise the language's legacy code page, and for unknown languages
+ * windows-1251 when most letters are high bytes (Cyrillic), else windows-1252. Returns { text, encoding }.
+ */
+export function decodeSubtitle(buffer, { encoding = null, language = null } = {}) {
+    if (encoding) {
+        // Throws a RangeError for labels the decoder doesn't know
+        return { text: new TextDecoder(encoding).decode(buffer), encoding };
+    }
+
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return { text: new TextDecoder('utf-8').decode(buffer), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' };
+    }
+
+    const utf16 = looksLikeUtf16(buffer);
+    if (utf16) {
+        return { text: new TextDecoder(utf16).decode(buffer), encoding: utf16 };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+        // Not UTF-8; fall through to the legacy code pages
+    }
+
+    const primary = language ? language.split('-')[0] : null;
+    const legacy = Object.keys(LEGACY_ENCODINGS).find(name => LEGACY_ENCODINGS[name].includes(primary));
+    if (legacy) {
+        return { text: new TextDecoder(legacy).decode(buffer), encoding: legacy };
+    }
+
+    let high = 0;
+    let letters = 0;
+    for (const byte of buffer) {
+        if (byte >= 0xc0) high++;
+        else if ((byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a)) letters++;
+    }
+    const guess = high > (high + letters) * 0.3 ? 'windows-1251' : 'windows-1252';
+    return { text: new TextDecoder(guess).decode(buffer), encoding: guess };
+}
+
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// SRT timestamps allow one-digit hours and a decimal comma, WebVTT needs HH:MM:SS.mmm
+function vttTimestamp(hours, minutes, seconds, fraction) {
+    return `${hours.padStart(2, '0')}:${minutes}:${seconds}.${fraction.padEnd(3, '0')}`;
+}
+
+// SRT differs from WebVTT mostly in the header and the timestamps; <font> and {\an8} have no WebVTT form
+function srtToVtt(text) {
+    const body = text
+        .split('\n')
+        .map(line => (line.includes('-->') ?
+            line.replace(/(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/g, (match, ...parts) => vttTimestamp(...parts.slice(0, 4))) :
+            line))
+        .join('\n')
+        .replace(/<\/?font[^>]*>/gi, '')
+        .replace(/\{\\[^}]*\}/g, '');
+    return `WEBVTT\n\n${body.trim()}\n`;
+}
+
+// ASS times are H:MM:SS.cc (centiseconds)
+function assTime(value) {
+    const match = value.trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{1,3})$/);
+    return match ? vttTimestamp(match[1], match[2], match[3], match[4]) : null;
+}
+
+// Dialogue text: \N breaks lines, {\i1}/{\b1}/{\u1} map to tags, every other override is dropped
+function assText(text) {
+    let open = [];
+    const converted = escapeCueText(text)
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .replace(/\{([^}]*)\}/g, (match, overrides) => {
+            let tags = '';
+            for (const [, tag, state] of overrides.matchAll(/\\([ibu])(\d)/g)) {
+                if (state === '1' && !open.includes(tag)) {
+                    open.push(tag);
+                    tags += `<${tag}>`;
+                } else if (state === '0' && open.includes(tag)) {
+                    open = open.filter(name => name !== tag);
+                    tags += `</${tag}>`;
+                }
+            }
+            return tags;
+        });
+    return converted + open.reverse().map(tag => `</${tag}>`).join('');
+}
+
+// Dialogue lines of the [Events] section, in the order of its Format line; Text is last and may hold commas
+function assToVtt(text) {
+    const cues = [];
+    let format = null;
+    let inEvents = false;
+
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (/^\[.*\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (/^format\s*:/i.test(trimmed)) {
+            format = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+        } else if (/^dialogue\s*:/i.test(trimmed) && format) {
+            const values = trimmed.slice(trimmed.indexOf(':') + 1).split(',');
+            const fields = {};
+            format.forEach((name, index) => {
+                fields[name] = index === format.length - 1 ? values.slice(index).join(',') : (values[index] || '').trim();
+            });
+
+            const start = assTime(fields.start || '');
+            const end = assTime(fields.end || '');
+            const cueText = assText(fields.text || '').trim();
+            if (start && end && cueText) {
+                cues.push({ start, end, text: cueText });
+            }
+        }
+    }
+
+    // Several styles interleave in the file; players expect cues in time order
+    cues.sort((a, b) => a.start.localeCompare(b.start));
+    return `WEBVTT\n\n${cues.map(cue => `${cue.start} --> ${cue.end}\n${cue.text}`).join('\n\n')}\n`;
+}
+
+/**
+ * Convert decoded subtitle text to WebVTT
+ * format is 'srt', 'ass' (also SSA) or 'vtt'; WebVTT input only gets its line endings and header normalized.
+ */
+export function toWebVTT(text, format) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (format === 'srt') return srtToVtt(normalized);
+    if (format === 'ass') return assToVtt(normalized);
+    if (format === 'vtt') return normalized.startsWith('WEBVTT') ? normalized : `WEBVTT\n\n${normalized}`;
+    throw new Error(`Unsupported subtitle format: ${format}`);
+}
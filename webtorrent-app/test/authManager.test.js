@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AuthManager, { hashPassword, verifyPassword, parseCookies } from '../authManager.js';
+
+function createManager(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    const filePath = path.join(dir, 'users.json');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { auth: new AuthManager({ filePath }), filePath };
+}
+
+test('passwords are salted scrypt hashes', () => {
+    const stored = hashPassword('correct horse');
+
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(hashPassword('correct horse'), stored);
+    assert.equal(verifyPassword('correct horse', stored), true);
+    assert.equal(verifyPassword('wrong horse', stored), false);
+    assert.equal(verifyPassword('correct horse', 'plain$text'), false);
+    assert.equal(verifyPassword('correct horse', null), false);
+});
+
+test('users are stored without their passwords and checked on login', t => {
+    const { auth, filePath } = createManager(t);
+    const generated = auth.ensureAdmin('admin', null);
+
+    assert.ok(generated.length >= 12);
+    assert.equal(auth.ensureAdmin('other', 'password123'), null);
+    assert.throws(() => auth.createUser('bad name', 'password123'), /Username/);
+    assert.throws(() => auth.createUser('bob', 'short'), /at least 8/);
+    assert.throws(() => auth.createUser('admin', 'password123'), /already exists/);
+
+    assert.equal(auth.verifyCredentials('admin', generated).username, 'admin');
+    assert.equal(auth.verifyCredentials('admin', 'wrong password'), null);
+    assert.equal(auth.verifyCredentials('nobody', generated), null);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(generated));
+    assert.equal(new AuthManager({ filePath }).verifyCredentials('admin', generated).username, 'admin');
+});
+
+test('unknown usernames cost one scrypt run, like known ones', t => {
+    const { auth } = createManager(t);
+    auth.createUser('alice', 'password123');
+    const scrypt = t.mock.method(crypto, 'scryptSync');
+
+    auth.verifyCredentials('alice', 'wrong password');
+    assert.equal(scrypt.mock.callCount(), 1);
+    auth.verifyCredentials('nobody', 'wrong password');
+    assert.equal(scrypt.mock.callCount(), 2);
+});
+
+test('an unreadable user store stops startup', t => {
+    const { filePath } = createManager(t);
+    fs.writeFileSync(filePath, '{ not json');
+    assert.throws(() => new AuthManager({ filePath }), /Cannot read user store/);
+});
+
+test('repeated login failures lock out that client and username for the window', t => {
+    const { auth } = createManager(t);
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    for (let i = 0; i < 9; i++) auth.recordLoginFailure('1.1.1.1', 'alice');
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), false);
+    auth.recordLoginFailure('1.1.1.1', 'alice');
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), true);
+    assert.equal(auth.isLockedOut('1.1.1.1', 'bob'), false);
+    assert.equal(auth.isLockedOut('2.2.2.2', 'alice'), false);
+
+    now += 15 * 60 * 1000 + 1;
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), false);
+
+    // Stale entries are dropped as new failures come in
+    auth.recordLoginFailure('3.3.3.3', 'guess1');
+    now += 15 * 60 * 1000 + 1;
+    auth.recordLoginFailure('3.3.3.3', 'guess2');
+    assert.deepEqual([...auth.loginFailures.keys()], ['3.3.3.3 guess2']);
+    assert.deepEqual([...auth.addressFailures.keys()], ['3.3.3.3']);
+
+    auth.clearLoginFailures('3.3.3.3', 'guess2');
+    assert.equal(auth.loginFailures.size, 0);
+});
+
+test('one address trying many usernames is locked out for every username', t => {
+    const { auth } = createManager(t);
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    for (let i = 0; i < 29; i++) auth.recordLoginFailure('1.1.1.1', `user${i}`);
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), false);
+    auth.recordLoginFailure('1.1.1.1', 'user29');
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), true);
+    assert.equal(auth.isLockedOut('2.2.2.2', 'alice'), false);
+
+    // Signing in as one of them doesn't reset the address
+    auth.clearLoginFailures('1.1.1.1', 'user0');
+    assert.equal(auth.isLockedOut('1.1.1.1', 'user0'), true);
+
+    now += 15 * 60 * 1000 + 1;
+    assert.equal(auth.isLockedOut('1.1.1.1', 'alice'), false);
+});
+
+test('sessions expire and end when the password changes', t => {
+    const { auth } = createManager(t);
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    auth.createUser('alice', 'password123');
+
+    const kept = auth.createSession('alice');
+    const other = auth.createSession('alice');
+    assert.equal(auth.authenticate({ headers: { cookie: `wt_session=${kept}` }, url: '/' }).username, 'alice');
+
+    auth.setPassword('alice', 'password456', kept);
+    assert.ok(auth.getSession(kept));
+    assert.equal(auth.getSession(other), null);
+
+    now += 7 * 24 * 60 * 60 * 1000 + 1;
+    assert.equal(auth.getSession(kept), null);
+});
+
+test('API tokens are shown once, stored hashed and revocable', t => {
+    const { auth, filePath } = createManager(t);
+    auth.createUser('alice', 'password123');
+    const { id, token } = auth.createToken('alice', 'media player');
+
+    assert.match(token, /^wtr_/);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(token));
+    assert.deepEqual(auth.listTokens('alice').map(record => record.name), ['media player']);
+
+    const bearer = { headers: { authorization: `Bearer ${token}` }, url: '/' };
+    const caller = auth.authenticate(bearer);
+    assert.equal(caller.username, 'alice');
+    assert.equal(caller.via, 'token');
+    assert.equal(caller.tokenId, id);
+    assert.equal(auth.authenticate({ headers: {}, url: `/stream?access_token=${token}` }), null);
+    assert.equal(auth.authenticate({ headers: {}, url: `/stream?access_token=${token}` }, { allowQueryToken: true }).username, 'alice');
+    assert.equal(auth.verifyToken('wtr_forged'), null);
+
+    assert.throws(() => auth.revokeToken('bob', id), /not found/);
+    auth.revokeToken('alice', id);
+    assert.equal(auth.authenticate(bearer), null);
+});
+
+test('cookies are parsed leniently', () => {
+    assert.deepEqual(parseCookies('a=1; wt_session=abc%20def; bad; c=%E0%A4%A'), {
+        a: '1',
+        wt_session: 'abc def',
+        c: '%E0%A4%A'
+    });
+    assert.deepEqual(parseCookies(undefined), {});
+});
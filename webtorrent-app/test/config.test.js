@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, parseArgs, validateValues } from '../config.js';
+
+// A directory to run from, with an optional config file in it
+function createDir(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('defaults apply when nothing is set', t => {
+    const cwd = createDir(t);
+    const config = loadConfig({ argv: [], env: {}, cwd });
+
+    assert.equal(config.configFile, null);
+    assert.equal(config.port, 3000);
+    assert.equal(config.downloadDir, path.join(cwd, 'downloads'));
+    assert.equal(config.logLevel, 'info');
+    assert.equal(config.client.dht, true);
+    assert.equal(config.queue.maxActiveDownloads, 3);
+    assert.deepEqual(config.bandwidth.schedule, { enabled: false, rules: [] });
+    assert.equal(config.streaming.pieceStrategy, 'rarest');
+    assert.equal(config.sources.port, 'default');
+});
+
+test('file < environment < flags', t => {
+    const cwd = createDir(t, { 'config.json': JSON.stringify({ port: 4000, logLevel: 'warn', queue: { maxActiveDownloads: 1 } }) });
+    const config = loadConfig({ argv: ['--log-level', 'debug', '--no-dht'], env: { PORT: '5000', PIECE_STRATEGY: 'sequential' }, cwd });
+
+    assert.equal(config.configFile, path.join(cwd, 'config.json'));
+    assert.equal(config.queue.maxActiveDownloads, 1);
+    assert.equal(config.port, 5000);
+    assert.equal(config.logLevel, 'debug');
+    assert.equal(config.client.dht, false);
+    assert.equal(config.streaming.pieceStrategy, 'sequential');
+    assert.deepEqual(
+        [config.sources['queue.maxActiveDownloads'], config.sources.port, config.sources.logLevel],
+        ['file', 'env', 'cli']
+    );
+});
+
+test('YAML files named by --config, with paths relative to the file', t => {
+    const cwd = createDir(t);
+    fs.mkdirSync(path.join(cwd, 'etc'));
+    fs.writeFileSync(path.join(cwd, 'etc', 'app.yaml'), 'downloadDir: ../media\nclient:\n  maxConns: 20\n');
+
+    const config = loadConfig({ argv: ['--config=etc/app.yaml'], env: { DATA_DIR: 'state' }, cwd });
+    assert.equal(config.downloadDir, path.join(cwd, 'media'));
+    assert.equal(config.dataDir, path.join(cwd, 'state'));
+    assert.equal(config.client.maxConns, 20);
+});
+
+test('every invalid value is reported at once', t => {
+    const cwd = createDir(t, { 'config.json': JSON.stringify({ port: 70000, colour: 'red', client: { dht: 'maybe' } }) });
+    assert.throws(() => loadConfig({ argv: ['--max-conns', '1.5'], env: { LOG_LEVEL: 'loud' }, cwd }), error => {
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, /Unknown key "colour"/);
+        assert.match(error.message, /port \(file\) must be at most 65535, got 70000/);
+        assert.match(error.message, /client.dht \(file\) must be true or false/);
+        assert.match(error.message, /LOG_LEVEL \(env\) must be one of error, warn, info, debug/);
+        assert.match(error.message, /--max-conns \(cli\) must be a whole number/);
+        return true;
+    });
+});
+
+test('unreadable config files are refused', t => {
+    const cwd = createDir(t, { 'config.yaml': 'port: [unclosed', 'list.json': '[1, 2]' });
+    assert.throws(() => loadConfig({ argv: [], env: {}, cwd }), /Cannot parse config file/);
+    assert.throws(() => loadConfig({ argv: [], env: { CONFIG_FILE: 'missing.json' }, cwd }), /Cannot read config file/);
+    assert.throws(() => loadConfig({ argv: ['--config', 'list.json'], env: {}, cwd }), /must contain an object/);
+});
+
+test('command-line flags', () => {
+    assert.deepEqual(parseArgs(['--port', '4000', '--dht', '--no-utp', '--download-dir=/srv/dl']), {
+        port: '4000',
+        'client.dht': 'true',
+        'client.utp': 'false',
+        downloadDir: '/srv/dl'
+    });
+    assert.throws(() => parseArgs(['--colour', 'red']), /Unknown option --colour/);
+    assert.throws(() => parseArgs(['--port']), /needs a value/);
+    assert.throws(() => parseArgs(['port']), /Unexpected argument/);
+});
+
+test('trusted proxies are addresses, ranges or names', t => {
+    const cwd = createDir(t);
+    assert.deepEqual(loadConfig({ argv: [], env: {}, cwd }).trustProxy, []);
+    assert.deepEqual(
+        loadConfig({ argv: ['--trust-proxy', 'loopback, 10.0.0.0/8,fd00::/8'], env: {}, cwd }).trustProxy,
+        ['loopback', '10.0.0.0/8', 'fd00::/8']
+    );
+    assert.throws(() => loadConfig({ argv: [], env: { TRUST_PROXY: '10.0.0.0/33' }, cwd }), /TRUST_PROXY \(env\) must list IP addresses/);
+    assert.throws(() => loadConfig({ argv: [], env: { TRUST_PROXY: 'proxy.local' }, cwd }), /got "proxy.local"/);
+});
+
+test('runtime settings are validated against the allowed keys', () => {
+    const allowedKeys = ['logLevel', 'queue.maxActiveDownloads', 'downloadDir'];
+
+    assert.deepEqual(validateValues({ logLevel: 'DEBUG', queue: { maxActiveDownloads: '2' }, downloadDir: 'media' }, { allowedKeys, baseDir: '/srv' }), {
+        values: { logLevel: 'debug', 'queue.maxActiveDownloads': 2, downloadDir: path.resolve('/srv', 'media') },
+        errors: []
+    });
+    assert.deepEqual(validateValues({ port: 80, queue: { maxActiveDownloads: -5 }, colour: 'red' }, { allowedKeys }).errors, [
+        'Unknown setting "colour"',
+        'port cannot be changed at runtime',
+        'queue.maxActiveDownloads must be at least -1, got -5'
+    ]);
+    assert.deepEqual(validateValues([], { allowedKeys }).errors, ['Settings must be an object']);
+});
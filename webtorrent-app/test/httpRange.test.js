@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Readable } from 'stream';
+import { contentDisposition, parseRange, sendRanges } from '../httpRange.js';
+
+test('single, open-ended and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+    assert.deepEqual(parseRange('bytes=500-', 1000), [{ start: 500, end: 999 }]);
+    assert.deepEqual(parseRange('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+    assert.deepEqual(parseRange('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+    assert.deepEqual(parseRange(' BYTES = 10-20', 1000), [{ start: 10, end: 20 }]);
+});
+
+test('ends past the file are clamped and unsatisfiable ranges dropped', () => {
+    assert.deepEqual(parseRange('bytes=900-5000', 1000), [{ start: 900, end: 999 }]);
+    assert.deepEqual(parseRange('bytes=1000-', 1000), []);
+    assert.deepEqual(parseRange('bytes=-0', 1000), []);
+    assert.deepEqual(parseRange('bytes=0-', 0), []);
+});
+
+test('multiple ranges are sorted and merged', () => {
+    assert.deepEqual(parseRange('bytes=500-599,0-99,100-199,550-650', 1000), [{ start: 0, end: 199 }, { start: 500, end: 650 }]);
+});
+
+test('malformed headers and too many ranges are ignored', () => {
+    assert.equal(parseRange(undefined, 1000), null);
+    assert.equal(parseRange('items=0-1', 1000), null);
+    assert.equal(parseRange('bytes=abc', 1000), null);
+    assert.equal(parseRange('bytes=-', 1000), null);
+    assert.equal(parseRange('bytes=20-10', 1000), null);
+
+    const many = Array.from({ length: 17 }, (value, index) => `${index * 10}-${index * 10 + 1}`).join(',');
+    assert.equal(parseRange(`bytes=${many}`, 1000), null);
+});
+
+test('Content-Disposition keeps non-ASCII names and escapes quotes', () => {
+    assert.equal(contentDisposition('attachment', 'a.mkv'), 'attachment; filename="a.mkv"; filename*=UTF-8\'\'a.mkv');
+    assert.equal(contentDisposition('inline', 'Ёж "1".mp4'), 'inline; filename="__ _1_.mp4"; filename*=UTF-8\'\'%D0%81%D0%B6%20%221%22.mp4');
+});
+
+// A server sending `body` through sendRanges, and a request helper collecting status, headers and body
+async function serve(t, body, options = {}) {
+    const server = http.createServer((req, res) => sendRanges(req, res, {
+        size: body.length,
+        contentType: 'video/mp4',
+        fileName: 'clip.mp4',
+        etag: '"v1"',
+        createStream: ({ start, end }) => Readable.from([body.subarray(start, end + 1)]),
+        ...options
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    return (headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, method, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('sendRanges answers whole-file, partial and unsatisfiable requests', async t => {
+    const request = await serve(t, Buffer.from('0123456789'));
+
+    const whole = await request();
+    assert.equal(whole.status, 200);
+    assert.equal(whole.body, '0123456789');
+    assert.equal(whole.headers['accept-ranges'], 'bytes');
+    assert.equal(whole.headers['content-disposition'], 'attachment; filename="clip.mp4"; filename*=UTF-8\'\'clip.mp4');
+
+    const partial = await request({ range: 'bytes=2-4' });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.body, '234');
+    assert.equal(partial.headers['content-range'], 'bytes 2-4/10');
+    assert.equal(partial.headers['content-length'], '3');
+
+    const unsatisfiable = await request({ range: 'bytes=10-' });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers['content-range'], 'bytes */10');
+
+    const head = await request({ range: 'bytes=0-1' }, 'HEAD');
+    assert.equal(head.status, 206);
+    assert.equal(head.body, '');
+});
+
+test('If-Range only keeps the range for the current strong ETag', async t => {
+    const request = await serve(t, Buffer.from('0123456789'));
+
+    assert.equal((await request({ range: 'bytes=0-1', 'if-range': '"v1"' })).status, 206);
+    assert.equal((await request({ range: 'bytes=0-1', 'if-range': '"v0"' })).status, 200);
+    assert.equal((await request({ range: 'bytes=0-1', 'if-range': 'W/"v1"' })).status, 200);
+});
+
+test('multiple ranges come back as multipart/byteranges', async t => {
+    const request = await serve(t, Buffer.from('0123456789'));
+    const response = await request({ range: 'bytes=0-1,5-6' });
+
+    assert.equal(response.status, 206);
+    const boundary = response.headers['content-type'].match(/^multipart\/byteranges; boundary=(\w+)$/)[1];
+    assert.equal(Number(response.headers['content-length']), Buffer.byteLength(response.body));
+    assert.equal(response.body, [
+        `--${boundary}`, 'Content-Type: video/mp4', 'Content-Range: bytes 0-1/10', '', '01',
+        `--${boundary}`, 'Content-Type: video/mp4', 'Content-Range: bytes 5-6/10', '', '56',
+        `--${boundary}--`, ''
+    ].join('\r\n'));
+});
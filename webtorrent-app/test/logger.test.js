@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, setLogLevel, getLogEntries, normalizeLogFilter } from '../logger.js';
+
+test('the level drops quieter entries and leaves the console alone', t => {
+    const log = createLogger('test');
+    const consoleMethods = ['debug', 'log', 'info', 'warn'].map(method => console[method]);
+    t.after(() => setLogLevel('info'));
+
+    setLogLevel('error');
+    log.warn('quiet');
+    log.error('loud');
+    setLogLevel('debug');
+    log.debug('verbose');
+
+    const messages = getLogEntries(normalizeLogFilter({ level: 'debug', subsystems: 'test' })).map(entry => entry.message);
+    assert.deepEqual(messages, ['loud', 'verbose']);
+    assert.deepEqual(['debug', 'log', 'info', 'warn'].map(method => console[method]), consoleMethods);
+    assert.throws(() => setLogLevel('verbose'), /Log level must be one of/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { naturalCompare, playlistTitle, PLAYLIST_FORMATS, toM3U, toXSPF } from '../playlist.js';
+
+const entries = [
+    { url: 'http://host/stream/abc/0?share=x.y&a=1', title: 'Episode 1', duration: 1320.4, album: 'Show' },
+    { url: 'http://host/stream/abc/1', title: 'Line\r\nbreak <&> "quoted"', duration: null, album: null }
+];
+
+test('natural order puts E2 before E10 and ignores case', () => {
+    const names = ['Show E10.mkv', 'show e2.mkv', 'Show E1.mkv'];
+    assert.deepEqual(names.sort(naturalCompare), ['Show E1.mkv', 'show e2.mkv', 'Show E10.mkv']);
+});
+
+test('titles drop folders and the extension', () => {
+    assert.equal(playlistTitle('Season 1/Show.S01E01.mkv'), 'Show.S01E01');
+    assert.equal(playlistTitle('Season 1\\E02.mp4'), 'E02');
+    assert.equal(playlistTitle('.hidden'), '.hidden');
+    assert.equal(playlistTitle('README'), 'README');
+});
+
+test('M3U and M3U8 are the same UTF-8 playlist', () => {
+    assert.deepEqual(PLAYLIST_FORMATS.m3u, PLAYLIST_FORMATS.m3u8);
+    assert.equal(PLAYLIST_FORMATS.xspf.extension, 'xspf');
+});
+
+test('extended M3U with durations, groups and single-line titles', () => {
+    assert.equal(toM3U(entries, { title: 'My\nShow' }), [
+        '#EXTM3U',
+        '#PLAYLIST:My Show',
+        '#EXTINF:1320,Episode 1',
+        '#EXTGRP:Show',
+        'http://host/stream/abc/0?share=x.y&a=1',
+        '#EXTINF:-1,Line break <&> "quoted"',
+        'http://host/stream/abc/1',
+        ''
+    ].join('\n'));
+    assert.equal(toM3U([]), '#EXTM3U\n');
+});
+
+test('XSPF escapes text and gives durations in milliseconds', () => {
+    assert.equal(toXSPF(entries, { title: 'A & B' }), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        '  <title>A &amp; B</title>',
+        '  <trackList>',
+        '    <track>',
+        '      <location>http://host/stream/abc/0?share=x.y&amp;a=1</location>',
+        '      <title>Episode 1</title>',
+        '      <album>Show</album>',
+        '      <duration>1320400</duration>',
+        '    </track>',
+        '    <track>',
+        '      <location>http://host/stream/abc/1</location>',
+        '      <title>Line\r\nbreak &lt;&amp;&gt; &quot;quoted&quot;</title>',
+        '    </track>',
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QueueManager from '../queueManager.js';
+
+// Just enough of TorrentManager for the queue: torrents are attached when `torrent` is set
+function createTorrentManager(torrents = []) {
+    const manager = {
+        activeTorrents: new Map(),
+        onStateChange: null,
+        persistSession() {},
+        broadcastUpdate() {},
+        getTorrent(torrentId) {
+            const torrentInfo = this.activeTorrents.get(torrentId);
+            return torrentInfo ? torrentInfo.status : null;
+        },
+        async startTorrent(torrentId, downloadPath, fresh, { queued }) {
+            this.add(torrentId, { status: queued ? 'queued' : 'paused' });
+            return { torrentId, status: queued ? 'queued' : 'paused' };
+        },
+        async resumeTorrent(torrentId) {
+            const torrentInfo = this.activeTorrents.get(torrentId);
+            torrentInfo.torrent = {};
+            torrentInfo.status.status = torrentInfo.status.complete ? 'seeding' : 'downloading';
+        },
+        async queueTorrent(torrentId) {
+            const torrentInfo = this.activeTorrents.get(torrentId);
+            torrentInfo.torrent = null;
+            torrentInfo.status.status = 'queued';
+        },
+        async pauseTorrent(torrentId) {
+            const torrentInfo = this.activeTorrents.get(torrentId);
+            torrentInfo.torrent = null;
+            torrentInfo.status.status = 'paused';
+            return { torrentId, status: 'paused' };
+        },
+        async deleteTorrent(torrentId) {
+            this.activeTorrents.delete(torrentId);
+            return { torrentId, deleted: true };
+        },
+        add(torrentId, { status = 'queued', complete = false } = {}) {
+            this.activeTorrents.set(torrentId, { torrent: null, status: { status, complete, queuePosition: null } });
+        }
+    };
+    torrents.forEach(torrentId => manager.add(torrentId));
+    return manager;
+}
+
+const running = manager => Array.from(manager.activeTorrents.keys()).filter(torrentId => manager.activeTorrents.get(torrentId).torrent);
+
+test('only the first torrents in line download', async () => {
+    const manager = createTorrentManager(['a', 'b', 'c', 'd']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 2 });
+
+    await queue.processQueue();
+    assert.deepEqual(running(manager), ['a', 'b']);
+    assert.equal(manager.getTorrent('c').status, 'queued');
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(torrentId => manager.getTorrent(torrentId).queuePosition), [1, 2, 3, 4]);
+});
+
+test('downloads and seeds have separate limits, -1 is unlimited', async () => {
+    const manager = createTorrentManager(['a', 'b', 'c']);
+    manager.add('seed1', { complete: true });
+    manager.add('seed2', { complete: true });
+    const queue = new QueueManager(manager, { maxActiveDownloads: -1, maxActiveSeeds: 1 });
+
+    await queue.processQueue();
+    assert.deepEqual(running(manager), ['a', 'b', 'c', 'seed1']);
+});
+
+test('moving a torrent up the queue swaps which one runs', async () => {
+    const manager = createTorrentManager(['a', 'b', 'c']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 2 });
+    let changed = null;
+    queue.onQueueChange = order => { changed = order; };
+    await queue.processQueue();
+
+    const result = await queue.moveTorrent('c', 'top');
+    assert.deepEqual(result.order, ['c', 'a', 'b']);
+    assert.deepEqual(changed.order, ['c', 'a', 'b']);
+    assert.deepEqual(running(manager).sort(), ['a', 'c']);
+    assert.equal(manager.getTorrent('b').status, 'queued');
+
+    assert.deepEqual((await queue.moveTorrent('c', 'down')).order, ['a', 'c', 'b']);
+    await assert.rejects(queue.moveTorrent('c', 'sideways'), /Invalid direction/);
+    await assert.rejects(queue.moveTorrent('missing', 'up'), /not found/);
+});
+
+test('changing the limits starts or queues torrents', async () => {
+    const manager = createTorrentManager(['a', 'b', 'c']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 1 });
+    await queue.processQueue();
+    assert.deepEqual(running(manager), ['a']);
+
+    await queue.setLimits({ maxActiveDownloads: 3 });
+    assert.deepEqual(running(manager), ['a', 'b', 'c']);
+
+    await queue.setLimits({ maxActiveDownloads: 1 });
+    assert.deepEqual(running(manager), ['a']);
+    assert.deepEqual(queue.getQueue(), { order: ['a', 'b', 'c'], maxActiveDownloads: 1, maxActiveSeeds: 5 });
+});
+
+test('paused torrents give up their slot until resumed', async () => {
+    const manager = createTorrentManager(['a', 'b']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 1 });
+    await queue.processQueue();
+
+    await queue.pauseTorrent('a');
+    assert.deepEqual(running(manager), ['b']);
+
+    const resumed = await queue.resumeTorrent('a');
+    assert.equal(resumed.status, 'downloading');
+    assert.deepEqual(running(manager), ['a']);
+    await assert.rejects(queue.resumeTorrent('missing'), /not found/);
+});
+
+test('a finished download frees its slot for the next one', async () => {
+    const manager = createTorrentManager(['a', 'b']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 1 });
+    await queue.processQueue();
+
+    manager.activeTorrents.get('a').status.complete = true;
+    manager.onStateChange('a', 'completed');
+    await queue.processQueue();
+    assert.deepEqual(running(manager), ['a', 'b']);
+});
+
+test('added torrents join the end of the line and deleted ones leave it', async () => {
+    const manager = createTorrentManager(['a']);
+    const queue = new QueueManager(manager, { maxActiveDownloads: 1 });
+
+    assert.deepEqual(await queue.addTorrent('b', '/downloads'), { torrentId: 'b', status: 'queued' });
+    assert.deepEqual(await queue.addTorrent('c', '/downloads', false, { paused: true }), { torrentId: 'c', status: 'paused' });
+    assert.deepEqual(queue.getQueue().order, ['a', 'b', 'c']);
+
+    await queue.deleteTorrent('a');
+    assert.deepEqual(queue.getQueue().order, ['b', 'c']);
+    assert.deepEqual(running(manager), ['b']);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { resolveInside } from '../safePath.js';
+
+const root = path.resolve('/srv/downloads');
+
+test('paths inside the root resolve', () => {
+    assert.equal(resolveInside(root, 'Show/E01.mkv'), path.join(root, 'Show', 'E01.mkv'));
+    assert.equal(resolveInside('/srv/downloads/', 'a/../b.txt'), path.join(root, 'b.txt'));
+});
+
+test('paths that leave the root are refused', () => {
+    assert.equal(resolveInside(root, '..'), null);
+    assert.equal(resolveInside(root, '../downloads-other/file'), null);
+    assert.equal(resolveInside(root, 'Show/../../etc/passwd'), null);
+    assert.equal(resolveInside(root, '/etc/passwd'), null);
+});
+
+test('the root itself and empty or odd values are refused', () => {
+    assert.equal(resolveInside(root, '.'), null);
+    assert.equal(resolveInside(root, 'Show/..'), null);
+    assert.equal(resolveInside(root, ''), null);
+    assert.equal(resolveInside(root, undefined), null);
+    assert.equal(resolveInside(root, 42), null);
+    assert.equal(resolveInside(root, 'file\0.txt'), null);
+});
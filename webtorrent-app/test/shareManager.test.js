@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ShareManager from '../shareManager.js';
+
+function createManager(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-'));
+    const manager = new ShareManager({ filePath: path.join(dir, 'shares.json') });
+    t.after(() => {
+        manager.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return manager;
+}
+
+test('a link verifies for its own file only', t => {
+    const shares = createManager(t);
+    const link = shares.create({ torrentId: 'abc', fileIndex: '2', label: 'Episode 2', createdBy: 'alice' });
+
+    assert.equal(link.fileIndex, 2);
+    assert.equal(shares.verify(link.token, 'abc', '2', { client: '1.1.1.1' }).id, link.id);
+    assert.throws(() => shares.verify(link.token, 'abc', '3'), /different file/);
+    assert.throws(() => shares.verify(link.token, 'other', '2'), /different file/);
+    assert.throws(() => shares.verify(`${link.id}.forged`, 'abc', '2'), /Invalid share link/);
+    assert.throws(() => shares.verify('', 'abc', '2'), /Invalid share link/);
+});
+
+test('options are validated', t => {
+    const shares = createManager(t);
+    assert.throws(() => shares.create({ torrentId: 'abc', fileIndex: 0, expiresIn: 0 }), /expiresIn/);
+    assert.throws(() => shares.create({ torrentId: 'abc', fileIndex: 0, expiresIn: 50000 }), /expiresIn/);
+    assert.throws(() => shares.create({ torrentId: 'abc', fileIndex: 0, maxUses: 1.5 }), /maxUses/);
+    assert.equal(shares.create({ torrentId: 'abc', fileIndex: 0, maxBytes: -1 }).maxBytes, null);
+});
+
+test('a client counts as one use until it has been idle for the grace period', t => {
+    const shares = createManager(t);
+    const link = shares.create({ torrentId: 'abc', fileIndex: 0, maxUses: 1 });
+    const play = client => shares.verify(link.token, 'abc', 0, { client });
+
+    play('1.1.1.1');
+    play('1.1.1.1');
+    play('1.1.1.1');
+    assert.equal(shares.links.get(link.id).uses, 1);
+    assert.throws(() => play('2.2.2.2'), /maximum number of uses/);
+    // HEAD requests transfer nothing and are always allowed
+    assert.doesNotThrow(() => shares.verify(link.token, 'abc', 0, { client: '2.2.2.2', countUse: false }));
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 31 * 60 * 1000);
+    assert.throws(() => play('1.1.1.1'), /maximum number of uses/);
+});
+
+test('revoked, expired and spent links are refused', t => {
+    const shares = createManager(t);
+    const revoked = shares.create({ torrentId: 'abc', fileIndex: 0 });
+    shares.revoke(revoked.id);
+    assert.throws(() => shares.verify(revoked.token, 'abc', 0), /revoked/);
+    assert.throws(() => shares.revoke('missing'), /not found/);
+
+    const spent = shares.create({ torrentId: 'abc', fileIndex: 0, maxBytes: 10 });
+    shares.links.get(spent.id).bytesServed = 10;
+    assert.throws(() => shares.verify(spent.token, 'abc', 0), /transfer allowance/);
+
+    const expired = shares.create({ torrentId: 'abc', fileIndex: 0, expiresIn: 1 });
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 60 * 1000);
+    assert.throws(() => shares.verify(expired.token, 'abc', 0), /expired/);
+});
+
+test('findOrCreate reuses a matching link while half its lifetime is left', t => {
+    const shares = createManager(t);
+    const options = { torrentId: 'abc', fileIndex: 0, expiresIn: 60, label: 'Playlist: E01', createdBy: 'alice' };
+    const first = shares.findOrCreate(options);
+
+    assert.equal(shares.findOrCreate(options).token, first.token);
+    assert.notEqual(shares.findOrCreate({ ...options, createdBy: 'bob' }).id, first.id);
+    assert.notEqual(shares.findOrCreate({ ...options, maxUses: 3 }).id, first.id);
+    assert.equal(shares.list('abc').length, 3);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 31 * 60 * 1000);
+    assert.notEqual(shares.findOrCreate(options).id, first.id);
+});
+
+test('links survive a restart and stay valid', t => {
+    const shares = createManager(t);
+    const link = shares.create({ torrentId: 'abc', fileIndex: 0 });
+
+    const reloaded = new ShareManager({ filePath: shares.filePath });
+    assert.equal(reloaded.verify(link.token, 'abc', 0).id, link.id);
+    reloaded.stop();
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDelta, cloneStatus, diffStatus } from '../shared/statusDelta.js';
+
+const status = () => ({
+    torrentId: 'abc',
+    progress: 10,
+    peers: 3,
+    error: null,
+    files: [
+        { index: 0, name: 'a.mkv', progress: 10 },
+        { index: 1, name: 'b.mkv', progress: 0 }
+    ]
+});
+
+test('unchanged statuses give no delta', () => {
+    assert.equal(diffStatus(status(), status()), null);
+});
+
+test('only changed leaves are set', () => {
+    const next = status();
+    next.progress = 20;
+    next.files[0].progress = 20;
+
+    assert.deepEqual(diffStatus(status(), next), {
+        set: [[['progress'], 20], [['files', 0, 'progress'], 20]],
+        unset: []
+    });
+});
+
+test('added and removed keys', () => {
+    const next = status();
+    delete next.peers;
+    next.timeRemaining = '5m';
+
+    assert.deepEqual(diffStatus(status(), next), { set: [[['timeRemaining'], '5m']], unset: [['peers']] });
+});
+
+test('arrays that change length are sent whole', () => {
+    const next = status();
+    next.files.pop();
+
+    assert.deepEqual(diffStatus(status(), next), { set: [[['files'], next.files]], unset: [] });
+});
+
+test('values changing type are replaced', () => {
+    const next = status();
+    next.error = { message: 'boom' };
+    assert.deepEqual(diffStatus(status(), next).set, [[['error'], { message: 'boom' }]]);
+});
+
+test('applying a delta reproduces the new status', () => {
+    const previous = status();
+    const next = status();
+    next.progress = 55;
+    next.files[1].progress = 40;
+    next.files[1].subtitles = [{ language: 'en' }];
+    delete next.peers;
+
+    const target = cloneStatus(previous);
+    assert.deepEqual(applyDelta(target, diffStatus(previous, next)), next);
+});
+
+test('applying creates missing parents and ignores missing unset paths', () => {
+    const target = {};
+    applyDelta(target, { set: [[['a', 'b'], 1], [[], 'ignored']], unset: [['x', 'y']] });
+    assert.deepEqual(target, { a: { b: 1 } });
+});
+
+test('cloned statuses are detached', () => {
+    const original = status();
+    const copy = cloneStatus(original);
+    original.files[0].progress = 99;
+    assert.equal(copy.files[0].progress, 10);
+});
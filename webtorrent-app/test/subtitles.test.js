@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeSubtitle, pairSubtitles, parseSubtitleLanguage, subtitleFormat, toWebVTT } from '../subtitles.js';
+
+const isVideo = name => /\.(mkv|mp4)$/i.test(name);
+const files = paths => paths.map(filePath => ({ name: filePath.split('/').pop(), path: filePath }));
+
+test('subtitle formats by extension', () => {
+    assert.equal(subtitleFormat('a.SRT'), 'srt');
+    assert.equal(subtitleFormat('a.ssa'), 'ass');
+    assert.equal(subtitleFormat('a.vtt'), 'vtt');
+    assert.equal(subtitleFormat('a.mkv'), null);
+    assert.equal(subtitleFormat(undefined), null);
+});
+
+test('languages and flags come from the last words of the name', () => {
+    assert.deepEqual(parseSubtitleLanguage('.pt-BR.forced'), { language: 'pt-BR', label: 'Portuguese (Brazil) (Forced)' });
+    assert.deepEqual(parseSubtitleLanguage('.eng.sdh'), { language: 'en', label: 'English (SDH)' });
+    assert.deepEqual(parseSubtitleLanguage('2_Français'), { language: 'fr', label: 'French' });
+    assert.deepEqual(parseSubtitleLanguage('It.Was.A.Night'), { language: null, label: null });
+});
+
+test('subtitles pair with the video they are named after', () => {
+    const { byVideo, bySubtitle } = pairSubtitles(files([
+        'Show/Show.S01E1.mkv',
+        'Show/Show.S01E10.mkv',
+        'Show/Show.S01E10.en.srt',
+        'Show/Show.S01E1.es.srt',
+        'Show/Show.S01E1.srt'
+    ]), isVideo);
+
+    assert.equal(bySubtitle.get(2), 1);
+    assert.deepEqual(byVideo.get(1), [{ fileIndex: 2, format: 'srt', language: 'en', label: 'English' }]);
+    assert.deepEqual(byVideo.get(0).map(entry => [entry.fileIndex, entry.language, entry.label]), [[3, 'es', 'Spanish'], [4, null, 'Subtitles']]);
+});
+
+test('Subs folders, single videos and unpaired files', () => {
+    const subsFolder = pairSubtitles(files(['Movie/Movie.2020.mkv', 'Movie/Subs/2_English.srt', 'Movie/Subs/3_Russian.srt']), isVideo);
+    assert.deepEqual(subsFolder.byVideo.get(0).map(entry => entry.language), ['en', 'ru']);
+
+    const perEpisode = pairSubtitles(files(['S/E01.mkv', 'S/E02.mkv', 'S/Subs/E02/English.srt']), isVideo);
+    assert.equal(perEpisode.bySubtitle.get(2), 1);
+
+    const unpaired = pairSubtitles(files(['S/E01.mkv', 'S/E02.mkv', 'S/extras/commentary.srt']), isVideo);
+    assert.equal(unpaired.bySubtitle.get(2), null);
+    assert.equal(unpaired.byVideo.size, 0);
+});
+
+test('encodings: BOMs, UTF-8 and legacy code pages', () => {
+    const bom = decodeSubtitle(Buffer.from([0xef, 0xbb, 0xbf, ...Buffer.from('hé')]));
+    assert.equal(bom.encoding, 'utf-8');
+
+    assert.deepEqual(decodeSubtitle(Buffer.from('Привет', 'utf8')), { text: 'Привет', encoding: 'utf-8' });
+    assert.equal(decodeSubtitle(Buffer.from('﻿hi', 'utf16le')).encoding, 'utf-16le');
+    assert.deepEqual(decodeSubtitle(Buffer.from('hello', 'utf16le')), { text: 'hello', encoding: 'utf-16le' });
+
+    // "Привет" and "Zażółć" in their Windows code pages
+    const cp1251 = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+    assert.deepEqual(decodeSubtitle(cp1251), { text: 'Привет', encoding: 'windows-1251' });
+    const cp1250 = Buffer.from([0x5a, 0x61, 0xbf, 0xf3, 0xb3, 0xe6]);
+    assert.deepEqual(decodeSubtitle(cp1250, { language: 'pl' }), { text: 'Zażółć', encoding: 'windows-1250' });
+    assert.equal(decodeSubtitle(Buffer.from([0x63, 0x61, 0x66, 0xe9])).encoding, 'windows-1252');
+
+    assert.equal(decodeSubtitle(cp1251, { encoding: 'windows-1251' }).text, 'Привет');
+    assert.throws(() => decodeSubtitle(cp1251, { encoding: 'no-such-encoding' }), RangeError);
+});
+
+test('SRT becomes WebVTT', () => {
+    const srt = '﻿1\r\n0:00:01,5 --> 00:00:03,250\r\n<font color="red">Hello</font> {\\an8}there\r\n\r\n2\r\n00:00:04,000 --> 00:00:05,000\r\n<i>Bye</i>\r\n';
+    assert.equal(toWebVTT(srt, 'srt'), 'WEBVTT\n\n1\n00:00:01.500 --> 00:00:03.250\nHello there\n\n2\n00:00:04.000 --> 00:00:05.000\n<i>Bye</i>\n');
+});
+
+test('ASS dialogue becomes WebVTT cues in time order', () => {
+    const ass = [
+        '[Script Info]',
+        'Title: Test',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Second, with a comma',
+        'Dialogue: 0,0:00:01.50,0:00:02.00,Default,,0,0,0,,{\\i1}First{\\i0}\\Nline <2>',
+        'Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,not shown'
+    ].join('\n');
+
+    assert.equal(toWebVTT(ass, 'ass'), 'WEBVTT\n\n00:00:01.500 --> 00:00:02.000\n<i>First</i>\nline &lt;2&gt;\n\n00:00:05.000 --> 00:00:06.000\nSecond, with a comma\n');
+});
+
+test('WebVTT passes through and unknown formats are refused', () => {
+    assert.equal(toWebVTT('WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n', 'vtt'), 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+    assert.equal(toWebVTT('00:01.000 --> 00:02.000\nHi\n', 'vtt'), 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+    assert.throws(() => toWebVTT('', 'sub'), /Unsupported subtitle format/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchTorrentFile, isPrivateAddress, parseTorrentFile } from '../torrentFile.js';
+
+// A minimal single-file torrent
+function torrentBuffer() {
+    return Buffer.concat([
+        Buffer.from('d8:announce15:udp://tracker/14:infod6:lengthi5e4:name5:a.txt12:piece lengthi16384e6:pieces20:'),
+        Buffer.alloc(20),
+        Buffer.from('ee')
+    ]);
+}
+
+test('a valid torrent is summarized', async () => {
+    const parsed = await parseTorrentFile(torrentBuffer(), 'a.torrent');
+    assert.match(parsed.infoHash, /^[0-9a-f]{40}$/);
+    assert.equal(parsed.name, 'a.txt');
+    assert.equal(parsed.length, 5);
+    assert.equal(parsed.fileCount, 1);
+    assert.deepEqual(parsed.announce, ['udp://tracker/1']);
+    assert.equal(parsed.private, false);
+    assert.deepEqual(parsed.filePaths, ['a.txt']);
+});
+
+test('empty, oversized and non-torrent buffers are refused', async () => {
+    await assert.rejects(parseTorrentFile(Buffer.alloc(0), 'x.torrent'), /x.torrent is empty/);
+    await assert.rejects(parseTorrentFile(Buffer.alloc(11 * 1024 * 1024, 0x64)), /too large/);
+    await assert.rejects(parseTorrentFile(Buffer.from('<html>')), /not a .torrent file/);
+    await assert.rejects(parseTorrentFile(Buffer.from('d3:foo3:bare')), /missing its info dictionary|corrupt/);
+});
+
+test('private, loopback and reserved addresses are recognized', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', 'not-an-ip'
+    ].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+
+    ['8.8.8.8', '1.1.1.1', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700:4700::1111'].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('URLs to private hosts are refused without connecting', async t => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.end(torrentBuffer());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { port } = server.address();
+
+    for (const host of ['127.0.0.1', 'localhost', '[::1]', '0x7f000001', '2130706433']) {
+        await assert.rejects(fetchTorrentFile(`http://${host}:${port}/a.torrent`, 2000), /private address/, host);
+    }
+    assert.equal(requests, 0);
+});
+
+test('only http and https URLs are fetched', async () => {
+    await assert.rejects(fetchTorrentFile('file:///etc/passwd'), /only http and https/);
+    await assert.rejects(fetchTorrentFile('ftp://example.com/a.torrent'), /only http and https/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32ToHex, buildMagnetURI, decodeHtmlEntities, parseTorrentIdentifier } from '../shared/torrentIdentifier.js';
+
+const HEX = '0123456789abcdef0123456789abcdef01234567';
+const BASE32 = 'AERUKZ4JVPG66AJDIVTYTK6N54ASGRLH';
+const V2 = 'a'.repeat(64);
+
+test('base32 info hashes convert to hex', () => {
+    assert.equal(base32ToHex(BASE32), HEX);
+    assert.equal(base32ToHex(BASE32.toLowerCase()), HEX);
+    assert.throws(() => base32ToHex('0000'), /Invalid base32 character/);
+});
+
+test('HTML entities from copied links are decoded', () => {
+    assert.equal(decodeHtmlEntities('a&amp;b&lt;&gt;&quot;&#39;&#x2F;'), 'a&b<>"\'/');
+    assert.equal(decodeHtmlEntities(''), '');
+});
+
+test('magnet links are parsed and normalized', () => {
+    const parsed = parseTorrentIdentifier(
+        `magnet:?xt=urn:btih:${HEX.toUpperCase()}&dn=My+Show%20S01&tr.1=udp%3A%2F%2Fa&tr.2=udp%3A%2F%2Fa&tr=udp%3A%2F%2Fb&ws=http%3A%2F%2Fseed&xl=1234`
+    );
+
+    assert.equal(parsed.type, 'magnet');
+    assert.equal(parsed.infoHash, HEX);
+    assert.equal(parsed.name, 'My Show S01');
+    assert.deepEqual(parsed.trackers, ['udp://a', 'udp://b']);
+    assert.deepEqual(parsed.webSeeds, ['http://seed']);
+    assert.equal(parsed.length, 1234);
+    assert.equal(parsed.torrentId, `magnet:?xt=urn:btih:${HEX}&dn=My%20Show%20S01&tr=udp%3A%2F%2Fa&tr=udp%3A%2F%2Fb&ws=http%3A%2F%2Fseed`);
+});
+
+test('base32 and v2 magnets', () => {
+    assert.equal(parseTorrentIdentifier(`magnet:?xt=urn:btih:${BASE32}`).infoHash, HEX);
+
+    const hybrid = parseTorrentIdentifier(`magnet:?xt=urn:btih:${HEX}&xt=urn:btmh:1220${V2}`);
+    assert.equal(hybrid.infoHash, HEX);
+    assert.equal(hybrid.infoHashV2, V2);
+    assert.match(hybrid.torrentId, new RegExp(`xt=urn:btmh:1220${V2}`));
+});
+
+test('magnets copied from a web page still parse', () => {
+    const parsed = parseTorrentIdentifier(`  magnet:?xt=urn:btih:${HEX}&amp;dn=Name  `);
+    assert.equal(parsed.infoHash, HEX);
+    assert.equal(parsed.name, 'Name');
+});
+
+test('bare info hashes', () => {
+    assert.equal(parseTorrentIdentifier(HEX.toUpperCase()).infoHash, HEX);
+    assert.equal(parseTorrentIdentifier(BASE32).infoHash, HEX);
+    assert.equal(parseTorrentIdentifier(V2).infoHashV2, V2);
+    assert.equal(parseTorrentIdentifier(HEX).torrentId, buildMagnetURI({ infoHash: HEX }));
+});
+
+test('.torrent URLs keep the URL and take the name from the file', () => {
+    const parsed = parseTorrentIdentifier('https://example.com/files/Big%20Buck%20Bunny.torrent');
+    assert.equal(parsed.type, 'url');
+    assert.equal(parsed.name, 'Big Buck Bunny');
+    assert.equal(parsed.torrentId, 'https://example.com/files/Big%20Buck%20Bunny.torrent');
+    assert.equal(parseTorrentIdentifier('https://example.com/download?id=1').name, null);
+});
+
+test('invalid input is rejected with a reason', () => {
+    assert.throws(() => parseTorrentIdentifier(''), /required/);
+    assert.throws(() => parseTorrentIdentifier(null), /required/);
+    assert.throws(() => parseTorrentIdentifier('not a torrent'), /Unrecognized torrent identifier/);
+    assert.throws(() => parseTorrentIdentifier('magnet:'), /no parameters/);
+    assert.throws(() => parseTorrentIdentifier('magnet:?dn=only-a-name'), /must contain/);
+    assert.throws(() => parseTorrentIdentifier('magnet:?xt=urn:btih:1234'), /Invalid BitTorrent info hash/);
+    assert.throws(() => parseTorrentIdentifier('magnet:?xt=urn:btmh:1220abc'), /Invalid BitTorrent v2 info hash/);
+    assert.throws(() => parseTorrentIdentifier('https://example.com/%E0%A4%A.torrent'), /Invalid URL: .*malformed percent-encoding/);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TorrentManager from '../torrentManager.js';
+import SessionStore from '../sessionStore.js';
+
+// A two-file torrent, Show/E01.mkv and Show/E02.mkv
+function torrentBuffer() {
+    return Buffer.concat([
+        Buffer.from('d4:infod5:filesld6:lengthi1e4:pathl7:E01.mkveed6:lengthi1e4:pathl7:E02.mkveee'),
+        Buffer.from('4:name4:Show12:piece lengthi16384e6:pieces20:'),
+        Buffer.alloc(20),
+        Buffer.from('ee')
+    ]);
+}
+
+const MAGNET = 'magnet:?xt=urn:btih:0123456789abcdef0123456789abcdef01234567&dn=Show';
+
+// No peers, no ports to forward; queued and paused torrents are never handed to the client anyway
+function createManager(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'torrents-'));
+    const downloadPath = path.join(dir, 'downloads');
+    const sessionStore = new SessionStore(path.join(dir, 'data', 'sessions.json'));
+    const manager = new TorrentManager({
+        sessionStore,
+        client: { dht: false, tracker: false, lsd: false, utp: false, natUpnp: false, natPmp: false }
+    });
+
+    fs.mkdirSync(path.join(downloadPath, 'Show'), { recursive: true });
+    ['Show/E01.mkv', 'Show/E02.mkv', 'other.txt'].forEach(file => fs.writeFileSync(path.join(downloadPath, file), 'x'));
+
+    t.after(async () => {
+        sessionStore.flush();
+        await new Promise(resolve => manager.client.destroy(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { manager, sessionStore, downloadPath };
+}
+
+test('deleting a queued torrent\'s files uses the metadata it was added with', async t => {
+    const { manager, downloadPath } = createManager(t);
+    const { torrentId } = await manager.startTorrent(torrentBuffer(), downloadPath, false, { queued: true });
+
+    const result = await manager.deleteTorrent(torrentId, true);
+
+    assert.equal(result.deleted, true);
+    assert.equal(fs.existsSync(path.join(downloadPath, 'Show')), false);
+    assert.equal(fs.existsSync(path.join(downloadPath, 'other.txt')), true);
+    assert.equal(manager.activeTorrents.has(torrentId), false);
+});
+
+test('deleting a paused magnet\'s files uses the .torrent saved in the session store', async t => {
+    const { manager, downloadPath } = createManager(t);
+    const { torrentId } = await manager.startTorrent(MAGNET, downloadPath, false, { paused: true });
+    manager.persistTorrentFile(torrentId, torrentBuffer());
+
+    await manager.deleteTorrent(torrentId, true);
+
+    assert.equal(fs.existsSync(path.join(downloadPath, 'Show')), false);
+    assert.equal(fs.existsSync(path.join(downloadPath, 'other.txt')), true);
+});
+
+test('a torrent without metadata is kept when its files are to be deleted', async t => {
+    const { manager, sessionStore, downloadPath } = createManager(t);
+    const { torrentId } = await manager.startTorrent(MAGNET, downloadPath, false, { queued: true });
+
+    await assert.rejects(manager.deleteTorrent(torrentId, true), error => error.code === 'invalid-state' && /aren't known/.test(error.message));
+    assert.equal(manager.activeTorrents.has(torrentId), true);
+    assert.ok(sessionStore.get(torrentId));
+    assert.equal(fs.existsSync(path.join(downloadPath, 'Show', 'E01.mkv')), true);
+
+    assert.equal((await manager.deleteTorrent(torrentId, false)).deleted, true);
+    assert.equal(fs.existsSync(path.join(downloadPath, 'Show', 'E01.mkv')), true);
+});
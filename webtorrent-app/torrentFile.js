@@ -0,0 +1,180 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import parseTorrent from 'parse-torrent';
+
+// Reject anything larger than this before handing it to the bencode decoder
+export const MAX_TORRENT_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+/**
+ * Validate and decode an uploaded .torrent file
+ * Throws an Error with a user-facing message when the buffer is not a usable torrent
+ */
+export async function parseTorrentFile(buffer, fileName = 'torrent file') {
+    if (!buffer || buffer.length === 0) {
+        throw new Error(`${fileName} is empty`);
+    }
+
+    if (buffer.length > MAX_TORRENT_FILE_SIZE) {
+        throw new Error(`${fileName} is too large (max ${MAX_TORRENT_FILE_SIZE / (1024 * 1024)} MB)`);
+    }
+
+    // Every .torrent file is a bencoded dictionary, so it must start with 'd'
+    if (buffer[0] !== 0x64) {
+        throw new Error(`${fileName} is not a .torrent file (expected a bencoded dictionary)`);
+    }
+
+    let parsed;
+    try {
+        parsed = await parseTorrent(buffer);
+    } catch (error) {
+        throw new Error(`${fileName} is corrupt or unsupported: ${error.message}`);
+    }
+
+    if (!parsed || !parsed.infoHash || !parsed.info) {
+        throw new Error(`${fileName} is missing its info dictionary`);
+    }
+
+    if (!Array.isArray(parsed.files) || parsed.files.length === 0) {
+        throw new Error(`${fileName} does not list any files`);
+    }
+
+    return {
+        infoHash: parsed.infoHash,
+        name: parsed.name,
+        length: parsed.length,
+        fileCount: parsed.files.length,
+        announce: parsed.announce || [],
+        private: Boolean(parsed.private),
+        filePaths: parsed.files.map(file => file.path) // As WebTorrent lays them out under the download directory
+    };
+}
+
+// Where a URL given by a client may not lead: loopback, private networks, link-local (cloud metadata) and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const MAX_REDIRECTS = 5;
+
+export function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is the IPv4 address it carries
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+    if (family === 6) return BLOCKED_ADDRESSES.check(address, 'ipv6') || /^::ffff:/i.test(address);
+    return true;
+}
+
+// dns.lookup that refuses private addresses; used for every connection, so a redirect or a changed DNS answer can't get around it
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// One request, no redirects followed; resolves with the response or the redirect target
+function requestOnce(url, deadline) {
+    return new Promise((resolve, reject) => {
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        // Literal IPs never go through lookup
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return reject(new Error(`${hostname} is a private address`));
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, { lookup: publicLookup, timeout: Math.max(deadline - Date.now(), 1) }, resolve);
+        request.on('timeout', () => request.destroy(new Error('timed out')));
+        request.on('error', reject);
+    });
+}
+
+// The body, refused as soon as it passes the size limit whatever Content-Length claimed
+function readBody(response, url, deadline) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const fail = error => {
+            clearTimeout(timer);
+            response.destroy();
+            reject(error);
+        };
+        const timer = setTimeout(() => fail(new Error(`Could not download ${url}: timed out`)), Math.max(deadline - Date.now(), 1));
+
+        response.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_TORRENT_FILE_SIZE) {
+                fail(new Error(`${url} is too large (max ${MAX_TORRENT_FILE_SIZE / (1024 * 1024)} MB)`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        response.on('end', () => {
+            clearTimeout(timer);
+            resolve(Buffer.concat(chunks));
+        });
+        response.on('error', error => fail(new Error(`Could not download ${url}: ${error.message}`)));
+    });
+}
+
+/**
+ * Download a .torrent file from an http(s) URL so it can be identified before it is added
+ * Only public hosts are contacted, at every redirect; throws an Error with a user-facing message on network
+ * errors, refused hosts, bad responses or oversized files.
+ */
+export async function fetchTorrentFile(url, timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+        if (!['http:', 'https:'].includes(current.protocol)) {
+            throw new Error(`Could not download ${url}: only http and https URLs are supported`);
+        }
+
+        let response;
+        try {
+            response = await requestOnce(current, deadline);
+        } catch (error) {
+            throw new Error(`Could not download ${url}: ${error.message}`);
+        }
+
+        const { statusCode, headers } = response;
+        if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+            response.resume();
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error(`Could not download ${url}: too many redirects`);
+            }
+            current = new URL(headers.location, current);
+            continue;
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+            response.resume();
+            throw new Error(`Could not download ${url}: HTTP ${statusCode}`);
+        }
+
+        if (Number(headers['content-length']) > MAX_TORRENT_FILE_SIZE) {
+            response.destroy();
+            throw new Error(`${url} is too large (max ${MAX_TORRENT_FILE_SIZE / (1024 * 1024)} MB)`);
+        }
+
+        const buffer = await readBody(response, url, deadline);
+        await parseTorrentFile(buffer, url);
+        return buffer;
+    }
+}
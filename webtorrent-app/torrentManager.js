@@ -2,32 +2,71 @@ import WebTorrent from 'webtorrent';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
+import { parseTorrentIdentifier } from './shared/torrentIdentifier.js';
+import { parseTorrentFile } from './torrentFile.js';
+import { pairSubtitles, parseSubtitleLanguage, subtitleFormat } from './subtitles.js';
+import { naturalCompare } from './playlist.js';
+import { resolveInside } from './safePath.js';
+import { canView } from './authManager.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('torrent');
+const sessionLog = createLogger('session');
+
+// Per-file download priorities; 'skip' leaves the file's pieces unselected
+const FILE_PRIORITIES = {
+    high: 1,
+    normal: 0,
+    skip: null
+};
+
+// States that don't count toward a user's active torrent quota
+const INACTIVE_STATES = ['paused', 'stopped', 'error'];
 
 /**
  * TorrentManager - Manages WebTorrent instances using the native library
  * This is a much faster and more robust implementation compared to CLI spawning
  */
 class TorrentManager {
-    constructor() {
-        // Initialize WebTorrent client
-        this.client = new WebTorrent();
+    constructor(options = {}) {
+        // Initialize WebTorrent client; options.client carries maxConns, torrentPort, dht, utp and lsd
+        this.client = new WebTorrent(options.client || {});
         this.activeTorrents = new Map(); // torrentId -> { torrent, status, metadata }
         this.onUpdate = null; // Callback for updates
-        this.updateInterval = 1000; // Update every second
+        this.onStateChange = null; // Callback when a torrent completes, errors or is detached
+        this.updateInterval = options.updateInterval || 1000; // Update every second by default
+        this.sessionStore = options.sessionStore || null; // Optional durable store for restarts
+        this.pieceStrategy = options.pieceStrategy || 'sequential'; // For torrents not set to download in order; WebTorrent's default
         
-        console.log(`[TORRENT] WebTorrent client initialized`);
+        log.info(`WebTorrent client initialized`);
         
         // Setup client error handling
         this.client.on('error', (err) => {
-            console.error(`[TORRENT] Client error: ${err.message}`);
+            log.error(`Client error: ${err.message}`);
         });
     }
 
-    async startTorrent(magnetUri, downloadPath, fresh = false) {
-        const torrentId = this.generateTorrentId();
+    async startTorrent(magnetUri, downloadPath, fresh = false, options = {}) {
+        const { torrentId: restoredId, paused = false, queued = false, name = null, filePriorities = {}, bandwidth = null, seedingPolicy = null, trackers = [], owner = null, sequential = false, durations = {}, ...torrentOptions } = options;
+        const initialState = paused ? 'paused' : (queued ? 'queued' : 'starting');
+        const identity = await this.identifySource(magnetUri);
+
+        // Adding a torrent that is already listed only merges its trackers into the existing entry
+        if (!restoredId && identity.infoHash) {
+            const existingId = this.findByInfoHash(identity.infoHash);
+            if (existingId) {
+                const trackersAdded = this.mergeTrackers(existingId, [...identity.trackers, ...trackers]);
+                log.info(`${identity.infoHash} is already added as ${existingId} (${trackersAdded} new trackers)`);
+                return { torrentId: existingId, status: this.activeTorrents.get(existingId).status.status, duplicate: true, trackersAdded };
+            }
+        }
+
+        // IDs derived from the infoHash keep stream URLs stable across sessions; sources without one (URLs) get a random ID
+        const torrentId = restoredId || identity.infoHash || this.generateTorrentId();
         
         try {
-            console.log(`[TORRENT] Starting: ${magnetUri.substring(0, 50)}...`);
+            const label = typeof magnetUri === 'string' ? magnetUri.substring(0, 50) : 'torrent file';
+            log.info(`${restoredId ? 'Restoring' : 'Starting'}: ${label}...`);
             
             // Ensure directory exists
             if (!fs.existsSync(downloadPath)) {
@@ -37,7 +76,7 @@ class TorrentManager {
             // Create initial status object
             const statusData = {
                 torrentId,
-                status: 'starting',
+                status: initialState,
                 progress: 0,
                 downloadSpeed: 0,
                 uploadSpeed: 0,
@@ -45,7 +84,7 @@ class TorrentManager {
                 downloaded: 0,
                 totalSize: 0,
                 timeRemaining: 'Unknown',
-                fileName: 'Unknown',
+                fileName: name || 'Unknown',
                 streamingUrl: null,
                 canStream: false,
                 downloadDir: downloadPath,
@@ -54,17 +93,31 @@ class TorrentManager {
                 startTime: Date.now(),
                 error: null,
                 files: [],
-                infoHash: null
+                infoHash: identity.infoHash,
+                magnet: typeof magnetUri === 'string' ? magnetUri : null,
+                complete: false, // All selected files verified; stays true while queued or paused
+                queuePosition: null,
+                downloadLimit: bandwidth?.downloadLimit ?? -1, // Per-torrent limits in bytes/s, -1 = unlimited
+                uploadLimit: bandwidth?.uploadLimit ?? -1,
+                totalUploaded: 0, // Across all sessions, unlike torrent.uploaded
+                seedTime: 0, // ms spent seeding
+                seedRatio: 0,
+                seedingGoal: null, // Progress toward the seeding policy, set by SeedingManager
+                sequential, // Download pieces in order instead of by the configured pieceStrategy
+                owner // Username of whoever added it; null when added without authentication
             };
 
-            // Add torrent using WebTorrent library
-            const torrent = this.client.add(magnetUri, {
-                path: downloadPath
-            });
-
-            // Store torrent info
+            // Store torrent info; `source` is what gets handed back to WebTorrent on resume
             const torrentInfo = {
-                torrent,
+                torrent: null,
+                source: magnetUri,
+                filePriorities: { ...filePriorities }, // fileIndex -> 'high' | 'normal' | 'skip'
+                durations: { ...durations }, // fileIndex -> seconds, as reported by the built-in player
+                bandwidth: bandwidth ? { ...bandwidth } : null, // { downloadLimit, uploadLimit }, enforced by BandwidthManager
+                seedingPolicy: seedingPolicy ? { ...seedingPolicy } : null, // Overrides of the global seeding policy
+                trackers: [...trackers], // Extra trackers merged in from duplicate adds
+                sequential,
+                owner,
                 status: statusData,
                 updateTimer: null,
                 downloadPath
@@ -72,70 +125,131 @@ class TorrentManager {
 
             this.activeTorrents.set(torrentId, torrentInfo);
 
-            // Setup event listeners
-            this.setupTorrentListeners(torrentId, torrentInfo);
+            this.persistSession(torrentId, {
+                magnet: statusData.magnet,
+                ...(name ? { name } : {}),
+                downloadPath,
+                fresh,
+                ...(identity.infoHash ? { infoHash: identity.infoHash } : {}),
+                ...(trackers.length ? { trackers } : {}),
+                ...(owner ? { owner } : {}),
+                status: statusData.status,
+                options: torrentOptions
+            });
 
-            return { torrentId, status: 'started' };
+            // Uploaded .torrent files have no magnet to fall back on, so keep them from the start
+            if (typeof magnetUri !== 'string') {
+                this.persistTorrentFile(torrentId, magnetUri);
+            }
+
+            if (initialState === 'starting') {
+                this.attachTorrent(torrentId, torrentInfo);
+            }
+
+            return { torrentId, status: initialState === 'starting' ? 'started' : initialState };
 
         } catch (error) {
-            console.error(`[TORRENT] Error starting torrent: ${error.message}`);
+            log.error(`Error starting torrent: ${error.message}`);
             this.activeTorrents.delete(torrentId);
             throw error;
         }
     }
 
+    // Hand the torrent to the WebTorrent client; pieces already on disk are verified instead of re-downloaded
+    attachTorrent(torrentId, torrentInfo) {
+        torrentInfo.downloadGated = false;
+        torrentInfo.uploadGated = false;
+        torrentInfo.torrent = this.client.add(torrentInfo.source, {
+            path: torrentInfo.downloadPath,
+            // Streams get the pieces they need from StreamPrioritizer whatever the strategy
+            strategy: torrentInfo.sequential ? 'sequential' : this.pieceStrategy,
+            ...(torrentInfo.trackers.length ? { announce: torrentInfo.trackers } : {})
+        });
+
+        this.setupTorrentListeners(torrentId, torrentInfo);
+    }
+
+    // Destroy the WebTorrent torrent but keep its data on disk and its entry in activeTorrents
+    async detachTorrent(torrentId, torrentInfo) {
+        if (torrentInfo.updateTimer) {
+            clearInterval(torrentInfo.updateTimer);
+            torrentInfo.updateTimer = null;
+        }
+
+        const { torrent } = torrentInfo;
+        if (!torrent) return;
+
+        // Remember the metadata so a resume doesn't have to fetch it from peers again
+        if (torrent.torrentFile) {
+            torrentInfo.source = torrent.torrentFile;
+        }
+
+        await new Promise((resolve, reject) => {
+            torrent.destroy({ destroyStore: false }, (err) => {
+                if (err) {
+                    log.error({ torrentId }, `Error destroying torrent:`, err);
+                    reject(err);
+                } else {
+                    log.info({ torrentId }, `Torrent destroyed successfully`);
+                    resolve();
+                }
+            });
+        });
+
+        torrentInfo.torrent = null;
+    }
+
     setupTorrentListeners(torrentId, torrentInfo) {
         const { torrent, status } = torrentInfo;
 
         // Torrent metadata received
         torrent.on('metadata', () => {
-            console.log(`[TORRENT ${torrentId}] Metadata received: ${torrent.name}`);
+            log.info({ torrentId }, `Metadata received: ${torrent.name}`);
             status.status = 'downloading';
             status.fileName = torrent.name;
             status.totalSize = torrent.length;
             status.infoHash = torrent.infoHash;
+            status.magnet = torrent.magnetURI;
             
             // Map torrent files with streaming URLs
-            status.files = torrent.files.map((file, index) => {
-                const isVideo = this.isVideoFile(file.name);
-                return {
-                    name: file.name,
-                    path: file.path,
-                    length: file.length,
-                    index,
-                    isVideo,
-                    canStream: true,
-                    streamUrl: `/stream/${torrentId}/${index}`,
-                    downloadUrl: `/api/download/${torrentId}/${index}`
-                };
+            status.files = this.mapTorrentFiles(torrentId, torrentInfo);
+
+            this.persistSession(torrentId, {
+                infoHash: torrent.infoHash,
+                name: torrent.name,
+                totalSize: torrent.length,
+                status: status.status
             });
+            this.persistTorrentFile(torrentId, torrent.torrentFile);
 
             this.broadcastUpdate(torrentId, status);
         });
 
         // Torrent ready to stream
         torrent.on('ready', () => {
-            console.log(`[TORRENT ${torrentId}] Ready to stream`);
+            log.info({ torrentId }, `Ready to stream`);
             status.canStream = true;
+            this.applyFilePriorities(torrentId, torrentInfo);
             this.broadcastUpdate(torrentId, status);
         });
 
         // Wire (peer) connected
         torrent.on('wire', (wire) => {
-            console.log(`[TORRENT ${torrentId}] Connected to peer: ${wire.remoteAddress}`);
+            log.info({ torrentId }, `Connected to peer: ${wire.remoteAddress}`);
         });
 
         // Download progress - start periodic updates
-        torrentInfo.updateTimer = setInterval(() => {
-            this.updateTorrentStatus(torrentId, torrentInfo);
-        }, this.updateInterval);
+        this.startStatusUpdates(torrentId, torrentInfo);
 
         // Torrent done
         torrent.on('done', () => {
-            console.log(`[TORRENT ${torrentId}] Download complete!`);
+            log.info({ torrentId }, `Download complete!`);
             status.status = 'completed';
             status.progress = 100;
+            status.complete = true;
+            this.persistSession(torrentId, { status: 'completed', complete: true });
             this.broadcastUpdate(torrentId, status);
+            this.notifyStateChange(torrentId, 'completed');
             
             // Clear update timer but keep seeding
             if (torrentInfo.updateTimer) {
@@ -146,9 +260,10 @@ class TorrentManager {
 
         // Torrent error
         torrent.on('error', (err) => {
-            console.error(`[TORRENT ${torrentId}] Error: ${err.message}`);
+            log.error({ torrentId }, `Error: ${err.message}`);
             status.status = 'error';
             status.error = err.message;
+            this.persistSession(torrentId, { status: 'error', error: err.message });
             this.broadcastUpdate(torrentId, status);
             
             // Clear update timer
@@ -156,11 +271,17 @@ class TorrentManager {
                 clearInterval(torrentInfo.updateTimer);
                 torrentInfo.updateTimer = null;
             }
+            
+            // WebTorrent destroys a torrent on error; drop the reference so it can be re-attached
+            if (torrentInfo.torrent === torrent) {
+                torrentInfo.torrent = null;
+            }
+            this.notifyStateChange(torrentId, 'error');
         });
 
         // Warning (non-fatal)
         torrent.on('warning', (err) => {
-            console.warn(`[TORRENT ${torrentId}] Warning: ${err.message}`);
+            log.warn({ torrentId }, `Warning: ${err.message}`);
         });
     }
 
@@ -179,34 +300,41 @@ class TorrentManager {
             status.peers = torrent.numPeers;
             status.ratio = torrent.ratio;
             
-            // Ensure files are always synced (in case metadata event was missed or files changed)
+            // Refresh files every tick so per-file progress stays current
             if (torrent.files && torrent.files.length > 0) {
-                // Only resync if count changed or files are missing
-                if (!status.files || status.files.length !== torrent.files.length) {
-                    console.log(`[TORRENT ${torrentId}] Syncing ${torrent.files.length} files`);
-                    status.files = torrent.files.map((file, index) => {
-                        const isVideo = this.isVideoFile(file.name);
-                        return {
-                            name: file.name,
-                            path: file.path,
-                            length: file.length,
-                            index,
-                            isVideo,
-                            canStream: true,
-                            streamUrl: `/stream/${torrentId}/${index}`,
-                            downloadUrl: `/api/download/${torrentId}/${index}`
-                        };
-                    });
+                status.files = this.mapTorrentFiles(torrentId, torrentInfo);
+                
+                // Skipped files never finish, so measure progress against the selected files only
+                const wanted = status.files.filter(file => file.priority !== 'skip');
+                const wantedLength = wanted.reduce((sum, file) => sum + file.length, 0);
+                const wantedDownloaded = wanted.reduce((sum, file) => sum + file.downloaded, 0);
+                status.selectedSize = wantedLength;
+                status.progress = wantedLength > 0 ? (wantedDownloaded / wantedLength) * 100 : 100;
+                
+                // Selecting a previously skipped file makes a finished torrent a download again
+                if (status.complete && status.progress < 100 && torrent.ready) {
+                    status.complete = false;
+                    status.status = 'downloading';
+                    this.persistSession(torrentId, { status: 'downloading', complete: false });
                 }
             }
             
             // Calculate time remaining
-            if (torrent.downloadSpeed > 0 && torrent.progress < 1) {
-                const remaining = (torrent.length - torrent.downloaded) / torrent.downloadSpeed;
+            const selectedSize = status.selectedSize || torrent.length;
+            const selectedRemaining = Math.max(0, selectedSize * (1 - status.progress / 100));
+            if (torrent.downloadSpeed > 0 && status.progress < 100) {
+                const remaining = selectedRemaining / torrent.downloadSpeed;
                 status.timeRemaining = this.formatTime(remaining);
-            } else if (torrent.progress >= 1) {
+            } else if (status.progress >= 100) {
                 status.timeRemaining = 'Complete';
+                // Torrents with skipped files never emit 'done', so report completion here too
+                const justCompleted = !['seeding', 'completed'].includes(status.status);
                 status.status = 'seeding';
+                status.complete = true;
+                if (justCompleted) {
+                    this.persistSession(torrentId, { status: 'seeding', complete: true });
+                    this.notifyStateChange(torrentId, 'completed');
+                }
             } else {
                 status.timeRemaining = 'Unknown';
             }
@@ -217,8 +345,233 @@ class TorrentManager {
             // Broadcast update
             this.broadcastUpdate(torrentId, status);
         } catch (error) {
-            console.error(`[TORRENT ${torrentId}] Error updating status: ${error.message}`);
+            log.error({ torrentId }, `Error updating status: ${error.message}`);
+        }
+    }
+
+    mapTorrentFiles(torrentId, torrentInfo) {
+        const { torrent } = torrentInfo;
+        if (!torrent || !torrent.files) return torrentInfo.status.files || [];
+
+        const pairs = this.getSubtitlePairs(torrentInfo);
+        return torrent.files.map((file, index) => {
+            const isVideo = this.isVideoFile(file.name);
+            const isAudio = this.isAudioFile(file.name);
+            const isSubtitle = Boolean(subtitleFormat(file.name));
+            const priority = this.getFilePriority(torrentInfo, index);
+            const mapped = {
+                name: file.name,
+                path: file.path,
+                length: file.length,
+                index,
+                isVideo,
+                isAudio,
+                duration: torrentInfo.durations[index] ?? null,
+                priority,
+                selected: priority !== 'skip',
+                downloaded: file.downloaded || 0,
+                progress: (file.progress || 0) * 100,
+                done: Boolean(file.done),
+                canStream: true,
+                streamUrl: `/stream/${torrentId}/${index}`,
+                downloadUrl: `/api/download/${torrentId}/${index}`
+            };
+
+            if (isSubtitle) {
+                mapped.isSubtitle = true;
+                mapped.subtitleFor = pairs.bySubtitle.has(index) ? pairs.bySubtitle.get(index) : null;
+            }
+            if (isVideo) {
+                mapped.subtitles = this.mapSubtitleTracks(torrentId, pairs, index);
+            }
+            return mapped;
+        });
+    }
+
+    // The file list of a torrent never changes once known, so pair its subtitles only once
+    getSubtitlePairs(torrentInfo) {
+        const { torrent } = torrentInfo;
+        if (!torrentInfo.subtitlePairs || torrentInfo.subtitlePairs.files !== torrent.files) {
+            torrentInfo.subtitlePairs = {
+                files: torrent.files,
+                ...pairSubtitles(torrent.files, name => this.isVideoFile(name))
+            };
+        }
+        return torrentInfo.subtitlePairs;
+    }
+
+    mapSubtitleTracks(torrentId, pairs, videoIndex) {
+        return (pairs.byVideo.get(videoIndex) || []).map(track => ({
+            ...track,
+            url: `/subtitles/${torrentId}/${track.fileIndex}.vtt`
+        }));
+    }
+
+    // Subtitle tracks paired with a video file; empty when the torrent isn't running
+    getSubtitleTracks(torrentId, fileIndex) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        if (!torrentInfo || !torrentInfo.torrent || !torrentInfo.torrent.files) return [];
+        return this.mapSubtitleTracks(torrentId, this.getSubtitlePairs(torrentInfo), fileIndex);
+    }
+
+    // A subtitle file of a running torrent with its format and language, or null
+    getSubtitleFile(torrentId, fileIndex) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        const torrent = torrentInfo && torrentInfo.torrent;
+        const file = torrent && torrent.files ? torrent.files[fileIndex] : null;
+        const format = file ? subtitleFormat(file.name) : null;
+        if (!format) return null;
+
+        // Paired files already had their language read from the part of the name after the video's
+        const pairs = this.getSubtitlePairs(torrentInfo);
+        const videoIndex = pairs.bySubtitle.get(fileIndex);
+        const track = videoIndex === null ? null : pairs.byVideo.get(videoIndex).find(entry => entry.fileIndex === fileIndex);
+        const { language } = track || parseSubtitleLanguage(path.parse(file.name).name);
+        return { file, format, language };
+    }
+
+    getFilePriority(torrentInfo, fileIndex) {
+        return torrentInfo.filePriorities[fileIndex] || 'normal';
+    }
+
+    // Replace WebTorrent's default whole-torrent selection with one selection per wanted file
+    applyFilePriorities(torrentId, torrentInfo) {
+        const { torrent } = torrentInfo;
+        if (!torrent || !torrent.ready || torrent.destroyed || !torrent.pieces.length) return;
+
+        try {
+            torrent.deselect(0, torrent.pieces.length - 1);
+
+            torrent.files.forEach((file, index) => {
+                const weight = FILE_PRIORITIES[this.getFilePriority(torrentInfo, index)];
+                if (weight !== null) {
+                    file.select(weight);
+                }
+            });
+        } catch (error) {
+            log.error({ torrentId }, `Error applying file priorities: ${error.message}`);
+        }
+    }
+
+    setFilePriority(torrentId, fileIndexes, priority) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+        
+        if (!Object.prototype.hasOwnProperty.call(FILE_PRIORITIES, priority)) {
+            throw new Error(`Invalid priority "${priority}". Expected one of: ${Object.keys(FILE_PRIORITIES).join(', ')}`);
+        }
+        
+        const indexes = (Array.isArray(fileIndexes) ? fileIndexes : [fileIndexes]).map(index => parseInt(index, 10));
+        const fileCount = torrentInfo.torrent && torrentInfo.torrent.files ?
+            torrentInfo.torrent.files.length :
+            (torrentInfo.status.files || []).length;
+        
+        indexes.forEach(index => {
+            if (!Number.isInteger(index) || index < 0 || index >= fileCount) {
+                throw new Error(`Invalid file index: ${index}`);
+            }
+        });
+        
+        indexes.forEach(index => {
+            if (priority === 'normal') {
+                delete torrentInfo.filePriorities[index];
+            } else {
+                torrentInfo.filePriorities[index] = priority;
+            }
+        });
+        
+        log.info({ torrentId }, `Set priority ${priority} for files ${indexes.join(', ')}`);
+        
+        // Paused torrents keep the choice and apply it when resumed
+        this.applyFilePriorities(torrentId, torrentInfo);
+        
+        // 'done' stopped the status updates, so a finished torrent needs them back to download the selected files
+        if (priority !== 'skip' && torrentInfo.torrent && !torrentInfo.torrent.destroyed && !torrentInfo.updateTimer) {
+            this.startStatusUpdates(torrentId, torrentInfo);
+            this.updateTorrentStatus(torrentId, torrentInfo);
+        }
+        
+        if (torrentInfo.torrent && torrentInfo.torrent.files) {
+            torrentInfo.status.files = this.mapTorrentFiles(torrentId, torrentInfo);
+        } else {
+            (torrentInfo.status.files || []).forEach(file => {
+                file.priority = this.getFilePriority(torrentInfo, file.index);
+                file.selected = file.priority !== 'skip';
+            });
+        }
+        
+        this.persistSession(torrentId, { filePriorities: torrentInfo.filePriorities });
+        this.broadcastUpdate(torrentId, torrentInfo.status);
+        
+        return torrentInfo.status.files;
+    }
+
+    // Switch between in-order and the configured piece strategy; WebTorrent reads the strategy on every request
+    setSequential(torrentId, enabled) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new Error('sequential must be true or false');
+        }
+
+        torrentInfo.sequential = enabled;
+        torrentInfo.status.sequential = enabled;
+        if (torrentInfo.torrent && !torrentInfo.torrent.destroyed) {
+            torrentInfo.torrent.strategy = enabled ? 'sequential' : this.pieceStrategy;
+        }
+
+        log.info({ torrentId }, `${enabled ? 'Sequential' : `Default (${this.pieceStrategy})`} download`);
+        this.persistSession(torrentId, { sequential: enabled });
+        this.broadcastUpdate(torrentId, torrentInfo.status);
+
+        return { torrentId, sequential: enabled };
+    }
+
+    // Players report a file's length once they know it, so playlists can list it
+    setFileDuration(torrentId, fileIndex, duration) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+        const files = torrentInfo.torrent && torrentInfo.torrent.files ? torrentInfo.torrent.files : torrentInfo.status.files;
+        const file = Number.isInteger(fileIndex) ? files[fileIndex] : null;
+        if (!file) {
+            throw new Error(`File ${fileIndex} not found in torrent ${torrentId}`);
+        }
+        if (!this.isVideoFile(file.name) && !this.isAudioFile(file.name)) {
+            throw new Error(`${file.name} is not a video or audio file`);
         }
+        if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+            throw new Error('duration must be a positive number of seconds');
+        }
+
+        const seconds = Math.round(duration * 1000) / 1000;
+        if (torrentInfo.durations[fileIndex] !== seconds) {
+            torrentInfo.durations[fileIndex] = seconds;
+            torrentInfo.status.files = this.mapTorrentFiles(torrentId, torrentInfo);
+            this.persistSession(torrentId, { durations: torrentInfo.durations });
+            this.broadcastUpdate(torrentId, torrentInfo.status);
+        }
+
+        return { torrentId, fileIndex, duration: seconds };
+    }
+
+    // A running torrent's video and audio files in natural order ("E2" before "E10"); null when it isn't running
+    getPlaylist(torrentId) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        const torrent = torrentInfo && torrentInfo.torrent;
+        if (!torrent || !torrent.files) return null;
+
+        const files = torrent.files
+            .map((file, index) => ({ index, name: file.name, path: file.path || file.name, duration: torrentInfo.durations[index] ?? null }))
+            .filter(file => this.isVideoFile(file.name) || this.isAudioFile(file.name))
+            .sort((a, b) => naturalCompare(a.path, b.path));
+        return { torrentId, name: torrent.name || torrentInfo.status.fileName || torrentId, files };
     }
 
     formatTime(seconds) {
@@ -237,95 +590,179 @@ class TorrentManager {
         }
     }
 
+    notifyStateChange(torrentId, state) {
+        if (this.onStateChange) {
+            try {
+                this.onStateChange(torrentId, state);
+            } catch (error) {
+                log.error(`State change handler failed: ${error.message}`);
+            }
+        }
+    }
+
     broadcastUpdate(torrentId, statusObject) {
         if (this.onUpdate) {
             try {
                 this.onUpdate(torrentId, statusObject);
             } catch (error) {
-                console.error(`[ERROR] Failed to broadcast update: ${error.message}`);
+                log.error(`Failed to broadcast update: ${error.message}`);
             }
         }
     }
 
-    async stopTorrent(torrentId) {
+    async pauseTorrent(torrentId) {
         const torrentInfo = this.activeTorrents.get(torrentId);
         
         if (!torrentInfo) {
             throw new Error(`Torrent with ID ${torrentId} not found`);
         }
         
+        if (torrentInfo.status.status === 'paused') {
+            return { torrentId, status: 'paused' };
+        }
+        
         try {
-            console.log(`[TORRENT] Stopping torrent: ${torrentId}`);
+            log.info({ torrentId }, `Pausing torrent: ${torrentId}`);
             
             // Update status to stopping
             torrentInfo.status.status = 'stopping';
             this.broadcastUpdate(torrentId, torrentInfo.status);
             
-            // Clear update timer
-            if (torrentInfo.updateTimer) {
-                clearInterval(torrentInfo.updateTimer);
-                torrentInfo.updateTimer = null;
-            }
-            
-            // Destroy the torrent
-            const { torrent } = torrentInfo;
-            if (torrent) {
-                await new Promise((resolve, reject) => {
-                    torrent.destroy({ destroyStore: false }, (err) => {
-                        if (err) {
-                            console.error(`[TORRENT ${torrentId}] Error destroying torrent:`, err);
-                            reject(err);
-                        } else {
-                            console.log(`[TORRENT ${torrentId}] Torrent destroyed successfully`);
-                            resolve();
-                        }
-                    });
-                });
-            }
+            await this.detachTorrent(torrentId, torrentInfo);
             
             // Update final status
-            torrentInfo.status.status = 'stopped';
+            torrentInfo.status.status = 'paused';
             torrentInfo.status.downloadSpeed = 0;
             torrentInfo.status.uploadSpeed = 0;
             torrentInfo.status.peers = 0;
+            torrentInfo.status.timeRemaining = 'Unknown';
             
+            this.persistSession(torrentId, { status: 'paused' });
             this.broadcastUpdate(torrentId, torrentInfo.status);
             
-            // Remove from active torrents after a delay
-            setTimeout(() => {
-                this.activeTorrents.delete(torrentId);
-                console.log(`[TORRENT] Removed ${torrentId} from tracking`);
-            }, 2000);
+            return { torrentId, status: 'paused' };
+            
+        } catch (error) {
+            log.error(`Failed to pause torrent: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Detach a torrent to wait for a free slot; unlike a pause this is managed by the queue
+    async queueTorrent(torrentId) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+        
+        log.info({ torrentId }, `Queueing torrent: ${torrentId}`);
+        
+        await this.detachTorrent(torrentId, torrentInfo);
+        
+        torrentInfo.status.status = 'queued';
+        torrentInfo.status.downloadSpeed = 0;
+        torrentInfo.status.uploadSpeed = 0;
+        torrentInfo.status.peers = 0;
+        torrentInfo.status.timeRemaining = 'Unknown';
+        
+        this.persistSession(torrentId, { status: 'queued' });
+        this.broadcastUpdate(torrentId, torrentInfo.status);
+        
+        return { torrentId, status: 'queued' };
+    }
+
+    async resumeTorrent(torrentId) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+        
+        if (torrentInfo.torrent) {
+            return { torrentId, status: torrentInfo.status.status };
+        }
+        
+        try {
+            log.info({ torrentId }, `Resuming torrent: ${torrentId}`);
+            
+            if (!fs.existsSync(torrentInfo.downloadPath)) {
+                fs.mkdirSync(torrentInfo.downloadPath, { recursive: true });
+            }
+            
+            torrentInfo.status.status = 'starting';
+            torrentInfo.status.error = null;
+            this.attachTorrent(torrentId, torrentInfo);
+            
+            this.persistSession(torrentId, { status: 'starting', error: null });
+            this.broadcastUpdate(torrentId, torrentInfo.status);
             
-            return { torrentId, status: 'stopped' };
+            return { torrentId, status: 'resumed' };
             
         } catch (error) {
-            console.error(`[ERROR] Failed to stop torrent: ${error.message}`);
+            log.error(`Failed to resume torrent: ${error.message}`);
+            torrentInfo.status.status = 'error';
+            torrentInfo.status.error = error.message;
+            this.broadcastUpdate(torrentId, torrentInfo.status);
             throw error;
         }
     }
 
+    // Verify the data on disk again by re-adding the torrent; only running torrents can be rechecked
+    async recheckTorrent(torrentId) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+
+        if (!torrentInfo) {
+            throw new Error(`Torrent with ID ${torrentId} not found`);
+        }
+
+        if (!torrentInfo.torrent) {
+            throw new Error(`Torrent is ${torrentInfo.status.status}; resume it before rechecking`);
+        }
+
+        log.info({ torrentId }, `Rechecking torrent: ${torrentId}`);
+        await this.detachTorrent(torrentId, torrentInfo);
+
+        // The metadata or done event moves it on once the pieces have been verified
+        torrentInfo.status.status = 'verifying';
+        torrentInfo.status.error = null;
+        this.attachTorrent(torrentId, torrentInfo);
+        this.broadcastUpdate(torrentId, torrentInfo.status);
+
+        return { torrentId, status: 'verifying' };
+    }
+
+    // Kept for callers of the old API; stopping a torrent now pauses it so it can be resumed
+    async stopTorrent(torrentId) {
+        return this.pauseTorrent(torrentId);
+    }
+
     async stopAllTorrents() {
-        console.log(`[TORRENT] Stopping all ${this.activeTorrents.size} torrents...`);
+        log.info(`Stopping all ${this.activeTorrents.size} torrents...`);
         
+        // Detach without touching the persisted status so every torrent comes back as it was
         const stopPromises = [];
-        for (const [torrentId] of this.activeTorrents) {
+        for (const [torrentId, torrentInfo] of this.activeTorrents) {
             stopPromises.push(
-                this.stopTorrent(torrentId).catch(err => {
-                    console.error(`[TORRENT] Error stopping ${torrentId}:`, err);
+                this.detachTorrent(torrentId, torrentInfo).catch(err => {
+                    log.error({ torrentId }, `Error stopping ${torrentId}:`, err);
                 })
             );
         }
         
         await Promise.all(stopPromises);
         
+        if (this.sessionStore) {
+            this.sessionStore.flush();
+        }
+        
         // Destroy the client
         return new Promise((resolve) => {
             this.client.destroy((err) => {
                 if (err) {
-                    console.error(`[TORRENT] Error destroying client:`, err);
+                    log.error(`Error destroying client:`, err);
                 }
-                console.log(`[TORRENT] All torrents stopped, client destroyed`);
+                log.info(`All torrents stopped, client destroyed`);
                 resolve({ status: 'all_stopped' });
             });
         });
@@ -339,35 +776,182 @@ class TorrentManager {
         }
         
         try {
-            const { torrent, downloadPath } = torrentInfo;
-            const torrentName = torrent ? torrent.name : 'Unknown';
+            const { downloadPath } = torrentInfo;
+            const torrentName = torrentInfo.torrent ? torrentInfo.torrent.name :
+                (torrentInfo.status.fileName !== 'Unknown' ? torrentInfo.status.fileName : 'Unknown');
+            // Only the metadata says what is ours on disk; a paused torrent's name is the magnet's untrusted dn
+            const filePaths = deleteFiles ? await this.getMetadataFilePaths(torrentId, torrentInfo) : null;
+            if (deleteFiles && !filePaths) {
+                // Refuse before removing anything, so the caller isn't told the data is gone when it isn't
+                const error = new Error(`Can't delete the files of ${torrentName}: its metadata hasn't been received, so its files aren't known. Remove it without deleting files instead`);
+                error.code = 'invalid-state';
+                throw error;
+            }
             
-            console.log(`[TORRENT] Deleting torrent: ${torrentId}, deleteFiles: ${deleteFiles}`);
+            log.info({ torrentId }, `Deleting torrent: ${torrentId}, deleteFiles: ${deleteFiles}`);
             
             // Stop the torrent first
-            await this.stopTorrent(torrentId);
+            await this.detachTorrent(torrentId, torrentInfo);
+            this.activeTorrents.delete(torrentId);
+            
+            if (this.sessionStore) {
+                this.sessionStore.remove(torrentId);
+            }
             
             // Delete files if requested
-            if (deleteFiles && downloadPath) {
-                try {
-                    const fullPath = path.join(downloadPath, torrentName);
-                    if (fs.existsSync(fullPath)) {
-                        fs.rmSync(fullPath, { recursive: true, force: true });
-                        console.log(`[TORRENT] Deleted files at: ${fullPath}`);
-                    }
-                } catch (err) {
-                    console.error(`[TORRENT] Error deleting files:`, err);
-                }
+            if (filePaths) {
+                this.removeTorrentFiles(torrentId, downloadPath, filePaths);
             }
             
-            return { torrentId, name: torrentName, deleted: true };
+            return { torrentId, name: torrentName, owner: torrentInfo.owner, deleted: true };
             
         } catch (error) {
-            console.error(`[ERROR] Failed to delete torrent: ${error.message}`);
+            log.error(`Failed to delete torrent: ${error.message}`);
             throw error;
         }
     }
 
+    // Paths of a torrent's files from its metadata: the running torrent's, or the .torrent kept for a paused or queued one; null before any metadata
+    async getMetadataFilePaths(torrentId, torrentInfo) {
+        if (torrentInfo.torrent && torrentInfo.torrent.metadata) {
+            return torrentInfo.torrent.files.map(file => file.path);
+        }
+
+        const buffer = Buffer.isBuffer(torrentInfo.source) ? torrentInfo.source
+            : (this.sessionStore ? this.sessionStore.readTorrentFile(this.sessionStore.get(torrentId)) : null);
+        if (!buffer) return null;
+
+        const { filePaths } = await parseTorrentFile(buffer);
+        return filePaths;
+    }
+
+    // Where one of a torrent's files is on disk, by its path in the torrent or its name; null if the torrent has no such file
+    getFileOnDisk(torrentId, filename) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        const files = torrentInfo && torrentInfo.torrent ? torrentInfo.torrent.files || [] : [];
+        const file = files.find(entry => entry.path === filename) || files.find(entry => entry.name === filename);
+        const fullPath = file ? resolveInside(torrentInfo.downloadPath, file.path) : null;
+        return fullPath ? { file, fullPath } : null;
+    }
+
+    // Remove a torrent's files, then the folders they leave empty; nothing outside downloadPath is touched
+    removeTorrentFiles(torrentId, downloadPath, filePaths) {
+        const root = path.resolve(downloadPath);
+        const folders = new Set();
+        let deleted = 0;
+
+        for (const filePath of filePaths) {
+            const fullPath = resolveInside(root, filePath);
+            if (!fullPath) {
+                log.warn({ torrentId }, `Not deleting ${filePath}: outside ${root}`);
+                continue;
+            }
+            try {
+                fs.rmSync(fullPath, { force: true });
+                deleted++;
+            } catch (err) {
+                log.error({ torrentId }, `Error deleting ${fullPath}: ${err.message}`);
+            }
+            for (let folder = path.dirname(fullPath); folder.startsWith(root + path.sep); folder = path.dirname(folder)) {
+                folders.add(folder);
+            }
+        }
+
+        // Deepest first, so a torrent's root folder goes last
+        [...folders].sort((a, b) => b.length - a.length).forEach(folder => {
+            try {
+                fs.rmdirSync(folder);
+            } catch (err) {
+                // Not empty (files from elsewhere) or already gone
+            }
+        });
+        log.info({ torrentId }, `Deleted ${deleted} files from ${root}`);
+    }
+
+    // Re-add every torrent recorded in the session store; existing data on disk is verified and resumed
+    async restoreSessions({ queued = false } = {}) {
+        if (!this.sessionStore) return [];
+
+        // Restore in queue order so positions survive restarts
+        const records = this.sessionStore.load().sort((a, b) =>
+            (a.queuePosition || Infinity) - (b.queuePosition || Infinity) || (a.addedAt || 0) - (b.addedAt || 0)
+        );
+        const restored = [];
+
+        for (const record of records) {
+            if (this.activeTorrents.has(record.torrentId)) continue;
+
+            const source = this.sessionStore.readTorrentFile(record) || record.magnet || record.infoHash;
+            if (!source || !record.downloadPath) {
+                sessionLog.warn(`Skipping ${record.torrentId}: no magnet, infoHash or download path recorded`);
+                continue;
+            }
+
+            try {
+                await this.startTorrent(source, record.downloadPath, record.fresh, {
+                    ...(record.options || {}),
+                    filePriorities: record.filePriorities || {},
+                    durations: record.durations || {},
+                    bandwidth: record.bandwidth || null,
+                    seedingPolicy: record.seedingPolicy || null,
+                    trackers: record.trackers || [],
+                    owner: record.owner || null,
+                    sequential: Boolean(record.sequential),
+                    torrentId: record.torrentId,
+                    paused: record.status === 'paused',
+                    queued: queued && record.status !== 'paused'
+                });
+                this.restoreStatusFromRecord(record);
+                restored.push(record.torrentId);
+            } catch (error) {
+                sessionLog.error(`Failed to restore ${record.torrentId}: ${error.message}`);
+                this.persistSession(record.torrentId, { status: 'error', error: error.message });
+            }
+        }
+
+        sessionLog.info(`Restored ${restored.length} of ${records.length} torrents`);
+        return restored;
+    }
+
+    // Fill in what is known from the last run until the torrent reports fresh metadata
+    restoreStatusFromRecord(record) {
+        const torrentInfo = this.activeTorrents.get(record.torrentId);
+        if (!torrentInfo) return;
+
+        const { status } = torrentInfo;
+        if (record.name && status.fileName === 'Unknown') status.fileName = record.name;
+        if (record.infoHash && !status.infoHash) status.infoHash = record.infoHash;
+        if (record.totalSize && !status.totalSize) status.totalSize = record.totalSize;
+        if (record.magnet && !status.magnet) status.magnet = record.magnet;
+        if (record.totalUploaded) status.totalUploaded = record.totalUploaded;
+        if (record.seedTime) status.seedTime = record.seedTime;
+        if (record.complete) {
+            status.complete = true;
+            status.progress = 100;
+        }
+    }
+
+    persistSession(torrentId, fields) {
+        if (!this.sessionStore) return;
+
+        try {
+            this.sessionStore.upsert(torrentId, fields);
+        } catch (error) {
+            sessionLog.error({ torrentId }, `Failed to persist ${torrentId}: ${error.message}`);
+        }
+    }
+
+    persistTorrentFile(torrentId, buffer) {
+        if (!this.sessionStore || !buffer) return;
+
+        try {
+            const torrentFile = this.sessionStore.saveTorrentFile(torrentId, buffer);
+            this.sessionStore.upsert(torrentId, { torrentFile });
+        } catch (error) {
+            sessionLog.error({ torrentId }, `Failed to save torrent file for ${torrentId}: ${error.message}`);
+        }
+    }
+
     getTorrent(torrentId) {
         const torrentInfo = this.activeTorrents.get(torrentId);
         if (!torrentInfo) {
@@ -377,14 +961,37 @@ class TorrentManager {
         return torrentInfo.status;
     }
 
-    getAllTorrents() {
+    // Pass a user to list only the torrents they may see; without one every torrent is listed
+    getAllTorrents(user) {
         const torrents = [];
         for (const [torrentId, torrentInfo] of this.activeTorrents) {
+            if (user !== undefined && !canView(user, torrentInfo.owner)) continue;
             torrents.push(torrentInfo.status);
         }
         return torrents;
     }
 
+    getOwner(torrentId) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        return torrentInfo ? torrentInfo.owner : null;
+    }
+
+    // What a user's torrents take up, for quota checks; size is the selected files once metadata is known
+    getUsage(username) {
+        const usage = { activeTorrents: 0, diskBytes: 0, torrents: 0 };
+        for (const torrentInfo of this.activeTorrents.values()) {
+            if (torrentInfo.owner !== username) continue;
+
+            const { status } = torrentInfo;
+            usage.torrents++;
+            usage.diskBytes += status.selectedSize || status.totalSize || 0;
+            if (!INACTIVE_STATES.includes(status.status)) {
+                usage.activeTorrents++;
+            }
+        }
+        return usage;
+    }
+
     getTorrentFiles(torrentId) {
         const torrentInfo = this.activeTorrents.get(torrentId);
         if (!torrentInfo || !torrentInfo.status) {
@@ -394,10 +1001,116 @@ class TorrentManager {
         return torrentInfo.status.files || [];
     }
 
+    /**
+     * Which parts of a file are downloaded and verified, as inclusive byte ranges within the file
+     * Built from the torrent's piece bitfield; null when the torrent isn't running or has no such file.
+     */
+    getFilePieces(torrentId, fileIndex) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        const torrent = torrentInfo && torrentInfo.torrent;
+        const file = torrent && torrent.files ? torrent.files[fileIndex] : null;
+        if (!file) return null;
+
+        const { pieceLength } = torrent;
+        const ranges = [];
+        let pieces = 0;
+        if (torrent.bitfield && pieceLength && file.length > 0) {
+            // Pieces at either end may be shared with the neighbouring files
+            const first = Math.floor(file.offset / pieceLength);
+            const last = Math.floor((file.offset + file.length - 1) / pieceLength);
+            pieces = last - first + 1;
+
+            for (let index = first; index <= last; index++) {
+                if (!torrent.bitfield.get(index)) continue;
+
+                const start = Math.max(index * pieceLength - file.offset, 0);
+                const end = Math.min((index + 1) * pieceLength - file.offset, file.length) - 1;
+                const previous = ranges[ranges.length - 1];
+                if (previous && previous.end === start - 1) {
+                    previous.end = end;
+                } else {
+                    ranges.push({ start, end });
+                }
+            }
+        }
+
+        return {
+            torrentId,
+            fileIndex,
+            length: file.length,
+            pieceLength: pieceLength || 0,
+            pieces,
+            downloaded: file.downloaded || 0,
+            ranges
+        };
+    }
+
+    // Work out the infoHash and trackers of a magnet, info hash or .torrent buffer before adding it
+    async identifySource(source) {
+        if (Buffer.isBuffer(source)) {
+            const info = await parseTorrentFile(source);
+            return { infoHash: info.infoHash, trackers: info.announce };
+        }
+
+        try {
+            const identifier = parseTorrentIdentifier(source);
+            return { infoHash: identifier.infoHash || identifier.infoHashV2, trackers: identifier.trackers };
+        } catch (error) {
+            return { infoHash: null, trackers: [] };
+        }
+    }
+
+    findByInfoHash(infoHash) {
+        const hash = infoHash.toLowerCase();
+        for (const [torrentId, torrentInfo] of this.activeTorrents) {
+            if (torrentId === hash || torrentInfo.status.infoHash === hash) {
+                return torrentId;
+            }
+        }
+        return null;
+    }
+
+    // WebTorrent can't add trackers to a running torrent, so new ones take effect the next time it is attached
+    mergeTrackers(torrentId, trackers) {
+        const torrentInfo = this.activeTorrents.get(torrentId);
+        if (!torrentInfo) return 0;
+
+        const known = new Set([...torrentInfo.trackers, ...((torrentInfo.torrent && torrentInfo.torrent.announce) || [])]);
+        const added = Array.from(new Set(trackers)).filter(tracker => tracker && !known.has(tracker));
+
+        if (added.length > 0) {
+            torrentInfo.trackers.push(...added);
+            this.persistSession(torrentId, { trackers: torrentInfo.trackers });
+            log.info({ torrentId }, `Merged ${added.length} trackers`);
+        }
+
+        return added.length;
+    }
+
     generateTorrentId() {
         return crypto.randomBytes(8).toString('hex');
     }
 
+    startStatusUpdates(torrentId, torrentInfo) {
+        torrentInfo.updateTimer = setInterval(() => {
+            this.updateTorrentStatus(torrentId, torrentInfo);
+        }, this.updateInterval);
+    }
+
+    // Restart the status timers of attached torrents at the new rate
+    setUpdateInterval(interval) {
+        this.updateInterval = interval;
+
+        for (const [torrentId, torrentInfo] of this.activeTorrents) {
+            if (!torrentInfo.updateTimer) continue;
+
+            clearInterval(torrentInfo.updateTimer);
+            this.startStatusUpdates(torrentId, torrentInfo);
+        }
+
+        log.info(`Status updates every ${interval}ms`);
+    }
+
     setUpdateCallback(callback) {
         this.onUpdate = callback;
     }
@@ -409,6 +1122,12 @@ class TorrentManager {
         return videoExtensions.includes(ext);
     }
 
+    isAudioFile(filename) {
+        const audioExtensions = ['.mp3', '.m4a', '.aac', '.flac', '.ogg', '.opus', '.wav'];
+        const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
+        return audioExtensions.includes(ext);
+    }
+
     // Get torrent by infoHash (for external access)
     getTorrentByInfoHash(infoHash) {
         for (const [torrentId, torrentInfo] of this.activeTorrents) {